@@ -0,0 +1,261 @@
+/**
+ * ANOMALY DETECTOR
+ *
+ * Flags market anomalies for one symbol against EWMA baselines:
+ * - volume_burst     USD volume in one second far above its baseline
+ * - trade_rate       trades per second far above its baseline
+ * - price_shock      price move over the last few seconds far beyond its usual size
+ * - spread_widening  best bid/ask spread far wider than usual (needs depth data)
+ *
+ * Trades are summed into one-second samples. When a second closes, each
+ * figure is scored against the baseline built from the seconds before it
+ * (a z-score: distance from the EWMA mean in EWMA standard deviations)
+ * and then folded into that baseline. Volume, rate and spread are scored
+ * on a log scale since they are heavy-tailed; price moves are scored
+ * against their EWMA volatility around zero. On a log scale a spread of
+ * one tick going to two doubles, so spread_widening also needs the spread
+ * to be minSpreadWideningBps wider than its baseline.
+ */
+
+const SECOND_MS = 1000;
+
+const KINDS = ['volume_burst', 'trade_rate', 'price_shock', 'spread_widening'];
+
+// Smallest standard deviation a score divides by, so a flat baseline
+// doesn't turn the first small change into a huge score
+const MIN_STD = {
+  volume_burst: 0.25,
+  trade_rate: 0.25,
+  price_shock: 0.5,
+  spread_widening: 0.1
+};
+
+// Idle gaps longer than this (feed down, symbol asleep) are skipped rather
+// than fed to the baselines as empty seconds
+const MAX_GAP_SECONDS = 60;
+
+class EwmaBaseline {
+  /**
+   * @param {number} alpha - Weight of each new sample
+   * @param {boolean} [zeroMean=false] - Score against zero (returns) instead of the mean
+   */
+  constructor(alpha, zeroMean = false) {
+    this.alpha = alpha;
+    this.zeroMean = zeroMean;
+    this.mean = 0;
+    this.variance = 0;
+    this.samples = 0;
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} minStd
+   * @returns {number} z-score of `value` against the baseline so far
+   */
+  score(value, minStd) {
+    const center = this.zeroMean ? 0 : this.mean;
+    return (value - center) / Math.max(Math.sqrt(this.variance), minStd);
+  }
+
+  /**
+   * @param {number} value
+   */
+  update(value) {
+    this.samples++;
+
+    // Plain average until there are enough samples for the EWMA weights,
+    // so early samples don't dominate the baseline
+    const alpha = Math.max(this.alpha, 1 / this.samples);
+
+    if (this.zeroMean) {
+      this.variance = (1 - alpha) * this.variance + alpha * value * value;
+      return;
+    }
+
+    const diff = value - this.mean;
+    const increment = alpha * diff;
+    this.mean += increment;
+    this.variance = (1 - alpha) * (this.variance + diff * increment);
+  }
+}
+
+class AnomalyDetector {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.symbol]
+   * @param {number} [options.zThreshold=4] - Smallest score that is flagged
+   * @param {number} [options.halfLifeSec=300] - Seconds for a sample's weight in the baselines to halve
+   * @param {number} [options.minSamples=120] - Seconds of baseline needed before anything is flagged
+   * @param {number} [options.cooldownMs=60000] - Quiet time per kind after a flag
+   * @param {number} [options.priceWindowSec=5] - Span of the price move scored by price_shock
+   * @param {number} [options.minSpreadWideningBps=2] - Bps past the baseline spread a spread_widening needs
+   */
+  constructor(options = {}) {
+    this.symbol = options.symbol;
+    this.zThreshold = options.zThreshold || 4;
+    this.minSamples = options.minSamples || 120;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.priceWindowSec = options.priceWindowSec || 5;
+    this.minSpreadWideningBps = options.minSpreadWideningBps || 2;
+
+    const alpha = 1 - Math.pow(0.5, 1 / (options.halfLifeSec || 300));
+    this.baselines = {
+      volume_burst: new EwmaBaseline(alpha),
+      trade_rate: new EwmaBaseline(alpha),
+      price_shock: new EwmaBaseline(alpha, true),
+      spread_widening: new EwmaBaseline(alpha)
+    };
+
+    // The open second: { second, quoteVolume, trades, close }
+    this.current = null;
+
+    // Closing prices of the last priceWindowSec seconds, oldest first
+    this.closes = [];
+
+    // Widest spread (bps) seen since the last second closed
+    this.spreadBps = null;
+
+    this.lastFlagged = {};
+
+    // Flagged anomalies waiting to be collected
+    this.found = [];
+  }
+
+  /**
+   * Add a processed trade
+   * @param {Object} trade - Trade record with price, tradeValue, timestamp
+   */
+  add(trade) {
+    const second = Math.floor(trade.timestamp / SECOND_MS);
+
+    if (!this.current) {
+      this.current = { second, quoteVolume: 0, trades: 0, close: trade.price };
+    } else if (second > this.current.second) {
+      this.closeThrough(second);
+    }
+
+    // Late trades count toward the open second
+    this.current.quoteVolume += trade.tradeValue;
+    this.current.trades++;
+    this.current.close = trade.price;
+  }
+
+  /**
+   * Record the current best bid/ask spread
+   * @param {number} spreadBps - Spread in basis points of the mid price
+   */
+  observeSpread(spreadBps) {
+    if (!(spreadBps > 0)) {
+      return;
+    }
+    this.spreadBps = this.spreadBps === null ? spreadBps : Math.max(this.spreadBps, spreadBps);
+  }
+
+  /**
+   * Close the open second and the empty ones after it, then open `second`
+   * @param {number} second - Epoch seconds of the trade that arrived (or of now)
+   */
+  closeThrough(second) {
+    const { close } = this.current;
+    this.closeSecond(this.current);
+
+    if (second - this.current.second <= MAX_GAP_SECONDS) {
+      for (let empty = this.current.second + 1; empty < second; empty++) {
+        this.closeSecond({ second: empty, quoteVolume: 0, trades: 0, close });
+      }
+    } else {
+      this.closes = [];
+    }
+
+    this.current = { second, quoteVolume: 0, trades: 0, close };
+  }
+
+  /**
+   * Score one finished second against the baselines, then update them
+   * @param {{second: number, quoteVolume: number, trades: number, close: number}} sample
+   */
+  closeSecond(sample) {
+    const timestamp = (sample.second + 1) * SECOND_MS;
+    const context = { price: sample.close, quoteVolume: sample.quoteVolume, trades: sample.trades };
+
+    this.check('volume_burst', Math.log1p(sample.quoteVolume), {
+      value: sample.quoteVolume, timestamp, windowMs: SECOND_MS, context, toRaw: Math.expm1
+    });
+    this.check('trade_rate', Math.log1p(sample.trades), {
+      value: sample.trades, timestamp, windowMs: SECOND_MS, context, toRaw: Math.expm1
+    });
+
+    this.closes.push(sample.close);
+    if (this.closes.length > this.priceWindowSec + 1) {
+      this.closes.shift();
+    }
+    if (this.closes.length === this.priceWindowSec + 1) {
+      const from = this.closes[0];
+      const moveBps = 10000 * Math.log(sample.close / from);
+      this.check('price_shock', moveBps, {
+        value: moveBps,
+        timestamp,
+        windowMs: this.priceWindowSec * SECOND_MS,
+        context: { ...context, fromPrice: from },
+        twoSided: true
+      });
+    }
+
+    if (this.spreadBps !== null) {
+      this.check('spread_widening', Math.log(this.spreadBps), {
+        value: this.spreadBps, timestamp, windowMs: SECOND_MS, context, toRaw: Math.exp,
+        minChange: this.minSpreadWideningBps
+      });
+      this.spreadBps = null;
+    }
+  }
+
+  /**
+   * Flag a sample that scores past the threshold, then fold it into its baseline
+   * @param {string} kind
+   * @param {number} scored - Value on the baseline's scale
+   * @param {Object} details - value (raw), timestamp, windowMs, context, toRaw or
+   *   twoSided, and minChange: how far past the baseline the raw value must be
+   */
+  check(kind, scored, { value, timestamp, windowMs, context, toRaw, twoSided, minChange = 0 }) {
+    const baseline = this.baselines[kind];
+    const score = baseline.score(scored, MIN_STD[kind]);
+    const flagged = baseline.samples >= this.minSamples &&
+      (twoSided ? Math.abs(score) : score) >= this.zThreshold &&
+      (!minChange || value - toRaw(baseline.mean) >= minChange) &&
+      !(this.lastFlagged[kind] && timestamp - this.lastFlagged[kind] < this.cooldownMs);
+
+    if (flagged) {
+      this.lastFlagged[kind] = timestamp;
+      this.found.push({
+        symbol: this.symbol,
+        kind,
+        score: Number(score.toFixed(2)),
+        direction: score < 0 ? 'down' : 'up',
+        value,
+        baseline: twoSided ? Math.sqrt(baseline.variance) : toRaw(baseline.mean),
+        windowMs,
+        timestamp,
+        context
+      });
+    }
+
+    baseline.update(scored);
+  }
+
+  /**
+   * Collect flagged anomalies
+   * @param {number} [until] - First close every second that ended by this time,
+   *   so a burst is scored without waiting for the next trade
+   * @returns {Object[]}
+   */
+  drain(until) {
+    if (until !== undefined && this.current && Math.floor(until / SECOND_MS) > this.current.second) {
+      this.closeThrough(Math.floor(until / SECOND_MS));
+    }
+    return this.found.splice(0);
+  }
+}
+
+module.exports = AnomalyDetector;
+module.exports.KINDS = KINDS;
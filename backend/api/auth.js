@@ -0,0 +1,121 @@
+/**
+ * AUTH ROUTES
+ *
+ * POST   /auth/login        start a dashboard session (body: username, password; sets the ww_session cookie)
+ * POST   /auth/logout       end it
+ * GET    /me                the caller's account and settings
+ * PATCH  /me/settings       update watchlist, thresholds and/or alerts (see auth/settings.js)
+ * GET    /me/api-keys       the caller's API keys
+ * POST   /me/api-keys       create a key (body: name); the key is only returned here
+ * DELETE /me/api-keys/:id   revoke a key
+ * GET    /users             every account (admin)
+ * POST   /users             create an account (admin; body: username, password, role)
+ * DELETE /users/:id         delete an account (admin)
+ *
+ * Every route except login needs a session or an API key (see auth/auth.js)
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('./errors');
+const { AuthError, UserStore } = require('../auth');
+
+const AUTH_ERROR_STATUS = {
+  UNAUTHORIZED: 401,
+  INVALID_CREDENTIALS: 401,
+  FORBIDDEN: 403,
+  USER_NOT_FOUND: 404,
+  KEY_NOT_FOUND: 404,
+  USER_EXISTS: 409,
+  TOO_MANY_ATTEMPTS: 429
+};
+
+/**
+ * @param {Object} deps
+ * @param {import('../auth').Auth|null} deps.auth - Null when authentication is disabled
+ * @returns {express.Router}
+ */
+function createAuthRouter({ auth }) {
+  const router = express.Router();
+  const paths = ['/auth', '/me', '/users'];
+
+  if (!auth) {
+    router.use(paths, (req, res, next) => {
+      next(ApiError.notFound('AUTH_DISABLED', 'Authentication is not enabled on this server'));
+    });
+    return router;
+  }
+
+  const { users } = auth;
+
+  const requireAdmin = (req, res, next) => {
+    next(req.auth.user.role === 'admin' ? undefined : new AuthError('FORBIDDEN', 'Admins only'));
+  };
+
+  router.post('/auth/login', asyncHandler(async (req, res) => {
+    const { username, password } = req.body || {};
+    const { user, token } = await auth.login(username, password);
+
+    res.set('Set-Cookie', auth.sessionCookie(token));
+    res.json({ data: UserStore.toPublic(user) });
+  }));
+
+  router.post('/auth/logout', (req, res) => {
+    if (req.auth.sessionToken) {
+      auth.logout(req.auth.sessionToken);
+    }
+    res.set('Set-Cookie', auth.sessionCookie(null));
+    res.status(204).end();
+  });
+
+  router.get('/me', (req, res) => {
+    res.json({ data: UserStore.toPublic(req.auth.user) });
+  });
+
+  router.patch('/me/settings', asyncHandler(async (req, res) => {
+    res.json({ data: await users.updateSettings(req.auth.user.id, req.body) });
+  }));
+
+  router.get('/me/api-keys', (req, res) => {
+    res.json({ data: req.auth.user.apiKeys.map(UserStore.toPublicKey) });
+  });
+
+  router.post('/me/api-keys', asyncHandler(async (req, res) => {
+    const { key, apiKey } = await users.createApiKey(req.auth.user.id, (req.body || {}).name);
+    res.status(201).json({ data: { ...apiKey, key } });
+  }));
+
+  router.delete('/me/api-keys/:id', asyncHandler(async (req, res) => {
+    await users.revokeApiKey(req.auth.user.id, req.params.id);
+    res.status(204).end();
+  }));
+
+  router.get('/users', requireAdmin, (req, res) => {
+    res.json({ data: users.list() });
+  });
+
+  router.post('/users', requireAdmin, asyncHandler(async (req, res) => {
+    res.status(201).json({ data: await users.create(req.body) });
+  }));
+
+  router.delete('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
+    if (req.params.id === req.auth.user.id) {
+      throw new AuthError('FORBIDDEN', 'Admins cannot delete their own account');
+    }
+    await users.remove(req.params.id);
+    auth.sessions.destroyUser(req.params.id);
+    res.status(204).end();
+  }));
+
+  // AuthErrors into the API envelope
+  router.use(paths, (error, req, res, next) => {
+    if (error instanceof AuthError) {
+      next(new ApiError(AUTH_ERROR_STATUS[error.code] || 400, error.code, error.message));
+      return;
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
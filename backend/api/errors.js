@@ -0,0 +1,64 @@
+/**
+ * API ERRORS
+ *
+ * Every failed request returns the same envelope:
+ *   { "error": { "code": "INVALID_PARAMETER", "message": "..." } }
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable machine-readable error code
+   * @param {string} message - Human-readable description
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+
+  static badRequest(message) {
+    return new ApiError(400, 'INVALID_PARAMETER', message);
+  }
+
+  static notFound(code, message) {
+    return new ApiError(404, code, message);
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - (req, res) => Promise
+ * @returns {Function}
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Express error middleware producing the standard error envelope
+ */
+function errorHandler(error, req, res, next) {
+  if (error instanceof ApiError) {
+    res.status(error.status).json({ error: { code: error.code, message: error.message } });
+    return;
+  }
+
+  // Malformed JSON bodies from express.json()
+  if (error.type === 'entity.parse.failed') {
+    res.status(400).json({ error: { code: 'INVALID_BODY', message: 'Request body is not valid JSON' } });
+    return;
+  }
+
+  console.error('❌ API error:', error);
+  res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+}
+
+module.exports = {
+  ApiError,
+  asyncHandler,
+  errorHandler
+};
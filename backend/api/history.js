@@ -0,0 +1,177 @@
+/**
+ * HISTORY ROUTES
+ *
+ * GET /symbols   tracked symbols
+ * GET /trades    processed trades  (symbol, from, to, limit, cursor)
+ * GET /whales    whale trades      (symbol, from, to, limit, cursor, severity, side)
+ * GET /clusters split-order whale clusters (symbol, from, to, limit, cursor, side)
+ * GET /candles   OHLCV candles     (symbol, interval, from, to, limit)
+ * GET /metrics   detector metrics  (symbol optional)
+ * GET /export/whales  whale download (symbol optional, from, to, format: json | csv)
+ *
+ * Reads from the trade store when persistence is enabled, otherwise
+ * from each detector's in-memory rolling window
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('./errors');
+const { parseRange, parseLimit, parseSymbol, parseFormat, pageRange, paginate } = require('./params');
+const { splitSymbol } = require('../exchanges/symbols');
+const { INTERVALS, isInterval } = require('../candleEngine');
+const { systemClock } = require('../clock');
+const { whalesToCsv } = require('../reports/render');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ranges are read into memory whole; a busy symbol trades ~100k times an hour
+const MAX_TRADE_SPAN_MS = HOUR_MS;
+const MAX_EXPORT_SPAN_MS = 31 * 24 * HOUR_MS;
+
+/**
+ * @param {Object} deps
+ * @param {Map<string, import('../whaleDetector')>} deps.detectors
+ * @param {import('../storage/tradeStore')|null} deps.store
+ * @param {{now: function(): number}} [deps.clock] - Default range end (replays use recorded time)
+ * @returns {express.Router}
+ */
+function createHistoryRouter({ detectors, store, clock = systemClock }) {
+  const router = express.Router();
+
+  // Stored records for a range, falling back to the in-memory window
+  const readStream = async (symbol, stream, range) => {
+    if (store) {
+      return store.read(symbol, stream, range);
+    }
+
+    return detectors.get(symbol).tradeHistory.filter(trade =>
+      trade.timestamp >= range.from &&
+      trade.timestamp <= range.to &&
+      (stream !== 'whales' || trade.isWhale)
+    );
+  };
+
+  router.get('/symbols', (req, res) => {
+    res.json({
+      data: Array.from(detectors.keys()).map(symbol => ({ symbol, ...splitSymbol(symbol) }))
+    });
+  });
+
+  router.get('/trades', asyncHandler(async (req, res) => {
+    const symbol = parseSymbol(req.query.symbol, detectors);
+    const range = parseRange(req.query, { defaultSpanMs: HOUR_MS, maxSpanMs: MAX_TRADE_SPAN_MS, now: clock.now() });
+    const limit = parseLimit(req.query.limit);
+
+    const trades = await readStream(symbol, 'trades', pageRange(range, req.query.cursor));
+    res.json({ symbol, from: range.from, to: range.to, ...paginate(trades, { limit, cursor: req.query.cursor }) });
+  }));
+
+  router.get('/whales', asyncHandler(async (req, res) => {
+    const symbol = parseSymbol(req.query.symbol, detectors);
+    const range = parseRange(req.query, { defaultSpanMs: 24 * HOUR_MS, now: clock.now() });
+    const limit = parseLimit(req.query.limit);
+    const { severity, side } = req.query;
+
+    if (side && side !== 'buy' && side !== 'sell') {
+      throw ApiError.badRequest('"side" must be buy or sell');
+    }
+
+    let whales = await readStream(symbol, 'whales', pageRange(range, req.query.cursor));
+    if (severity) {
+      whales = whales.filter(whale => whale.severity === severity);
+    }
+    if (side) {
+      whales = whales.filter(whale => whale.side === side);
+    }
+
+    res.json({ symbol, from: range.from, to: range.to, ...paginate(whales, { limit, cursor: req.query.cursor }) });
+  }));
+
+  // Up to a month, as a file; without a symbol, every tracked symbol oldest first
+  router.get('/export/whales', asyncHandler(async (req, res) => {
+    const symbols = req.query.symbol ? [parseSymbol(req.query.symbol, detectors)] : Array.from(detectors.keys());
+    const range = parseRange(req.query, { defaultSpanMs: 24 * HOUR_MS, maxSpanMs: MAX_EXPORT_SPAN_MS, now: clock.now() });
+    const format = parseFormat(req.query.format, ['json', 'csv']);
+
+    const whales = [];
+    for (const symbol of symbols) {
+      whales.push(...await readStream(symbol, 'whales', range));
+    }
+    whales.sort((a, b) => a.timestamp - b.timestamp);
+
+    const stamp = time => new Date(time).toISOString().slice(0, 16).replace(/[-:]/g, '');
+    res.attachment(`whales-${req.query.symbol ? symbols[0] : 'all'}-${stamp(range.from)}-${stamp(range.to)}.${format}`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(whalesToCsv(whales));
+      return;
+    }
+    res.json({ symbols, from: range.from, to: range.to, data: whales });
+  }));
+
+  router.get('/clusters', asyncHandler(async (req, res) => {
+    const symbol = parseSymbol(req.query.symbol, detectors);
+    const range = parseRange(req.query, { defaultSpanMs: 24 * HOUR_MS, now: clock.now() });
+    const limit = parseLimit(req.query.limit);
+    const { side } = req.query;
+
+    if (!store) {
+      throw new ApiError(503, 'STORAGE_DISABLED', 'Cluster history requires persistent storage');
+    }
+    if (side && side !== 'buy' && side !== 'sell') {
+      throw ApiError.badRequest('"side" must be buy or sell');
+    }
+
+    let clusters = await store.read(symbol, 'clusters', pageRange(range, req.query.cursor));
+    if (side) {
+      clusters = clusters.filter(cluster => cluster.side === side);
+    }
+
+    res.json({ symbol, from: range.from, to: range.to, ...paginate(clusters, { limit, cursor: req.query.cursor }) });
+  }));
+
+  router.get('/candles', asyncHandler(async (req, res) => {
+    const symbol = parseSymbol(req.query.symbol, detectors);
+    const interval = req.query.interval || '1m';
+
+    if (!isInterval(interval)) {
+      throw ApiError.badRequest(`"interval" must be one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const intervalMs = INTERVALS[interval];
+    const limit = parseLimit(req.query.limit, { fallback: 500, max: 1500 });
+    const range = parseRange(req.query, { defaultSpanMs: limit * intervalMs, maxSpanMs: 1500 * intervalMs, now: clock.now() });
+
+    // Include the candle that contains "from"
+    range.from = Math.floor(range.from / intervalMs) * intervalMs;
+
+    // Closed candles from disk, overlaid with the engine's in-memory candles
+    const byTime = new Map();
+    if (store) {
+      (await store.read(symbol, `candles/${interval}`, range)).forEach(candle => {
+        byTime.set(candle.timestamp, candle);
+      });
+    }
+    detectors.get(symbol).candles.getCandles(interval).forEach(candle => {
+      if (candle.timestamp >= range.from && candle.timestamp <= range.to) {
+        byTime.set(candle.timestamp, candle);
+      }
+    });
+
+    const candles = Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+    res.json({ symbol, interval, from: range.from, to: range.to, data: candles.slice(-limit) });
+  }));
+
+  router.get('/metrics', (req, res) => {
+    if (req.query.symbol) {
+      const symbol = parseSymbol(req.query.symbol, detectors);
+      res.json({ data: detectors.get(symbol).getMetrics() });
+      return;
+    }
+
+    res.json({ data: Array.from(detectors.values()).map(detector => detector.getMetrics()) });
+  });
+
+  return router;
+}
+
+module.exports = createHistoryRouter;
@@ -0,0 +1,56 @@
+/**
+ * REST API (v1)
+ *
+ * Mounted at /api/v1; all responses are JSON and all errors share the
+ * envelope defined in errors.js
+ */
+
+const express = require('express');
+const createHistoryRouter = require('./history');
+const createRulesRouter = require('./rules');
+const createReplayRouter = require('./replay');
+const createOrderbookRouter = require('./orderbook');
+const createAuthRouter = require('./auth');
+const createReportsRouter = require('./reports');
+const { ApiError, errorHandler } = require('./errors');
+
+/**
+ * @param {Object} deps - Shared server state (detectors, store, rules, clock, replay, depthFeed, wallDetectors, auth, sessions)
+ * @returns {express.Router}
+ */
+function createApiRouter(deps) {
+  const router = express.Router();
+
+  // Parsed here so malformed bodies reach errorHandler as INVALID_BODY
+  router.use(express.json());
+
+  // With authentication on, everything but logging in needs a session or API key
+  if (deps.auth) {
+    router.use(deps.auth.httpMiddleware());
+    router.use((req, res, next) => {
+      if (req.auth || (req.method === 'POST' && req.path === '/auth/login')) {
+        next();
+        return;
+      }
+      next(new ApiError(401, 'UNAUTHORIZED', 'Log in or send an API key'));
+    });
+  }
+
+  router.use(createAuthRouter(deps));
+  router.use(createHistoryRouter(deps));
+  router.use(createRulesRouter(deps));
+  router.use(createReplayRouter(deps));
+  router.use(createOrderbookRouter(deps));
+  router.use(createReportsRouter(deps));
+
+  // Unknown endpoints under /api/v1
+  router.use((req, res, next) => {
+    next(ApiError.notFound('NOT_FOUND', `No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  router.use(errorHandler);
+
+  return router;
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,49 @@
+/**
+ * ORDER BOOK ROUTES
+ *
+ * GET /orderbook   top of the local Binance book plus current walls (symbol, limit)
+ *
+ * Only available when depth tracking is enabled
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { parseLimit, parseSymbol } = require('./params');
+
+/**
+ * @param {Object} deps
+ * @param {Map<string, import('../whaleDetector')>} deps.detectors
+ * @param {import('../orderbook/binanceDepthFeed')|null} deps.depthFeed
+ * @param {Map<string, import('../orderbook/wallDetector')>} deps.wallDetectors
+ * @returns {express.Router}
+ */
+function createOrderbookRouter({ detectors, depthFeed, wallDetectors }) {
+  const router = express.Router();
+
+  router.get('/orderbook', (req, res) => {
+    if (!depthFeed) {
+      throw new ApiError(404, 'ORDERBOOK_DISABLED', 'Order book tracking is disabled');
+    }
+
+    const symbol = parseSymbol(req.query.symbol, detectors);
+    const limit = parseLimit(req.query.limit, { fallback: 20 });
+
+    const book = depthFeed.getBook(symbol);
+    if (!book) {
+      throw new ApiError(503, 'ORDERBOOK_SYNCING', `The ${symbol} order book is syncing`);
+    }
+
+    res.json({
+      symbol,
+      exchange: 'binance',
+      lastUpdateId: book.lastUpdateId,
+      updatedAt: book.updatedAt,
+      ...book.getLevels(limit),
+      walls: wallDetectors.get(symbol).getWalls()
+    });
+  });
+
+  return router;
+}
+
+module.exports = createOrderbookRouter;
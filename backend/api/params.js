@@ -0,0 +1,187 @@
+/**
+ * API QUERY PARAMETERS
+ *
+ * Parsing and validation shared by the REST routes
+ * Invalid input raises ApiError.badRequest so every route reports it the same way
+ */
+
+const { ApiError } = require('./errors');
+
+/**
+ * Parse a time parameter given as epoch milliseconds or an ISO 8601 string
+ * @param {string|undefined} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @param {number} fallback - Value used when the parameter is absent
+ * @returns {number} Epoch milliseconds
+ */
+function parseTime(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw ApiError.badRequest(`"${name}" must be epoch milliseconds or an ISO 8601 date`);
+  }
+
+  return time;
+}
+
+/**
+ * Parse and validate a from/to range
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {number} options.defaultSpanMs - Span used when "from" is absent
+ * @param {number} [options.maxSpanMs] - Largest allowed span
+ * @param {number} [options.now=Date.now()] - Default for "to"
+ * @returns {{from: number, to: number}}
+ */
+function parseRange(query, { defaultSpanMs, maxSpanMs, now = Date.now() }) {
+  const to = parseTime(query.to, 'to', now);
+  const from = parseTime(query.from, 'from', to - defaultSpanMs);
+
+  if (from > to) {
+    throw ApiError.badRequest('"from" must not be after "to"');
+  }
+  if (maxSpanMs && to - from > maxSpanMs) {
+    throw ApiError.badRequest(`Time range must not exceed ${maxSpanMs / 3600000} hours`);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Parse a page size
+ * @param {string|undefined} value - Raw query value
+ * @param {Object} [options]
+ * @param {number} [options.fallback=100]
+ * @param {number} [options.max=1000]
+ * @returns {number}
+ */
+function parseLimit(value, { fallback = 100, max = 1000 } = {}) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw ApiError.badRequest(`"limit" must be an integer between 1 and ${max}`);
+  }
+
+  return limit;
+}
+
+/**
+ * Resolve a symbol parameter to a tracked symbol
+ * @param {string|undefined} value - Raw query value
+ * @param {Map<string, *>} detectors - Tracked symbols
+ * @returns {string}
+ */
+function parseSymbol(value, detectors) {
+  if (!value) {
+    throw ApiError.badRequest('"symbol" is required');
+  }
+  // Repeated or bracketed parameters (?symbol[]=x) parse to arrays or objects
+  if (typeof value !== 'string') {
+    throw ApiError.badRequest('"symbol" must be a single symbol');
+  }
+
+  const symbol = value.toUpperCase();
+  if (!detectors.has(symbol)) {
+    throw ApiError.notFound('UNKNOWN_SYMBOL', `Symbol ${value} is not tracked`);
+  }
+
+  return symbol;
+}
+
+/**
+ * Parse an output format
+ * @param {string|undefined} value - Raw query value
+ * @param {string[]} formats - Accepted formats; the first is the default
+ * @returns {string}
+ */
+function parseFormat(value, formats) {
+  if (value === undefined || value === '') {
+    return formats[0];
+  }
+
+  const format = typeof value === 'string' ? value.toLowerCase() : null;
+  if (!formats.includes(format)) {
+    throw ApiError.badRequest(`"format" must be one of ${formats.join(', ')}`);
+  }
+
+  return format;
+}
+
+// Cursor = position after the last returned record: its timestamp plus how
+// many records sharing that timestamp were already returned
+function encodeCursor(timestamp, skip) {
+  return Buffer.from(JSON.stringify({ t: timestamp, s: skip })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, s } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isFinite(t) && Number.isInteger(s) && s >= 0) {
+      return { timestamp: t, skip: s };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw ApiError.badRequest('"cursor" is invalid');
+}
+
+/**
+ * The part of a range a page can come from: records before the cursor's
+ * timestamp were on earlier pages, so routes need not read them
+ * @param {{from: number, to: number}} range
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {{from: number, to: number}}
+ */
+function pageRange(range, cursor) {
+  return cursor ? { ...range, from: Math.max(range.from, decodeCursor(cursor).timestamp) } : range;
+}
+
+/**
+ * Take one page from time-ordered records
+ * @param {Object[]} records - Records sorted by timestamp ascending
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @returns {{data: Object[], pagination: {limit: number, nextCursor: string|null}}}
+ */
+function paginate(records, { limit, cursor }) {
+  let start = 0;
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    while (start < records.length && records[start].timestamp < position.timestamp) {
+      start++;
+    }
+    start += position.skip;
+  }
+
+  const data = records.slice(start, start + limit);
+  let nextCursor = null;
+
+  if (start + limit < records.length && data.length > 0) {
+    const lastTimestamp = data[data.length - 1].timestamp;
+    let sameTimestamp = 0;
+    for (let i = start + limit - 1; i >= 0 && records[i].timestamp === lastTimestamp; i--) {
+      sameTimestamp++;
+    }
+    nextCursor = encodeCursor(lastTimestamp, sameTimestamp);
+  }
+
+  return { data, pagination: { limit, nextCursor } };
+}
+
+module.exports = {
+  parseTime,
+  parseRange,
+  parseLimit,
+  parseSymbol,
+  parseFormat,
+  pageRange,
+  paginate
+};
@@ -0,0 +1,55 @@
+/**
+ * REPLAY ROUTES
+ *
+ * GET  /replay   playback status
+ * POST /replay   control playback: { action: 'play' | 'pause' }
+ *                { action: 'speed', speed: 1 | 10 | 'max' }
+ *                { action: 'seek', to: <epoch ms | ISO 8601> }
+ *
+ * Only available when the server runs a replay file
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('./errors');
+const { ReplayError } = require('../replay/replaySource');
+
+const REPLAY_ERROR_STATUS = {
+  INVALID_CONTROL: 400,
+  REPLAY_NOT_READY: 409
+};
+
+/**
+ * @param {Object} deps
+ * @param {import('../replay/replaySource')|null} deps.replay
+ * @returns {express.Router}
+ */
+function createReplayRouter({ replay }) {
+  const router = express.Router();
+
+  router.use('/replay', (req, res, next) => {
+    if (!replay) {
+      next(ApiError.notFound('REPLAY_INACTIVE', 'Server is not running a replay'));
+      return;
+    }
+    next();
+  });
+
+  router.get('/replay', (req, res) => {
+    res.json({ data: replay.getStatus() });
+  });
+
+  router.post('/replay', asyncHandler(async (req, res) => {
+    try {
+      res.json({ data: await replay.control(req.body) });
+    } catch (error) {
+      if (error instanceof ReplayError) {
+        throw new ApiError(REPLAY_ERROR_STATUS[error.code] || 400, error.code, error.message);
+      }
+      throw error;
+    }
+  }));
+
+  return router;
+}
+
+module.exports = createReplayRouter;
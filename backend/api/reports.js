@@ -0,0 +1,83 @@
+/**
+ * REPORT ROUTES
+ *
+ * GET /reports           archived session reports, newest first
+ * GET /reports/current   the running session so far  (format: json | csv | html)
+ * GET /reports/:id       an archived session (2024-05-01) (format: json | csv | html)
+ *
+ * Reports are built from stored whales, so they need persistent storage
+ */
+
+const express = require('express');
+const { ApiError, asyncHandler } = require('./errors');
+const { parseFormat } = require('./params');
+const { reportToCsv, reportToHtml } = require('../reports/render');
+
+const FORMATS = ['json', 'csv', 'html'];
+
+function sendReport(res, report, format) {
+  if (format === 'csv') {
+    res.attachment(`whale-report-${report.id}.csv`).send(reportToCsv(report));
+    return;
+  }
+  if (format === 'html') {
+    res.type('html').send(reportToHtml(report));
+    return;
+  }
+  res.json({ data: report });
+}
+
+/**
+ * @param {Object} deps
+ * @param {import('../reports/sessionScheduler')|null} deps.sessions
+ * @returns {express.Router}
+ */
+function createReportsRouter({ sessions }) {
+  const router = express.Router();
+
+  router.use('/reports', (req, res, next) => {
+    if (!sessions || !sessions.archive) {
+      next(new ApiError(503, 'STORAGE_DISABLED', 'Session reports require persistent storage'));
+      return;
+    }
+    next();
+  });
+
+  router.get('/reports', asyncHandler(async (req, res) => {
+    const ids = await sessions.archive.list();
+    const reports = await Promise.all(ids.map(id => sessions.archive.load(id)));
+
+    res.json({
+      data: reports.filter(Boolean).map(({ id, from, to, generatedAt, totals }) => ({
+        id,
+        from,
+        to,
+        generatedAt,
+        whaleCount: totals.whaleCount,
+        totalNotional: totals.totalNotional
+      }))
+    });
+  }));
+
+  router.get('/reports/current', asyncHandler(async (req, res) => {
+    const format = parseFormat(req.query.format, FORMATS);
+    const report = await sessions.report(sessions.currentSession(), { partial: true });
+
+    sendReport(res, report, format);
+  }));
+
+  router.get('/reports/:id', asyncHandler(async (req, res) => {
+    const format = parseFormat(req.query.format, FORMATS);
+    const report = await sessions.archive.load(req.params.id);
+
+    if (!report) {
+      throw ApiError.notFound('REPORT_NOT_FOUND', `No archived report for session ${req.params.id}`);
+    }
+
+    sendReport(res, report, format);
+  }));
+
+  return router;
+}
+
+module.exports = createReportsRouter;
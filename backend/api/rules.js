@@ -0,0 +1,84 @@
+/**
+ * RULE ROUTES
+ *
+ * GET    /rules       the client's rules
+ * POST   /rules       register a rule (body: see rules/ruleEngine.js addRule)
+ * GET    /rules/:id   one rule
+ * DELETE /rules/:id   remove a rule
+ *
+ * Every request names its client with an X-Client-Id header; rules fire as
+ * `rule_triggered` on sockets that connect with the same id
+ * (io({ auth: { clientId } })). With authentication on, rules belong to the
+ * logged-in user instead and fire on all of their connections.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const RuleError = require('../rules/errors');
+const { CLIENT_ID_PATTERN } = require('../rules/ruleEngine');
+
+const RULE_ERROR_STATUS = {
+  INVALID_RULE: 400,
+  RULE_NOT_FOUND: 404,
+  RULE_LIMIT: 409
+};
+
+// Run a rule engine call, translating RuleErrors into the API envelope
+function withRuleErrors(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof RuleError) {
+      throw new ApiError(RULE_ERROR_STATUS[error.code] || 400, error.code, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {Object} deps
+ * @param {import('../rules/ruleEngine')} deps.rules
+ * @returns {express.Router}
+ */
+function createRulesRouter({ rules }) {
+  const router = express.Router();
+
+  router.use('/rules', (req, res, next) => {
+    if (req.auth) {
+      req.clientId = req.auth.user.id;
+      next();
+      return;
+    }
+
+    const clientId = req.get('X-Client-Id');
+    if (!clientId || !CLIENT_ID_PATTERN.test(clientId)) {
+      next(new ApiError(400, 'MISSING_CLIENT_ID', 'X-Client-Id header must be 1-64 letters, digits, ".", "_" or "-"'));
+      return;
+    }
+
+    req.clientId = clientId;
+    next();
+  });
+
+  router.get('/rules', (req, res) => {
+    res.json({ data: rules.listRules(req.clientId) });
+  });
+
+  router.post('/rules', (req, res) => {
+    const rule = withRuleErrors(() => rules.addRule(req.clientId, req.body));
+    res.status(201).json({ data: rule });
+  });
+
+  router.get('/rules/:id', (req, res) => {
+    res.json({ data: withRuleErrors(() => rules.getRule(req.clientId, req.params.id)) });
+  });
+
+  router.delete('/rules/:id', (req, res) => {
+    withRuleErrors(() => rules.removeRule(req.clientId, req.params.id));
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createRulesRouter;
@@ -0,0 +1,191 @@
+/**
+ * AUTHENTICATION
+ *
+ * Identifies who is behind an HTTP request or a Socket.IO handshake:
+ *   - dashboard sessions: ww_session cookie set by POST /api/v1/auth/login
+ *   - programmatic clients: API key as "Authorization: Bearer <key>",
+ *     an X-API-Key header, or io({ auth: { apiKey } })
+ * Repeated failed logins for one username are refused for a while.
+ */
+
+const AuthError = require('./errors');
+
+const COOKIE_NAME = 'ww_session';
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * @typedef {Object} Identity
+ * @property {Object} user - Internal user record (see userStore.js)
+ * @property {string|null} sessionToken - Set when authenticated by session cookie
+ * @property {string|null} apiKeyId - Set when authenticated by API key
+ */
+
+class Auth {
+  /**
+   * @param {Object} options
+   * @param {import('./userStore')} options.users
+   * @param {import('./sessions')} options.sessions
+   * @param {boolean} [options.secureCookies=false] - Mark the session cookie Secure (HTTPS deployments)
+   */
+  constructor(options) {
+    this.users = options.users;
+    this.sessions = options.sessions;
+    this.secureCookies = options.secureCookies || false;
+
+    // Username → { failures, since }
+    this.failedLogins = new Map();
+  }
+
+  /**
+   * Create the first admin from config when there are no accounts yet
+   * @param {{username: string, password: string}} [admin]
+   */
+  async bootstrap(admin) {
+    if (this.users.size > 0) {
+      return;
+    }
+    if (!admin || !admin.username || !admin.password) {
+      console.warn('⚠️ Authentication is on but there are no users; set ADMIN_USERNAME and ADMIN_PASSWORD');
+      return;
+    }
+
+    await this.users.create({ ...admin, role: 'admin' });
+    console.log(`🔐 Created admin user ${admin.username}`);
+  }
+
+  /**
+   * @param {Object} credentials
+   * @param {Object} credentials.headers - Request or handshake headers
+   * @param {string} [credentials.apiKey] - API key from the socket handshake auth
+   * @returns {Identity|null}
+   */
+  identify({ headers, apiKey }) {
+    const authorization = headers.authorization || '';
+    const key = apiKey || headers['x-api-key'] ||
+      (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+    if (key) {
+      const found = this.users.findByApiKey(key);
+      return found ? { user: found.user, sessionToken: null, apiKeyId: found.apiKey.id } : null;
+    }
+
+    const token = Auth.parseCookies(headers.cookie)[COOKIE_NAME];
+    const session = token ? this.sessions.get(token) : null;
+    const user = session ? this.users.get(session.userId) : null;
+    return user ? { user, sessionToken: token, apiKeyId: null } : null;
+  }
+
+  /**
+   * @returns {Promise<{user: Object, token: string}>}
+   * @throws {AuthError} INVALID_CREDENTIALS or TOO_MANY_ATTEMPTS
+   */
+  async login(username, password, now = Date.now()) {
+    const name = String(username || '').toLowerCase();
+    const failed = this.failedLogins.get(name);
+    if (failed && now - failed.since > LOCKOUT_MS) {
+      this.failedLogins.delete(name);
+    } else if (failed && failed.failures >= MAX_FAILED_LOGINS) {
+      throw new AuthError('TOO_MANY_ATTEMPTS', 'Too many failed logins; try again later');
+    }
+
+    const user = await this.users.authenticate(name, password);
+    if (!user) {
+      const entry = this.failedLogins.get(name) || { failures: 0, since: now };
+      entry.failures++;
+      this.failedLogins.set(name, entry);
+      throw new AuthError('INVALID_CREDENTIALS', 'Wrong username or password');
+    }
+
+    this.failedLogins.delete(name);
+    return { user, token: this.sessions.create(user.id, now) };
+  }
+
+  logout(token) {
+    this.sessions.destroy(token);
+  }
+
+  /**
+   * Set-Cookie value for a new session, or one clearing it (token null)
+   * @param {string|null} token
+   * @returns {string}
+   */
+  sessionCookie(token) {
+    const parts = [
+      `${COOKIE_NAME}=${token || ''}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${token ? Math.floor(this.sessions.ttlMs / 1000) : 0}`
+    ];
+    if (this.secureCookies) {
+      parts.push('Secure');
+    }
+    return parts.join('; ');
+  }
+
+  /**
+   * Express middleware: sets req.auth to the caller's Identity (or null)
+   * @returns {Function}
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      req.auth = this.identify({ headers: req.headers });
+      next();
+    };
+  }
+
+  /**
+   * Socket.IO middleware: refuses unauthenticated handshakes with an
+   * UNAUTHORIZED connect_error and sets socket.data.auth
+   * @returns {Function}
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      const { headers, auth } = socket.handshake;
+      const identity = this.identify({ headers, apiKey: auth && auth.apiKey });
+
+      if (!identity) {
+        next(Auth.refusal(AuthError.unauthorized()));
+        return;
+      }
+
+      socket.data.auth = identity;
+      next();
+    };
+  }
+
+  /**
+   * connect_error for a refused handshake; clients read the code from err.data
+   * @param {AuthError} error
+   * @returns {Error}
+   */
+  static refusal(error) {
+    const refusal = new Error(error.code);
+    refusal.data = { code: error.code, message: error.message };
+    return refusal;
+  }
+
+  /**
+   * @param {string|undefined} header - Cookie request header
+   * @returns {Object<string, string>}
+   */
+  static parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index <= 0) {
+        return;
+      }
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Malformed escapes: not one of ours
+      }
+    });
+    return cookies;
+  }
+}
+
+module.exports = Auth;
+module.exports.COOKIE_NAME = COOKIE_NAME;
@@ -0,0 +1,27 @@
+/**
+ * AUTH ERRORS
+ *
+ * Raised for failed logins, missing credentials and invalid account
+ * operations; `code` is stable and surfaces unchanged over the socket
+ * (connect_error) and the REST API
+ */
+
+class AuthError extends Error {
+  /**
+   * @param {string} code - UNAUTHORIZED, FORBIDDEN, INVALID_CREDENTIALS, TOO_MANY_ATTEMPTS,
+   *   INVALID_USER, INVALID_SETTINGS, USER_EXISTS, USER_NOT_FOUND, KEY_NOT_FOUND or
+   *   UNAVAILABLE (a fan-out worker could not reach the ingestion process)
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+
+  static unauthorized(message = 'Log in or send an API key') {
+    return new AuthError('UNAUTHORIZED', message);
+  }
+}
+
+module.exports = AuthError;
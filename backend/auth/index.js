@@ -0,0 +1,21 @@
+/**
+ * AUTH
+ *
+ * User accounts, login sessions, API keys and per-user watch settings
+ * Only used when authentication is enabled (config.auth.enabled)
+ */
+
+const Auth = require('./auth');
+const AuthError = require('./errors');
+const SessionStore = require('./sessions');
+const UserStore = require('./userStore');
+const { DEFAULT_SETTINGS, thresholdFor } = require('./settings');
+
+module.exports = {
+  Auth,
+  AuthError,
+  SessionStore,
+  UserStore,
+  DEFAULT_SETTINGS,
+  thresholdFor
+};
@@ -0,0 +1,50 @@
+/**
+ * PASSWORD HASHING
+ *
+ * scrypt with a per-password salt, stored as
+ *   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ * so the cost parameters can be raised later without breaking old hashes
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+  return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password
+ * @param {string} encoded - From hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, expected] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !expected) {
+    return false;
+  }
+
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,80 @@
+/**
+ * SESSION STORE
+ *
+ * Dashboard login sessions, held in memory (a restart logs everyone out)
+ * Tokens are random and only their SHA-256 is kept; each use pushes the
+ * expiry out again, so idle sessions lapse after ttlMs.
+ */
+
+const crypto = require('crypto');
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=43200000] - Idle time before a session expires (12h)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 12 * 60 * 60 * 1000;
+
+    // Token digest → { userId, expiresAt }
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {string} Session token for the cookie
+   */
+  create(userId, now = Date.now()) {
+    this.prune(now);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(digest(token), { userId, expiresAt: now + this.ttlMs });
+    return token;
+  }
+
+  /**
+   * @param {string} token
+   * @returns {{userId: string, expiresAt: number}|null} Live session, with its expiry extended
+   */
+  get(token, now = Date.now()) {
+    const key = digest(token);
+    const session = this.sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= now) {
+      this.sessions.delete(key);
+      return null;
+    }
+
+    session.expiresAt = now + this.ttlMs;
+    return session;
+  }
+
+  destroy(token) {
+    this.sessions.delete(digest(token));
+  }
+
+  // Log a user out everywhere (account deleted)
+  destroyUser(userId) {
+    this.sessions.forEach((session, key) => {
+      if (session.userId === userId) {
+        this.sessions.delete(key);
+      }
+    });
+  }
+
+  prune(now = Date.now()) {
+    this.sessions.forEach((session, key) => {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = SessionStore;
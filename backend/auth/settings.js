@@ -0,0 +1,133 @@
+/**
+ * USER WATCH SETTINGS
+ *
+ * What one user's connections see:
+ *   watchlist  - symbols listed on their dashboards ([] = every tracked symbol)
+ *   thresholds - whale alert threshold in USD per symbol, or "default" for
+ *                all others; unset symbols follow the server's threshold policy
+ *   alerts     - which alert events they receive, for which aggressor sides,
+ *                and whether the dashboard plays a sound
+ */
+
+const AuthError = require('./errors');
+
+const DEFAULT_SETTINGS = {
+  watchlist: [],
+  thresholds: {},
+  alerts: {
+    whales: true,
+    clusters: true,
+    walls: true,
+    anomalies: true,
+    sides: ['buy', 'sell'],
+    sound: true
+  }
+};
+
+const ALERT_TOGGLES = ['whales', 'clusters', 'walls', 'anomalies', 'sound'];
+const SIDES = ['buy', 'sell'];
+
+function invalid(message) {
+  return new AuthError('INVALID_SETTINGS', message);
+}
+
+function normalizeWatchlist(watchlist, symbols) {
+  if (!Array.isArray(watchlist)) {
+    throw invalid('"watchlist" must be an array of symbols');
+  }
+
+  const normalized = [...new Set(watchlist.map(symbol => String(symbol).toUpperCase()))];
+  const untracked = normalized.filter(symbol => !symbols.includes(symbol));
+  if (untracked.length > 0) {
+    throw invalid(`Symbols not tracked by this server: ${untracked.join(', ')}`);
+  }
+  return normalized;
+}
+
+function normalizeThresholds(thresholds, symbols) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw invalid('"thresholds" must map symbols (or "default") to USD amounts');
+  }
+
+  const normalized = {};
+  Object.entries(thresholds).forEach(([key, usd]) => {
+    const symbol = key === 'default' ? key : key.toUpperCase();
+    if (symbol !== 'default' && !symbols.includes(symbol)) {
+      throw invalid(`Symbol ${key} is not tracked by this server`);
+    }
+    if (usd === null) {
+      return;
+    }
+    if (typeof usd !== 'number' || !Number.isFinite(usd) || usd <= 0) {
+      throw invalid(`Threshold for ${key} must be a positive USD amount`);
+    }
+    normalized[symbol] = Math.round(usd);
+  });
+  return normalized;
+}
+
+function normalizeAlerts(alerts, current) {
+  if (!alerts || typeof alerts !== 'object' || Array.isArray(alerts)) {
+    throw invalid('"alerts" must be an object');
+  }
+
+  const normalized = { ...current };
+  ALERT_TOGGLES.forEach(name => {
+    if (alerts[name] === undefined) {
+      return;
+    }
+    if (typeof alerts[name] !== 'boolean') {
+      throw invalid(`"alerts.${name}" must be true or false`);
+    }
+    normalized[name] = alerts[name];
+  });
+
+  if (alerts.sides !== undefined) {
+    if (!Array.isArray(alerts.sides) || alerts.sides.some(side => !SIDES.includes(side))) {
+      throw invalid('"alerts.sides" must list "buy" and/or "sell"');
+    }
+    normalized.sides = [...new Set(alerts.sides)];
+  }
+  return normalized;
+}
+
+/**
+ * Apply a partial update; top-level keys left out keep their current value
+ * @param {Object} current - Current settings
+ * @param {Object} update - { watchlist?, thresholds?, alerts? }
+ * @param {string[]} symbols - Tracked symbols
+ * @returns {Object} New settings
+ * @throws {AuthError} INVALID_SETTINGS
+ */
+function mergeSettings(current, update, symbols) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    throw invalid('Settings must be an object');
+  }
+
+  const unknown = Object.keys(update).filter(key => !(key in DEFAULT_SETTINGS));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown settings: ${unknown.join(', ')}`);
+  }
+
+  return {
+    watchlist: update.watchlist === undefined ? current.watchlist : normalizeWatchlist(update.watchlist, symbols),
+    thresholds: update.thresholds === undefined ? current.thresholds : normalizeThresholds(update.thresholds, symbols),
+    alerts: update.alerts === undefined ? current.alerts : normalizeAlerts(update.alerts, current.alerts)
+  };
+}
+
+/**
+ * Whale alert threshold for a symbol, or null to follow the server policy
+ * @param {Object} settings
+ * @param {string} symbol
+ * @returns {number|null}
+ */
+function thresholdFor(settings, symbol) {
+  return settings.thresholds[symbol] || settings.thresholds.default || null;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  mergeSettings,
+  thresholdFor
+};
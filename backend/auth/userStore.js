@@ -0,0 +1,296 @@
+/**
+ * USER STORE
+ *
+ * Accounts, their API keys and watch settings, kept in memory and written
+ * to one JSON file (temp file + rename) after every change.
+ * API keys look like ww_<key id>_<secret>; only a SHA-256 of the secret is
+ * stored, so a key is shown once, when it is created.
+ *
+ * Emits 'updated' (user) when settings or keys change and 'removed' (user)
+ * when an account is deleted, so open connections can follow along.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const AuthError = require('./errors');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { DEFAULT_SETTINGS, mergeSettings } = require('./settings');
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['admin', 'user'];
+const API_KEY_PATTERN = /^ww_([0-9a-f]{16})_([\w-]{43})$/;
+const MAX_API_KEYS = 20;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+class UserStore extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file holding the accounts
+   * @param {string[]} options.symbols - Tracked symbols (validates watchlists and thresholds)
+   */
+  constructor(options) {
+    super();
+    this.file = options.file;
+    this.symbols = options.symbols;
+
+    // Users by id, and user ids by username and by API key id
+    this.users = new Map();
+    this.byUsername = new Map();
+    this.byKeyId = new Map();
+
+    this.writing = Promise.resolve();
+
+    // Compared against when a username does not exist, so failed logins
+    // take the same time either way
+    this.dummyHash = null;
+  }
+
+  async load() {
+    let data = { users: [] };
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    data.users.forEach(user => this.index({
+      ...user,
+      settings: {
+        ...DEFAULT_SETTINGS,
+        ...user.settings,
+        alerts: { ...DEFAULT_SETTINGS.alerts, ...(user.settings && user.settings.alerts) }
+      }
+    }));
+    this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  index(user) {
+    this.users.set(user.id, user);
+    this.byUsername.set(user.username, user.id);
+    user.apiKeys.forEach(key => this.byKeyId.set(key.id, user.id));
+  }
+
+  unindex(user) {
+    this.users.delete(user.id);
+    this.byUsername.delete(user.username);
+    user.apiKeys.forEach(key => this.byKeyId.delete(key.id));
+  }
+
+  /**
+   * Write the accounts after a change made in memory
+   * Writes are chained so the file always ends up with the latest state; a
+   * failed write undoes its change before the next write starts, and does
+   * not fail the writes queued behind it
+   * @param {Function} undo - Reverts the in-memory change
+   * @returns {Promise<void>}
+   */
+  save(undo) {
+    const write = this.writing.then(async () => {
+      try {
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify({ users: Array.from(this.users.values()) }, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tmp, this.file);
+      } catch (error) {
+        undo();
+        throw error;
+      }
+    });
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  get size() {
+    return this.users.size;
+  }
+
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.users.values()).map(UserStore.toPublic);
+  }
+
+  /**
+   * @param {Object} spec
+   * @param {string} spec.username - 2-32 lowercase letters, digits, ".", "_" or "-"
+   * @param {string} spec.password - At least 8 characters
+   * @param {('admin'|'user')} [spec.role='user']
+   * @returns {Promise<Object>} Public user
+   */
+  async create({ username, password, role = 'user' } = {}) {
+    const name = typeof username === 'string' ? username.toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new AuthError('INVALID_USER', 'Username must be 2-32 letters, digits, ".", "_" or "-"');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError('INVALID_USER', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new AuthError('INVALID_USER', `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (this.byUsername.has(name)) {
+      throw new AuthError('USER_EXISTS', `User ${name} already exists`);
+    }
+
+    const user = {
+      id: `u_${crypto.randomBytes(6).toString('hex')}`,
+      username: name,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+      apiKeys: [],
+      settings: DEFAULT_SETTINGS
+    };
+
+    this.index(user);
+    await this.save(() => this.unindex(user));
+    return UserStore.toPublic(user);
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Promise<Object|null>} The user, or null when either is wrong
+   */
+  async authenticate(username, password) {
+    const id = typeof username === 'string' ? this.byUsername.get(username.toLowerCase()) : undefined;
+    const user = id ? this.users.get(id) : null;
+    const valid = await verifyPassword(String(password), user ? user.passwordHash : this.dummyHash);
+    return user && valid ? user : null;
+  }
+
+  async remove(id) {
+    const user = this.requireUser(id);
+
+    this.unindex(user);
+    await this.save(() => this.index(user));
+
+    this.emit('removed', user);
+  }
+
+  /**
+   * @param {string} id - User id
+   * @param {Object} update - Partial settings (see settings.js)
+   * @returns {Promise<Object>} New settings
+   */
+  async updateSettings(id, update) {
+    const user = this.requireUser(id);
+
+    const previous = user.settings;
+    user.settings = mergeSettings(user.settings, update, this.symbols);
+    await this.save(() => { user.settings = previous; });
+
+    this.emit('updated', user);
+    return user.settings;
+  }
+
+  /**
+   * @param {string} id - User id
+   * @param {string} [name] - Label for the key
+   * @returns {Promise<{key: string, apiKey: Object}>} The key itself (only
+   *   returned here) and its public record
+   */
+  async createApiKey(id, name) {
+    const user = this.requireUser(id);
+    if (user.apiKeys.length >= MAX_API_KEYS) {
+      throw new AuthError('INVALID_USER', `A user may hold at most ${MAX_API_KEYS} API keys`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = {
+      id: keyId,
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : `key-${user.apiKeys.length + 1}`,
+      hash: sha256(secret).toString('hex'),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    user.apiKeys.push(apiKey);
+    this.byKeyId.set(keyId, user.id);
+    await this.save(() => {
+      user.apiKeys.splice(user.apiKeys.indexOf(apiKey), 1);
+      this.byKeyId.delete(keyId);
+    });
+
+    return { key: `ww_${keyId}_${secret}`, apiKey: UserStore.toPublicKey(apiKey) };
+  }
+
+  async revokeApiKey(id, keyId) {
+    const user = this.requireUser(id);
+    const index = user.apiKeys.findIndex(key => key.id === keyId);
+    if (index === -1) {
+      throw new AuthError('KEY_NOT_FOUND', `No API key ${keyId}`);
+    }
+
+    const [apiKey] = user.apiKeys.splice(index, 1);
+    this.byKeyId.delete(keyId);
+    await this.save(() => {
+      user.apiKeys.splice(index, 0, apiKey);
+      this.byKeyId.set(keyId, user.id);
+    });
+
+    this.emit('updated', user);
+  }
+
+  /**
+   * Resolve an API key to its user
+   * @param {string} key - ww_<key id>_<secret>
+   * @returns {{user: Object, apiKey: Object}|null}
+   */
+  findByApiKey(key) {
+    const match = API_KEY_PATTERN.exec(key || '');
+    const user = match ? this.users.get(this.byKeyId.get(match[1])) : null;
+    if (!user) {
+      return null;
+    }
+
+    const apiKey = user.apiKeys.find(candidate => candidate.id === match[1]);
+    if (!crypto.timingSafeEqual(sha256(match[2]), Buffer.from(apiKey.hash, 'hex'))) {
+      return null;
+    }
+
+    // Kept in memory; written with the next change
+    apiKey.lastUsedAt = new Date().toISOString();
+    return { user, apiKey };
+  }
+
+  requireUser(id) {
+    const user = this.users.get(id);
+    if (!user) {
+      throw new AuthError('USER_NOT_FOUND', `No user ${id}`);
+    }
+    return user;
+  }
+
+  static toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      apiKeys: user.apiKeys.map(UserStore.toPublicKey),
+      settings: user.settings
+    };
+  }
+
+  static toPublicKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt
+    };
+  }
+}
+
+module.exports = UserStore;
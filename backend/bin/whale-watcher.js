@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * whale-watcher - terminal client for a running Whale Watcher server
+ * See cli/index.js, or run `whale-watcher help`
+ */
+
+const { main } = require('../cli');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,204 @@
+/**
+ * CANDLE ENGINE
+ *
+ * Maintains OHLCV candles incrementally for several intervals at once
+ * Each trade touches only the current candle of every interval
+ * Changed and closed candles are collected until drained, so broadcasts
+ * and persistence can be throttled independently of the trade rate
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const INTERVALS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '1d': 24 * 60 * MINUTE_MS
+};
+
+// Whether a client-supplied name is an interval (own keys only, so
+// 'constructor' or '__proto__' are not)
+function isInterval(name) {
+  return typeof name === 'string' && Object.hasOwn(INTERVALS, name);
+}
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} timestamp - Candle open time in epoch milliseconds
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume - Base asset volume
+ * @property {number} quoteVolume - Quote asset (USD) volume
+ * @property {number} trades - Number of trades
+ */
+
+class CandleEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.intervals] - Interval names to maintain (default: all)
+   * @param {number} [options.maxCandles=1000] - Candles kept in memory per interval
+   */
+  constructor(options = {}) {
+    this.intervals = options.intervals || Object.keys(INTERVALS);
+    this.maxCandles = options.maxCandles || 1000;
+
+    // Candle arrays per interval, oldest first; last entry is the open candle
+    this.candles = new Map(this.intervals.map(interval => [interval, []]));
+
+    // Candles changed since the last drainUpdates(), keyed by interval then open time
+    this.pendingUpdates = new Map(this.intervals.map(interval => [interval, new Map()]));
+
+    // Candles closed since the last drainClosed()
+    this.pendingClosed = [];
+  }
+
+  /**
+   * Apply a trade to every interval
+   * @param {Object} trade - Trade record with price, quantity, tradeValue, timestamp
+   */
+  update(trade) {
+    this.intervals.forEach(interval => {
+      const intervalMs = INTERVALS[interval];
+      const openTime = Math.floor(trade.timestamp / intervalMs) * intervalMs;
+      const candles = this.candles.get(interval);
+      let candle = this.findCandle(candles, openTime);
+
+      if (!candle) {
+        const previous = candles[candles.length - 1];
+        if (previous && previous.timestamp > openTime) {
+          // Trade older than the retained window; nothing to update
+          return;
+        }
+        if (previous) {
+          this.pendingClosed.push({ interval, candle: previous });
+        }
+
+        candle = {
+          timestamp: openTime,
+          open: trade.price,
+          high: trade.price,
+          low: trade.price,
+          close: trade.price,
+          volume: 0,
+          quoteVolume: 0,
+          trades: 0
+        };
+        candles.push(candle);
+        if (candles.length > this.maxCandles) {
+          candles.shift();
+        }
+      }
+
+      candle.high = Math.max(candle.high, trade.price);
+      candle.low = Math.min(candle.low, trade.price);
+      if (candle === candles[candles.length - 1]) {
+        candle.close = trade.price;
+      }
+      candle.volume += trade.quantity;
+      candle.quoteVolume += trade.tradeValue;
+      candle.trades++;
+
+      this.pendingUpdates.get(interval).set(candle.timestamp, candle);
+    });
+  }
+
+  // Late trades usually land in the last candle or the one before it
+  findCandle(candles, openTime) {
+    for (let i = candles.length - 1; i >= 0 && candles[i].timestamp >= openTime; i--) {
+      if (candles[i].timestamp === openTime) {
+        return candles[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Candles changed since the previous call, oldest first per interval
+   * @returns {Array<{interval: string, candle: Candle}>}
+   */
+  drainUpdates() {
+    const updates = [];
+
+    this.pendingUpdates.forEach((changed, interval) => {
+      Array.from(changed.values())
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(candle => updates.push({ interval, candle: { ...candle } }));
+      changed.clear();
+    });
+
+    return updates;
+  }
+
+  /**
+   * Candles closed since the previous call, in closing order
+   * @returns {Array<{interval: string, candle: Candle}>}
+   */
+  drainClosed() {
+    const closed = this.pendingClosed.map(({ interval, candle }) => ({ interval, candle: { ...candle } }));
+    this.pendingClosed = [];
+    return closed;
+  }
+
+  /**
+   * Most recent candles for one interval
+   * @param {string} interval - Interval name
+   * @param {number} [limit] - Maximum number of candles
+   * @returns {Candle[]}
+   */
+  getCandles(interval, limit = this.maxCandles) {
+    const candles = this.candles.get(interval) || [];
+    return candles.slice(-limit).map(candle => ({ ...candle }));
+  }
+
+  /**
+   * Seed an interval with persisted candles (oldest first)
+   * Candles already in memory win over stored ones with the same open time
+   * @param {string} interval - Interval name
+   * @param {Candle[]} stored - Candles from storage
+   */
+  load(interval, stored) {
+    const current = this.candles.get(interval);
+    if (!current) {
+      return;
+    }
+
+    const byTime = new Map(stored.map(candle => [candle.timestamp, candle]));
+    current.forEach(candle => byTime.set(candle.timestamp, candle));
+
+    this.candles.set(interval, Array.from(byTime.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-this.maxCandles));
+  }
+
+  /**
+   * Open candle per interval, for persistence across restarts
+   * @returns {Object<string, Candle>}
+   */
+  getState() {
+    const state = {};
+    this.candles.forEach((candles, interval) => {
+      if (candles.length > 0) {
+        state[interval] = candles[candles.length - 1];
+      }
+    });
+    return state;
+  }
+
+  /**
+   * Restore open candles saved by getState()
+   * @param {Object<string, Candle>} state
+   */
+  setState(state) {
+    Object.entries(state || {}).forEach(([interval, candle]) => {
+      this.load(interval, [candle]);
+    });
+  }
+}
+
+module.exports = CandleEngine;
+module.exports.INTERVALS = INTERVALS;
+module.exports.isInterval = isInterval;
@@ -0,0 +1,122 @@
+/**
+ * CLI ARGUMENTS
+ *
+ * Parses `whale-watcher <command> [options]` into a command name and
+ * validated options; anything malformed is a USAGE error
+ */
+
+const { parseArgs } = require('util');
+const CliError = require('./errors');
+
+const COMMANDS = ['tail', 'stats', 'help'];
+const FORMATS = ['table', 'json'];
+
+const OPTIONS = {
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  symbol: { type: 'string', short: 's' },
+  format: { type: 'string', short: 'f' },
+  'min-value': { type: 'string' },
+  'whales-only': { type: 'boolean', short: 'w' },
+  count: { type: 'string', short: 'n' },
+  timeout: { type: 'string' },
+  'no-color': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Options that only make sense for `tail`
+const TAIL_ONLY = ['min-value', 'whales-only', 'count'];
+
+const USAGE = `Usage: whale-watcher <command> [options]
+
+Commands:
+  tail                 Stream trades and whale alerts
+  stats                Print the current metrics snapshot and exit
+  help                 Show this help
+
+Options:
+  --url <url>          Server address (WHALE_WATCHER_URL, default http://localhost:3000)
+  --api-key <key>      API key when the server has AUTH=on (WHALE_WATCHER_API_KEY)
+  -s, --symbol <sym>   Symbol to watch (default: the server's first symbol)
+  -f, --format <fmt>   table or json (one JSON object per line); default table
+  --min-value <usd>    tail: skip trades and alerts below this USD value
+  -w, --whales-only    tail: whale alerts only
+  -n, --count <n>      tail: exit after printing this many rows
+  --timeout <ms>       Give up connecting after this long (default 10000)
+  --no-color           Plain output (also NO_COLOR, or when piped)
+  -h, --help           Show this help
+
+Exit codes:
+  0 done   1 error   2 bad usage   3 server unreachable   4 not authorized   5 symbol not tracked
+`;
+
+// Number of at least `min` from an option value, or a USAGE error
+function parseNumber(name, value, { integer = false, min = 0 } = {}) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw CliError.usage(`--${name} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`);
+  }
+  return number;
+}
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [env] - Environment variables
+ * @returns {{command: string, options: Object}}
+ */
+function parseCliArgs(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw CliError.usage(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const command = values.help ? 'help' : positionals[0] || 'help';
+
+  if (!COMMANDS.includes(command)) {
+    throw CliError.usage(`Unknown command: ${command}`);
+  }
+  if (positionals.length > 1) {
+    throw CliError.usage(`Unexpected argument: ${positionals[1]}`);
+  }
+
+  const format = values.format || 'table';
+  if (!FORMATS.includes(format)) {
+    throw CliError.usage(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  if (command === 'stats') {
+    const misplaced = TAIL_ONLY.find(name => values[name] !== undefined);
+    if (misplaced) {
+      throw CliError.usage(`--${misplaced} only applies to tail`);
+    }
+  }
+
+  return {
+    command,
+    options: {
+      url: values.url || env.WHALE_WATCHER_URL || 'http://localhost:3000',
+      apiKey: values['api-key'] || env.WHALE_WATCHER_API_KEY || null,
+      symbol: values.symbol ? values.symbol.toUpperCase() : null,
+      format,
+      minValue: parseNumber('min-value', values['min-value']) || 0,
+      whalesOnly: Boolean(values['whales-only']),
+      count: parseNumber('count', values.count, { integer: true, min: 1 }) || null,
+      timeoutMs: parseNumber('timeout', values.timeout, { integer: true, min: 1 }) || 10000,
+      color: !values['no-color'] && !env.NO_COLOR
+    }
+  };
+}
+
+module.exports = {
+  parseCliArgs,
+  USAGE,
+  COMMANDS,
+  FORMATS
+};
@@ -0,0 +1,39 @@
+/**
+ * CLI ERRORS
+ *
+ * Raised by the whale-watcher CLI; `code` is stable and maps to the exit
+ * status (see EXIT_CODES) so scripts can tell failures apart
+ */
+
+// Process exit status per outcome
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  UNREACHABLE: 3,
+  UNAUTHORIZED: 4,
+  UNKNOWN_SYMBOL: 5
+};
+
+class CliError extends Error {
+  /**
+   * @param {string} code - USAGE, UNREACHABLE, UNAUTHORIZED, UNKNOWN_SYMBOL or FAILED
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+  }
+
+  get exitCode() {
+    return EXIT_CODES[this.code] || EXIT_CODES.FAILED;
+  }
+
+  static usage(message) {
+    return new CliError('USAGE', message);
+  }
+}
+
+module.exports = CliError;
+module.exports.EXIT_CODES = EXIT_CODES;
@@ -0,0 +1,226 @@
+/**
+ * WHALE WATCHER CLI
+ *
+ * Terminal client for a running server's Socket.IO feed:
+ *   whale-watcher tail    stream trade_update trades and whale_alert events
+ *   whale-watcher stats   print the metrics_update snapshot and exit
+ * Connection and subscription failures end with distinct exit codes
+ * (see errors.js) so the commands can be used from scripts.
+ */
+
+const { io } = require('socket.io-client');
+const CliError = require('./errors');
+const Output = require('./output');
+const { parseCliArgs, USAGE } = require('./args');
+
+const { EXIT_CODES } = CliError;
+
+/**
+ * Connect and wait for the server's connection_status
+ * Retries until options.timeoutMs; a refused handshake fails at once
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<{socket: import('socket.io-client').Socket, status: Object}>}
+ */
+function connect(options) {
+  const socket = io(options.url, {
+    transports: ['websocket'],
+    auth: options.apiKey ? { apiKey: options.apiKey } : {},
+    reconnectionDelayMax: 5000
+  });
+
+  return new Promise((resolve, reject) => {
+    let lastError = null;
+
+    const fail = (error) => {
+      clearTimeout(timer);
+      socket.close();
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      const reason = lastError ? `: ${lastError.message}` : '';
+      fail(new CliError('UNREACHABLE', `Could not connect to ${options.url} within ${options.timeoutMs}ms${reason}`));
+    }, options.timeoutMs);
+
+    socket.on('connect_error', (error) => {
+      lastError = error;
+      if (error.data && error.data.code === 'UNAUTHORIZED') {
+        fail(new CliError('UNAUTHORIZED', `${error.data.message} (pass --api-key or set WHALE_WATCHER_API_KEY)`));
+      }
+    });
+
+    socket.once('connection_status', (status) => {
+      clearTimeout(timer);
+      resolve({ socket, status });
+    });
+  });
+}
+
+/**
+ * The requested symbol, or the first one the server lists
+ * @param {Object} options
+ * @param {Object} status - connection_status payload
+ * @returns {{symbol: string, base: string}}
+ */
+function pickSymbol(options, status) {
+  const symbols = status.symbols || [];
+  const symbol = options.symbol || (symbols[0] && symbols[0].symbol);
+
+  if (!symbol) {
+    throw new CliError('UNKNOWN_SYMBOL', 'The server is not tracking any symbols');
+  }
+
+  const listed = symbols.find(entry => entry.symbol === symbol);
+  return { symbol, base: listed ? listed.base : '' };
+}
+
+// Reject on the server refusing the subscription
+function watchSubscription(socket, reject) {
+  socket.on('subscription_error', ({ message }) => {
+    reject(new CliError('UNKNOWN_SYMBOL', message));
+  });
+}
+
+/**
+ * Stream trades and whale alerts until interrupted or --count rows
+ * @returns {Promise<void>}
+ */
+function tail(socket, status, options, output, stderr) {
+  const { symbol } = pickSymbol(options, status);
+
+  // Whales-only needs no tape; the summary tier keeps the socket quiet
+  const subscribe = () => socket.emit('subscribe', { symbol, tier: options.whalesOnly ? 'summary' : 'full' });
+
+  return new Promise((resolve, reject) => {
+    let printed = 0;
+
+    // True once --count rows are out
+    const counted = () => {
+      printed++;
+      if (options.count && printed >= options.count) {
+        resolve();
+        return true;
+      }
+      return false;
+    };
+
+    watchSubscription(socket, reject);
+
+    if (!options.whalesOnly) {
+      socket.on('trade_update', (batch) => {
+        if (batch.symbol !== symbol) {
+          return;
+        }
+        for (const trade of batch.trades) {
+          if (trade.tradeValue >= options.minValue) {
+            output.trade(symbol, trade);
+            if (counted()) {
+              return;
+            }
+          }
+        }
+      });
+    }
+
+    socket.on('whale_alert', (alert) => {
+      if (alert.symbol === symbol && alert.tradeValue >= options.minValue) {
+        output.whale(alert);
+        counted();
+      }
+    });
+
+    // Rooms don't survive a reconnect, so subscribe again
+    socket.on('disconnect', (reason) => {
+      if (reason === 'io client disconnect') {
+        return;
+      }
+      if (reason === 'io server disconnect') {
+        reject(new CliError('FAILED', 'Disconnected by the server'));
+        return;
+      }
+      stderr.write(`⚠️ Connection lost (${reason}), reconnecting...\n`);
+    });
+    socket.io.on('reconnect', () => {
+      stderr.write('🔄 Reconnected\n');
+      subscribe();
+    });
+
+    process.once('SIGINT', () => resolve());
+
+    subscribe();
+  });
+}
+
+/**
+ * Print the symbol's current metrics snapshot
+ * @returns {Promise<void>}
+ */
+function stats(socket, status, options, output) {
+  const { symbol, base } = pickSymbol(options, status);
+
+  return new Promise((resolve, reject) => {
+    watchSubscription(socket, reject);
+
+    socket.on('metrics_update', (metrics) => {
+      if (metrics.symbol === symbol) {
+        output.stats(metrics, base);
+        resolve();
+      }
+    });
+
+    // Only the snapshot is wanted, so take the light trade tier
+    socket.emit('subscribe', { symbol, tier: 'summary' });
+  });
+}
+
+const COMMANDS = { tail, stats };
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [streams] - env, stdout and stderr (default: the process's)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv, env);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return error.exitCode;
+  }
+
+  const { command, options } = parsed;
+  if (command === 'help') {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  // `whale-watcher tail | head` closes the pipe; that's a normal way to stop
+  stdout.on('error', (error) => {
+    process.exit(error.code === 'EPIPE' ? EXIT_CODES.OK : EXIT_CODES.FAILED);
+  });
+
+  const output = new Output({ format: options.format, color: options.color && Boolean(stdout.isTTY), stream: stdout });
+  let socket = null;
+
+  try {
+    const connection = await connect(options);
+    socket = connection.socket;
+
+    await COMMANDS[command](socket, connection.status, options, output, stderr);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    stderr.write(`❌ ${error.message}\n`);
+    return error instanceof CliError ? error.exitCode : EXIT_CODES.FAILED;
+  } finally {
+    if (socket) {
+      socket.close();
+    }
+  }
+}
+
+module.exports = {
+  main,
+  connect
+};
@@ -0,0 +1,197 @@
+/**
+ * CLI OUTPUT
+ *
+ * Rows for `tail` and the snapshot for `stats`, either as an aligned,
+ * colored table or as one JSON object per line. JSON rows carry a `type`
+ * (trade | whale) and numbers as numbers, with ISO timestamps.
+ */
+
+const ANSI = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  magenta: '\x1b[35m'
+};
+
+// Column widths of the tail table (negative = left-aligned)
+const COLUMNS = [
+  ['TIME', -8],
+  ['SYMBOL', -9],
+  ['EXCHANGE', -9],
+  ['SIDE', -4],
+  ['PRICE', 14],
+  ['QUANTITY', 16],
+  ['VALUE', 16],
+  ['', -12]
+];
+
+const STATS_WINDOWS = ['1m', '5m', '1h', '24h'];
+
+function formatPrice(price) {
+  if (price === null || price === undefined) {
+    return '—';
+  }
+  return price.toLocaleString('en-US', { maximumFractionDigits: price < 10 ? 6 : 2 });
+}
+
+function formatUsd(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function formatQuantity(quantity) {
+  return quantity.toLocaleString('en-US', { maximumFractionDigits: 6 });
+}
+
+function clockTime(timestamp) {
+  return new Date(timestamp).toISOString().slice(11, 19);
+}
+
+class Output {
+  /**
+   * @param {Object} options
+   * @param {('table'|'json')} options.format
+   * @param {boolean} options.color - Use ANSI colors (table only)
+   * @param {{write: function(string): boolean}} [options.stream=process.stdout]
+   */
+  constructor({ format, color, stream = process.stdout }) {
+    this.format = format;
+    this.color = color && format === 'table';
+    this.stream = stream;
+    this.headerShown = false;
+  }
+
+  paint(styles, text) {
+    return this.color && styles.length > 0 ? `${styles.map(style => ANSI[style]).join('')}${text}${ANSI.reset}` : text;
+  }
+
+  line(text) {
+    this.stream.write(`${text}\n`);
+  }
+
+  row(cells, styles = []) {
+    const text = COLUMNS.map(([, width], i) => {
+      const cell = String(cells[i] === undefined ? '' : cells[i]);
+      return width < 0 ? cell.padEnd(-width) : cell.padStart(width);
+    }).join(' ').trimEnd();
+
+    this.line(this.paint(styles, text));
+  }
+
+  header() {
+    if (this.format === 'table' && !this.headerShown) {
+      this.headerShown = true;
+      this.row(COLUMNS.map(([title]) => title), ['dim']);
+    }
+  }
+
+  /**
+   * One trade from a trade_update batch
+   * @param {string} symbol
+   * @param {Object} trade - Wire trade (see tradeBatcher.js)
+   */
+  trade(symbol, trade) {
+    if (this.format === 'json') {
+      this.line(JSON.stringify({ type: 'trade', symbol, ...trade, timestamp: new Date(trade.timestamp).toISOString() }));
+      return;
+    }
+
+    this.header();
+    const styles = [trade.side === 'sell' ? 'red' : 'green'];
+    if (trade.isWhale) {
+      styles.push('bold');
+    }
+
+    this.row([
+      clockTime(trade.timestamp),
+      symbol,
+      trade.exchange,
+      (trade.side || '').toUpperCase(),
+      formatPrice(trade.price),
+      formatQuantity(trade.quantity),
+      formatUsd(trade.tradeValue),
+      trade.isWhale ? '🐋' : ''
+    ], styles);
+  }
+
+  /**
+   * A whale_alert event
+   * @param {Object} alert - whale_alert payload
+   */
+  whale(alert) {
+    const { price, quantity, tradeValue } = alert;
+
+    if (this.format === 'json') {
+      this.line(JSON.stringify({ type: 'whale', ...alert }));
+      return;
+    }
+
+    this.header();
+    this.row([
+      clockTime(alert.timestamp),
+      alert.symbol,
+      alert.exchange,
+      (alert.side || '').toUpperCase(),
+      formatPrice(price),
+      formatQuantity(quantity),
+      formatUsd(tradeValue),
+      `🐋 ${(alert.severity || 'whale').toUpperCase()}`
+    ], [alert.severity === 'critical' ? 'magenta' : 'yellow', 'bold']);
+  }
+
+  /**
+   * A metrics_update snapshot (WhaleDetector.getMetrics())
+   * @param {Object} metrics
+   * @param {string} [base] - Base asset for volume units
+   */
+  stats(metrics, base = '') {
+    if (this.format === 'json') {
+      this.line(JSON.stringify(metrics));
+      return;
+    }
+
+    const flow = metrics.flow || {};
+    const figures = [
+      ['Symbol', metrics.symbol],
+      ['Price', formatPrice(metrics.currentPrice)],
+      ['Whale threshold', formatUsd(metrics.whaleThreshold)],
+      ['Session start', metrics.sessionStart ? new Date(metrics.sessionStart).toISOString() : '—'],
+      ['Whales (session)', metrics.whaleCount],
+      ['Largest whale', formatUsd(metrics.maxWhaleAmount)],
+      ['Average whale', formatUsd(metrics.averageWhaleSize)],
+      ['Whale value', formatUsd(metrics.totalWhaleValue)],
+      ['Clusters', metrics.clusterCount],
+      ['Last whale', metrics.lastWhaleTime ? new Date(metrics.lastWhaleTime).toISOString() : '—'],
+      ['CVD', `${formatQuantity(flow.cvd || 0)} ${base}`.trim()],
+      ['Whale pressure', flow.pressure ? flow.pressure.label : '—']
+    ];
+
+    const width = Math.max(...figures.map(([label]) => label.length));
+    figures.forEach(([label, value]) => {
+      this.line(`${this.paint(['dim'], label.padEnd(width))}  ${value}`);
+    });
+
+    this.line('');
+    this.line(this.paint(['dim'], ['WINDOW'.padEnd(6), 'VOLUME'.padStart(16), 'QUOTE VOLUME'.padStart(16), 'VWAP'.padStart(14),
+      'TRADES'.padStart(9), 'HIGH'.padStart(14), 'LOW'.padStart(14), 'WHALES'.padStart(7), 'WHALE VALUE'.padStart(16)].join(' ')));
+
+    STATS_WINDOWS.filter(name => metrics.stats && metrics.stats[name]).forEach(name => {
+      const window = metrics.stats[name];
+      this.line([
+        name.padEnd(6),
+        formatQuantity(window.volume).padStart(16),
+        formatUsd(window.quoteVolume).padStart(16),
+        formatPrice(window.vwap).padStart(14),
+        String(window.trades).padStart(9),
+        formatPrice(window.high).padStart(14),
+        formatPrice(window.low).padStart(14),
+        String(window.whaleCount).padStart(7),
+        formatUsd(window.whaleValue).padStart(16)
+      ].join(' '));
+    });
+  }
+}
+
+module.exports = Output;
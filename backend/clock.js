@@ -0,0 +1,15 @@
+/**
+ * CLOCK
+ *
+ * The pipeline reads "now" through a clock object ({ now() → epoch ms })
+ * so a replay can run detectors, rules and the API on recorded time.
+ * Live mode uses the system clock; see replay/replaySource.js for the other.
+ */
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+module.exports = {
+  systemClock
+};
@@ -0,0 +1,46 @@
+/**
+ * API PROXY
+ *
+ * Fan-out workers pass /api/v1 requests through to the ingestion
+ * process, which holds the history, rules, order books and accounts.
+ * Requests and responses stream through unchanged (cookies included);
+ * an unreachable ingestion process is a 502 in the API's error envelope.
+ */
+
+const http = require('http');
+
+/**
+ * @param {string} target - Base URL of the ingestion process's HTTP server
+ * @returns {Function} Express handler (mount at /api/v1)
+ */
+function createApiProxy(target) {
+  const { hostname, port } = new URL(target);
+
+  return (req, res) => {
+    const forwardedFor = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+
+    const upstream = http.request({
+      hostname,
+      port,
+      method: req.method,
+      path: req.originalUrl,
+      headers: { ...req.headers, 'x-forwarded-for': forwardedFor }
+    }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+
+    upstream.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      console.error('❌ Error proxying API request:', error.message);
+      res.status(502).json({ error: { code: 'INGEST_UNAVAILABLE', message: 'The ingestion process is unreachable' } });
+    });
+
+    req.pipe(upstream);
+  };
+}
+
+module.exports = createApiProxy;
@@ -0,0 +1,155 @@
+/**
+ * EVENT PUBLISHER
+ *
+ * Ingestion side of a split deployment. Stands in for the Socket.IO
+ * handlers (same broadcast* methods, see socket.js) and publishes every
+ * call to the fan-out workers, which make the same call on their own
+ * sockets. Calls made in one turn of the event loop go out as one message
+ * numbered by `seq` and tagged with this process's `epoch`, so a worker
+ * can tell when it missed a message or the ingestion process restarted.
+ *
+ * Also answers worker requests: state snapshots, alert rules, replay
+ * controls and socket logins.
+ */
+
+const crypto = require('crypto');
+const { UserStore } = require('../auth');
+
+// Socket handler calls forwarded to workers as they are
+const FORWARDED = [
+  'broadcastTradeUpdate',
+  'broadcastWhaleAlert',
+  'broadcastWhaleCluster',
+  'broadcastMarketAnomaly',
+  'broadcastOrderbookWall',
+  'broadcastOrderbookWalls',
+  'broadcastMetricsUpdate',
+  'broadcastCandleUpdates',
+  'broadcastRuleTriggered',
+  'broadcastRuleExpired',
+  'broadcastReplayStatus',
+  'broadcastReplayReset'
+];
+
+// An empty message this often lets idle workers notice gaps and restarts
+const HEARTBEAT_MS = 5000;
+
+class EventPublisher {
+  /**
+   * @param {Object} deps
+   * @param {import('./messageBus')} deps.bus
+   * @param {Map<string, import('../whaleDetector')>} deps.detectors
+   * @param {Map<string, import('../orderbook/wallDetector')>} deps.wallDetectors
+   * @param {import('../exchanges/exchangeAdapter')[]} deps.upstreams
+   * @param {import('../rules/ruleEngine')} deps.ruleEngine
+   * @param {import('../replay/replaySource')|null} deps.replay
+   * @param {import('../auth').Auth|null} deps.auth
+   */
+  constructor({ bus, detectors, wallDetectors, upstreams, ruleEngine, replay, auth }) {
+    this.bus = bus;
+    this.detectors = detectors;
+    this.wallDetectors = wallDetectors;
+    this.upstreams = upstreams;
+    this.replay = replay;
+    this.auth = auth;
+
+    this.epoch = crypto.randomUUID();
+    this.seq = 0;
+    this.queue = [];
+    this.flushTimer = null;
+    this.heartbeatTimer = setInterval(() => {
+      if (this.queue.length === 0) {
+        this.send([]);
+      }
+    }, HEARTBEAT_MS);
+
+    FORWARDED.forEach(type => {
+      this[type] = (...args) => this.enqueue(type, args);
+    });
+
+    // Workers apply account changes to their own sockets
+    this.onUserUpdated = user => this.enqueue('userUpdated', [UserStore.toPublic(user)]);
+    this.onUserRemoved = user => this.enqueue('userRemoved', [UserStore.toPublic(user)]);
+    if (auth) {
+      auth.users.on('updated', this.onUserUpdated);
+      auth.users.on('removed', this.onUserRemoved);
+    }
+
+    bus.serve({
+      snapshot: () => this.snapshot(),
+      'rules.add': ({ owner, spec }) => ruleEngine.addRule(owner, spec),
+      'rules.remove': ({ owner, id }) => ruleEngine.removeRule(owner, id),
+      'rules.list': ({ owner }) => ruleEngine.listRules(owner),
+      'rules.removeOwner': ({ owner }) => ruleEngine.removeOwner(owner),
+      ...(replay && { 'replay.control': command => replay.control(command) }),
+      ...(auth && { 'auth.identify': credentials => this.identify(credentials) })
+    });
+  }
+
+  // Workers hold their own copy of the feed statuses
+  broadcastUpstreamStatus() {
+    this.enqueue('broadcastUpstreamStatus', [this.upstreams.map(upstream => upstream.getStatus())]);
+  }
+
+  enqueue(type, args) {
+    this.queue.push({ type, args });
+    if (!this.flushTimer) {
+      this.flushTimer = setImmediate(() => this.flush());
+    }
+  }
+
+  flush() {
+    clearImmediate(this.flushTimer);
+    this.flushTimer = null;
+    if (this.queue.length > 0) {
+      this.send(this.queue);
+      this.queue = [];
+    }
+  }
+
+  send(events) {
+    this.seq++;
+    this.bus.publish({ epoch: this.epoch, seq: this.seq, events });
+  }
+
+  /**
+   * Everything a worker needs to serve new subscribers, as of `seq`
+   * (queued calls are published first so the snapshot covers them)
+   * @returns {Object}
+   */
+  snapshot() {
+    this.flush();
+
+    return {
+      epoch: this.epoch,
+      seq: this.seq,
+      symbols: Array.from(this.detectors, ([symbol, detector]) => ({
+        symbol,
+        metrics: detector.getMetrics(),
+        maxCandles: detector.candles.maxCandles,
+        candles: Object.fromEntries(detector.candles.intervals.map(interval => [interval, detector.candles.getCandles(interval)]))
+      })),
+      walls: Array.from(this.wallDetectors, ([symbol, walls]) => ({ symbol, walls: walls.getWalls() })),
+      upstreams: this.upstreams.map(upstream => upstream.getStatus()),
+      replay: this.replay ? this.replay.getStatus() : null,
+      auth: Boolean(this.auth)
+    };
+  }
+
+  // Identity for a worker's socket handshake, without password or key hashes
+  identify({ headers, apiKey }) {
+    const identity = this.auth.identify({ headers, apiKey });
+    return identity && { user: UserStore.toPublic(identity.user), sessionToken: null, apiKeyId: identity.apiKeyId };
+  }
+
+  close() {
+    this.flush();
+    clearInterval(this.heartbeatTimer);
+    if (this.auth) {
+      this.auth.users.off('updated', this.onUserUpdated);
+      this.auth.users.off('removed', this.onUserRemoved);
+    }
+  }
+}
+
+module.exports = EventPublisher;
@@ -0,0 +1,51 @@
+/**
+ * CLUSTER
+ *
+ * Split deployment: one ingestion process (server.js) runs the exchange
+ * feeds, detectors, storage, rules and notifications, and publishes what
+ * it would broadcast over a message bus. Fan-out workers (fanout.js) keep
+ * a mirror of its state and serve browsers. The bus is Node's cluster IPC
+ * (FANOUT_BUS=ipc, workers forked by server.js behind sticky sessions) or
+ * Redis (FANOUT_BUS=redis, workers started separately).
+ */
+
+const MessageBus = require('./messageBus');
+const { BusError } = require('./messageBus');
+const IpcBus = require('./ipcBus');
+const EventPublisher = require('./eventPublisher');
+const StateMirror = require('./stateMirror');
+const createApiProxy = require('./apiProxy');
+const { RemoteRuleEngine, RemoteReplay, RemoteAuth } = require('./remote');
+const { createStickyServer, acceptConnections } = require('./sticky');
+
+/**
+ * Message bus for one end of a split deployment
+ * @param {Object} options - config.cluster
+ * @param {('ingest'|'worker')} role
+ * @returns {MessageBus}
+ */
+function createBus(options, role) {
+  if (options.bus === 'redis') {
+    // Only loaded when used
+    const RedisBus = require('./redisBus');
+    return new RedisBus({ role, url: options.redisUrl, prefix: options.channelPrefix });
+  }
+  if (options.bus === 'ipc') {
+    return new IpcBus();
+  }
+  throw new Error(`Unknown FANOUT_BUS "${options.bus}". Available: ipc, redis`);
+}
+
+module.exports = {
+  MessageBus,
+  BusError,
+  EventPublisher,
+  StateMirror,
+  RemoteRuleEngine,
+  RemoteReplay,
+  RemoteAuth,
+  createBus,
+  createApiProxy,
+  createStickyServer,
+  acceptConnections
+};
@@ -0,0 +1,68 @@
+/**
+ * IPC MESSAGE BUS
+ *
+ * MessageBus over the IPC channels Node's cluster module opens between the
+ * primary (ingestion) and each forked fan-out worker. Each channel is
+ * ordered, so a worker sees events in publish order and a snapshot reply
+ * after every event it covers.
+ * Messages are tagged so they do not mix with other cluster traffic
+ * (sticky connection hand-offs, prom-client's metrics aggregation).
+ */
+
+const cluster = require('cluster');
+const MessageBus = require('./messageBus');
+
+const TAG = 'whale-watcher:bus';
+
+class IpcBus extends MessageBus {
+  constructor(options) {
+    super(options);
+
+    // The primary hears every worker; a worker only hears the primary
+    this.onMessage = cluster.isPrimary
+      ? (worker, message) => this.receive(message, worker)
+      : (message) => this.receive(message, null);
+    (cluster.isPrimary ? cluster : process).on('message', this.onMessage);
+  }
+
+  receive(message, worker) {
+    if (!message || message.bus !== TAG) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'event':
+        this.receiveEvent(message.event);
+        break;
+      case 'request':
+        this.receiveRequest(message.request, reply => IpcBus.send(worker, { bus: TAG, type: 'reply', reply }));
+        break;
+      case 'reply':
+        this.receiveReply(message.reply);
+        break;
+    }
+  }
+
+  publish(event) {
+    const message = { bus: TAG, type: 'event', event };
+    Object.values(cluster.workers).forEach(worker => IpcBus.send(worker, message));
+  }
+
+  sendRequest(request) {
+    process.send({ bus: TAG, type: 'request', request });
+  }
+
+  async close() {
+    await super.close();
+    (cluster.isPrimary ? cluster : process).off('message', this.onMessage);
+  }
+
+  // Workers that are exiting just miss the message
+  static send(worker, message) {
+    if (worker.isConnected()) {
+      worker.send(message);
+    }
+  }
+}
+
+module.exports = IpcBus;
@@ -0,0 +1,170 @@
+/**
+ * MESSAGE BUS
+ *
+ * Channel between the ingestion process and its fan-out workers:
+ *   events   - ingestion → every worker, delivered in publish order
+ *   requests - worker → ingestion, answered once (snapshots, rules, replay
+ *              controls, socket logins)
+ * Transports (ipcBus.js, redisBus.js) subclass MessageBus and only move
+ * JSON messages. Errors thrown by request handlers reach the worker as
+ * the same class when it is listed in ERROR_CLASSES, so a RuleError from
+ * the ingestion process looks exactly like a local one.
+ */
+
+const { EventEmitter } = require('events');
+const RuleError = require('../rules/errors');
+const { ReplayError } = require('../replay/replaySource');
+const AuthError = require('../auth/errors');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class BusError extends Error {
+  /**
+   * @param {string} code - BUS_TIMEOUT, BUS_CLOSED or UNKNOWN_METHOD
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'BusError';
+    this.code = code;
+  }
+}
+
+// Errors that keep their class across the bus, by name
+const ERROR_CLASSES = { RuleError, ReplayError, AuthError, BusError };
+
+class MessageBus extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=5000] - How long a request waits for its reply
+   */
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super();
+    this.timeoutMs = timeoutMs;
+
+    // Request handlers by method name (ingestion side)
+    this.handlers = {};
+
+    // Requests awaiting a reply by id: { resolve, reject, timer } (worker side)
+    this.pending = new Map();
+    this.nextRequestId = 1;
+  }
+
+  // Transports that need a connection override this
+  async connect() {}
+
+  /**
+   * Send an event to every worker
+   * @param {Object} event - JSON-serializable
+   */
+  publish(event) {
+    throw new Error('publish() not implemented');
+  }
+
+  /**
+   * Answer worker requests
+   * @param {Object<string, function(*): *>} handlers - Method name → handler (may return a promise)
+   */
+  serve(handlers) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Call a method served by the ingestion process
+   * @param {string} method
+   * @param {*} [params] - JSON-serializable
+   * @returns {Promise<*>} The handler's result; rejects with its error or BUS_TIMEOUT
+   */
+  request(method, params) {
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new BusError('BUS_TIMEOUT', `No reply to ${method} within ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.sendRequest({ id, method, params });
+    });
+  }
+
+  /**
+   * Deliver a request to the ingestion process (transport-specific)
+   * @param {{id: number, method: string, params: *}} request
+   */
+  sendRequest(request) {
+    throw new Error('sendRequest() not implemented');
+  }
+
+  // Transports hand incoming messages to the three methods below
+
+  receiveEvent(event) {
+    this.emit('event', event);
+  }
+
+  /**
+   * @param {{id: number, method: string, params: *}} request
+   * @param {function(Object)} reply - Sends the reply back to the requesting worker
+   */
+  async receiveRequest(request, reply) {
+    const handler = this.handlers[request.method];
+
+    try {
+      if (!handler) {
+        throw new BusError('UNKNOWN_METHOD', `No handler for ${request.method}`);
+      }
+      reply({ id: request.id, result: await handler(request.params) });
+    } catch (error) {
+      reply({ id: request.id, error: MessageBus.encodeError(error) });
+    }
+  }
+
+  receiveReply(reply) {
+    const pending = this.pending.get(reply.id);
+    if (!pending) {
+      // Already timed out
+      return;
+    }
+
+    this.pending.delete(reply.id);
+    clearTimeout(pending.timer);
+    if (reply.error) {
+      pending.reject(MessageBus.decodeError(reply.error));
+    } else {
+      pending.resolve(reply.result);
+    }
+  }
+
+  // Fail outstanding requests; transports release their connections after calling this
+  async close() {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new BusError('BUS_CLOSED', 'Message bus closed'));
+    });
+    this.pending.clear();
+  }
+
+  // Unexpected errors are logged where they happened and hidden from workers
+  static encodeError(error) {
+    if (!ERROR_CLASSES[error.name]) {
+      console.error('❌ Error handling bus request:', error);
+      return { name: 'Error', code: 'INTERNAL_ERROR', message: 'Internal server error' };
+    }
+    return { name: error.name, code: error.code, message: error.message };
+  }
+
+  static decodeError({ name, code, message }) {
+    const ErrorClass = ERROR_CLASSES[name];
+    if (ErrorClass) {
+      return new ErrorClass(code, message);
+    }
+
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = MessageBus;
+module.exports.BusError = BusError;
@@ -0,0 +1,98 @@
+/**
+ * REDIS MESSAGE BUS
+ *
+ * MessageBus over Redis pub/sub, for fan-out processes on other hosts
+ * (or a fleet behind a load balancer). Channels, under a shared prefix:
+ *   <prefix>:events            ingestion → every worker
+ *   <prefix>:requests          workers → ingestion
+ *   <prefix>:replies:<busId>   ingestion → the worker that asked
+ * Pub/sub keeps no backlog: events published while a worker is cut off
+ * are lost, which the worker notices from the event sequence and repairs
+ * with a fresh snapshot (see stateMirror.js).
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const MessageBus = require('./messageBus');
+
+class RedisBus extends MessageBus {
+  /**
+   * @param {Object} options
+   * @param {('ingest'|'worker')} options.role - Which end of the bus this process is
+   * @param {string} options.url - redis:// or rediss:// URL
+   * @param {string} [options.prefix='whale-watcher'] - Channel name prefix
+   * @param {number} [options.timeoutMs] - Request timeout
+   */
+  constructor(options) {
+    super(options);
+    this.role = options.role;
+    this.prefix = options.prefix || 'whale-watcher';
+    this.busId = crypto.randomBytes(6).toString('hex');
+
+    // A subscribed connection cannot publish, so each end holds two
+    this.publisher = createClient({ url: options.url });
+    this.subscriber = this.publisher.duplicate();
+
+    // Log when the connection drops, not on every reconnect attempt
+    this.connected = false;
+    [this.publisher, this.subscriber].forEach(client => {
+      client.on('error', error => {
+        if (this.connected) {
+          this.connected = false;
+          console.error(`❌ Redis bus disconnected: ${error.message}`);
+        }
+      });
+      client.on('ready', () => {
+        if (!this.connected && this.publisher.isReady && this.subscriber.isReady) {
+          this.connected = true;
+          console.log('✅ Redis bus connected');
+        }
+      });
+    });
+  }
+
+  channel(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async connect() {
+    await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+
+    if (this.role === 'ingest') {
+      await this.subscriber.subscribe(this.channel('requests'), raw => {
+        const request = JSON.parse(raw);
+        this.receiveRequest(request, reply => {
+          this.send(this.channel(`replies:${request.replyTo}`), reply);
+        });
+      });
+      return;
+    }
+
+    await this.subscriber.subscribe(this.channel('events'), raw => this.receiveEvent(JSON.parse(raw)));
+    await this.subscriber.subscribe(this.channel(`replies:${this.busId}`), raw => this.receiveReply(JSON.parse(raw)));
+  }
+
+  publish(event) {
+    this.send(this.channel('events'), event);
+  }
+
+  sendRequest(request) {
+    this.send(this.channel('requests'), { ...request, replyTo: this.busId });
+  }
+
+  // Commands issued while reconnecting are queued by the client
+  send(channel, message) {
+    this.publisher.publish(channel, JSON.stringify(message)).catch(error => {
+      console.error(`❌ Error publishing to ${channel}:`, error.message);
+    });
+  }
+
+  async close() {
+    await super.close();
+    await Promise.all([this.publisher, this.subscriber]
+      .filter(client => client.isOpen)
+      .map(client => client.quit()));
+  }
+}
+
+module.exports = RedisBus;
@@ -0,0 +1,115 @@
+/**
+ * REMOTE SERVICES
+ *
+ * Fan-out worker stand-ins for the rule engine, replay source and
+ * authentication that live in the ingestion process. Each forwards calls
+ * over the message bus; methods that answer synchronously in a single
+ * process return promises here, and errors keep their class
+ * (RuleError, ReplayError, AuthError).
+ */
+
+const { Auth, AuthError } = require('../auth');
+
+// Handshake headers authentication reads
+const IDENTITY_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+class RemoteRuleEngine {
+  /**
+   * @param {import('./messageBus')} bus
+   */
+  constructor(bus) {
+    this.bus = bus;
+  }
+
+  addRule(owner, spec) {
+    return this.bus.request('rules.add', { owner, spec });
+  }
+
+  removeRule(owner, id) {
+    return this.bus.request('rules.remove', { owner, id });
+  }
+
+  listRules(owner) {
+    return this.bus.request('rules.list', { owner });
+  }
+
+  removeOwner(owner) {
+    return this.bus.request('rules.removeOwner', { owner });
+  }
+}
+
+class RemoteReplay {
+  /**
+   * @param {import('./messageBus')} bus
+   * @param {import('./stateMirror')} mirror - Holds the latest replay status
+   */
+  constructor(bus, mirror) {
+    this.bus = bus;
+    this.mirror = mirror;
+  }
+
+  getStatus() {
+    return this.mirror.replayStatus;
+  }
+
+  control(command) {
+    return this.bus.request('replay.control', command);
+  }
+}
+
+class RemoteAuth {
+  /**
+   * @param {import('./messageBus')} bus
+   * @param {import('./stateMirror')} mirror - Relays account changes as `users` events
+   */
+  constructor(bus, mirror) {
+    this.bus = bus;
+    this.users = mirror.users;
+  }
+
+  /**
+   * Same contract as Auth#identify, answered by the ingestion process
+   * @param {Object} credentials - headers, and apiKey from a socket handshake
+   * @returns {Promise<import('../auth/auth').Identity|null>}
+   */
+  identify({ headers, apiKey }) {
+    const forwarded = {};
+    IDENTITY_HEADERS.forEach(name => {
+      if (headers[name] !== undefined) {
+        forwarded[name] = headers[name];
+      }
+    });
+
+    return this.bus.request('auth.identify', { headers: forwarded, apiKey });
+  }
+
+  /**
+   * Socket.IO middleware with the same contract as Auth#socketMiddleware
+   * @returns {Function}
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      const { headers, auth } = socket.handshake;
+
+      this.identify({ headers, apiKey: auth && auth.apiKey })
+        .then(identity => {
+          if (!identity) {
+            next(Auth.refusal(AuthError.unauthorized()));
+            return;
+          }
+          socket.data.auth = identity;
+          next();
+        })
+        .catch(error => {
+          console.error('❌ Error identifying socket:', error.message);
+          next(Auth.refusal(new AuthError('UNAVAILABLE', 'Authentication is unavailable; try again shortly')));
+        });
+    };
+  }
+}
+
+module.exports = {
+  RemoteRuleEngine,
+  RemoteReplay,
+  RemoteAuth
+};
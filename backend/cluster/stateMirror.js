@@ -0,0 +1,265 @@
+/**
+ * STATE MIRROR
+ *
+ * Fan-out worker's copy of the ingestion process's state: metrics and
+ * candles per symbol, order book walls, feed statuses and replay status.
+ * Built from a snapshot, then kept current by applying each published
+ * event before handing it on to the worker's socket handlers, so a client
+ * subscribing at any moment gets a snapshot that matches the first update
+ * it receives after it.
+ *
+ * Events carry the publisher's epoch and a sequence number. A gap or a
+ * new epoch (the ingestion process restarted) means the mirror may be
+ * stale: it fetches a new snapshot, buffering events until it arrives,
+ * and re-sends snapshots to subscribed clients.
+ *
+ * `detectors`, `wallDetectors` and `upstreams` have the shapes socket.js
+ * reads from the real objects, so setupSocketIO runs unchanged on top.
+ */
+
+const { EventEmitter } = require('events');
+
+// Stand-in for a WhaleDetector: latest metrics and candles
+class SymbolMirror {
+  constructor({ symbol, metrics, maxCandles, candles }) {
+    this.symbol = symbol;
+    this.metrics = metrics;
+    this.maxCandles = maxCandles;
+
+    // Candle arrays per interval, oldest first
+    this.candles = new Map(Object.entries(candles));
+  }
+
+  getMetrics() {
+    return this.metrics;
+  }
+
+  getCandleSnapshot(interval = '1m', limit = this.maxCandles) {
+    const candles = this.candles.get(interval) || [];
+    return { symbol: this.symbol, interval, candles: candles.slice(-limit) };
+  }
+
+  // Replace a candle by open time, or append a new one
+  updateCandle(interval, candle) {
+    const candles = this.candles.get(interval);
+    if (!candles) {
+      return;
+    }
+
+    for (let i = candles.length - 1; i >= 0 && candles[i].timestamp >= candle.timestamp; i--) {
+      if (candles[i].timestamp === candle.timestamp) {
+        candles[i] = candle;
+        return;
+      }
+    }
+
+    if (candles.length > 0 && candles[candles.length - 1].timestamp > candle.timestamp) {
+      // Older than the retained window
+      return;
+    }
+    candles.push(candle);
+    if (candles.length > this.maxCandles) {
+      candles.shift();
+    }
+  }
+}
+
+class StateMirror extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import('./messageBus')} options.bus
+   * @param {number} [options.retryMs=1000] - Delay between snapshot attempts while the ingestion process is unreachable
+   */
+  constructor({ bus, retryMs = 1000 }) {
+    super();
+    this.bus = bus;
+    this.retryMs = retryMs;
+
+    this.detectors = new Map();
+    this.wallDetectors = new Map();
+    this.upstreams = [];
+
+    // Replay status (null when the ingestion process is live) and whether
+    // it requires logins; both fixed by the first snapshot
+    this.replayStatus = null;
+    this.authEnabled = false;
+
+    // Account changes, shaped like UserStore's 'updated' and 'removed'
+    this.users = new EventEmitter();
+
+    // Socket handlers events are handed on to (see attach())
+    this.handlers = null;
+
+    this.epoch = null;
+    this.seq = 0;
+    this.synced = false;
+
+    // Messages received while a snapshot is on its way (null otherwise)
+    this.buffered = null;
+
+    bus.on('event', message => this.receive(message));
+  }
+
+  /**
+   * Start handing events on to the worker's socket handlers
+   * @param {Object} handlers - From setupSocketIO()
+   */
+  attach(handlers) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Fetch a snapshot (retrying until the ingestion process answers), then
+   * apply the events buffered meanwhile
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    this.synced = false;
+    this.buffered = this.buffered || [];
+
+    let snapshot = null;
+    let warned = false;
+    while (!snapshot) {
+      try {
+        snapshot = await this.bus.request('snapshot');
+      } catch (error) {
+        if (!warned) {
+          console.warn(`⚠️ Waiting for the ingestion process: ${error.message}`);
+          warned = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryMs));
+      }
+    }
+
+    this.apply(snapshot);
+    this.synced = true;
+
+    const buffered = this.buffered;
+    this.buffered = null;
+    buffered.forEach(message => this.receive(message));
+  }
+
+  // Re-sync and re-send snapshots to subscribed clients
+  resync(reason) {
+    console.log(`🔄 Re-syncing with the ingestion process (${reason})`);
+    this.sync().then(() => {
+      if (this.handlers) {
+        this.handlers.broadcastSnapshots();
+      }
+    });
+  }
+
+  apply(snapshot) {
+    const first = this.epoch === null;
+    if (!first && (Boolean(snapshot.replay) !== Boolean(this.replayStatus) || snapshot.auth !== this.authEnabled)) {
+      // Replay and authentication shape the socket handlers; the worker
+      // has to restart to follow
+      this.emit('reconfigured');
+    }
+
+    this.epoch = snapshot.epoch;
+    this.seq = snapshot.seq;
+
+    this.detectors.clear();
+    snapshot.symbols.forEach(state => this.detectors.set(state.symbol, new SymbolMirror(state)));
+
+    this.wallDetectors.clear();
+    snapshot.walls.forEach(({ symbol, walls }) => this.setWalls(symbol, walls));
+
+    this.setUpstreams(snapshot.upstreams);
+    this.replayStatus = snapshot.replay;
+    this.authEnabled = snapshot.auth;
+  }
+
+  receive(message) {
+    if (this.buffered) {
+      this.buffered.push(message);
+      return;
+    }
+
+    if (message.epoch !== this.epoch) {
+      this.buffered = [message];
+      this.resync('ingestion process restarted');
+      return;
+    }
+    if (message.seq <= this.seq) {
+      // Already covered by the snapshot
+      return;
+    }
+    if (message.seq > this.seq + 1) {
+      this.buffered = [message];
+      this.resync(`missed ${message.seq - this.seq - 1} messages`);
+      return;
+    }
+
+    this.seq = message.seq;
+    for (const event of message.events) {
+      if (event.type === 'broadcastReplayReset') {
+        // The detectors started over; clients are told once the mirror has too
+        // (the snapshot also covers the rest of this message)
+        this.buffered = [];
+        this.sync().then(() => this.forward('broadcastReplayReset', []));
+        return;
+      }
+      this.dispatch(event);
+    }
+  }
+
+  dispatch({ type, args }) {
+    switch (type) {
+      case 'broadcastMetricsUpdate': {
+        const mirror = this.detectors.get(args[0].symbol);
+        if (mirror) {
+          mirror.metrics = args[0];
+        }
+        break;
+      }
+      case 'broadcastCandleUpdates': {
+        const [symbol, updates] = args;
+        const mirror = this.detectors.get(symbol);
+        if (mirror) {
+          updates.forEach(({ interval, candle }) => mirror.updateCandle(interval, candle));
+        }
+        break;
+      }
+      case 'broadcastOrderbookWalls':
+        this.setWalls(args[0], args[1]);
+        break;
+      case 'broadcastUpstreamStatus':
+        this.setUpstreams(args[0]);
+        break;
+      case 'broadcastReplayStatus':
+        this.replayStatus = args[0];
+        break;
+      case 'userUpdated':
+        this.users.emit('updated', args[0]);
+        return;
+      case 'userRemoved':
+        this.users.emit('removed', args[0]);
+        return;
+    }
+
+    this.forward(type, args);
+  }
+
+  forward(type, args) {
+    if (this.handlers) {
+      this.handlers[type](...args);
+    }
+  }
+
+  setWalls(symbol, walls) {
+    this.wallDetectors.set(symbol, { getWalls: () => walls });
+  }
+
+  // Updated in place: socket.js holds on to the array
+  setUpstreams(statuses) {
+    this.upstreams.splice(0, this.upstreams.length, ...statuses.map(status => ({
+      name: status.exchange,
+      getStatus: () => status
+    })));
+  }
+}
+
+module.exports = StateMirror;
+module.exports.SymbolMirror = SymbolMirror;
@@ -0,0 +1,75 @@
+/**
+ * STICKY SESSIONS
+ *
+ * A Socket.IO session spans several HTTP requests (long-polling, then the
+ * WebSocket upgrade) that must all reach the worker holding it. The
+ * cluster primary owns the listening socket and hands each connection to
+ * a worker picked by hashing the client address, so a client keeps
+ * landing on the same worker while the set of ready workers is stable.
+ *
+ * Behind a reverse proxy every connection comes from the proxy's address;
+ * run fan-out processes on their own ports (FANOUT_BUS=redis) and let the
+ * proxy do the pinning instead.
+ */
+
+const net = require('net');
+const cluster = require('cluster');
+
+const TAG = 'whale-watcher:sticky';
+
+function hashAddress(address = '') {
+  let hash = 0;
+  for (let i = 0; i < address.length; i++) {
+    hash = (hash * 31 + address.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Primary: accept connections and pass them to workers that reported ready
+ * @returns {net.Server} Not yet listening
+ */
+function createStickyServer() {
+  // Workers that have synced and can take connections, by worker id
+  const ready = new Map();
+
+  cluster.on('message', (worker, message) => {
+    if (message && message.sticky === TAG && message.ready) {
+      ready.set(worker.id, worker);
+    }
+  });
+  cluster.on('exit', (worker) => ready.delete(worker.id));
+
+  return net.createServer({ pauseOnConnect: true }, (connection) => {
+    // Sorted so one address maps to the same worker on every connection
+    const workers = Array.from(ready.values()).sort((a, b) => a.id - b.id);
+    if (workers.length === 0) {
+      connection.destroy();
+      return;
+    }
+
+    workers[hashAddress(connection.remoteAddress) % workers.length].send({ sticky: TAG }, connection);
+  });
+}
+
+/**
+ * Worker: serve the connections the primary hands over, and tell it to
+ * start sending them
+ * @param {import('http').Server} server - Not listening itself
+ */
+function acceptConnections(server) {
+  process.on('message', (message, connection) => {
+    if (message && message.sticky === TAG && connection) {
+      server.emit('connection', connection);
+      connection.resume();
+    }
+  });
+
+  process.send({ sticky: TAG, ready: true });
+}
+
+module.exports = {
+  createStickyServer,
+  acceptConnections,
+  hashAddress
+};
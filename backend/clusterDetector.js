@@ -0,0 +1,140 @@
+/**
+ * CLUSTER DETECTOR
+ *
+ * Catches whales that split one large order into many smaller fills
+ * Same-side trades on the same venue are grouped while they stay within
+ * a time window (from the first fill) and a price band (around the first
+ * fill's price). A finished group whose combined value clears the whale
+ * threshold is reported as a cluster.
+ *
+ * Trades already flagged as whales are left out: they are alerted on their
+ * own, and one whale plus any small fill would otherwise clear the
+ * threshold together.
+ */
+
+class ClusterDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs=1000] - Max time from first to last fill
+   * @param {number} [options.priceWindowBps=10] - Max distance from the first fill's price (basis points)
+   * @param {number} [options.minFills=2] - Fewest fills that count as a cluster
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 1000;
+    this.priceWindowBps = options.priceWindowBps || 10;
+    this.minFills = options.minFills || 2;
+
+    // Open groups keyed by '<exchange>:<side>'
+    this.open = new Map();
+
+    // Finished groups waiting to be classified by the caller
+    this.finished = [];
+  }
+
+  /**
+   * Add a processed trade
+   * @param {Object} trade - Trade record with exchange, side, price, quantity, tradeValue, timestamp, isWhale
+   */
+  add(trade) {
+    if (trade.side !== 'buy' && trade.side !== 'sell') {
+      return;
+    }
+
+    this.expire(trade.timestamp);
+
+    if (trade.isWhale) {
+      return;
+    }
+
+    const key = `${trade.exchange}:${trade.side}`;
+    const group = this.open.get(key);
+
+    if (group && this.fits(group, trade)) {
+      group.fills++;
+      group.quantity += trade.quantity;
+      group.totalValue += trade.tradeValue;
+      group.priceLow = Math.min(group.priceLow, trade.price);
+      group.priceHigh = Math.max(group.priceHigh, trade.price);
+      group.lastTimestamp = Math.max(group.lastTimestamp, trade.timestamp);
+      return;
+    }
+
+    if (group) {
+      this.finish(key);
+    }
+
+    this.open.set(key, {
+      symbol: trade.symbol,
+      exchange: trade.exchange,
+      side: trade.side,
+      fills: 1,
+      quantity: trade.quantity,
+      totalValue: trade.tradeValue,
+      firstPrice: trade.price,
+      priceLow: trade.price,
+      priceHigh: trade.price,
+      firstTimestamp: trade.timestamp,
+      lastTimestamp: trade.timestamp
+    });
+  }
+
+  fits(group, trade) {
+    const elapsed = trade.timestamp - group.firstTimestamp;
+    const distanceBps = Math.abs(trade.price - group.firstPrice) / group.firstPrice * 10000;
+    return elapsed <= this.windowMs && distanceBps <= this.priceWindowBps;
+  }
+
+  /**
+   * Close groups whose time window has passed
+   * @param {number} now - Epoch milliseconds
+   */
+  expire(now) {
+    this.open.forEach((group, key) => {
+      if (now - group.firstTimestamp > this.windowMs) {
+        this.finish(key);
+      }
+    });
+  }
+
+  finish(key) {
+    const group = this.open.get(key);
+    this.open.delete(key);
+
+    if (group.fills >= this.minFills) {
+      this.finished.push(group);
+    }
+  }
+
+  /**
+   * Finished groups at or above a value threshold, as cluster events
+   * Groups below the threshold are discarded
+   * @param {number} now - Epoch milliseconds (closes expired groups first)
+   * @param {number} threshold - Minimum combined value in USD
+   * @returns {Object[]} Clusters with fills, quantity, totalValue, vwap, durationMs, ...
+   */
+  drain(now, threshold) {
+    this.expire(now);
+
+    const clusters = this.finished
+      .filter(group => group.totalValue > threshold)
+      .map(group => ({
+        symbol: group.symbol,
+        exchange: group.exchange,
+        side: group.side,
+        fills: group.fills,
+        quantity: group.quantity,
+        totalValue: group.totalValue,
+        vwap: group.totalValue / group.quantity,
+        priceLow: group.priceLow,
+        priceHigh: group.priceHigh,
+        timestamp: group.firstTimestamp,
+        lastTimestamp: group.lastTimestamp,
+        durationMs: group.lastTimestamp - group.firstTimestamp
+      }));
+
+    this.finished = [];
+    return clusters;
+  }
+}
+
+module.exports = ClusterDetector;
@@ -0,0 +1,255 @@
+/**
+ * SERVER CONFIGURATION
+ *
+ * Reads runtime settings from environment variables
+ * Lists are comma-separated (e.g. SYMBOLS=BTCUSDT,ETHUSDT)
+ *
+ * Structured settings (threshold policies, ...) come from an optional
+ * JSON file: WHALE_CONFIG=/path/to/config.json, or backend/config.json
+ * when present. See config.example.json for the available keys.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function parseList(value, fallback) {
+  return (value || fallback)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function loadConfigFile() {
+  const file = process.env.WHALE_CONFIG || path.join(__dirname, 'config.json');
+
+  if (!fs.existsSync(file)) {
+    if (process.env.WHALE_CONFIG) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const fileConfig = loadConfigFile();
+
+const exchanges = parseList(process.env.EXCHANGES, (fileConfig.exchanges || ['binance']).join(','))
+  .map(name => name.toLowerCase());
+
+const symbols = parseList(process.env.SYMBOLS, (fileConfig.symbols || ['BTCUSDT']).join(','))
+  .map(symbol => symbol.toUpperCase());
+
+// Threshold policy per symbol, falling back to thresholds.default
+const thresholds = fileConfig.thresholds || {};
+const defaultThreshold = thresholds.default || {
+  type: 'fixed',
+  usd: parseFloat(process.env.WHALE_THRESHOLD) || 500000
+};
+
+// Relative paths in the config file resolve against the backend directory
+const storageConfig = fileConfig.storage || {};
+const storageDir = path.resolve(__dirname, process.env.DATA_DIR || storageConfig.dir || 'data');
+
+const notificationConfig = fileConfig.notifications || {};
+
+const authConfig = fileConfig.auth || {};
+
+const reportsConfig = fileConfig.reports || {};
+const sessionHourUtc = parseInt(process.env.SESSION_HOUR_UTC || reportsConfig.sessionHourUtc, 10);
+
+const anomalyConfig = fileConfig.anomalies || {};
+
+const streamsConfig = fileConfig.streams || {};
+
+const clusterConfig = fileConfig.cluster || {};
+const ingestPort = parseInt(process.env.INGEST_PORT, 10) || clusterConfig.ingestPort || 3001;
+
+// A replay file replaces the live exchanges; replays never touch storage
+// or send notifications
+const replayConfig = fileConfig.replay || {};
+const replayFile = process.env.REPLAY_FILE || replayConfig.file;
+const recordFile = process.env.RECORD_FILE || (fileConfig.record && fileConfig.record.file);
+
+// Order book walls per symbol, falling back to orderbook.walls.default
+const orderbookConfig = fileConfig.orderbook || {};
+const wallConfig = orderbookConfig.walls || {};
+const defaultWalls = {
+  bandBps: 200,
+  minWallUsd: parseFloat(process.env.WALL_MIN_USD) || 1000000,
+  wallMultiple: 20,
+  confirmMs: 2000,
+  eatenRatio: 0.5,
+  ...wallConfig.default
+};
+
+module.exports = {
+  port: parseInt(process.env.PORT, 10) || 3000,
+
+  // Upstream venues to connect to
+  exchanges,
+
+  // Canonical symbols to track, each with its own detector
+  symbols,
+
+  // Browser origins on other sites allowed to use the API and sockets
+  // (empty = the dashboard's own origin only)
+  corsOrigins: parseList(process.env.CORS_ORIGINS, (fileConfig.corsOrigins || []).join(',')),
+
+  // User accounts, sessions and API keys (see auth/); off leaves the
+  // dashboard, sockets and API open to anyone who can reach the server
+  auth: {
+    enabled: process.env.AUTH ? process.env.AUTH === 'on' : authConfig.enabled === true,
+    usersFile: path.resolve(__dirname, process.env.USERS_FILE || authConfig.usersFile || path.join(storageDir, 'users.json')),
+    sessionTtlMs: authConfig.sessionTtlMs || 12 * 60 * 60 * 1000,
+    secureCookies: (process.env.SECURE_COOKIES || String(authConfig.secureCookies)) === 'true',
+    // First admin, created when there are no users yet
+    admin: {
+      username: process.env.ADMIN_USERNAME,
+      password: process.env.ADMIN_PASSWORD
+    }
+  },
+
+  // File-based persistence of trades, whales and detector state
+  storage: {
+    enabled: !replayFile && process.env.STORAGE !== 'off' && storageConfig.enabled !== false,
+    dir: storageDir,
+    retentionHours: {
+      trades: 48,
+      whales: 24 * 30,
+      clusters: 24 * 30,
+      candles: 24 * 90,
+      ...storageConfig.retentionHours
+    },
+    snapshotIntervalMs: 10000
+  },
+
+  // Play recorded trades instead of connecting upstream (see replay/)
+  replay: replayFile ? {
+    file: path.resolve(__dirname, replayFile),
+    speed: process.env.REPLAY_SPEED || replayConfig.speed || 1,
+    loop: (process.env.REPLAY_LOOP || String(replayConfig.loop)) === 'true',
+    symbol: process.env.REPLAY_SYMBOL || replayConfig.symbol,
+    exchange: replayConfig.exchange
+  } : null,
+
+  // Append every live trade to this file for later replay (null = off)
+  recordFile: recordFile && !replayFile ? path.resolve(__dirname, recordFile) : null,
+
+  // Binance depth tracking and wall detection (see orderbook/); needs the
+  // live Binance feed since walls are matched against its trades
+  orderbook: {
+    enabled: !replayFile && exchanges.includes('binance') &&
+      process.env.ORDERBOOK !== 'off' && orderbookConfig.enabled !== false,
+    depthLimit: orderbookConfig.depthLimit || 1000
+  },
+
+  // Daily sessions and their whale reports (see reports/); reports need storage
+  reports: {
+    sessionHourUtc: sessionHourUtc >= 0 && sessionHourUtc < 24 ? sessionHourUtc : 0,
+    largest: reportsConfig.largest || 10,
+    dir: path.join(storageDir, 'reports')
+  },
+
+  // Batched trade_update broadcasts (see tradeBatcher.js)
+  fanout: {
+    intervals: {
+      full: 200,
+      summary: 1000,
+      ...(fileConfig.fanout && fileConfig.fanout.intervals),
+      ...(process.env.BATCH_INTERVAL_MS && { full: parseInt(process.env.BATCH_INTERVAL_MS, 10) })
+    },
+    maxBufferedPackets: (fileConfig.fanout && fileConfig.fanout.maxBufferedPackets) || 32,
+    // Dashboards that reconnect get the events they missed while these are kept
+    resumeBufferSize: (fileConfig.fanout && fileConfig.fanout.resumeBufferSize) || 20000,
+    // More missed events than this are replaced by a snapshot
+    maxReplayEvents: (fileConfig.fanout && fileConfig.fanout.maxReplayEvents) || 500,
+    // Latest trades (per symbol and tier) and alerts (per symbol) a dashboard starts with
+    snapshotTrades: (fileConfig.fanout && fileConfig.fanout.snapshotTrades) || 200,
+    snapshotAlerts: (fileConfig.fanout && fileConfig.fanout.snapshotAlerts) || 50
+  },
+
+  // SSE and plain WebSocket streams (see streams/)
+  streams: {
+    bufferSize: 20000,
+    maxBufferedBytes: 4 * 1024 * 1024,
+    heartbeatMs: 15000,
+    ...streamsConfig,
+    enabled: process.env.STREAMS ? process.env.STREAMS !== 'off' : streamsConfig.enabled !== false
+  },
+
+  // Split ingestion from browser fan-out (see cluster/); with no bus this
+  // process does both
+  cluster: {
+    // ipc: fork `workers` fan-out workers sharing PORT
+    // redis: publish to fan-out processes started with `npm run fanout`
+    bus: process.env.FANOUT_BUS || clusterConfig.bus || null,
+    workers: parseInt(process.env.CLUSTER_WORKERS, 10) || clusterConfig.workers || os.cpus().length,
+    redisUrl: process.env.REDIS_URL || clusterConfig.redisUrl || 'redis://localhost:6379',
+    channelPrefix: clusterConfig.channelPrefix || 'whale-watcher',
+    // The ingestion process serves the REST API and monitoring here; workers proxy /api/v1 to ingestUrl
+    ingestHost: process.env.INGEST_HOST || clusterConfig.ingestHost || '127.0.0.1',
+    ingestPort,
+    ingestUrl: process.env.INGEST_URL || clusterConfig.ingestUrl || `http://127.0.0.1:${ingestPort}`
+  },
+
+  // Health checks (see monitoring/health.js)
+  monitoring: {
+    unhealthyAfterMs: parseInt(process.env.UNHEALTHY_AFTER_MS, 10) || 5 * 60 * 1000,
+    ...fileConfig.monitoring
+  },
+
+  // Volume, trade rate, price and spread anomalies (see anomalyDetector.js)
+  anomalies: {
+    zThreshold: 4,
+    halfLifeSec: 300,
+    minSamples: 120,
+    cooldownMs: 60000,
+    priceWindowSec: 5,
+    minSpreadWideningBps: 2,
+    ...anomalyConfig,
+    ...(process.env.ANOMALY_Z && { zThreshold: parseFloat(process.env.ANOMALY_Z) }),
+    enabled: process.env.ANOMALIES ? process.env.ANOMALIES !== 'off' : anomalyConfig.enabled !== false
+  },
+
+  // Split-order cluster detection (see clusterDetector.js)
+  clusters: {
+    windowMs: 1000,
+    priceWindowBps: 10,
+    minFills: 2,
+    ...fileConfig.clusters
+  },
+
+  // Outbound alert delivery (see notifications/)
+  notifications: {
+    channels: replayFile ? [] : notificationConfig.channels || [],
+    retry: {
+      attempts: 5,
+      baseDelayMs: 1000,
+      maxDelayMs: 60000,
+      ...notificationConfig.retry
+    },
+    maxQueue: notificationConfig.maxQueue || 100,
+    deadLetterDir: path.join(storageDir, 'dead-letter'),
+    deadLetterRetentionHours: notificationConfig.deadLetterRetentionHours || 24 * 30
+  },
+
+  /**
+   * Threshold policy config for a symbol
+   * @param {string} symbol - Canonical symbol
+   * @returns {Object}
+   */
+  thresholdPolicyFor(symbol) {
+    return thresholds[symbol] || defaultThreshold;
+  },
+
+  /**
+   * Wall detector options for a symbol
+   * @param {string} symbol - Canonical symbol
+   * @returns {Object}
+   */
+  wallsFor(symbol) {
+    return { ...defaultWalls, ...wallConfig[symbol], symbol };
+  }
+};
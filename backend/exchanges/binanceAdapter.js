@@ -0,0 +1,235 @@
+/**
+ * BINANCE ADAPTER
+ *
+ * Subscribes to the combined <symbol>@trade streams
+ * Trade fields: s (symbol), t (trade id), p (price), q (quantity), T (trade time),
+ * m (buyer is maker, i.e. the seller was the aggressor)
+ *
+ * Trade ids are consecutive per symbol, so repeats are dropped and a jump
+ * (typically across a reconnect) marks missed trades. Those are backfilled
+ * from the REST aggTrades endpoint before live trades resume; live trades
+ * that arrive meanwhile are held back so the pipeline sees them in order.
+ */
+
+const ExchangeAdapter = require('./exchangeAdapter');
+
+const REST_TIMEOUT_MS = 10000;
+const AGG_TRADES_PAGE = 1000;
+
+// aggTrades only accepts time windows shorter than an hour
+const MAX_WINDOW_MS = 60 * 60 * 1000 - 1;
+
+class BinanceAdapter extends ExchangeAdapter {
+  /**
+   * @param {Object} [options] - See ExchangeAdapter, plus:
+   * @param {string} [options.restUrl='https://api.binance.com'] - REST base URL for backfills
+   * @param {number} [options.maxBackfillPages=20] - aggTrades pages (1000 each) fetched per gap
+   * @param {number} [options.backfillAttempts=3] - Tries per page before the gap is given up
+   */
+  constructor(options = {}) {
+    super('binance', options);
+    this.restUrl = options.restUrl || 'https://api.binance.com';
+    this.maxBackfillPages = options.maxBackfillPages || 20;
+    this.backfillAttempts = options.backfillAttempts || 3;
+
+    // Per symbol: { lastId, lastTime, held: NormalizedTrade[] | null }
+    this.sequences = new Map();
+
+    this.stats = { duplicates: 0, gaps: 0, backfilled: 0, missed: 0 };
+  }
+
+  getUrl() {
+    const streams = this.symbols
+      .map(symbol => `${symbol.toLowerCase()}@trade`)
+      .join('/');
+    return `wss://stream.binance.com:9443/stream?streams=${streams}`;
+  }
+
+  parseMessage(message) {
+    // Combined streams wrap each payload as { stream, data }
+    const trade = message.data || message;
+
+    if (trade.e !== 'trade') {
+      return [];
+    }
+
+    return [BinanceAdapter.normalizeTrade(trade)];
+  }
+
+  handleMessage(message) {
+    this.parseTrades(message).forEach(trade => this.sequence(trade));
+  }
+
+  /**
+   * Emit a live trade unless it repeats one already seen; start a backfill
+   * when trades were skipped
+   * @param {import('./exchangeAdapter').NormalizedTrade} trade
+   */
+  sequence(trade) {
+    const id = Number(trade.tradeId);
+    const state = this.sequences.get(trade.symbol);
+
+    if (!state) {
+      this.sequences.set(trade.symbol, { lastId: id, lastTime: trade.timestamp, held: null });
+      this.emit('trade', trade);
+      return;
+    }
+
+    if (state.held) {
+      state.held.push(trade);
+      return;
+    }
+
+    if (id <= state.lastId) {
+      this.stats.duplicates++;
+      return;
+    }
+
+    if (id > state.lastId + 1) {
+      this.stats.gaps++;
+      state.held = [trade];
+      this.backfill(trade.symbol, state, id);
+      return;
+    }
+
+    state.lastId = id;
+    state.lastTime = trade.timestamp;
+    this.emit('trade', trade);
+  }
+
+  /**
+   * Emit the trades between state.lastId and resumeId, then the held live trades
+   * @param {string} symbol
+   * @param {Object} state - Sequence state (lastId, lastTime, held)
+   * @param {number} resumeId - First live trade id after the gap
+   */
+  async backfill(symbol, state, resumeId) {
+    const fromId = state.lastId + 1;
+    const toId = resumeId - 1;
+    console.warn(`⚠️ ${this.name} ${symbol} missed trades ${fromId}-${toId}; backfilling`);
+    this.startBackfill();
+
+    let recovered = 0;
+    try {
+      recovered = await this.fetchMissed(symbol, state, fromId, toId);
+    } catch (error) {
+      console.error(`❌ Error backfilling ${symbol} trades:`, error.message);
+    }
+
+    // Aggregates straddling either end of the gap are skipped: their fills
+    // cannot be split into the ones already seen and the missed ones
+    const missed = toId - fromId + 1 - recovered;
+    if (missed > 0) {
+      this.stats.missed += missed;
+      console.warn(`⚠️ ${this.name} ${symbol} could not backfill ${missed} trades`);
+    }
+    console.log(`🩹 ${this.name} ${symbol} backfilled ${recovered} trades`);
+
+    state.lastId = toId;
+    const held = state.held;
+    state.held = null;
+    this.finishBackfill();
+
+    held.forEach(trade => this.sequence(trade));
+  }
+
+  /**
+   * Page through aggTrades from the last seen trade's time until the gap is covered
+   * @returns {Promise<number>} Trades recovered
+   */
+  async fetchMissed(symbol, state, fromId, toId) {
+    let recovered = 0;
+    let query = `startTime=${state.lastTime}&endTime=${state.lastTime + MAX_WINDOW_MS}`;
+
+    for (let page = 0; page < this.maxBackfillPages && !this.stopped; page++) {
+      const aggregates = await this.fetchAggTrades(symbol, query);
+
+      for (const aggregate of aggregates) {
+        if (aggregate.f > toId) {
+          return recovered;
+        }
+        if (aggregate.f < fromId || aggregate.l > toId) {
+          continue;
+        }
+
+        const trade = BinanceAdapter.normalizeAggTrade(symbol, aggregate);
+        state.lastId = aggregate.l;
+        state.lastTime = trade.timestamp;
+        recovered += aggregate.l - aggregate.f + 1;
+        this.stats.backfilled += aggregate.l - aggregate.f + 1;
+        this.emit('trade', trade);
+      }
+
+      if (aggregates.length < AGG_TRADES_PAGE) {
+        return recovered;
+      }
+      query = `fromId=${aggregates[aggregates.length - 1].a + 1}`;
+    }
+
+    if (!this.stopped) {
+      console.warn(`⚠️ ${this.name} ${symbol} backfill stopped after ${this.maxBackfillPages} pages`);
+    }
+    return recovered;
+  }
+
+  async fetchAggTrades(symbol, query) {
+    const url = `${this.restUrl}/api/v3/aggTrades?symbol=${encodeURIComponent(symbol)}&limit=${AGG_TRADES_PAGE}&${query}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(REST_TIMEOUT_MS) });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} from ${url}`);
+        }
+        return await response.json();
+      } catch (error) {
+        if (attempt >= this.backfillAttempts || this.stopped) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.backoffDelay(attempt)));
+      }
+    }
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), trades: { ...this.stats } };
+  }
+
+  /**
+   * Convert a raw Binance trade payload into a normalized trade
+   * @param {Object} trade - Binance trade event
+   * @returns {import('./exchangeAdapter').NormalizedTrade}
+   */
+  static normalizeTrade(trade) {
+    return {
+      exchange: 'binance',
+      symbol: trade.s,
+      tradeId: String(trade.t),
+      price: parseFloat(trade.p),
+      quantity: parseFloat(trade.q),
+      timestamp: trade.T || Date.now(),
+      side: trade.m ? 'sell' : 'buy'
+    };
+  }
+
+  /**
+   * Convert a REST aggregate trade (fills f..l of one taker order at one
+   * price) into a normalized trade identified by its last fill
+   * @param {string} symbol - Canonical symbol (aggregates do not carry it)
+   * @param {Object} aggregate - Fields a, p, q, f, l, T, m
+   * @returns {import('./exchangeAdapter').NormalizedTrade}
+   */
+  static normalizeAggTrade(symbol, aggregate) {
+    return {
+      exchange: 'binance',
+      symbol,
+      tradeId: String(aggregate.l),
+      price: parseFloat(aggregate.p),
+      quantity: parseFloat(aggregate.q),
+      timestamp: aggregate.T,
+      side: aggregate.m ? 'sell' : 'buy'
+    };
+  }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,59 @@
+/**
+ * COINBASE ADAPTER
+ *
+ * Subscribes to the Coinbase Exchange 'matches' channel
+ * Products use dash-separated ids (e.g. 'BTC-USDT')
+ * A match's 'side' is the maker order's side, so the aggressor is the opposite
+ */
+
+const ExchangeAdapter = require('./exchangeAdapter');
+const { splitSymbol, joinSymbol } = require('./symbols');
+
+class CoinbaseAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('coinbase', options);
+  }
+
+  getUrl() {
+    return 'wss://ws-feed.exchange.coinbase.com';
+  }
+
+  getSubscribeMessages() {
+    return [{
+      type: 'subscribe',
+      product_ids: this.symbols.map(CoinbaseAdapter.toProductId),
+      channels: ['matches']
+    }];
+  }
+
+  parseMessage(message) {
+    // 'last_match' replays a single historical trade on subscribe
+    if (message.type !== 'match') {
+      return [];
+    }
+
+    const [base, quote] = message.product_id.split('-');
+
+    return [{
+      exchange: 'coinbase',
+      symbol: joinSymbol(base, quote),
+      tradeId: String(message.trade_id),
+      price: parseFloat(message.price),
+      quantity: parseFloat(message.size),
+      timestamp: new Date(message.time).getTime(),
+      side: message.side === 'buy' ? 'sell' : 'buy'
+    }];
+  }
+
+  /**
+   * Convert a canonical symbol into a Coinbase product id
+   * @param {string} symbol - Canonical symbol (e.g. 'BTCUSDT')
+   * @returns {string} Product id (e.g. 'BTC-USDT')
+   */
+  static toProductId(symbol) {
+    const { base, quote } = splitSymbol(symbol);
+    return `${base}-${quote}`;
+  }
+}
+
+module.exports = CoinbaseAdapter;
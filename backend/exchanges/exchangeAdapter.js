@@ -0,0 +1,321 @@
+/**
+ * EXCHANGE ADAPTER BASE CLASS
+ *
+ * Owns the upstream WebSocket lifecycle (connect, reconnect, shutdown)
+ * Subclasses translate venue-specific messages into normalized trades
+ * Emits 'trade' events consumed by the whale detection pipeline
+ *
+ * Reconnects use exponential backoff with jitter and never give up.
+ * A heartbeat pings the socket and watches for silence: a missed pong or a
+ * feed silent for twice staleAfterMs forces a reconnect, and a feed silent
+ * for staleAfterMs is reported as degraded. Every state change is emitted
+ * as a 'status' event (see getStatus()).
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// States in which the upstream socket is open
+const OPEN_STATES = ['connected', 'backfilling', 'degraded'];
+
+/**
+ * Normalized trade shape shared by every adapter
+ * @typedef {Object} NormalizedTrade
+ * @property {string} exchange - Venue name (e.g. 'binance')
+ * @property {string} symbol - Canonical symbol (e.g. 'BTCUSDT')
+ * @property {string} tradeId - Venue trade identifier
+ * @property {number} price - Execution price in quote currency
+ * @property {number} quantity - Executed quantity in base currency
+ * @property {number} timestamp - Execution time in epoch milliseconds
+ * @property {('buy'|'sell')} side - Aggressor (taker) side
+ */
+
+/**
+ * Upstream connection state reported to clients
+ * @typedef {Object} UpstreamStatus
+ * @property {string} exchange - Adapter name
+ * @property {('connecting'|'connected'|'degraded'|'backfilling'|'disconnected')} state
+ * @property {number} since - When the state was entered (epoch ms)
+ * @property {number|null} downSince - When the socket was last lost, or when
+ *   the adapter was created for a feed that never connected (epoch ms); null
+ *   while the socket is open. Unlike `since`, reconnect attempts do not move it
+ * @property {string|null} reason - Why, for degraded and disconnected states
+ * @property {number|null} lastMessageAt - Last upstream message (epoch ms)
+ * @property {number} reconnectAttempts - Failed attempts since the last successful connect
+ */
+
+class ExchangeAdapter extends EventEmitter {
+  /**
+   * @param {string} name - Venue name attached to every normalized trade
+   * @param {Object} options
+   * @param {string[]} options.symbols - Canonical symbols to subscribe to
+   * @param {number} [options.reconnectDelay=1000] - First reconnect delay (ms); doubles per attempt
+   * @param {number} [options.maxReconnectDelay=60000] - Longest reconnect delay (ms)
+   * @param {number} [options.heartbeatMs=15000] - Ping and staleness check interval (ms)
+   * @param {number} [options.staleAfterMs=60000] - Silence before the feed counts as degraded (ms)
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.symbols = options.symbols || [];
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.staleAfterMs = options.staleAfterMs || 60000;
+
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.awaitingPong = false;
+    this.lastMessageAt = null;
+    this.stopped = false;
+
+    // Running totals for monitoring
+    this.messagesReceived = 0;
+    this.parseErrors = 0;
+    this.reconnects = 0;
+
+    // Socket state, plus how many backfills are running on top of it
+    this.connectionState = 'disconnected';
+    this.backfills = 0;
+    this.status = { state: 'disconnected', since: Date.now(), downSince: Date.now(), reason: null };
+  }
+
+  /**
+   * WebSocket URL to connect to
+   * @returns {string}
+   */
+  getUrl() {
+    throw new Error(`${this.constructor.name} must implement getUrl()`);
+  }
+
+  /**
+   * Subscription messages to send once the socket is open
+   * Venues that encode the subscription in the URL return an empty list
+   * @returns {Object[]}
+   */
+  getSubscribeMessages() {
+    return [];
+  }
+
+  /**
+   * Convert a raw venue message into normalized trades
+   * Non-trade messages (acks, heartbeats) return an empty list
+   * @param {Object} message - Parsed JSON message
+   * @returns {NormalizedTrade[]}
+   */
+  parseMessage(message) {
+    throw new Error(`${this.constructor.name} must implement parseMessage()`);
+  }
+
+  /**
+   * Handle one parsed message; emits a 'trade' per normalized trade
+   * Feeds that carry something other than trades override this
+   * @param {Object} message - Parsed JSON message
+   */
+  handleMessage(message) {
+    this.parseTrades(message).forEach(trade => this.emit('trade', trade));
+  }
+
+  /**
+   * parseMessage() with errors logged and counted instead of thrown
+   * @param {Object} message - Parsed JSON message
+   * @returns {NormalizedTrade[]} Empty when the message could not be parsed
+   */
+  parseTrades(message) {
+    try {
+      return this.parseMessage(message);
+    } catch (error) {
+      this.parseErrors++;
+      console.error(`❌ Error parsing ${this.name} message:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Open the upstream connection
+   */
+  connect() {
+    this.stopped = false;
+    console.log(`🔌 Connecting to ${this.name} WebSocket...`);
+    this.setConnectionState('connecting');
+
+    const ws = new WebSocket(this.getUrl());
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`✅ Connected to ${this.name} WebSocket`);
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.setConnectionState('connected');
+      this.startHeartbeat(ws);
+      this.getSubscribeMessages().forEach(message => {
+        ws.send(JSON.stringify(message));
+      });
+      this.emit('open');
+    });
+
+    ws.on('pong', () => {
+      this.awaitingPong = false;
+    });
+
+    ws.on('message', (data) => {
+      this.messagesReceived++;
+      this.lastMessageAt = Date.now();
+      if (this.connectionState === 'degraded') {
+        this.setConnectionState('connected');
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.parseErrors++;
+        console.error(`❌ Error parsing ${this.name} message:`, error);
+        return;
+      }
+
+      this.handleMessage(message);
+    });
+
+    ws.on('error', (error) => {
+      console.error(`❌ ${this.name} WebSocket error:`, error.message || error);
+      this.emit('error', error);
+    });
+
+    ws.on('close', () => {
+      console.log(`⚠️ ${this.name} WebSocket closed`);
+      this.stopHeartbeat();
+      this.setConnectionState('disconnected', this.stopped ? 'stopped' : 'connection closed');
+      this.emit('close');
+
+      if (!this.stopped) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Ping the socket and check for silence every heartbeatMs
+   * Terminating a dead socket fires 'close', which reconnects
+   * @param {WebSocket} ws
+   */
+  startHeartbeat(ws) {
+    this.stopHeartbeat();
+    this.awaitingPong = false;
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        console.warn(`⚠️ ${this.name} WebSocket missed a heartbeat; reconnecting`);
+        ws.terminate();
+        return;
+      }
+
+      const silentMs = Date.now() - this.lastMessageAt;
+      if (silentMs >= this.staleAfterMs * 2) {
+        console.warn(`⚠️ ${this.name} feed silent for ${Math.round(silentMs / 1000)}s; reconnecting`);
+        ws.terminate();
+        return;
+      }
+      if (silentMs >= this.staleAfterMs && this.connectionState === 'connected') {
+        console.warn(`⚠️ ${this.name} feed silent for ${Math.round(silentMs / 1000)}s`);
+        this.setConnectionState('degraded', `no messages for ${Math.round(silentMs / 1000)}s`);
+      }
+
+      this.awaitingPong = true;
+      ws.ping();
+    }, this.heartbeatMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Retry the connection with exponential backoff; never gives up
+   */
+  scheduleReconnect() {
+    this.reconnectAttempts++;
+    this.reconnects++;
+    const delay = this.backoffDelay(this.reconnectAttempts);
+    console.log(`🔄 Reconnecting to ${this.name} in ${(delay / 1000).toFixed(1)} seconds... (Attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Delay before a reconnect attempt, with jitter so adapters (and
+   * servers) that dropped together do not reconnect in lockstep
+   * @param {number} attempt - 1-based attempt number
+   * @returns {number} Milliseconds
+   */
+  backoffDelay(attempt) {
+    const delay = Math.min(this.reconnectDelay * 2 ** (attempt - 1), this.maxReconnectDelay);
+    return delay * (0.5 + Math.random() * 0.5);
+  }
+
+  setConnectionState(state, reason = null) {
+    this.connectionState = state;
+    this.updateStatus(reason);
+  }
+
+  /**
+   * Mark a backfill as running; the adapter reports 'backfilling' while
+   * connected with at least one running
+   */
+  startBackfill() {
+    this.backfills++;
+    this.updateStatus();
+  }
+
+  finishBackfill() {
+    this.backfills = Math.max(0, this.backfills - 1);
+    this.updateStatus();
+  }
+
+  // Emit 'status' when the reported state changes
+  updateStatus(reason = null) {
+    const state = this.connectionState === 'connected' && this.backfills > 0
+      ? 'backfilling'
+      : this.connectionState;
+
+    if (state === this.status.state && reason === this.status.reason) {
+      return;
+    }
+
+    const now = Date.now();
+    const open = OPEN_STATES.includes(state);
+    const downSince = open ? null : this.status.downSince || now;
+
+    this.status = { state, since: now, downSince, reason };
+    this.emit('status', this.getStatus());
+  }
+
+  /**
+   * Current upstream state
+   * @returns {UpstreamStatus}
+   */
+  getStatus() {
+    return {
+      exchange: this.name,
+      ...this.status,
+      lastMessageAt: this.lastMessageAt,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+
+  /**
+   * Close the upstream connection without reconnecting
+   */
+  disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,37 @@
+/**
+ * EXCHANGE ADAPTER REGISTRY
+ *
+ * Maps venue names to adapter implementations
+ * New venues only need an ExchangeAdapter subclass registered here
+ */
+
+const BinanceAdapter = require('./binanceAdapter');
+const CoinbaseAdapter = require('./coinbaseAdapter');
+const KrakenAdapter = require('./krakenAdapter');
+
+const ADAPTERS = {
+  binance: BinanceAdapter,
+  coinbase: CoinbaseAdapter,
+  kraken: KrakenAdapter
+};
+
+/**
+ * Create an adapter for the given venue
+ * @param {string} name - Venue name (binance, coinbase, kraken)
+ * @param {Object} options - Adapter options (symbols, reconnect settings)
+ * @returns {import('./exchangeAdapter')}
+ */
+function createAdapter(name, options) {
+  const Adapter = ADAPTERS[name.toLowerCase()];
+
+  if (!Adapter) {
+    throw new Error(`Unknown exchange "${name}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return new Adapter(options);
+}
+
+module.exports = {
+  ADAPTERS,
+  createAdapter
+};
@@ -0,0 +1,63 @@
+/**
+ * KRAKEN ADAPTER
+ *
+ * Subscribes to the Kraken WebSocket v2 'trade' channel
+ * Pairs use slash-separated names (e.g. 'BTC/USDT')
+ * A trade's 'side' is already the taker side
+ */
+
+const ExchangeAdapter = require('./exchangeAdapter');
+const { splitSymbol, joinSymbol } = require('./symbols');
+
+class KrakenAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('kraken', options);
+  }
+
+  getUrl() {
+    return 'wss://ws.kraken.com/v2';
+  }
+
+  getSubscribeMessages() {
+    return [{
+      method: 'subscribe',
+      params: {
+        channel: 'trade',
+        symbol: this.symbols.map(KrakenAdapter.toPair),
+        snapshot: false
+      }
+    }];
+  }
+
+  parseMessage(message) {
+    if (message.channel !== 'trade' || !Array.isArray(message.data)) {
+      return [];
+    }
+
+    return message.data.map(trade => {
+      const [base, quote] = trade.symbol.split('/');
+
+      return {
+        exchange: 'kraken',
+        symbol: joinSymbol(base, quote),
+        tradeId: String(trade.trade_id),
+        price: Number(trade.price),
+        quantity: Number(trade.qty),
+        timestamp: new Date(trade.timestamp).getTime(),
+        side: trade.side
+      };
+    });
+  }
+
+  /**
+   * Convert a canonical symbol into a Kraken pair name
+   * @param {string} symbol - Canonical symbol (e.g. 'BTCUSDT')
+   * @returns {string} Pair name (e.g. 'BTC/USDT')
+   */
+  static toPair(symbol) {
+    const { base, quote } = splitSymbol(symbol);
+    return `${base}/${quote}`;
+  }
+}
+
+module.exports = KrakenAdapter;
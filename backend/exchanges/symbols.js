@@ -0,0 +1,43 @@
+/**
+ * SYMBOL HELPERS
+ *
+ * Canonical symbols use Binance style concatenation (e.g. 'BTCUSDT')
+ * Venues that separate base and quote assets need them split apart
+ */
+
+// Longest quotes first so 'USDT' wins over 'USD'
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'USD', 'EUR', 'GBP', 'BTC', 'ETH'];
+
+/**
+ * Split a canonical symbol into base and quote assets
+ * @param {string} symbol - Canonical symbol (e.g. 'ETHUSDT')
+ * @returns {{base: string, quote: string}}
+ */
+function splitSymbol(symbol) {
+  const upper = symbol.toUpperCase();
+  const quote = QUOTE_ASSETS.find(q => upper.endsWith(q) && upper.length > q.length);
+
+  if (!quote) {
+    throw new Error(`Cannot determine quote asset for symbol ${symbol}`);
+  }
+
+  return {
+    base: upper.slice(0, -quote.length),
+    quote
+  };
+}
+
+/**
+ * Join base and quote assets back into a canonical symbol
+ * @param {string} base - Base asset (e.g. 'BTC')
+ * @param {string} quote - Quote asset (e.g. 'USDT')
+ * @returns {string}
+ */
+function joinSymbol(base, quote) {
+  return `${base}${quote}`.toUpperCase();
+}
+
+module.exports = {
+  splitSymbol,
+  joinSymbol
+};
@@ -0,0 +1,122 @@
+/**
+ * WHALE WATCHER - Fan-out Worker
+ *
+ * Serves browsers for a split deployment: the dashboard, Socket.IO and a
+ * pass-through of /api/v1, on top of a mirror of the ingestion process's
+ * state fed over the message bus (see cluster/). Holds no market
+ * connections of its own, so any number can run side by side.
+ *
+ * Forked by server.js under FANOUT_BUS=ipc, or started on its own with
+ * FANOUT_BUS=redis (`npm run fanout`, one PORT per process)
+ */
+
+const cluster = require('cluster');
+const { AggregatorRegistry } = require('prom-client');
+const createWebServer = require('./webServer');
+const setupSocketIO = require('./socket');
+const { HealthCheck, createMetrics, createMonitoringRouter } = require('./monitoring');
+const { setupStreams, withStreams } = require('./streams');
+const {
+  createBus,
+  StateMirror,
+  RemoteRuleEngine,
+  RemoteReplay,
+  RemoteAuth,
+  createApiProxy,
+  acceptConnections
+} = require('./cluster');
+const config = require('./config');
+
+if (!config.cluster.bus) {
+  console.error('❌ fanout.js needs FANOUT_BUS (ipc or redis); run server.js for a single process');
+  process.exit(1);
+}
+
+const web = createWebServer(config);
+const { app, server, io } = web;
+
+const bus = createBus(config.cluster, 'worker');
+const mirror = new StateMirror({ bus });
+
+// Set up once the first snapshot has arrived
+let socketHandlers = null;
+
+// Cluster workers share the primary's port; their metrics are summed by the
+// primary, so they are not served here
+const clustered = cluster.isWorker;
+
+const metrics = createMetrics(
+  { connectedClients: () => (socketHandlers ? socketHandlers.getConnectedClientsCount() : 0) },
+  { processMetrics: !clustered }
+);
+if (clustered) {
+  // Constructing an aggregator is what makes a worker answer the primary's
+  // metrics requests; it reports the registries set here
+  new AggregatorRegistry();
+  AggregatorRegistry.setRegistries([metrics.registry]);
+}
+
+// Exchange feeds are the ingestion process's to report; a worker is ready once synced
+const health = new HealthCheck({ upstreams: [], mirror });
+app.use(createMonitoringRouter({ health, metrics: clustered ? null : metrics }));
+
+// History, rules, replay controls, order books and accounts live with the ingestion process
+app.use('/api/v1', createApiProxy(config.cluster.ingestUrl));
+
+// A restarted ingestion process whose replay or authentication setting
+// changed needs different socket handlers
+mirror.on('reconfigured', () => {
+  console.warn('⚠️ Ingestion process configuration changed; restarting worker');
+  process.exit(1);
+});
+
+async function start() {
+  await bus.connect();
+  await mirror.sync();
+
+  const auth = mirror.authEnabled ? new RemoteAuth(bus, mirror) : null;
+  if (auth) {
+    io.use(auth.socketMiddleware());
+  }
+
+  const streams = config.streams.enabled
+    ? setupStreams(web, { detectors: mirror.detectors, metrics, auth, options: config.streams })
+    : null;
+
+  socketHandlers = withStreams(setupSocketIO(io, {
+    detectors: mirror.detectors,
+    ruleEngine: new RemoteRuleEngine(bus),
+    replay: mirror.replayStatus ? new RemoteReplay(bus, mirror) : null,
+    wallDetectors: mirror.wallDetectors,
+    upstreams: mirror.upstreams,
+    metrics,
+    fanout: config.fanout,
+    auth
+  }), streams);
+  mirror.attach(socketHandlers);
+  health.markStarted();
+
+  if (clustered) {
+    acceptConnections(server);
+    return;
+  }
+
+  server.listen(config.port, () => {
+    console.log(`🧩 Fan-out worker serving http://localhost:${config.port} (${mirror.detectors.size} symbols)`);
+  });
+}
+
+start().catch(error => {
+  console.error('❌ Failed to start fan-out worker:', error);
+  process.exit(1);
+});
+
+// Graceful shutdown (cluster workers also get the terminal's SIGINT)
+process.on('SIGINT', async () => {
+  if (socketHandlers) {
+    socketHandlers.close();
+  }
+  io.close();
+  await bus.close();
+  process.exit(0);
+});
@@ -0,0 +1,146 @@
+/**
+ * ORDER FLOW TRACKER
+ *
+ * Tracks aggressor-side flow for one symbol:
+ * - buy/sell volume and volume delta over rolling windows
+ * - cumulative volume delta (CVD) since the session started
+ * - whale buy/sell notional and whale net flow
+ * - a whale pressure score derived from the directional data
+ */
+
+const RollingWindow = require('./rollingWindow');
+
+const MINUTE_MS = 60 * 1000;
+
+const FLOW_WINDOWS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS
+};
+
+// Window the pressure indicator is computed over
+const PRESSURE_WINDOW = '5m';
+
+class FlowTracker {
+  constructor() {
+    this.windows = new Map(
+      Object.entries(FLOW_WINDOWS).map(([name, ms]) => [name, new RollingWindow(ms)])
+    );
+
+    // Cumulative volume delta (base asset), buy minus sell
+    this.cvd = 0;
+
+    // Oldest trade seen, so callers can tell how much of a window has data
+    this.firstTimestamp = null;
+  }
+
+  /**
+   * Record a processed trade
+   * Trades without a known side are ignored
+   * @param {Object} trade - Trade record with side, quantity, tradeValue, isWhale, timestamp
+   */
+  add(trade) {
+    if (trade.side !== 'buy' && trade.side !== 'sell') {
+      return;
+    }
+
+    const isBuy = trade.side === 'buy';
+    const { quantity, tradeValue } = trade;
+    const values = isBuy
+      ? { buyVolume: quantity, buyValue: tradeValue }
+      : { sellVolume: quantity, sellValue: tradeValue };
+
+    if (trade.isWhale) {
+      Object.assign(values, isBuy
+        ? { whaleBuyValue: tradeValue, whaleBuyCount: 1 }
+        : { whaleSellValue: tradeValue, whaleSellCount: 1 });
+    }
+
+    this.windows.forEach(window => window.add(trade.timestamp, values));
+    this.cvd += isBuy ? quantity : -quantity;
+
+    if (this.firstTimestamp === null || trade.timestamp < this.firstTimestamp) {
+      this.firstTimestamp = trade.timestamp;
+    }
+  }
+
+  /**
+   * Flow figures for every window plus CVD and whale pressure
+   * @param {number} [now=Date.now()]
+   * @returns {Object}
+   */
+  getFlow(now = Date.now()) {
+    const windows = {};
+
+    this.windows.forEach((window, name) => {
+      const totals = window.sum(now);
+      const get = field => Math.max(0, totals[field] || 0);
+
+      const buyVolume = get('buyVolume');
+      const sellVolume = get('sellVolume');
+      const whaleBuyValue = get('whaleBuyValue');
+      const whaleSellValue = get('whaleSellValue');
+
+      windows[name] = {
+        buyVolume,
+        sellVolume,
+        volumeDelta: buyVolume - sellVolume,
+        buyValue: get('buyValue'),
+        sellValue: get('sellValue'),
+        whaleBuyCount: Math.round(get('whaleBuyCount')),
+        whaleSellCount: Math.round(get('whaleSellCount')),
+        whaleBuyValue,
+        whaleSellValue,
+        whaleNetFlow: whaleBuyValue - whaleSellValue
+      };
+    });
+
+    return {
+      windows,
+      cvd: this.cvd,
+      pressure: FlowTracker.pressureFrom(windows[PRESSURE_WINDOW])
+    };
+  }
+
+  /**
+   * Whale pressure from one window's flow
+   * Score in [-1, 1]: whale net flow ratio weighted 70%, volume delta ratio 30%
+   * @param {Object} flow - One window from getFlow()
+   * @returns {{score: number, label: string}}
+   */
+  static pressureFrom(flow) {
+    const whaleTotal = flow.whaleBuyValue + flow.whaleSellValue;
+    const volumeTotal = flow.buyVolume + flow.sellVolume;
+
+    const whaleRatio = whaleTotal > 0 ? flow.whaleNetFlow / whaleTotal : 0;
+    const volumeRatio = volumeTotal > 0 ? flow.volumeDelta / volumeTotal : 0;
+    const score = 0.7 * whaleRatio + 0.3 * volumeRatio;
+
+    let label = 'Neutral';
+    if (score >= 0.6) label = 'Strong Buy';
+    else if (score >= 0.2) label = 'Buy';
+    else if (score <= -0.6) label = 'Strong Sell';
+    else if (score <= -0.2) label = 'Sell';
+
+    return { score: Number(score.toFixed(3)), label };
+  }
+
+  /**
+   * @returns {Object} Serializable state (CVD only; windows refill from trades)
+   */
+  getState() {
+    return { cvd: this.cvd };
+  }
+
+  /**
+   * @param {Object} state - State saved by getState()
+   */
+  setState(state) {
+    if (state && Number.isFinite(state.cvd)) {
+      this.cvd = state.cvd;
+    }
+  }
+}
+
+module.exports = FlowTracker;
+module.exports.FLOW_WINDOWS = FLOW_WINDOWS;
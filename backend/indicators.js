@@ -0,0 +1,46 @@
+/**
+ * SERVER-SIDE INDICATORS
+ *
+ * Technical indicators computed from detector candles
+ */
+
+/**
+ * Wilder's RSI over a series of closes (oldest first)
+ * Seeds with a simple average of the first `period` changes, then applies
+ * Wilder smoothing, so longer series converge on charting-platform values
+ * @param {number[]} closes - Close prices, oldest first
+ * @param {number} [period=14]
+ * @returns {number|null} RSI 0-100, or null with fewer than period + 1 closes
+ */
+function wilderRsi(closes, period = 14) {
+  if (closes.length <= period) {
+    return null;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) {
+    return avgGain === 0 ? 50 : 100;
+  }
+
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+module.exports = {
+  wilderRsi
+};
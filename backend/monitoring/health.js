@@ -0,0 +1,87 @@
+/**
+ * HEALTH CHECKS
+ *
+ * Liveness and readiness derived from the upstream feed states
+ *   live  - false once every feed has been down for unhealthyAfterMs, so an
+ *           orchestrator restarts a server that cannot get its data back
+ *   ready - the server has started and at least one feed is delivering
+ *           trades (connected or backfilling)
+ * Servers without live feeds (replays) are live and ready once started.
+ * Fan-out workers check no feeds and are not ready until their state mirror
+ * has synced with the ingestion process.
+ */
+
+// Feed states in which trades are flowing
+const DELIVERING = ['connected', 'backfilling'];
+
+// Feed states in which the socket is still open
+const UP = ['connected', 'backfilling', 'degraded'];
+
+class HealthCheck {
+  /**
+   * @param {Object} options
+   * @param {import('../exchanges/exchangeAdapter')[]} options.upstreams - Live exchange feeds
+   * @param {number} [options.unhealthyAfterMs=300000] - How long every feed may be down before liveness fails
+   * @param {import('../cluster/stateMirror')} [options.mirror] - Fan-out worker's state mirror
+   */
+  constructor({ upstreams, unhealthyAfterMs = 300000, mirror = null }) {
+    this.upstreams = upstreams;
+    this.unhealthyAfterMs = unhealthyAfterMs;
+    this.mirror = mirror;
+    this.started = false;
+    this.startedAt = Date.now();
+  }
+
+  // Called once the server listens and upstream connections are opening
+  markStarted() {
+    this.started = true;
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {{live: boolean, uptime: number, upstreams: Object[], downForMs?: number}}
+   */
+  liveness(now = Date.now()) {
+    const statuses = this.statuses();
+    const result = { live: true, uptime: Math.round((now - this.startedAt) / 1000), upstreams: statuses };
+
+    if (statuses.length === 0 || statuses.some(status => UP.includes(status.state))) {
+      return result;
+    }
+
+    // Every feed is down; measure from the last one to lose its socket, not
+    // from its latest reconnect attempt (a server that never connected
+    // counts from startup)
+    const downSince = Math.max(this.startedAt, ...statuses.map(status => status.downSince || 0));
+    result.downForMs = now - downSince;
+    result.live = result.downForMs < this.unhealthyAfterMs;
+    return result;
+  }
+
+  /**
+   * @returns {{ready: boolean, reason: string|null, upstreams: Object[]}}
+   */
+  readiness() {
+    const statuses = this.statuses();
+    let reason = null;
+
+    if (!this.started) {
+      reason = 'starting';
+    } else if (this.mirror && !this.mirror.synced) {
+      reason = 'syncing with the ingestion process';
+    } else if (statuses.length > 0 && !statuses.some(status => DELIVERING.includes(status.state))) {
+      reason = 'no exchange feed is delivering trades';
+    }
+
+    return { ready: reason === null, reason, upstreams: statuses };
+  }
+
+  statuses() {
+    return this.upstreams.map(upstream => {
+      const { exchange, state, since, downSince, reason, lastMessageAt } = upstream.getStatus();
+      return { exchange, state, since, downSince, reason, lastMessageAt };
+    });
+  }
+}
+
+module.exports = HealthCheck;
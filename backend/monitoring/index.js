@@ -0,0 +1,61 @@
+/**
+ * OPERATIONAL ENDPOINTS
+ *
+ * GET /healthz   liveness  (200 ok, 503 when every feed has been down too long)
+ * GET /readyz    readiness (200 ready, 503 while starting or without trades)
+ * GET /metrics   Prometheus text format
+ *
+ * Mounted at the root, outside /api/v1, where probes and scrapers expect them
+ * A cluster primary also reports its workers' metrics, summed; the workers
+ * themselves serve no /metrics, since a scrape would reach a random one.
+ */
+
+const express = require('express');
+const HealthCheck = require('./health');
+const createMetrics = require('./metrics');
+
+/**
+ * @param {Object} deps
+ * @param {HealthCheck} deps.health
+ * @param {Object|null} deps.metrics - From createMetrics() (null: no /metrics)
+ * @param {import('prom-client').AggregatorRegistry} [deps.workerMetrics] - Cluster workers' registries (primary only)
+ * @returns {express.Router}
+ */
+function createMonitoringRouter({ health, metrics, workerMetrics }) {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    const result = health.liveness();
+    res.status(result.live ? 200 : 503).json({ status: result.live ? 'ok' : 'unhealthy', ...result });
+  });
+
+  router.get('/readyz', (req, res) => {
+    const result = health.readiness();
+    res.status(result.ready ? 200 : 503).json({ status: result.ready ? 'ready' : 'not_ready', ...result });
+  });
+
+  if (!metrics) {
+    return router;
+  }
+
+  router.get('/metrics', async (req, res, next) => {
+    try {
+      const sections = [await metrics.registry.metrics()];
+      if (workerMetrics) {
+        sections.push(await workerMetrics.clusterMetrics());
+      }
+      res.set('Content-Type', metrics.registry.contentType);
+      res.send(sections.join('\n'));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  HealthCheck,
+  createMetrics,
+  createMonitoringRouter
+};
@@ -0,0 +1,205 @@
+/**
+ * PROMETHEUS METRICS
+ *
+ * One registry per server, scraped from GET /metrics in the Prometheus
+ * text format. Event counters are incremented where things happen; totals
+ * that already live on other objects (upstream message counts, notifier
+ * stats, connected clients) are read at scrape time.
+ * Node.js process metrics (CPU, memory, GC, event loop lag) are included.
+ */
+
+const client = require('prom-client');
+
+// Trade handling is sub-millisecond; the top buckets catch GC pauses and stalls
+const PROCESSING_BUCKETS = [0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.1];
+
+// Exchange time to local processing, including network and queueing
+const LAG_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Sockets reached by one broadcast
+const FANOUT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+const UPSTREAM_STATES = ['connecting', 'connected', 'degraded', 'backfilling', 'disconnected'];
+
+/**
+ * @param {Object} sources - Objects read at scrape time. Each group of
+ *   metrics is registered only when its source is given: a split ingestion
+ *   process serves no sockets, and a fan-out worker ingests nothing.
+ * @param {import('../exchanges/exchangeAdapter')[]} [sources.upstreams] - Live exchange feeds (ingestion metrics)
+ * @param {function(): {sent: number, retried: number, deadLettered: number}} [sources.notifications] - Notifier stats
+ * @param {function(): number} [sources.connectedClients] - Connected Socket.IO clients (fan-out metrics)
+ * @param {Object} [options]
+ * @param {boolean} [options.processMetrics=true] - Node.js process metrics; off in cluster
+ *   workers, whose registries are summed into the primary's
+ * @returns {Object} Registry plus the metrics the server updates
+ */
+function createMetrics({ upstreams, connectedClients, notifications }, { processMetrics = true } = {}) {
+  const registry = new client.Registry();
+  if (processMetrics) {
+    client.collectDefaultMetrics({ register: registry });
+  }
+
+  const metric = (Type, config) => new Type({ registers: [registry], ...config });
+
+  return {
+    registry,
+    ...(upstreams && createIngestMetrics(metric, { upstreams, notifications })),
+    ...(connectedClients && createFanoutMetrics(metric, { connectedClients }))
+  };
+}
+
+// Exchange feeds, detection and notifications
+function createIngestMetrics(metric, { upstreams, notifications }) {
+  const metrics = {
+    tradesProcessed: metric(client.Counter, {
+      name: 'whale_watcher_trades_processed_total',
+      help: 'Trades run through a whale detector',
+      labelNames: ['exchange', 'symbol']
+    }),
+
+    whalesDetected: metric(client.Counter, {
+      name: 'whale_watcher_whales_detected_total',
+      help: 'Single trades above the whale threshold',
+      labelNames: ['symbol', 'severity']
+    }),
+
+    clustersDetected: metric(client.Counter, {
+      name: 'whale_watcher_clusters_detected_total',
+      help: 'Split-order whale clusters',
+      labelNames: ['symbol']
+    }),
+
+    anomaliesDetected: metric(client.Counter, {
+      name: 'whale_watcher_anomalies_detected_total',
+      help: 'Market anomalies flagged',
+      labelNames: ['symbol', 'kind']
+    }),
+
+    processingErrors: metric(client.Counter, {
+      name: 'whale_watcher_processing_errors_total',
+      help: 'Errors while handling upstream data',
+      labelNames: ['stage']
+    }),
+
+    processingSeconds: metric(client.Histogram, {
+      name: 'whale_watcher_trade_processing_seconds',
+      help: 'Time to process and broadcast one trade',
+      buckets: PROCESSING_BUCKETS
+    }),
+
+    tradeLagSeconds: metric(client.Histogram, {
+      name: 'whale_watcher_trade_lag_seconds',
+      help: 'Delay from the exchange trade time until processing',
+      labelNames: ['exchange'],
+      buckets: LAG_BUCKETS
+    })
+  };
+
+  metric(client.Gauge, {
+    name: 'whale_watcher_upstream_state',
+    help: 'Upstream feed state (1 for the current state)',
+    labelNames: ['exchange', 'state'],
+    collect() {
+      upstreams.forEach(upstream => {
+        const { state } = upstream.getStatus();
+        UPSTREAM_STATES.forEach(name => this.set({ exchange: upstream.name, state: name }, name === state ? 1 : 0));
+      });
+    }
+  });
+
+  metric(client.Gauge, {
+    name: 'whale_watcher_upstream_last_message_age_seconds',
+    help: 'Seconds since the last upstream message',
+    labelNames: ['exchange'],
+    collect() {
+      upstreams.forEach(upstream => {
+        if (upstream.lastMessageAt) {
+          this.set({ exchange: upstream.name }, (Date.now() - upstream.lastMessageAt) / 1000);
+        }
+      });
+    }
+  });
+
+  // Counters mirrored from totals kept elsewhere
+  const mirror = (name, help, labelNames, read) => metric(client.Counter, {
+    name,
+    help,
+    labelNames,
+    collect() {
+      this.reset();
+      read().forEach(([labels, value]) => this.inc(labels, value));
+    }
+  });
+
+  mirror('whale_watcher_upstream_messages_total', 'Upstream WebSocket messages received', ['exchange'],
+    () => upstreams.map(upstream => [{ exchange: upstream.name }, upstream.messagesReceived]));
+
+  mirror('whale_watcher_upstream_parse_errors_total', 'Upstream messages that could not be parsed', ['exchange'],
+    () => upstreams.map(upstream => [{ exchange: upstream.name }, upstream.parseErrors]));
+
+  mirror('whale_watcher_upstream_reconnects_total', 'Upstream reconnect attempts', ['exchange'],
+    () => upstreams.map(upstream => [{ exchange: upstream.name }, upstream.reconnects]));
+
+  // Binance trade id sequencing (see exchanges/binanceAdapter.js)
+  mirror('whale_watcher_upstream_sequence_total', 'Duplicate trades dropped, gaps found, trades backfilled and trades missed', ['exchange', 'kind'],
+    () => upstreams
+      .filter(upstream => upstream.stats)
+      .flatMap(upstream => Object.entries(upstream.stats).map(([kind, value]) => [{ exchange: upstream.name, kind }, value])));
+
+  mirror('whale_watcher_notifications_total', 'Outbound notification deliveries by outcome', ['outcome'],
+    () => Object.entries(notifications()).map(([outcome, value]) => [{ outcome }, value]));
+
+  return metrics;
+}
+
+// Socket.IO broadcasts and the SSE/WebSocket streams
+function createFanoutMetrics(metric, { connectedClients }) {
+  metric(client.Gauge, {
+    name: 'whale_watcher_connected_clients',
+    help: 'Connected Socket.IO clients',
+    collect() {
+      this.set(connectedClients());
+    }
+  });
+
+  return {
+    broadcasts: metric(client.Counter, {
+      name: 'whale_watcher_broadcasts_total',
+      help: 'Socket.IO broadcasts sent',
+      labelNames: ['event']
+    }),
+
+    coalescedBatches: metric(client.Counter, {
+      name: 'whale_watcher_trade_batches_coalesced_total',
+      help: 'Trade batches held back from congested sockets and folded into a summary',
+      labelNames: ['tier']
+    }),
+
+    dashboardSyncs: metric(client.Counter, {
+      name: 'whale_watcher_dashboard_syncs_total',
+      help: 'Socket.IO subscriptions started from a snapshot or resumed from a sequence number',
+      labelNames: ['outcome']
+    }),
+
+    broadcastFanout: metric(client.Histogram, {
+      name: 'whale_watcher_broadcast_fanout',
+      help: 'Sockets reached by one broadcast',
+      labelNames: ['event'],
+      buckets: FANOUT_BUCKETS
+    }),
+
+    streamClients: metric(client.Gauge, {
+      name: 'whale_watcher_stream_clients',
+      help: 'Connected SSE and plain WebSocket stream clients',
+      labelNames: ['transport']
+    }),
+
+    streamSlowConsumers: metric(client.Counter, {
+      name: 'whale_watcher_stream_slow_consumers_total',
+      help: 'Stream clients dropped for falling too far behind',
+      labelNames: ['transport']
+    })
+  };
+}
+
+module.exports = createMetrics;
@@ -0,0 +1,43 @@
+/**
+ * DISCORD CHANNEL
+ *
+ * Posts to a Discord webhook as a single embed
+ */
+
+const NotificationChannel = require('./notificationChannel');
+const { postJson, requireUrl } = require('./http');
+const { describeAlert } = require('./format');
+
+class DiscordChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Filter options (see NotificationChannel) plus:
+   * @param {string} options.webhookUrl - Discord webhook URL
+   * @param {string} [options.username] - Overrides the webhook's display name
+   */
+  constructor(options = {}) {
+    super('discord', options);
+    this.webhookUrl = requireUrl(options.webhookUrl, `Discord channel "${this.name}"`);
+    this.username = options.username || null;
+  }
+
+  async send(alert) {
+    const { title, fields } = describeAlert(alert);
+    const payload = {
+      embeds: [{
+        title,
+        description: alert.message,
+        color: alert.side === 'sell' ? 0xe74c3c : 0x2ecc71,
+        fields: fields.map(([name, value]) => ({ name, value, inline: true })),
+        timestamp: new Date(alert.timestamp).toISOString()
+      }]
+    };
+
+    if (this.username) {
+      payload.username = this.username;
+    }
+
+    await postJson(this.webhookUrl, JSON.stringify(payload));
+  }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,170 @@
+/**
+ * NOTIFICATION DISPATCHER
+ *
+ * Fans alerts out to every channel whose filters accept them
+ * Each channel has its own FIFO queue so a slow or failing destination never
+ * delays the others (or trade processing). Failed deliveries are retried with
+ * exponential backoff and jitter; alerts that still fail, or that overflow a
+ * channel's queue, are written to the dead-letter log.
+ */
+
+class NotificationDispatcher {
+  /**
+   * @param {Object} options
+   * @param {import('./notificationChannel')[]} options.channels
+   * @param {Object} [options.retry]
+   * @param {number} [options.retry.attempts=5] - Total delivery attempts per alert
+   * @param {number} [options.retry.baseDelayMs=1000] - Delay before the first retry
+   * @param {number} [options.retry.maxDelayMs=60000] - Backoff cap
+   * @param {number} [options.maxQueue=100] - Pending alerts per channel before dead-lettering
+   * @param {import('../storage/segmentLog')} [options.deadLetters] - Dead-letter log (unset = log only)
+   */
+  constructor(options = {}) {
+    this.channels = options.channels || [];
+    this.attempts = (options.retry && options.retry.attempts) || 5;
+    this.baseDelayMs = (options.retry && options.retry.baseDelayMs) || 1000;
+    this.maxDelayMs = (options.retry && options.retry.maxDelayMs) || 60000;
+    this.maxQueue = options.maxQueue || 100;
+    this.deadLetters = options.deadLetters || null;
+
+    // Per channel name: { pending, tail } where tail is the last queued delivery
+    this.queues = new Map(this.channels.map(channel => [channel.name, { pending: 0, tail: Promise.resolve() }]));
+
+    // Backoff timers, cut short on close()
+    this.sleeps = new Set();
+    this.closed = false;
+
+    this.stats = { sent: 0, retried: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Queue an alert on every accepting channel
+   * @param {import('./notificationChannel').Alert} alert
+   */
+  notify(alert) {
+    if (this.closed) {
+      return;
+    }
+
+    this.channels.forEach(channel => {
+      if (channel.accepts(alert)) {
+        this.enqueue(channel, alert);
+      }
+    });
+  }
+
+  enqueue(channel, alert) {
+    const queue = this.queues.get(channel.name);
+
+    if (queue.pending >= this.maxQueue) {
+      this.deadLetter(channel, alert, 0, 'queue full');
+      return;
+    }
+
+    queue.pending++;
+    queue.tail = queue.tail
+      .then(() => this.deliver(channel, alert))
+      .finally(() => { queue.pending--; });
+  }
+
+  async deliver(channel, alert) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await channel.send(alert);
+        this.stats.sent++;
+        return;
+      } catch (error) {
+        if (!error.retryable || attempt >= this.attempts || this.closed) {
+          this.deadLetter(channel, alert, attempt, error.message);
+          return;
+        }
+
+        const delay = this.backoffDelay(attempt, error);
+        console.warn(`⚠️ Notification to ${channel.name} failed (attempt ${attempt}/${this.attempts}): ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s`);
+        this.stats.retried++;
+        await this.sleep(delay);
+
+        if (this.closed) {
+          this.deadLetter(channel, alert, attempt, 'shutdown before retry');
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: the receiver's Retry-After when given,
+   * otherwise base * 2^(attempt - 1) capped at maxDelayMs, with 50-100% jitter
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Object} error - DeliveryError
+   * @returns {number} Milliseconds
+   */
+  backoffDelay(attempt, error) {
+    if (error.retryAfterMs) {
+      return Math.min(error.retryAfterMs, this.maxDelayMs);
+    }
+
+    const delay = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return delay * (0.5 + Math.random() * 0.5);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const entry = { resolve };
+      entry.timer = setTimeout(() => {
+        this.sleeps.delete(entry);
+        resolve();
+      }, ms);
+      this.sleeps.add(entry);
+    });
+  }
+
+  deadLetter(channel, alert, attempts, reason) {
+    this.stats.deadLettered++;
+    console.error(`❌ Notification to ${channel.name} dropped after ${attempts} attempt(s): ${reason}`);
+
+    if (this.deadLetters) {
+      this.deadLetters.append({
+        timestamp: Date.now(),
+        channel: channel.name,
+        channelType: channel.type,
+        attempts,
+        error: reason,
+        alert
+      });
+    }
+  }
+
+  /**
+   * Prune dead letters past their retention
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    if (this.deadLetters) {
+      await this.deadLetters.prune();
+    }
+  }
+
+  /**
+   * Stop accepting alerts, finish in-flight sends and dead-letter pending retries
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+
+    this.sleeps.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.resolve();
+    });
+    this.sleeps.clear();
+
+    await Promise.all([...this.queues.values()].map(queue => queue.tail));
+    this.channels.forEach(channel => channel.close());
+
+    if (this.deadLetters) {
+      await this.deadLetters.close();
+    }
+  }
+}
+
+module.exports = NotificationDispatcher;
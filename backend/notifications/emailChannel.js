@@ -0,0 +1,54 @@
+/**
+ * EMAIL CHANNEL
+ *
+ * Sends a plain-text email per alert over SMTP (nodemailer)
+ */
+
+const nodemailer = require('nodemailer');
+const NotificationChannel = require('./notificationChannel');
+const { DeliveryError } = require('./http');
+const { describeAlert } = require('./format');
+
+class EmailChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Filter options (see NotificationChannel) plus:
+   * @param {Object} options.smtp - nodemailer SMTP transport options (host, port, secure, auth)
+   * @param {string} options.from - Sender address
+   * @param {string|string[]} options.to - Recipient address(es)
+   */
+  constructor(options = {}) {
+    super('email', options);
+
+    if (!options.smtp || !options.from || !options.to) {
+      throw new Error(`Email channel "${this.name}" needs smtp, from and to`);
+    }
+
+    this.from = options.from;
+    this.to = options.to;
+    this.transport = nodemailer.createTransport(options.smtp);
+  }
+
+  async send(alert) {
+    const { title, fields } = describeAlert(alert);
+
+    try {
+      await this.transport.sendMail({
+        from: this.from,
+        to: this.to,
+        subject: title,
+        text: [alert.message, '', ...fields.map(([label, value]) => `${label}: ${value}`)].join('\n')
+      });
+    } catch (error) {
+      // 5xx SMTP replies are permanent (bad recipient, rejected sender)
+      throw new DeliveryError(`SMTP error: ${error.message}`, {
+        retryable: !(error.responseCode >= 500)
+      });
+    }
+  }
+
+  close() {
+    this.transport.close();
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,94 @@
+/**
+ * ALERT FORMATTING
+ *
+ * Builds alerts from detector output and renders them into the title and
+ * label/value fields that the chat and email channels share
+ */
+
+const { splitSymbol } = require('../exchanges/symbols');
+
+function formatUsd(value) {
+  return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+/**
+ * Alert for a single whale trade
+ * @param {Object} trade - Trade record from WhaleDetector.processTrade
+ * @returns {import('./notificationChannel').Alert}
+ */
+function whaleAlert(trade) {
+  const { base } = splitSymbol(trade.symbol);
+
+  return {
+    type: 'whale',
+    symbol: trade.symbol,
+    exchange: trade.exchange,
+    side: trade.side,
+    severity: trade.severity,
+    value: trade.tradeValue,
+    quantity: trade.quantity,
+    price: trade.price,
+    timestamp: trade.timestamp,
+    message: `🐋 WHALE ${trade.side === 'sell' ? 'SELL' : 'BUY'} on ${trade.exchange}: ${trade.quantity.toFixed(4)} ${base} at $${trade.price.toFixed(2)}`
+  };
+}
+
+/**
+ * Alert for a split-order cluster
+ * @param {Object} cluster - Cluster from WhaleDetector.drainClusters
+ * @returns {import('./notificationChannel').Alert}
+ */
+function clusterAlert(cluster) {
+  const { base } = splitSymbol(cluster.symbol);
+
+  return {
+    type: 'cluster',
+    symbol: cluster.symbol,
+    exchange: cluster.exchange,
+    side: cluster.side,
+    severity: cluster.severity,
+    value: cluster.totalValue,
+    quantity: cluster.quantity,
+    price: cluster.vwap,
+    fills: cluster.fills,
+    timestamp: cluster.timestamp,
+    message: `🧩 WHALE CLUSTER ${cluster.side === 'sell' ? 'SELL' : 'BUY'} on ${cluster.exchange}: ${cluster.quantity.toFixed(4)} ${base} in ${cluster.fills} fills, VWAP $${cluster.vwap.toFixed(2)}`
+  };
+}
+
+/**
+ * Title and ordered [label, value] pairs for an alert
+ * @param {import('./notificationChannel').Alert} alert
+ * @returns {{ title: string, fields: Array<[string, string]> }}
+ */
+function describeAlert(alert) {
+  const { base } = splitSymbol(alert.symbol);
+  const side = alert.side === 'sell' ? 'SELL' : 'BUY';
+  const kind = alert.type === 'cluster' ? 'Whale cluster' : 'Whale';
+  const severity = alert.severity ? ` [${alert.severity.toUpperCase()}]` : '';
+
+  const fields = [
+    ['Exchange', alert.exchange],
+    ['Side', side],
+    ['Value', formatUsd(alert.value)],
+    ['Quantity', `${alert.quantity.toFixed(4)} ${base}`],
+    [alert.type === 'cluster' ? 'VWAP' : 'Price', `$${alert.price.toFixed(2)}`]
+  ];
+
+  if (alert.type === 'cluster') {
+    fields.push(['Fills', String(alert.fills)]);
+  }
+
+  fields.push(['Time', new Date(alert.timestamp).toISOString()]);
+
+  return {
+    title: `${alert.type === 'cluster' ? '🧩' : '🐋'} ${kind} ${side} ${alert.symbol}${severity}: ${formatUsd(alert.value)}`,
+    fields
+  };
+}
+
+module.exports = {
+  whaleAlert,
+  clusterAlert,
+  describeAlert
+};
@@ -0,0 +1,98 @@
+/**
+ * NOTIFICATION HTTP HELPERS
+ *
+ * JSON POST with a timeout, plus the error type the dispatcher uses to
+ * decide whether a failed delivery is worth retrying
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class DeliveryError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable=true] - False for failures a retry cannot fix (bad URL, 4xx)
+   * @param {number} [options.retryAfterMs] - Delay requested by the receiver (HTTP 429 Retry-After)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = options.retryable !== false;
+    this.retryAfterMs = options.retryAfterMs || null;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Validate a destination URL up front so bad config fails at startup
+ * @param {string} url
+ * @param {string} label - Used in the error message
+ * @returns {string} The URL
+ */
+function requireUrl(url, label) {
+  try {
+    new URL(url);
+  } catch (error) {
+    throw new Error(`${label}: invalid URL ${JSON.stringify(url)}`);
+  }
+  return url;
+}
+
+/**
+ * POST a JSON body
+ * 5xx, 408, 429 and network errors are retryable; other 4xx are not
+ * @param {string} url
+ * @param {string} body - Serialized JSON
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.headers] - Extra request headers
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<void>}
+ */
+async function postJson(url, body, options = {}) {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      body,
+      signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS)
+    });
+  } catch (error) {
+    // Network errors and timeouts; undici puts the socket error in `cause`
+    throw new DeliveryError(`Request failed: ${error.cause ? error.cause.message : error.message}`);
+  }
+
+  // Drain the body so the connection can be reused
+  const text = await response.text().catch(() => '');
+
+  if (response.ok) {
+    return;
+  }
+
+  const status = response.status;
+  throw new DeliveryError(`HTTP ${status}${text ? `: ${text.slice(0, 200)}` : ''}`, {
+    retryable: status >= 500 || status === 408 || status === 429,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+module.exports = {
+  DeliveryError,
+  postJson,
+  requireUrl
+};
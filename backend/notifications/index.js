@@ -0,0 +1,79 @@
+/**
+ * NOTIFICATION CHANNEL REGISTRY
+ *
+ * Maps channel types to implementations and builds the dispatcher from config
+ * New destinations only need a NotificationChannel subclass registered here
+ */
+
+const WebhookChannel = require('./webhookChannel');
+const SlackChannel = require('./slackChannel');
+const DiscordChannel = require('./discordChannel');
+const EmailChannel = require('./emailChannel');
+const NotificationDispatcher = require('./dispatcher');
+const SegmentLog = require('../storage/segmentLog');
+const { whaleAlert, clusterAlert } = require('./format');
+
+const CHANNELS = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  discord: DiscordChannel,
+  email: EmailChannel
+};
+
+/**
+ * Create a channel from its config entry
+ * @param {Object} spec - Channel config; `type` selects the implementation
+ * @returns {import('./notificationChannel')}
+ */
+function createChannel(spec) {
+  const Channel = CHANNELS[String(spec.type).toLowerCase()];
+
+  if (!Channel) {
+    throw new Error(`Unknown notification channel "${spec.type}". Available: ${Object.keys(CHANNELS).join(', ')}`);
+  }
+
+  return new Channel(spec);
+}
+
+/**
+ * Build the dispatcher described by config.notifications
+ * @param {Object} config
+ * @param {Object[]} config.channels - Channel specs
+ * @param {Object} [config.retry] - Retry settings (see NotificationDispatcher)
+ * @param {number} [config.maxQueue]
+ * @param {string} [config.deadLetterDir] - Where undeliverable alerts are kept
+ * @param {number} [config.deadLetterRetentionHours]
+ * @returns {NotificationDispatcher}
+ */
+function createNotifier(config) {
+  const channels = config.channels.map(createChannel);
+
+  // Channel names key the queues, so duplicates get a numeric suffix
+  const seen = new Map();
+  channels.forEach(channel => {
+    const count = (seen.get(channel.name) || 0) + 1;
+    seen.set(channel.name, count);
+    if (count > 1) {
+      channel.name = `${channel.name}-${count}`;
+    }
+  });
+
+  const deadLetters = channels.length > 0 && config.deadLetterDir
+    ? new SegmentLog(config.deadLetterDir, { retentionHours: config.deadLetterRetentionHours })
+    : null;
+
+  return new NotificationDispatcher({
+    channels,
+    retry: config.retry,
+    maxQueue: config.maxQueue,
+    deadLetters
+  });
+}
+
+module.exports = {
+  CHANNELS,
+  createChannel,
+  createNotifier,
+  whaleAlert,
+  clusterAlert
+};
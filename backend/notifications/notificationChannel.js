@@ -0,0 +1,79 @@
+/**
+ * NOTIFICATION CHANNEL BASE CLASS
+ *
+ * A channel delivers alerts to one outbound destination (webhook, chat, email)
+ * The base class owns the per-channel filters; subclasses implement send()
+ */
+
+/**
+ * Alert shape handed to every channel
+ * @typedef {Object} Alert
+ * @property {('whale'|'cluster')} type - Single whale trade or split-order cluster
+ * @property {string} symbol - Canonical symbol (e.g. 'BTCUSDT')
+ * @property {string} exchange - Venue name
+ * @property {('buy'|'sell')} side - Aggressor side
+ * @property {string|null} severity - Severity tier name (e.g. 'high', 'critical')
+ * @property {number} value - Trade or cluster value in quote currency
+ * @property {number} quantity - Quantity in base currency
+ * @property {number} price - Trade price (cluster VWAP for clusters)
+ * @property {number} [fills] - Number of fills (clusters only)
+ * @property {number} timestamp - Epoch milliseconds
+ * @property {string} message - Human-readable one-line summary
+ */
+
+class NotificationChannel {
+  /**
+   * @param {string} type - Channel type (webhook, slack, discord, email)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Label used in logs and the dead-letter log (defaults to type)
+   * @param {number} [options.minValue=0] - Skip alerts worth less than this (USD)
+   * @param {string[]} [options.severities] - Only deliver these severity tiers (unset = all)
+   * @param {string[]} [options.events] - Alert types to deliver (default ['whale', 'cluster'])
+   * @param {string[]} [options.symbols] - Only deliver alerts for these symbols (unset = all)
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || type;
+    this.minValue = options.minValue || 0;
+    this.severities = options.severities || null;
+    this.events = options.events || ['whale', 'cluster'];
+    this.symbols = options.symbols ? options.symbols.map(symbol => symbol.toUpperCase()) : null;
+  }
+
+  /**
+   * Whether this channel wants the alert
+   * @param {Alert} alert
+   * @returns {boolean}
+   */
+  accepts(alert) {
+    if (!this.events.includes(alert.type)) {
+      return false;
+    }
+    if (alert.value < this.minValue) {
+      return false;
+    }
+    if (this.severities && !this.severities.includes(alert.severity)) {
+      return false;
+    }
+    if (this.symbols && !this.symbols.includes(alert.symbol)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Deliver one alert; rejects with a DeliveryError on failure
+   * @param {Alert} alert
+   * @returns {Promise<void>}
+   */
+  async send(alert) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Release connections held by the channel
+   */
+  close() {}
+}
+
+module.exports = NotificationChannel;
@@ -0,0 +1,35 @@
+/**
+ * SLACK CHANNEL
+ *
+ * Posts to a Slack incoming webhook
+ * The alert is rendered as a colored attachment with one field per detail
+ */
+
+const NotificationChannel = require('./notificationChannel');
+const { postJson, requireUrl } = require('./http');
+const { describeAlert } = require('./format');
+
+class SlackChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Filter options (see NotificationChannel) plus:
+   * @param {string} options.webhookUrl - Incoming webhook URL
+   */
+  constructor(options = {}) {
+    super('slack', options);
+    this.webhookUrl = requireUrl(options.webhookUrl, `Slack channel "${this.name}"`);
+  }
+
+  async send(alert) {
+    const { title, fields } = describeAlert(alert);
+
+    await postJson(this.webhookUrl, JSON.stringify({
+      text: title,
+      attachments: [{
+        color: alert.side === 'sell' ? '#e74c3c' : '#2ecc71',
+        fields: fields.map(([label, value]) => ({ title: label, value, short: true }))
+      }]
+    }));
+  }
+}
+
+module.exports = SlackChannel;
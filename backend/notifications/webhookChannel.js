@@ -0,0 +1,54 @@
+/**
+ * WEBHOOK CHANNEL
+ *
+ * POSTs the alert as JSON to any HTTP endpoint
+ * With a secret configured every request is signed:
+ *   X-Whale-Timestamp: <epoch ms>
+ *   X-Whale-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Receivers should recompute the HMAC and reject stale timestamps
+ */
+
+const crypto = require('crypto');
+const NotificationChannel = require('./notificationChannel');
+const { postJson, requireUrl } = require('./http');
+
+class WebhookChannel extends NotificationChannel {
+  /**
+   * @param {Object} options - Filter options (see NotificationChannel) plus:
+   * @param {string} options.url - Endpoint to POST to
+   * @param {string} [options.secret] - HMAC signing secret
+   * @param {Object<string, string>} [options.headers] - Extra request headers
+   */
+  constructor(options = {}) {
+    super('webhook', options);
+    this.url = requireUrl(options.url, `Webhook channel "${this.name}"`);
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+  }
+
+  async send(alert) {
+    const body = JSON.stringify(alert);
+    const headers = { ...this.headers };
+
+    if (this.secret) {
+      const timestamp = String(Date.now());
+      headers['X-Whale-Timestamp'] = timestamp;
+      headers['X-Whale-Signature'] = `sha256=${WebhookChannel.sign(this.secret, timestamp, body)}`;
+    }
+
+    await postJson(this.url, body, { headers });
+  }
+
+  /**
+   * HMAC-SHA256 signature for a request body
+   * @param {string} secret - Shared secret
+   * @param {string} timestamp - Value of the X-Whale-Timestamp header
+   * @param {string} body - Raw request body
+   * @returns {string} Hex digest
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+}
+
+module.exports = WebhookChannel;
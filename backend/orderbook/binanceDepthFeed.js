@@ -0,0 +1,174 @@
+/**
+ * BINANCE DEPTH FEED
+ *
+ * Keeps a local order book per symbol from the <symbol>@depth@100ms diff
+ * streams, following Binance's sync procedure:
+ *   1. buffer diffs while a REST depth snapshot is fetched
+ *   2. drop buffered diffs the snapshot already covers (u <= lastUpdateId)
+ *   3. apply the rest; each must start right after the previous one
+ * A gap in update ids (or a reconnect) rebuilds the book from a new snapshot.
+ * Diff fields: s (symbol), U/u (first/last update id), b/a (bid/ask levels), E (event time)
+ */
+
+const ExchangeAdapter = require('../exchanges/exchangeAdapter');
+const OrderBook = require('./orderBook');
+
+const SNAPSHOT_TIMEOUT_MS = 10000;
+
+class BinanceDepthFeed extends ExchangeAdapter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.symbols - Canonical symbols to track
+   * @param {number} [options.depthLimit=1000] - Levels per side in the REST snapshot
+   * @param {string} [options.restUrl='https://api.binance.com'] - REST base URL for snapshots
+   * @param {number} [options.snapshotRetryMs=5000] - Delay before retrying a failed snapshot
+   */
+  constructor(options = {}) {
+    super('binance depth', options);
+    this.depthLimit = options.depthLimit || 1000;
+    this.restUrl = options.restUrl || 'https://api.binance.com';
+    this.snapshotRetryMs = options.snapshotRetryMs || 5000;
+
+    // Synced books keyed by symbol
+    this.books = new Map();
+
+    // Diffs buffered per symbol while its snapshot is in flight
+    this.pending = new Map();
+
+    // Pending retry delays, cut short by disconnect()
+    this.retryWaits = new Map();
+
+    // Diffs missed while disconnected cannot be recovered
+    this.on('open', () => this.symbols.forEach(symbol => this.resync(symbol)));
+  }
+
+  getUrl() {
+    const streams = this.symbols
+      .map(symbol => `${symbol.toLowerCase()}@depth@100ms`)
+      .join('/');
+    return `wss://stream.binance.com:9443/stream?streams=${streams}`;
+  }
+
+  handleMessage(message) {
+    // Combined streams wrap each payload as { stream, data }
+    const event = message.data || message;
+
+    if (event.e !== 'depthUpdate') {
+      return;
+    }
+
+    const diff = {
+      firstUpdateId: event.U,
+      lastUpdateId: event.u,
+      bids: event.b,
+      asks: event.a,
+      timestamp: event.E
+    };
+
+    const buffer = this.pending.get(event.s);
+    if (buffer) {
+      buffer.push(diff);
+      return;
+    }
+
+    const book = this.books.get(event.s);
+    if (book) {
+      this.apply(book, diff);
+    }
+  }
+
+  apply(book, diff) {
+    if (book.applyDiff(diff) !== 'gap') {
+      return true;
+    }
+
+    console.warn(`⚠️ ${this.name} missed updates for ${book.symbol} (have ${book.lastUpdateId}, got ${diff.firstUpdateId}); resyncing`);
+    this.resync(book.symbol);
+    return false;
+  }
+
+  /**
+   * Rebuild a symbol's book from a REST snapshot plus buffered diffs
+   * The book is unavailable (getBook returns null) until this completes
+   * @param {string} symbol
+   */
+  async resync(symbol) {
+    if (this.pending.has(symbol)) {
+      return;
+    }
+
+    this.books.delete(symbol);
+    this.pending.set(symbol, []);
+
+    while (!this.stopped) {
+      try {
+        const snapshot = await this.fetchSnapshot(symbol);
+        if (this.stopped) {
+          break;
+        }
+
+        const book = new OrderBook(symbol);
+        book.applySnapshot(snapshot);
+
+        const buffered = this.pending.get(symbol);
+        this.pending.delete(symbol);
+        this.books.set(symbol, book);
+
+        for (const diff of buffered) {
+          if (!this.apply(book, diff)) {
+            return;
+          }
+        }
+
+        console.log(`📚 ${symbol} order book synced at update ${book.lastUpdateId}`);
+        return;
+      } catch (error) {
+        console.error(`❌ Error fetching ${symbol} depth snapshot (retrying in ${this.snapshotRetryMs / 1000}s):`, error.message);
+        await this.wait(this.snapshotRetryMs);
+      }
+    }
+
+    this.pending.delete(symbol);
+  }
+
+  async fetchSnapshot(symbol) {
+    const url = `${this.restUrl}/api/v3/depth?symbol=${encodeURIComponent(symbol)}&limit=${this.depthLimit}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(SNAPSHOT_TIMEOUT_MS) });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+
+    return response.json();
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.retryWaits.delete(timer);
+        resolve();
+      }, ms);
+      this.retryWaits.set(timer, resolve);
+    });
+  }
+
+  /**
+   * Synced order book for a symbol
+   * @param {string} symbol
+   * @returns {OrderBook|null} Null while the book is (re)syncing
+   */
+  getBook(symbol) {
+    return this.books.get(symbol) || null;
+  }
+
+  disconnect() {
+    super.disconnect();
+    this.retryWaits.forEach((resolve, timer) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this.retryWaits.clear();
+  }
+}
+
+module.exports = BinanceDepthFeed;
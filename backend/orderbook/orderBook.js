@@ -0,0 +1,146 @@
+/**
+ * ORDER BOOK
+ *
+ * Local copy of one symbol's order book, built from a REST snapshot and
+ * kept current with diff updates. Each diff carries the range of update
+ * ids it covers [firstUpdateId, lastUpdateId]; a diff that does not start
+ * right after the book's last applied id means updates were missed and the
+ * book must be rebuilt from a new snapshot.
+ */
+
+class OrderBook {
+  /**
+   * @param {string} symbol - Canonical symbol
+   * @param {Object} [options]
+   * @param {number} [options.maxLevels=5000] - Levels kept per side; the farthest from the top are trimmed
+   */
+  constructor(symbol, options = {}) {
+    this.symbol = symbol;
+    this.maxLevels = options.maxLevels || 5000;
+
+    // price → quantity
+    this.bids = new Map();
+    this.asks = new Map();
+
+    this.lastUpdateId = null;
+    this.updatedAt = null;
+  }
+
+  /**
+   * Replace the book with a REST snapshot
+   * @param {Object} snapshot
+   * @param {number} snapshot.lastUpdateId
+   * @param {Array<[string, string]>} snapshot.bids - [price, quantity] pairs
+   * @param {Array<[string, string]>} snapshot.asks
+   * @param {number} [timestamp=Date.now()]
+   */
+  applySnapshot(snapshot, timestamp = Date.now()) {
+    this.bids.clear();
+    this.asks.clear();
+    OrderBook.applyLevels(this.bids, snapshot.bids);
+    OrderBook.applyLevels(this.asks, snapshot.asks);
+    this.lastUpdateId = snapshot.lastUpdateId;
+    this.updatedAt = timestamp;
+  }
+
+  /**
+   * Apply a diff update
+   * @param {Object} diff
+   * @param {number} diff.firstUpdateId
+   * @param {number} diff.lastUpdateId
+   * @param {Array<[string, string]>} diff.bids - Quantity '0' removes the level
+   * @param {Array<[string, string]>} diff.asks
+   * @param {number} diff.timestamp - Event time (epoch ms)
+   * @returns {('applied'|'stale'|'gap')} 'stale' diffs are already covered by
+   *   the book; on 'gap' nothing is applied and the book needs a new snapshot
+   */
+  applyDiff(diff) {
+    if (diff.lastUpdateId <= this.lastUpdateId) {
+      return 'stale';
+    }
+    if (diff.firstUpdateId > this.lastUpdateId + 1) {
+      return 'gap';
+    }
+
+    OrderBook.applyLevels(this.bids, diff.bids);
+    OrderBook.applyLevels(this.asks, diff.asks);
+    this.lastUpdateId = diff.lastUpdateId;
+    this.updatedAt = diff.timestamp;
+
+    if (this.bids.size > this.maxLevels) {
+      this.trim(this.bids, 'bid');
+    }
+    if (this.asks.size > this.maxLevels) {
+      this.trim(this.asks, 'ask');
+    }
+
+    return 'applied';
+  }
+
+  // Levels far from the top are outside every snapshot and drift out of date
+  trim(levels, side) {
+    const prices = Array.from(levels.keys()).sort((a, b) => (side === 'bid' ? b - a : a - b));
+    prices.slice(this.maxLevels).forEach(price => levels.delete(price));
+  }
+
+  bestBid() {
+    let best = null;
+    this.bids.forEach((quantity, price) => {
+      if (best === null || price > best) {
+        best = price;
+      }
+    });
+    return best;
+  }
+
+  bestAsk() {
+    let best = null;
+    this.asks.forEach((quantity, price) => {
+      if (best === null || price < best) {
+        best = price;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Best bid/ask spread in basis points of the mid price
+   * @returns {number|null} Null while either side is empty
+   */
+  spreadBps() {
+    const bestBid = this.bestBid();
+    const bestAsk = this.bestAsk();
+    if (bestBid === null || bestAsk === null) {
+      return null;
+    }
+    return ((bestAsk - bestBid) / ((bestAsk + bestBid) / 2)) * 10000;
+  }
+
+  /**
+   * Top levels of each side, best first
+   * @param {number} [depth=20]
+   * @returns {{bids: Array<[number, number]>, asks: Array<[number, number]>}}
+   */
+  getLevels(depth = 20) {
+    const top = (levels, compare) => Array.from(levels.entries()).sort(compare).slice(0, depth);
+
+    return {
+      bids: top(this.bids, (a, b) => b[0] - a[0]),
+      asks: top(this.asks, (a, b) => a[0] - b[0])
+    };
+  }
+
+  static applyLevels(levels, updates) {
+    updates.forEach(([price, quantity]) => {
+      const p = parseFloat(price);
+      const q = parseFloat(quantity);
+      if (q === 0) {
+        levels.delete(p);
+      } else {
+        levels.set(p, q);
+      }
+    });
+  }
+}
+
+module.exports = OrderBook;
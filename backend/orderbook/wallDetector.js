@@ -0,0 +1,210 @@
+/**
+ * WALL DETECTOR
+ *
+ * Finds large resting orders ("walls") near the top of one symbol's book
+ * and reports their lifecycle:
+ *   appeared - a level has stayed large for confirmMs
+ *   eaten    - it went away mostly through fills (or price traded through it)
+ *   pulled   - it went away without trading, i.e. the orders were cancelled
+ * A level counts as a wall when it sits within bandBps of the mid price and
+ * its notional clears both minWallUsd and wallMultiple x the median level
+ * notional in the band.
+ */
+
+// A wall stays a wall until it drops below this share of the threshold,
+// so levels hovering around the threshold do not flap
+const KEEP_RATIO = 0.75;
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class WallDetector {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.symbol] - Canonical symbol (copied onto events)
+   * @param {string} [options.exchange='binance'] - Venue whose book and trades are watched
+   * @param {number} [options.bandBps=200] - Distance from mid (basis points) to look for walls
+   * @param {number} [options.minWallUsd=1000000] - Smallest wall notional in USD
+   * @param {number} [options.wallMultiple=20] - Wall notional relative to the median level in the band
+   * @param {number} [options.confirmMs=2000] - How long a level must stay large before it is announced
+   * @param {number} [options.eatenRatio=0.5] - Share of a wall's quantity that must trade for it to count as eaten
+   */
+  constructor(options = {}) {
+    this.symbol = options.symbol;
+    this.exchange = options.exchange || 'binance';
+    this.bandBps = options.bandBps || 200;
+    this.minWallUsd = options.minWallUsd || 1000000;
+    this.wallMultiple = options.wallMultiple || 20;
+    this.confirmMs = options.confirmMs !== undefined ? options.confirmMs : 2000;
+    this.eatenRatio = options.eatenRatio || 0.5;
+
+    // Tracked levels keyed by '<side>:<price>'
+    this.walls = new Map();
+
+    // Book the walls were read from; a resync replaces it
+    this.book = null;
+  }
+
+  /**
+   * Count fills against tracked walls
+   * A buy at or above an ask wall (or a sell at or below a bid wall) hits it
+   * @param {import('../exchanges/exchangeAdapter').NormalizedTrade} trade
+   */
+  recordTrade(trade) {
+    if (trade.exchange !== this.exchange) {
+      return;
+    }
+
+    this.walls.forEach(wall => {
+      const hit = wall.side === 'ask'
+        ? trade.side === 'buy' && trade.price >= wall.price
+        : trade.side === 'sell' && trade.price <= wall.price;
+
+      if (!hit) {
+        return;
+      }
+
+      wall.filled += trade.quantity;
+      if (trade.price !== wall.price) {
+        wall.tradedThrough = true;
+      }
+    });
+  }
+
+  /**
+   * Compare the book against tracked walls
+   * @param {import('./orderBook')|null} book - Synced book, or null while syncing
+   * @param {number} now - Epoch milliseconds
+   * @returns {Object[]} Wall events (appeared, pulled, eaten)
+   */
+  evaluate(book, now) {
+    if (!book) {
+      return [];
+    }
+
+    const bestBid = book.bestBid();
+    const bestAsk = book.bestAsk();
+    if (bestBid === null || bestAsk === null) {
+      return [];
+    }
+
+    // Diffs were missed before a resync, so vanished walls cannot be judged
+    const resynced = this.book !== null && this.book !== book;
+    this.book = book;
+
+    const mid = (bestBid + bestAsk) / 2;
+    const band = mid * this.bandBps / 10000;
+    const inBand = [];
+
+    book.bids.forEach((quantity, price) => {
+      if (price >= mid - band) {
+        inBand.push({ side: 'bid', price, quantity });
+      }
+    });
+    book.asks.forEach((quantity, price) => {
+      if (price <= mid + band) {
+        inBand.push({ side: 'ask', price, quantity });
+      }
+    });
+
+    const threshold = Math.max(
+      this.minWallUsd,
+      this.wallMultiple * median(inBand.map(level => level.price * level.quantity))
+    );
+
+    const events = [];
+    const seen = new Set();
+
+    inBand.forEach(({ side, price, quantity }) => {
+      const key = `${side}:${price}`;
+      const wall = this.walls.get(key);
+      const notional = price * quantity;
+
+      if (notional < (wall ? threshold * KEEP_RATIO : threshold)) {
+        return;
+      }
+
+      seen.add(key);
+
+      if (!wall) {
+        this.walls.set(key, { side, price, quantity, firstSeen: now, confirmed: false, filled: 0, tradedThrough: false });
+        return;
+      }
+
+      wall.quantity = quantity;
+      if (!wall.confirmed && now - wall.firstSeen >= this.confirmMs) {
+        wall.confirmed = true;
+        events.push(this.toEvent(wall, 'appeared', now));
+      }
+    });
+
+    this.walls.forEach((wall, key) => {
+      if (seen.has(key)) {
+        return;
+      }
+      this.walls.delete(key);
+
+      const levels = wall.side === 'bid' ? book.bids : book.asks;
+      const remaining = levels.get(wall.price) || 0;
+
+      const removed = wall.quantity - remaining;
+
+      // Unannounced candidates, resyncs, walls the price moved away from and
+      // walls outgrown by a rising threshold go quietly
+      if (!wall.confirmed || resynced || remaining * wall.price >= threshold * KEEP_RATIO ||
+          removed < wall.quantity / 2) {
+        return;
+      }
+
+      const eaten = wall.tradedThrough || wall.filled >= removed * this.eatenRatio;
+      events.push(this.toEvent(wall, eaten ? 'eaten' : 'pulled', now));
+    });
+
+    return events;
+  }
+
+  toEvent(wall, event, now) {
+    return {
+      symbol: this.symbol,
+      exchange: this.exchange,
+      side: wall.side,
+      price: wall.price,
+      quantity: wall.quantity,
+      notional: wall.price * wall.quantity,
+      event,
+      timestamp: now,
+      lifetimeMs: now - wall.firstSeen
+    };
+  }
+
+  /**
+   * Announced walls, nearest to the mid price first
+   * @returns {Object[]} Walls with side, price, quantity, notional, since
+   */
+  getWalls() {
+    const walls = [];
+    this.walls.forEach(wall => {
+      if (wall.confirmed) {
+        walls.push({
+          side: wall.side,
+          price: wall.price,
+          quantity: wall.quantity,
+          notional: wall.price * wall.quantity,
+          since: wall.firstSeen
+        });
+      }
+    });
+
+    return walls.sort((a, b) => (a.side === b.side
+      ? (a.side === 'bid' ? b.price - a.price : a.price - b.price)
+      : (a.side === 'bid' ? -1 : 1)));
+  }
+}
+
+module.exports = WallDetector;
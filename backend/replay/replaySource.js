@@ -0,0 +1,491 @@
+/**
+ * REPLAY SOURCE
+ *
+ * Plays a recorded trade file through the same pipeline as the live
+ * exchange adapters: emits 'trade' events in file order, plus 'open',
+ * 'reset', 'tick', 'status', 'end' and 'error'.
+ *
+ * The source is also the pipeline's clock. Replay time is the timestamp of
+ * the last trade or tick emitted and never follows the wall clock, so detectors,
+ * rules and the API see recorded time. Flushes are driven by 'tick' events every
+ * 500ms of replay time instead of a wall-clock interval, so candles, clusters and
+ * rule triggers come out identical at any speed.
+ *
+ * Speed is a multiple of real time (1, 10, ...) or 'max' (no pacing).
+ * 'reset' is emitted before every playthrough (start, loop, seeking backwards);
+ * listeners must drop all state built from earlier trades.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const TradeFileReader = require('./tradeFileReader');
+
+const TICK_MS = 500;
+
+// Keep ticking this long after a trade so clusters settle and candles close
+const SETTLE_MS = 2000;
+
+// Events emitted between event-loop yields when running unpaced
+const YIELD_EVERY = 500;
+
+class ReplayError extends Error {
+  /**
+   * @param {string} code - INVALID_CONTROL or REPLAY_NOT_READY
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ReplayError';
+    this.code = code;
+  }
+}
+
+/**
+ * Parse a speed: 1, '10', '10x' or 'max'
+ * @param {number|string} value
+ * @returns {number} Multiple of real time (Infinity for 'max')
+ */
+function parseSpeed(value) {
+  if (value === 'max' || value === Infinity) {
+    return Infinity;
+  }
+
+  const speed = typeof value === 'string' ? Number(value.replace(/x$/i, '')) : Number(value);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new ReplayError('INVALID_CONTROL', '"speed" must be a positive number or "max"');
+  }
+
+  return speed;
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+class ReplaySource extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Recorded trades (.jsonl or .csv, see tradeFileReader.js)
+   * @param {number|string} [options.speed=1] - 1, 10, ... or 'max'
+   * @param {boolean} [options.loop=false] - Start over at the end of the file
+   * @param {boolean} [options.autoplay=true] - Start playing once loaded
+   * @param {string} [options.symbol] - Symbol for files that do not carry one
+   * @param {string} [options.exchange] - Venue for records that do not carry one
+   */
+  constructor(options) {
+    super();
+    this.name = 'replay';
+    this.file = options.file;
+    this.readerOptions = { symbol: options.symbol, exchange: options.exchange };
+    this.speed = parseSpeed(options.speed || 1);
+    this.loop = options.loop === true;
+    this.autoplay = options.autoplay !== false;
+
+    // idle → playing ⇄ paused → ended; 'seeking' while fast-forwarding
+    this.state = 'idle';
+
+    // File summary from scan(): startTime, endTime, tradeCount, symbols, skipped
+    this.range = null;
+
+    this.reader = null;
+    this.iterator = null;
+    this.pending = null;
+    this.exhausted = false;
+
+    this.currentTime = null;
+    this.nextTickAt = null;
+    this.lastTradeTime = null;
+    this.tradesEmitted = 0;
+
+    // Cuts the current pacing wait short (pause, speed change, seek)
+    this.wake = null;
+
+    // Running playback loop, and the queue that serializes control commands
+    this.pumping = null;
+    this.controls = Promise.resolve();
+  }
+
+  /**
+   * Current replay time (the clock interface)
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    if (this.currentTime !== null) {
+      return this.currentTime;
+    }
+    return this.range ? this.range.startTime : Date.now();
+  }
+
+  /**
+   * Load the file and start playback (adapter interface)
+   */
+  async connect() {
+    try {
+      console.log(`📼 Loading replay file ${this.file}...`);
+      await this.scan();
+
+      const { tradeCount, startTime, endTime, skipped } = this.range;
+      console.log(`✅ Replay loaded: ${tradeCount} trades from ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()}${skipped ? ` (${skipped} lines skipped)` : ''}`);
+
+      this.rewind();
+      this.emit('open');
+
+      if (this.autoplay) {
+        this.play();
+      } else {
+        this.state = 'paused';
+        this.emitStatus();
+      }
+    } catch (error) {
+      console.error('❌ Replay failed:', error.message);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Stop playback (adapter interface)
+   */
+  disconnect() {
+    this.state = 'idle';
+    this.interrupt();
+    if (this.reader) {
+      this.reader.close();
+    }
+  }
+
+  // One pass over the file for its time range and symbols
+  async scan() {
+    const reader = new TradeFileReader(this.file, this.readerOptions);
+    const symbols = new Set();
+    let tradeCount = 0;
+    let startTime = Infinity;
+    let endTime = -Infinity;
+
+    for await (const trade of reader.trades()) {
+      tradeCount++;
+      symbols.add(trade.symbol);
+      startTime = Math.min(startTime, trade.timestamp);
+      endTime = Math.max(endTime, trade.timestamp);
+    }
+
+    if (tradeCount === 0) {
+      throw new Error(`No trades found in ${this.file}`);
+    }
+
+    this.range = { startTime, endTime, tradeCount, symbols: Array.from(symbols), skipped: reader.skipped };
+  }
+
+  // Reopen the file at the first trade
+  rewind() {
+    if (this.reader) {
+      this.reader.close();
+    }
+
+    this.reader = new TradeFileReader(this.file, this.readerOptions);
+    this.iterator = this.reader.trades();
+    this.pending = null;
+    this.exhausted = false;
+    this.currentTime = null;
+    this.nextTickAt = null;
+    this.lastTradeTime = null;
+    this.tradesEmitted = 0;
+
+    this.emit('reset');
+  }
+
+  // Next trade without consuming it (null at end of file)
+  async peek() {
+    if (this.pending === null && !this.exhausted) {
+      const { value, done } = await this.iterator.next();
+      this.exhausted = done;
+      this.pending = done ? null : value;
+    }
+    return this.pending;
+  }
+
+  /**
+   * Emit the next event due before `next`: a tick if one falls first, else the trade
+   * @param {Object} next - Pending trade
+   */
+  step(next) {
+    if (this.nextTickAt === null) {
+      this.currentTime = next.timestamp;
+      this.nextTickAt = Math.floor(next.timestamp / TICK_MS) * TICK_MS + TICK_MS;
+    }
+
+    // Across long quiet gaps jump straight to the tick before the next trade
+    if (this.nextTickAt - this.lastTradeTime > SETTLE_MS && next.timestamp - this.nextTickAt > TICK_MS) {
+      this.nextTickAt = Math.max(this.nextTickAt, Math.floor(next.timestamp / TICK_MS) * TICK_MS);
+    }
+
+    if (this.nextTickAt <= next.timestamp) {
+      this.tick();
+      return;
+    }
+
+    this.pending = null;
+    this.currentTime = Math.max(this.currentTime, next.timestamp);
+    this.lastTradeTime = next.timestamp;
+    this.tradesEmitted++;
+    this.emit('trade', next);
+  }
+
+  tick() {
+    this.currentTime = this.nextTickAt;
+    this.nextTickAt += TICK_MS;
+    this.emit('tick', this.currentTime);
+  }
+
+  // Time of the next event, for pacing
+  nextEventTime(next) {
+    return this.nextTickAt === null ? next.timestamp : Math.min(next.timestamp, this.nextTickAt);
+  }
+
+  async pump() {
+    let sinceYield = 0;
+
+    while (this.state === 'playing') {
+      const next = await this.peek();
+
+      if (!next) {
+        await this.finish();
+        continue;
+      }
+
+      const eventTime = this.nextEventTime(next);
+      if (this.speed !== Infinity && this.currentTime !== null && eventTime > this.currentTime) {
+        const speed = this.speed;
+        const { completed, elapsed } = await this.wait((eventTime - this.currentTime) / speed);
+
+        if (!completed) {
+          // Interrupted: keep the time that did pass, then re-check state
+          this.currentTime = Math.min(eventTime, this.currentTime + elapsed * speed);
+          continue;
+        }
+        this.currentTime = eventTime;
+      }
+
+      if (this.state !== 'playing') {
+        break;
+      }
+
+      this.step(next);
+
+      if (++sinceYield >= YIELD_EVERY) {
+        sinceYield = 0;
+        await yieldToEventLoop();
+      }
+    }
+  }
+
+  startPump() {
+    if (!this.pumping) {
+      this.pumping = this.pump()
+        .catch(error => {
+          console.error('❌ Replay error:', error);
+          this.state = 'paused';
+          this.emit('error', error);
+          this.emitStatus();
+        })
+        .finally(() => {
+          this.pumping = null;
+        });
+    }
+  }
+
+  // End of file: settle the last trades, then stop or loop
+  async finish() {
+    if (this.nextTickAt !== null) {
+      while (this.nextTickAt <= this.lastTradeTime + SETTLE_MS) {
+        this.tick();
+      }
+    }
+
+    console.log(`🏁 Replay finished (${this.tradesEmitted} trades)`);
+    this.emit('end');
+
+    if (this.loop) {
+      this.rewind();
+      await yieldToEventLoop();
+      return;
+    }
+
+    this.state = 'ended';
+    this.emitStatus();
+  }
+
+  wait(ms) {
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+      const done = (completed) => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve({ completed, elapsed: Date.now() - startedAt });
+      };
+      const timer = setTimeout(() => done(true), ms);
+      this.wake = () => done(false);
+    });
+  }
+
+  interrupt() {
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Resume (or restart an ended replay)
+   */
+  play() {
+    if (!this.range || this.state === 'playing') {
+      return;
+    }
+
+    if (this.state === 'ended') {
+      this.rewind();
+    }
+
+    this.state = 'playing';
+    this.emitStatus();
+    this.startPump();
+  }
+
+  pause() {
+    if (this.state !== 'playing') {
+      return;
+    }
+
+    this.state = 'paused';
+    this.interrupt();
+    this.emitStatus();
+  }
+
+  /**
+   * @param {number|string} speed - 1, 10, ... or 'max'
+   */
+  setSpeed(speed) {
+    this.speed = parseSpeed(speed);
+    this.interrupt();
+    this.emitStatus();
+  }
+
+  /**
+   * Jump to a point in the recording
+   * Seeking backwards replays from the start (after a 'reset') so every
+   * downstream state is rebuilt exactly; trades up to the target are fed through
+   * unpaced. Playback resumes afterwards if it was playing.
+   * @param {number|string} to - Epoch ms or ISO 8601 date
+   * @returns {Promise<void>}
+   */
+  async seek(to) {
+    const target = typeof to === 'number' || /^\d+$/.test(to) ? Number(to) : Date.parse(to);
+    if (!Number.isFinite(target)) {
+      throw new ReplayError('INVALID_CONTROL', '"to" must be epoch milliseconds or an ISO 8601 date');
+    }
+
+    const resume = this.state === 'playing';
+    this.state = 'seeking';
+    this.interrupt();
+    await this.pumping;
+
+    if (this.currentTime !== null && target < this.currentTime) {
+      this.rewind();
+    }
+
+    let sinceYield = 0;
+    for (let next = await this.peek(); next && next.timestamp < target; next = await this.peek()) {
+      this.step(next);
+
+      if (++sinceYield >= YIELD_EVERY) {
+        sinceYield = 0;
+        await yieldToEventLoop();
+      }
+    }
+
+    // Settle the trades just fed in without ticking through the whole gap
+    if (this.nextTickAt !== null) {
+      while (this.nextTickAt <= Math.min(target, this.lastTradeTime + SETTLE_MS)) {
+        this.tick();
+      }
+      this.currentTime = Math.max(this.currentTime, Math.min(target, this.range.endTime));
+    }
+
+    this.state = 'paused';
+    if (resume) {
+      this.play();
+    } else {
+      this.emitStatus();
+    }
+  }
+
+  /**
+   * Apply a control command; commands run one at a time in arrival order
+   * @param {Object} command
+   * @param {('play'|'pause'|'speed'|'seek')} command.action
+   * @param {number|string} [command.speed] - For 'speed'
+   * @param {number|string} [command.to] - For 'seek'
+   * @returns {Promise<Object>} Status after the command
+   */
+  control(command = {}) {
+    const run = async () => {
+      if (!this.range) {
+        throw new ReplayError('REPLAY_NOT_READY', 'Replay file is still loading');
+      }
+
+      switch (command.action) {
+        case 'play':
+          this.play();
+          break;
+        case 'pause':
+          this.pause();
+          break;
+        case 'speed':
+          this.setSpeed(command.speed);
+          break;
+        case 'seek':
+          await this.seek(command.to);
+          break;
+        default:
+          throw new ReplayError('INVALID_CONTROL', '"action" must be play, pause, speed or seek');
+      }
+
+      return this.getStatus();
+    };
+
+    const result = this.controls.then(run);
+    this.controls = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Playback status for clients
+   * @returns {Object}
+   */
+  getStatus() {
+    const range = this.range || {};
+    const span = range.endTime - range.startTime;
+
+    return {
+      file: path.basename(this.file),
+      state: this.state,
+      speed: this.speed === Infinity ? 'max' : this.speed,
+      loop: this.loop,
+      currentTime: this.currentTime,
+      startTime: range.startTime || null,
+      endTime: range.endTime || null,
+      progress: this.currentTime !== null && span > 0 ? (this.currentTime - range.startTime) / span : 0,
+      tradesEmitted: this.tradesEmitted,
+      tradeCount: range.tradeCount || 0,
+      symbols: range.symbols || []
+    };
+  }
+
+  emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+}
+
+module.exports = ReplaySource;
+module.exports.ReplayError = ReplayError;
+module.exports.parseSpeed = parseSpeed;
@@ -0,0 +1,221 @@
+/**
+ * TRADE FILE READER
+ *
+ * Streams recorded trades out of a JSONL or CSV file as normalized trades.
+ * Format is picked by extension (.csv, anything else is JSON lines).
+ *
+ * JSON lines may hold:
+ *   - normalized trades: { exchange, symbol, tradeId, price, quantity, timestamp, side }
+ *   - raw Binance trade / aggTrade events, bare or wrapped as { stream, data }
+ *
+ * CSV files either have a header row naming the columns
+ * (normalized names, or Binance's s,t,p,q,T,m) or are headerless Binance
+ * data dumps (trades: id,price,qty,quoteQty,time,isBuyerMaker,isBestMatch;
+ * aggTrades: id,price,qty,firstId,lastId,time,isBuyerMaker,isBestMatch),
+ * which carry no symbol, so one must be supplied.
+ *
+ * Unparseable lines are skipped and counted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const BinanceAdapter = require('../exchanges/binanceAdapter');
+
+// Header aliases per field; single letters are Binance's case-sensitive keys
+const CSV_COLUMNS = {
+  exchange: ['exchange'],
+  symbol: ['symbol', 's'],
+  tradeId: ['tradeid', 'trade_id', 'id', 't', 'a'],
+  price: ['price', 'p'],
+  quantity: ['quantity', 'qty', 'size', 'q'],
+  timestamp: ['timestamp', 'time', 'T'],
+  side: ['side'],
+  buyerMaker: ['isbuyermaker', 'is_buyer_maker', 'm']
+};
+
+// Column positions in headerless Binance dumps, keyed by column count
+const BINANCE_DUMP_COLUMNS = {
+  7: { tradeId: 0, price: 1, quantity: 2, timestamp: 4, buyerMaker: 5 },
+  8: { tradeId: 0, price: 1, quantity: 2, timestamp: 5, buyerMaker: 6 }
+};
+
+// Newer Binance dumps use microseconds
+function toMillis(value) {
+  const time = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return time > 1e14 ? Math.floor(time / 1000) : time;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true' || value === 'True' || value === '1';
+}
+
+function validTrade(trade) {
+  return trade.symbol &&
+    trade.price > 0 &&
+    trade.quantity > 0 &&
+    Number.isFinite(trade.timestamp);
+}
+
+class TradeFileReader {
+  /**
+   * @param {string} file - Path to a .jsonl/.json/.csv file
+   * @param {Object} [options]
+   * @param {string} [options.symbol] - Symbol for files that do not carry one
+   * @param {string} [options.exchange='binance'] - Venue for records that do not carry one
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+    this.symbol = options.symbol ? options.symbol.toUpperCase() : null;
+    this.exchange = options.exchange || 'binance';
+
+    this.skipped = 0;
+    this.stream = null;
+
+    // CSV column positions, from the header or the dump layout
+    this.columns = null;
+  }
+
+  /**
+   * Normalized trades in file order
+   * @returns {AsyncGenerator<import('../exchanges/exchangeAdapter').NormalizedTrade>}
+   */
+  async *trades() {
+    this.stream = fs.createReadStream(this.file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: this.stream, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        const trade = this.parseLine(line);
+        if (trade) {
+          yield trade;
+        }
+      }
+    } finally {
+      lines.close();
+      this.stream.destroy();
+    }
+  }
+
+  /**
+   * Parse one line (a CSV header line sets the column layout and yields nothing)
+   * Throws only for files whose layout cannot be understood at all
+   * @param {string} line
+   * @returns {import('../exchanges/exchangeAdapter').NormalizedTrade|null}
+   */
+  parseLine(line) {
+    const trade = this.format === 'csv' ? this.parseCsv(line) : this.parseJsonLine(line);
+
+    if (trade === null) {
+      return null;
+    }
+
+    if (!trade || !validTrade(trade)) {
+      this.skipped++;
+      return null;
+    }
+
+    return trade;
+  }
+
+  parseJsonLine(line) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      return undefined;
+    }
+
+    return record && typeof record === 'object' ? this.parseJson(record) : undefined;
+  }
+
+  parseJson(record) {
+    const payload = record.data || record;
+
+    if (payload.e === 'trade') {
+      return BinanceAdapter.normalizeTrade(payload);
+    }
+    if (payload.e === 'aggTrade') {
+      return BinanceAdapter.normalizeTrade({ ...payload, t: payload.a });
+    }
+
+    return {
+      exchange: payload.exchange || this.exchange,
+      symbol: (payload.symbol || this.symbol || '').toUpperCase(),
+      tradeId: String(payload.tradeId !== undefined ? payload.tradeId : ''),
+      price: Number(payload.price),
+      quantity: Number(payload.quantity),
+      timestamp: toMillis(payload.timestamp),
+      side: payload.side
+    };
+  }
+
+  parseCsv(line) {
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    if (!this.columns) {
+      // Numeric first cell: headerless Binance dump
+      if (/^\d+$/.test(cells[0])) {
+        this.columns = BINANCE_DUMP_COLUMNS[cells.length];
+        if (!this.columns) {
+          throw new Error(`Unrecognized headerless CSV with ${cells.length} columns in ${this.file}`);
+        }
+        if (!this.symbol) {
+          throw new Error(`Headerless Binance CSV ${this.file} needs a symbol (REPLAY_SYMBOL)`);
+        }
+      } else {
+        this.columns = TradeFileReader.columnsFromHeader(cells);
+        return null;
+      }
+    }
+
+    const cell = (field) => (this.columns[field] === undefined ? undefined : cells[this.columns[field]]);
+    const side = cell('side');
+
+    return {
+      exchange: cell('exchange') || this.exchange,
+      symbol: (cell('symbol') || this.symbol || '').toUpperCase(),
+      tradeId: cell('tradeId') || '',
+      price: Number(cell('price')),
+      quantity: Number(cell('quantity')),
+      timestamp: toMillis(cell('timestamp')),
+      side: side || (cell('buyerMaker') === undefined ? undefined : (isTrue(cell('buyerMaker')) ? 'sell' : 'buy'))
+    };
+  }
+
+  /**
+   * Map header names to column positions
+   * @param {string[]} header
+   * @returns {Object<string, number>}
+   */
+  static columnsFromHeader(header) {
+    const columns = {};
+
+    Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+      const index = header.findIndex(name => aliases.some(alias =>
+        alias.length === 1 ? name === alias : name.toLowerCase() === alias
+      ));
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Stop reading early
+   */
+  close() {
+    if (this.stream) {
+      this.stream.destroy();
+    }
+  }
+}
+
+module.exports = TradeFileReader;
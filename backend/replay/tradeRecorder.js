@@ -0,0 +1,57 @@
+/**
+ * TRADE RECORDER
+ *
+ * Appends every normalized trade from the live adapters to a file that
+ * the replay source can play back later. Files ending in .csv get a
+ * header row and one CSV line per trade; anything else is JSON lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CSV_FIELDS = ['exchange', 'symbol', 'tradeId', 'price', 'quantity', 'timestamp', 'side'];
+
+class TradeRecorder {
+  /**
+   * @param {string} file - Output path (appended to if it exists)
+   */
+  constructor(file) {
+    this.file = file;
+    this.format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+    this.count = 0;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const isNew = !fs.existsSync(file) || fs.statSync(file).size === 0;
+
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error(`❌ Trade recorder write error (${this.file}):`, error);
+    });
+
+    if (this.format === 'csv' && isNew) {
+      this.stream.write(CSV_FIELDS.join(',') + '\n');
+    }
+  }
+
+  /**
+   * @param {import('../exchanges/exchangeAdapter').NormalizedTrade} trade
+   */
+  record(trade) {
+    const line = this.format === 'csv'
+      ? CSV_FIELDS.map(field => trade[field]).join(',')
+      : JSON.stringify(trade);
+
+    this.stream.write(line + '\n');
+    this.count++;
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+module.exports = TradeRecorder;
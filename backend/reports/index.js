@@ -0,0 +1,21 @@
+/**
+ * SESSION REPORTS
+ *
+ * Daily session boundaries, the whale recap built for each session and
+ * its CSV/HTML renderings (see sessionScheduler.js)
+ */
+
+const SessionScheduler = require('./sessionScheduler');
+const ReportArchive = require('./reportArchive');
+const { sessionAt, buildSessionReport } = require('./sessionReport');
+const { whalesToCsv, reportToCsv, reportToHtml } = require('./render');
+
+module.exports = {
+  SessionScheduler,
+  ReportArchive,
+  sessionAt,
+  buildSessionReport,
+  whalesToCsv,
+  reportToCsv,
+  reportToHtml
+};
@@ -0,0 +1,163 @@
+/**
+ * REPORT RENDERING
+ *
+ * Session reports and whale exports as CSV, and session reports as a
+ * standalone HTML page (inline styles, no scripts) for the daily recap
+ */
+
+const WHALE_FIELDS = ['timestamp', 'time', 'symbol', 'exchange', 'side', 'severity', 'price', 'quantity', 'tradeValue', 'tradeId'];
+
+// Quote fields that could break a row or be read as a formula by spreadsheets
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(header, rows) {
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function isoTime(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Whale trades as CSV, one row per whale
+ * @param {Object[]} whales - Whale trade records
+ * @returns {string}
+ */
+function whalesToCsv(whales) {
+  return csvRows(WHALE_FIELDS, whales.map(whale => WHALE_FIELDS.map(field =>
+    (field === 'time' ? isoTime(whale.timestamp) : whale[field])
+  )));
+}
+
+/**
+ * A session report as CSV
+ * One row per figure: totals, sides and hours per symbol (and ALL for
+ * every symbol), then the largest whales with their price and quantity
+ * @param {Object} report - From buildSessionReport()
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const rows = [];
+  const sections = [{ symbol: 'ALL', ...report.totals }, ...report.symbols];
+
+  sections.forEach(section => {
+    const { symbol } = section;
+
+    rows.push([symbol, 'whales', 'total', section.whaleCount, section.totalNotional.toFixed(2), '', '']);
+    rows.push([symbol, 'clusters', 'total', section.clusterCount, '', '', '']);
+    Object.entries(section.sides).forEach(([side, { count, notional }]) => {
+      rows.push([symbol, 'side', side, count, notional.toFixed(2), '', '']);
+    });
+    section.hourly.forEach(({ from, count, notional }) => {
+      rows.push([symbol, 'hour', isoTime(from), count, notional.toFixed(2), '', '']);
+    });
+    section.largest.forEach(whale => {
+      rows.push([symbol, 'largest', `${isoTime(whale.timestamp)} ${whale.side || ''} ${whale.exchange}`.trim(),
+        1, whale.tradeValue.toFixed(2), whale.price, whale.quantity]);
+    });
+  });
+
+  return csvRows(['symbol', 'section', 'key', 'count', 'notional', 'price', 'quantity'], rows);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function usd(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function renderSection(title, section) {
+  const peak = Math.max(1, ...section.hourly.map(hour => hour.notional));
+  const sideRow = (side) => {
+    const { count, notional } = section.sides[side];
+    const share = section.totalNotional > 0 ? (notional / section.totalNotional) * 100 : 0;
+    return `<tr><td class="${side}">${side.toUpperCase()}</td><td>${count}</td><td>${usd(notional)}</td><td>${share.toFixed(1)}%</td></tr>`;
+  };
+
+  return `
+  <section>
+    <h2>${escapeHtml(title)}</h2>
+    <div class="figures">
+      <div><span>Whales</span><strong>${section.whaleCount}</strong></div>
+      <div><span>Notional</span><strong>${usd(section.totalNotional)}</strong></div>
+      <div><span>Average</span><strong>${usd(section.averageNotional)}</strong></div>
+      <div><span>Clusters</span><strong>${section.clusterCount}</strong></div>
+    </div>
+    <table>
+      <tr><th>Side</th><th>Whales</th><th>Notional</th><th>Share</th></tr>
+      ${sideRow('buy')}
+      ${sideRow('sell')}
+    </table>
+    <table class="hourly">
+      <tr><th>Hour (UTC)</th><th>Whales</th><th>Notional</th><th></th></tr>
+      ${section.hourly.map(hour => `<tr><td>${String(hour.hour).padStart(2, '0')}:00</td><td>${hour.count}</td><td>${usd(hour.notional)}</td><td><div class="bar" style="width:${((hour.notional / peak) * 100).toFixed(1)}%"></div></td></tr>`).join('\n      ')}
+    </table>
+    <table>
+      <tr><th>Time (UTC)</th><th>Symbol</th><th>Exchange</th><th>Side</th><th>Price</th><th>Quantity</th><th>Value</th></tr>
+      ${section.largest.map(whale => `<tr><td>${isoTime(whale.timestamp).slice(11, 19)}</td><td>${escapeHtml(whale.symbol)}</td><td>${escapeHtml(whale.exchange)}</td><td class="${whale.side === 'sell' ? 'sell' : 'buy'}">${escapeHtml((whale.side || '—').toUpperCase())}</td><td>${whale.price.toLocaleString('en-US')}</td><td>${whale.quantity.toLocaleString('en-US')}</td><td>${usd(whale.tradeValue)}</td></tr>`).join('\n      ') || '<tr><td colspan="7">No whales</td></tr>'}
+    </table>
+  </section>`;
+}
+
+/**
+ * A session report as a standalone HTML page
+ * @param {Object} report - From buildSessionReport()
+ * @returns {string}
+ */
+function reportToHtml(report) {
+  const title = `Whale recap ${report.id}${report.partial ? ' (so far)' : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0a0e27; color: #e0e0e0; margin: 0 auto; max-width: 960px; padding: 24px; }
+  h1 { color: #f7931a; margin-bottom: 4px; }
+  h2 { border-bottom: 1px solid #2a2f4a; padding-bottom: 6px; }
+  .period { color: #a0a8c0; margin-top: 0; }
+  .figures { display: flex; gap: 16px; margin-bottom: 16px; }
+  .figures div { background: #1a1f3a; border-radius: 6px; flex: 1; padding: 10px 14px; }
+  .figures span { color: #a0a8c0; display: block; font-size: 12px; }
+  .figures strong { font-size: 20px; }
+  table { border-collapse: collapse; margin-bottom: 16px; width: 100%; }
+  th, td { border-bottom: 1px solid #2a2f4a; padding: 4px 8px; text-align: left; }
+  th { color: #a0a8c0; font-weight: normal; }
+  .buy { color: #00a86b; }
+  .sell { color: #ff4444; }
+  .hourly td:last-child { width: 40%; }
+  .bar { background: #f7931a; height: 10px; }
+</style>
+</head>
+<body>
+  <h1>🐋 ${escapeHtml(title)}</h1>
+  <p class="period">${isoTime(report.from)} – ${isoTime(report.to)} · generated ${isoTime(report.generatedAt)}</p>
+  ${renderSection('All symbols', report.totals)}
+  ${report.symbols.map(section => renderSection(section.symbol, section)).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  whalesToCsv,
+  reportToCsv,
+  reportToHtml
+};
@@ -0,0 +1,76 @@
+/**
+ * REPORT ARCHIVE
+ *
+ * Finished session reports, one JSON file per session
+ * (<dir>/<YYYY-MM-DD>.json), kept until removed by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+class ReportArchive {
+  /**
+   * @param {string} dir - Directory holding the reports
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Write a report atomically (temp file + rename)
+   * @param {Object} report - From buildSessionReport()
+   */
+  async save(report) {
+    const file = path.join(this.dir, `${report.id}.json`);
+    const tmp = `${file}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(report));
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * @param {string} id - Session id (2024-05-01)
+   * @returns {Promise<Object|null>} Null when no report exists
+   */
+  async load(id) {
+    if (!REPORT_PATTERN.test(`${id}.json`)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} Archived session ids, newest first
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .map(name => REPORT_PATTERN.exec(name))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort()
+      .reverse();
+  }
+}
+
+module.exports = ReportArchive;
@@ -0,0 +1,130 @@
+/**
+ * SESSION REPORT
+ *
+ * Daily trading sessions and the whale recap built for each one:
+ * whale count and notional, buy/sell split, hourly distribution and the
+ * largest whales, per symbol and across all symbols
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - UTC date the session starts on (2024-05-01)
+ * @property {number} from - Start, epoch ms (inclusive)
+ * @property {number} to - End, epoch ms (exclusive)
+ */
+
+/**
+ * The session containing a point in time
+ * @param {number} time - Epoch milliseconds
+ * @param {number} [hourUtc=0] - UTC hour sessions start at (0 = midnight)
+ * @returns {Session}
+ */
+function sessionAt(time, hourUtc = 0) {
+  const offset = hourUtc * HOUR_MS;
+  const from = Math.floor((time - offset) / DAY_MS) * DAY_MS + offset;
+
+  return { id: new Date(from).toISOString().slice(0, 10), from, to: from + DAY_MS };
+}
+
+// Fields kept for each of the largest whales
+function whaleEntry(whale) {
+  return {
+    timestamp: whale.timestamp,
+    symbol: whale.symbol,
+    exchange: whale.exchange,
+    side: whale.side,
+    severity: whale.severity,
+    price: whale.price,
+    quantity: whale.quantity,
+    tradeValue: whale.tradeValue
+  };
+}
+
+/**
+ * Whale figures for one session
+ * @param {Object[]} whales - Whale trade records
+ * @param {Session} session
+ * @param {number} largest - How many of the largest whales to list
+ * @returns {Object}
+ */
+function summarize(whales, session, largest) {
+  const sides = { buy: { count: 0, notional: 0 }, sell: { count: 0, notional: 0 } };
+  const hourly = Array.from({ length: 24 }, (_, index) => ({
+    from: session.from + index * HOUR_MS,
+    hour: new Date(session.from + index * HOUR_MS).getUTCHours(),
+    count: 0,
+    notional: 0
+  }));
+
+  let totalNotional = 0;
+
+  whales.forEach(whale => {
+    totalNotional += whale.tradeValue;
+
+    if (sides[whale.side]) {
+      sides[whale.side].count++;
+      sides[whale.side].notional += whale.tradeValue;
+    }
+
+    const bucket = hourly[Math.floor((whale.timestamp - session.from) / HOUR_MS)];
+    if (bucket) {
+      bucket.count++;
+      bucket.notional += whale.tradeValue;
+    }
+  });
+
+  return {
+    whaleCount: whales.length,
+    totalNotional,
+    averageNotional: whales.length > 0 ? totalNotional / whales.length : 0,
+    sides,
+    hourly,
+    largest: whales
+      .slice()
+      .sort((a, b) => b.tradeValue - a.tradeValue)
+      .slice(0, largest)
+      .map(whaleEntry)
+  };
+}
+
+/**
+ * Build the report for a session
+ * @param {Session} session
+ * @param {Object<string, {whales: Object[], clusters: Object[]}>} bySymbol - Stored records per symbol
+ * @param {Object} [options]
+ * @param {number} [options.largest=10] - How many of the largest whales to list
+ * @param {boolean} [options.partial=false] - The session is still running
+ * @param {number} [options.now=Date.now()] - Generation time
+ * @returns {Object}
+ */
+function buildSessionReport(session, bySymbol, { largest = 10, partial = false, now = Date.now() } = {}) {
+  const entries = Object.entries(bySymbol);
+  const allWhales = entries
+    .flatMap(([, records]) => records.whales)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    id: session.id,
+    from: session.from,
+    to: session.to,
+    partial,
+    generatedAt: now,
+    totals: {
+      ...summarize(allWhales, session, largest),
+      clusterCount: entries.reduce((count, [, records]) => count + records.clusters.length, 0)
+    },
+    symbols: entries.map(([symbol, records]) => ({
+      symbol,
+      ...summarize(records.whales, session, largest),
+      clusterCount: records.clusters.length
+    }))
+  };
+}
+
+module.exports = {
+  sessionAt,
+  buildSessionReport
+};
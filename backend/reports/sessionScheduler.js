@@ -0,0 +1,138 @@
+/**
+ * SESSION SCHEDULER
+ *
+ * Ends each daily session at its boundary (UTC midnight by default):
+ * every detector starts counting a new session, and with storage on the
+ * finished session's report is built from the stored whales and clusters
+ * and archived. A boundary missed while the server was down gets its
+ * report on the next start.
+ */
+
+const { sessionAt, buildSessionReport } = require('./sessionReport');
+const { systemClock } = require('../clock');
+
+// Wait this long after a boundary before reading the finished session, so
+// trades stamped just before it and buffered writes have landed
+const SETTLE_MS = 5000;
+
+class SessionScheduler {
+  /**
+   * @param {Object} options
+   * @param {Map<string, import('../whaleDetector')>} options.detectors
+   * @param {import('../storage/tradeStore')|null} options.store - Reports need storage; null only rolls sessions over
+   * @param {import('./reportArchive')|null} options.archive
+   * @param {number} [options.hourUtc=0] - UTC hour sessions start at
+   * @param {number} [options.largest=10] - Largest whales listed per report section
+   * @param {{now: function(): number}} [options.clock]
+   */
+  constructor({ detectors, store, archive, hourUtc = 0, largest = 10, clock = systemClock }) {
+    this.detectors = detectors;
+    this.store = store;
+    this.archive = archive;
+    this.hourUtc = hourUtc;
+    this.largest = largest;
+    this.clock = clock;
+
+    this.timer = null;
+    this.settleTimer = null;
+  }
+
+  /**
+   * @param {number} [now] - Defaults to the clock
+   * @returns {import('./sessionReport').Session}
+   */
+  currentSession(now = this.clock.now()) {
+    return sessionAt(now, this.hourUtc);
+  }
+
+  /**
+   * Start the current session on detectors restored from an earlier one,
+   * archive the previous session if that was missed, and schedule the
+   * next boundary. Call after detector state has been restored.
+   */
+  async start() {
+    const session = this.currentSession();
+    let missed = false;
+
+    this.detectors.forEach(detector => {
+      if (detector.sessionStart !== session.from) {
+        missed = missed || (detector.sessionStart !== null && detector.sessionStart < session.from);
+        detector.startSession(session.from);
+      }
+    });
+
+    this.schedule(session);
+
+    const previous = sessionAt(session.from - 1, this.hourUtc);
+    if (missed && this.archive && !(await this.archive.load(previous.id))) {
+      await this.archiveSession(previous);
+    }
+  }
+
+  /**
+   * @param {import('./sessionReport').Session} session - The running session
+   */
+  schedule(session) {
+    this.timer = setTimeout(() => this.rollover(session), Math.max(0, session.to - this.clock.now()));
+  }
+
+  /**
+   * @param {import('./sessionReport').Session} session - The session that just ended
+   */
+  rollover(session) {
+    const next = sessionAt(session.to, this.hourUtc);
+
+    this.detectors.forEach(detector => detector.startSession(next.from));
+    console.log(`📅 Session ${next.id} started`);
+    this.schedule(next);
+
+    if (this.archive) {
+      this.settleTimer = setTimeout(() => {
+        this.archiveSession(session).catch(error => {
+          console.error(`❌ Error archiving session ${session.id}:`, error);
+        });
+      }, SETTLE_MS);
+    }
+  }
+
+  /**
+   * Build and archive a finished session's report
+   * @param {import('./sessionReport').Session} session
+   * @returns {Promise<Object>} The report
+   */
+  async archiveSession(session) {
+    const report = await this.report(session);
+    await this.archive.save(report);
+
+    console.log(`📅 Session ${session.id} archived: ${report.totals.whaleCount} whales, $${Math.round(report.totals.totalNotional).toLocaleString('en-US')}`);
+    return report;
+  }
+
+  /**
+   * Report for a session from the stored whales and clusters
+   * @param {import('./sessionReport').Session} session
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - The session is still running (report up to now)
+   * @returns {Promise<Object>}
+   */
+  async report(session, { partial = false } = {}) {
+    const range = { from: session.from, to: session.to - 1 };
+    const bySymbol = {};
+
+    for (const symbol of this.detectors.keys()) {
+      bySymbol[symbol] = {
+        whales: await this.store.read(symbol, 'whales', range),
+        clusters: await this.store.read(symbol, 'clusters', range)
+      };
+    }
+
+    return buildSessionReport(session, bySymbol, { largest: this.largest, partial, now: this.clock.now() });
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearTimeout(this.settleTimer);
+  }
+}
+
+module.exports = SessionScheduler;
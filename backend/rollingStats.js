@@ -0,0 +1,165 @@
+/**
+ * ROLLING STATISTICS
+ *
+ * Trade statistics over several concurrent time windows (1m, 5m, 1h, 24h):
+ * volume, VWAP, trade count, high/low and whale count/sum/average/max
+ *
+ * Each window is a RollingWindow (1s buckets, 1 minute for 24h), so it
+ * covers exactly its span to the bucket width however busy the symbol is.
+ * Highs, lows and the largest whale use monotonic queues of buckets, so
+ * they stay correct as old buckets fall out.
+ */
+
+const RollingWindow = require('./rollingWindow');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const STATS_WINDOWS = {
+  '1m': { windowMs: MINUTE_MS, bucketMs: SECOND_MS },
+  '5m': { windowMs: 5 * MINUTE_MS, bucketMs: SECOND_MS },
+  '1h': { windowMs: HOUR_MS, bucketMs: SECOND_MS },
+  '24h': { windowMs: 24 * HOUR_MS, bucketMs: MINUTE_MS }
+};
+
+// Extremes tracked per bucket; `keep(a, b)` is true when `a` should stay ahead of `b`
+const EXTREMES = {
+  high: (a, b) => a > b,
+  low: (a, b) => a < b,
+  maxWhale: (a, b) => a > b
+};
+
+// A RollingWindow that also tracks each bucket's extremes
+class StatsWindow extends RollingWindow {
+  /**
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} bucketMs - Bucket width (window resolution)
+   */
+  constructor(windowMs, bucketMs) {
+    super(windowMs, bucketMs);
+
+    // Per extreme, buckets whose value is not beaten by a newer bucket
+    // (buckets gain high, low and maxWhale next to their values)
+    this.extremes = Object.fromEntries(Object.keys(EXTREMES).map(name => [name, []]));
+  }
+
+  /**
+   * @param {number} timestamp - Epoch milliseconds
+   * @param {Object<string, number>} sums - Field → amount to add
+   * @param {Object<string, number>} extremes - high, low and/or maxWhale candidates
+   */
+  add(timestamp, sums, extremes) {
+    super.add(timestamp, sums);
+    const bucket = this.buckets[this.buckets.length - 1];
+
+    Object.entries(extremes).forEach(([name, value]) => {
+      const keep = EXTREMES[name];
+      if (bucket[name] !== undefined && !keep(value, bucket[name])) {
+        return;
+      }
+      bucket[name] = value;
+
+      // The newest bucket is always last in the queue when it is queued at all
+      const queue = this.extremes[name];
+      if (queue[queue.length - 1] === bucket) {
+        queue.pop();
+      }
+      while (queue.length > 0 && !keep(queue[queue.length - 1][name], value)) {
+        queue.pop();
+      }
+      queue.push(bucket);
+    });
+  }
+
+  drop(bucket) {
+    super.drop(bucket);
+    Object.values(this.extremes).forEach(queue => {
+      if (queue[0] === bucket) {
+        queue.shift();
+      }
+    });
+  }
+
+  /**
+   * @param {number} now - Epoch milliseconds
+   * @returns {Object} Statistics over the window ending at `now`
+   */
+  get(now) {
+    const totals = this.sum(now);
+    const sum = field => Math.max(0, totals[field] || 0);
+    const extreme = name => (this.extremes[name].length > 0 ? this.extremes[name][0][name] : null);
+
+    const volume = sum('volume');
+    const quoteVolume = sum('quoteVolume');
+    const whaleCount = Math.round(sum('whaleCount'));
+    const whaleValue = sum('whaleValue');
+
+    return {
+      volume,
+      quoteVolume,
+      vwap: volume > 0 ? quoteVolume / volume : null,
+      trades: Math.round(sum('trades')),
+      high: extreme('high'),
+      low: extreme('low'),
+      whaleCount,
+      whaleValue,
+      averageWhaleSize: whaleCount > 0 ? whaleValue / whaleCount : 0,
+      maxWhale: extreme('maxWhale') || 0
+    };
+  }
+}
+
+class RollingStats {
+  /**
+   * @param {Object<string, {windowMs: number, bucketMs: number}>} [windows=STATS_WINDOWS]
+   */
+  constructor(windows = STATS_WINDOWS) {
+    this.windows = new Map(
+      Object.entries(windows).map(([name, { windowMs, bucketMs }]) => [name, new StatsWindow(windowMs, bucketMs)])
+    );
+  }
+
+  /**
+   * Record a processed trade
+   * @param {Object} trade - Trade record with price, quantity, tradeValue, isWhale, timestamp
+   */
+  addTrade(trade) {
+    const sums = { volume: trade.quantity, quoteVolume: trade.tradeValue, trades: 1 };
+    const extremes = { high: trade.price, low: trade.price };
+
+    if (trade.isWhale) {
+      Object.assign(sums, { whaleCount: 1, whaleValue: trade.tradeValue });
+      extremes.maxWhale = trade.tradeValue;
+    }
+
+    this.add(trade.timestamp, sums, extremes);
+  }
+
+  /**
+   * Record pre-aggregated figures at one point in time (a restored
+   * candle, ...). Adds must arrive oldest first.
+   * @param {number} timestamp - Epoch milliseconds
+   * @param {Object<string, number>} sums - volume, quoteVolume, trades, whaleCount and/or whaleValue
+   * @param {Object<string, number>} [extremes] - high, low and/or maxWhale
+   */
+  add(timestamp, sums, extremes = {}) {
+    this.windows.forEach(window => window.add(timestamp, sums, extremes));
+  }
+
+  /**
+   * Statistics for every window
+   * @param {number} [now=Date.now()]
+   * @returns {Object<string, Object>} Window name → statistics
+   */
+  get(now = Date.now()) {
+    const stats = {};
+    this.windows.forEach((window, name) => {
+      stats[name] = window.get(now);
+    });
+    return stats;
+  }
+}
+
+module.exports = RollingStats;
+module.exports.STATS_WINDOWS = STATS_WINDOWS;
@@ -0,0 +1,84 @@
+/**
+ * ROLLING WINDOW
+ *
+ * Time-bucketed running sums over a sliding window
+ * Values are added into fixed-width buckets (1s by default) and whole
+ * buckets fall out of the window, so totals stay O(1) per trade
+ */
+
+class RollingWindow {
+  /**
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} [bucketMs=1000] - Bucket width (window resolution)
+   */
+  constructor(windowMs, bucketMs = 1000) {
+    this.windowMs = windowMs;
+    this.bucketMs = bucketMs;
+
+    // Buckets oldest first: { start, values: { field: sum } }
+    this.buckets = [];
+    this.totals = {};
+  }
+
+  /**
+   * Add values at a point in time
+   * @param {number} timestamp - Epoch milliseconds
+   * @param {Object<string, number>} values - Field → amount to add
+   */
+  add(timestamp, values) {
+    const start = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    let bucket = this.buckets[this.buckets.length - 1];
+
+    // Late arrivals join the newest bucket rather than reopening old ones
+    if (!bucket || bucket.start < start) {
+      bucket = { start, values: {} };
+      this.buckets.push(bucket);
+    }
+
+    Object.entries(values).forEach(([field, amount]) => {
+      bucket.values[field] = (bucket.values[field] || 0) + amount;
+      this.totals[field] = (this.totals[field] || 0) + amount;
+    });
+
+    this.evict(timestamp);
+  }
+
+  /**
+   * Drop buckets that ended before the window start
+   * @param {number} now - Epoch milliseconds
+   */
+  evict(now) {
+    const cutoff = now - this.windowMs;
+
+    while (this.buckets.length > 0 && this.buckets[0].start + this.bucketMs <= cutoff) {
+      this.drop(this.buckets.shift());
+    }
+
+    // Start an empty window from zero so rounding errors don't pile up
+    if (this.buckets.length === 0) {
+      this.totals = {};
+    }
+  }
+
+  /**
+   * Take an expired bucket out of the totals
+   * @param {Object} bucket
+   */
+  drop(bucket) {
+    Object.entries(bucket.values).forEach(([field, amount]) => {
+      this.totals[field] -= amount;
+    });
+  }
+
+  /**
+   * Totals over the window ending at `now`
+   * @param {number} now - Epoch milliseconds
+   * @returns {Object<string, number>}
+   */
+  sum(now) {
+    this.evict(now);
+    return { ...this.totals };
+  }
+}
+
+module.exports = RollingWindow;
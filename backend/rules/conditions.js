@@ -0,0 +1,248 @@
+/**
+ * RULE CONDITIONS
+ *
+ * Each condition reads the live detector state for its rule's symbol and
+ * reports whether it currently holds, plus the value it measured.
+ * The rule engine fires on the transition from "not met" to "met".
+ *
+ * Types:
+ *   price_cross   { price, direction: 'above' | 'below' }
+ *   whale_count   { count, window: '1m' | '5m' | '1h', side: 'buy' | 'sell' | 'any' }
+ *   volume_spike  { multiple, window: '1m' | '5m' }  window volume vs its 1h average
+ *   rsi           { above | below, interval, period }  Wilder RSI on detector candles
+ */
+
+const { FLOW_WINDOWS } = require('../flowTracker');
+const { INTERVALS } = require('../candleEngine');
+const { wilderRsi } = require('../indicators');
+const RuleError = require('./errors');
+
+const BASELINE_WINDOW = '1h';
+
+function requirePositive(params, name) {
+  const value = Number(params[name]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw RuleError.invalid(`"${name}" must be a positive number`);
+  }
+  return value;
+}
+
+function requireOneOf(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw RuleError.invalid(`"${name}" must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Evaluation context shared by every rule on one symbol
+ * @typedef {Object} RuleContext
+ * @property {import('../whaleDetector')} detector
+ * @property {Object} metrics - detector.getMetrics()
+ * @property {number} now - Epoch milliseconds
+ */
+
+class RuleCondition {
+  /**
+   * @param {string} type - Condition type name
+   */
+  constructor(type) {
+    this.type = type;
+
+    // Edge conditions must be seen unmet once before they can fire,
+    // so "price crosses X" does not fire just because price is already past X
+    this.requiresCross = false;
+  }
+
+  /**
+   * Check the condition against live state
+   * @param {RuleContext} context
+   * @returns {{met: boolean, value: number}|null} null when there is not enough data yet
+   */
+  evaluate(context) {
+    throw new Error(`${this.constructor.name} must implement evaluate()`);
+  }
+
+  /**
+   * One-line description for trigger messages
+   * @param {number} value - Measured value
+   * @returns {string}
+   */
+  describe(value) {
+    throw new Error(`${this.constructor.name} must implement describe()`);
+  }
+
+  /**
+   * Serializable condition spec
+   * @returns {Object}
+   */
+  toJSON() {
+    throw new Error(`${this.constructor.name} must implement toJSON()`);
+  }
+}
+
+class PriceCrossCondition extends RuleCondition {
+  constructor(params) {
+    super('price_cross');
+    this.price = requirePositive(params, 'price');
+    this.direction = requireOneOf(params.direction || 'above', ['above', 'below'], 'direction');
+    this.requiresCross = true;
+  }
+
+  evaluate({ metrics }) {
+    const price = metrics.currentPrice;
+    if (!price) {
+      return null;
+    }
+
+    return {
+      met: this.direction === 'above' ? price >= this.price : price <= this.price,
+      value: price
+    };
+  }
+
+  describe(value) {
+    return `price crossed ${this.direction} ${this.price} (now ${value.toFixed(2)})`;
+  }
+
+  toJSON() {
+    return { type: this.type, price: this.price, direction: this.direction };
+  }
+}
+
+class WhaleCountCondition extends RuleCondition {
+  constructor(params) {
+    super('whale_count');
+    this.count = requirePositive(params, 'count');
+    this.window = requireOneOf(params.window || '5m', Object.keys(FLOW_WINDOWS), 'window');
+    this.side = requireOneOf(params.side || 'any', ['buy', 'sell', 'any'], 'side');
+  }
+
+  evaluate({ metrics }) {
+    const flow = metrics.flow.windows[this.window];
+    const count =
+      (this.side !== 'sell' ? flow.whaleBuyCount : 0) +
+      (this.side !== 'buy' ? flow.whaleSellCount : 0);
+
+    return { met: count >= this.count, value: count };
+  }
+
+  describe(value) {
+    const side = this.side === 'any' ? '' : ` ${this.side}`;
+    return `${value}${side} whales in the last ${this.window} (rule: at least ${this.count})`;
+  }
+
+  toJSON() {
+    return { type: this.type, count: this.count, window: this.window, side: this.side };
+  }
+}
+
+class VolumeSpikeCondition extends RuleCondition {
+  constructor(params) {
+    super('volume_spike');
+    this.multiple = requirePositive(params, 'multiple');
+    this.window = requireOneOf(params.window || '1m', Object.keys(FLOW_WINDOWS).filter(name => name !== BASELINE_WINDOW), 'window');
+  }
+
+  evaluate({ detector, metrics, now }) {
+    const { firstTimestamp } = detector.flow;
+    if (firstTimestamp === null) {
+      return null;
+    }
+
+    // Average over the part of the baseline window that actually has data,
+    // and wait for at least two windows' worth so a cold start is not a spike
+    const windowMs = FLOW_WINDOWS[this.window];
+    const coveredMs = Math.min(now - firstTimestamp, FLOW_WINDOWS[BASELINE_WINDOW]);
+    if (coveredMs < 2 * windowMs) {
+      return null;
+    }
+
+    const volumeOf = (flow) => flow.buyValue + flow.sellValue;
+    const baseline = volumeOf(metrics.flow.windows[BASELINE_WINDOW]) * windowMs / coveredMs;
+    if (baseline <= 0) {
+      return null;
+    }
+
+    const ratio = volumeOf(metrics.flow.windows[this.window]) / baseline;
+    return { met: ratio >= this.multiple, value: ratio };
+  }
+
+  describe(value) {
+    return `${this.window} volume is ${value.toFixed(1)}x its ${BASELINE_WINDOW} average (rule: ${this.multiple}x)`;
+  }
+
+  toJSON() {
+    return { type: this.type, multiple: this.multiple, window: this.window };
+  }
+}
+
+class RsiCondition extends RuleCondition {
+  constructor(params) {
+    super('rsi');
+
+    if ((params.above === undefined) === (params.below === undefined)) {
+      throw RuleError.invalid('rsi needs exactly one of "above" or "below"');
+    }
+
+    this.bound = params.above !== undefined ? 'above' : 'below';
+    this.level = Number(params[this.bound]);
+    if (!Number.isFinite(this.level) || this.level <= 0 || this.level >= 100) {
+      throw RuleError.invalid(`"${this.bound}" must be between 0 and 100`);
+    }
+
+    this.interval = requireOneOf(params.interval || '1m', Object.keys(INTERVALS), 'interval');
+    this.period = Math.round(requirePositive({ period: params.period || 14 }, 'period'));
+  }
+
+  evaluate({ detector }) {
+    // Enough history for Wilder smoothing to settle
+    const candles = detector.candles.getCandles(this.interval, this.period * 10);
+    const rsi = wilderRsi(candles.map(candle => candle.close), this.period);
+
+    if (rsi === null) {
+      return null;
+    }
+
+    return { met: this.bound === 'above' ? rsi > this.level : rsi < this.level, value: rsi };
+  }
+
+  describe(value) {
+    return `RSI(${this.period}) ${this.interval} is ${value.toFixed(1)}, ${this.bound} ${this.level}`;
+  }
+
+  toJSON() {
+    return { type: this.type, [this.bound]: this.level, interval: this.interval, period: this.period };
+  }
+}
+
+const CONDITIONS = {
+  price_cross: PriceCrossCondition,
+  whale_count: WhaleCountCondition,
+  volume_spike: VolumeSpikeCondition,
+  rsi: RsiCondition
+};
+
+/**
+ * Build a condition from its spec
+ * @param {Object} spec - { type, ...params }
+ * @returns {RuleCondition}
+ */
+function createCondition(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw RuleError.invalid('"condition" must be an object');
+  }
+
+  // Own keys only: 'constructor' or '__proto__' are not condition types
+  const Condition = Object.hasOwn(CONDITIONS, spec.type) ? CONDITIONS[spec.type] : null;
+  if (!Condition) {
+    throw RuleError.invalid(`Unknown condition type "${spec.type}". Available: ${Object.keys(CONDITIONS).join(', ')}`);
+  }
+
+  return new Condition(spec);
+}
+
+module.exports = {
+  CONDITIONS,
+  createCondition
+};
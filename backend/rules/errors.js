@@ -0,0 +1,24 @@
+/**
+ * RULE ERRORS
+ *
+ * Raised for invalid or unauthorized rule operations; `code` is stable and
+ * surfaces unchanged over both the socket and the REST API
+ */
+
+class RuleError extends Error {
+  /**
+   * @param {string} code - INVALID_RULE, RULE_LIMIT or RULE_NOT_FOUND
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'RuleError';
+    this.code = code;
+  }
+
+  static invalid(message) {
+    return new RuleError('INVALID_RULE', message);
+  }
+}
+
+module.exports = RuleError;
@@ -0,0 +1,273 @@
+/**
+ * RULE ENGINE
+ *
+ * Holds user-defined alert rules and evaluates them against live detector
+ * state. Every rule belongs to one client id and is only visible to,
+ * and only fires for, that client.
+ *
+ * A rule fires when its condition goes from unmet to met, at most once per
+ * cooldown. Rules are removed when they pass `expiresAt`, or after their
+ * first trigger when `once` is set.
+ * Rules are kept in memory and do not survive a restart.
+ */
+
+const crypto = require('crypto');
+const { createCondition } = require('./conditions');
+const RuleError = require('./errors');
+const { systemClock } = require('../clock');
+
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+
+// Client ids supplied over REST (X-Client-Id) or the socket handshake
+const CLIENT_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+class RuleEngine {
+  /**
+   * @param {Object} options
+   * @param {Map<string, import('../whaleDetector')>} options.detectors - Detector per tracked symbol
+   * @param {number} [options.maxRulesPerOwner=50]
+   * @param {{now: function(): number}} [options.clock] - Time source (see clock.js)
+   */
+  constructor(options) {
+    this.detectors = options.detectors;
+    this.clock = options.clock || systemClock;
+    this.maxRulesPerOwner = options.maxRulesPerOwner || 50;
+
+    // All rules by id
+    this.rules = new Map();
+  }
+
+  /**
+   * Validate and register a rule
+   * @param {string} owner - Client id that owns the rule
+   * @param {Object} spec
+   * @param {string} spec.symbol - Tracked symbol
+   * @param {Object} spec.condition - { type, ...params } (see conditions.js)
+   * @param {string} [spec.name]
+   * @param {number} [spec.cooldownMs=60000] - Minimum time between triggers
+   * @param {number|string} [spec.expiresAt] - Epoch ms or ISO 8601 date
+   * @param {boolean} [spec.once=false] - Remove after the first trigger
+   * @param {number} [now] - Defaults to the engine clock
+   * @returns {Object} Public rule
+   */
+  addRule(owner, spec, now = this.clock.now()) {
+    if (!spec || typeof spec !== 'object') {
+      throw RuleError.invalid('Rule must be an object');
+    }
+    if (this.listRules(owner).length >= this.maxRulesPerOwner) {
+      throw new RuleError('RULE_LIMIT', `A client may own at most ${this.maxRulesPerOwner} rules`);
+    }
+
+    const symbol = typeof spec.symbol === 'string' ? spec.symbol.toUpperCase() : '';
+    if (!this.detectors.has(symbol)) {
+      throw RuleError.invalid(`Symbol ${spec.symbol} is not tracked`);
+    }
+
+    const condition = createCondition(spec.condition);
+
+    if (spec.name !== undefined && (typeof spec.name !== 'string' || spec.name.length > MAX_NAME_LENGTH)) {
+      throw RuleError.invalid(`"name" must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const cooldownMs = spec.cooldownMs === undefined ? DEFAULT_COOLDOWN_MS : Number(spec.cooldownMs);
+    if (!Number.isFinite(cooldownMs) || cooldownMs < 0) {
+      throw RuleError.invalid('"cooldownMs" must be a non-negative number');
+    }
+
+    let expiresAt = null;
+    if (spec.expiresAt !== undefined && spec.expiresAt !== null) {
+      expiresAt = typeof spec.expiresAt === 'number' ? spec.expiresAt : Date.parse(spec.expiresAt);
+      if (Number.isNaN(expiresAt) || expiresAt <= now) {
+        throw RuleError.invalid('"expiresAt" must be a future epoch ms or ISO 8601 date');
+      }
+    }
+
+    const rule = {
+      id: crypto.randomUUID(),
+      owner,
+      name: spec.name || `${symbol} ${condition.type}`,
+      symbol,
+      condition,
+      cooldownMs,
+      expiresAt,
+      once: spec.once === true,
+      createdAt: now,
+      lastTriggeredAt: null,
+      triggerCount: 0,
+      armed: !condition.requiresCross
+    };
+
+    // Built before storing, so a rule that cannot be shown is never kept
+    const view = RuleEngine.toPublic(rule);
+    this.rules.set(rule.id, rule);
+    return view;
+  }
+
+  /**
+   * One of the owner's rules
+   * @param {string} owner
+   * @param {string} id
+   * @returns {Object} Public rule
+   */
+  getRule(owner, id) {
+    return RuleEngine.toPublic(this.findOwned(owner, id));
+  }
+
+  /**
+   * Delete one of the owner's rules
+   * @param {string} owner
+   * @param {string} id
+   * @returns {Object} The removed rule
+   */
+  removeRule(owner, id) {
+    const rule = this.findOwned(owner, id);
+    this.rules.delete(id);
+    return RuleEngine.toPublic(rule);
+  }
+
+  /**
+   * Every rule the owner has registered
+   * @param {string} owner
+   * @returns {Object[]} Public rules, oldest first
+   */
+  listRules(owner) {
+    return Array.from(this.rules.values())
+      .filter(rule => rule.owner === owner)
+      .map(RuleEngine.toPublic);
+  }
+
+  /**
+   * Drop all of an owner's rules (e.g. an anonymous socket disconnected)
+   * @param {string} owner
+   */
+  removeOwner(owner) {
+    this.rules.forEach((rule, id) => {
+      if (rule.owner === owner) {
+        this.rules.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Forget trigger history and re-arm every rule (a replay jumped back in time)
+   */
+  resetTriggers() {
+    this.rules.forEach(rule => {
+      rule.lastTriggeredAt = null;
+      rule.armed = !rule.condition.requiresCross;
+    });
+  }
+
+  // Other clients' rules look the same as missing ones
+  findOwned(owner, id) {
+    const rule = this.rules.get(id);
+    if (!rule || rule.owner !== owner) {
+      throw new RuleError('RULE_NOT_FOUND', `Rule ${id} not found`);
+    }
+    return rule;
+  }
+
+  /**
+   * Remove rules past their expiry
+   * @param {number} [now] - Defaults to the engine clock
+   * @returns {Object[]} Expired public rules
+   */
+  expire(now = this.clock.now()) {
+    const expired = [];
+
+    this.rules.forEach((rule, id) => {
+      if (rule.expiresAt !== null && rule.expiresAt <= now) {
+        this.rules.delete(id);
+        expired.push(RuleEngine.toPublic(rule));
+      }
+    });
+
+    return expired;
+  }
+
+  /**
+   * Evaluate every rule against its symbol's current state
+   * @param {number} [now] - Defaults to the engine clock
+   * @returns {Object[]} Triggers: { rule, value, message, timestamp }
+   */
+  evaluate(now = this.clock.now()) {
+    const triggers = [];
+    const contexts = new Map();
+
+    this.rules.forEach((rule, id) => {
+      // Metrics are computed once per symbol per pass
+      if (!contexts.has(rule.symbol)) {
+        const detector = this.detectors.get(rule.symbol);
+        contexts.set(rule.symbol, { detector, metrics: detector.getMetrics(), now });
+      }
+
+      // One failing rule must not stop the others (or the caller's loop)
+      let result;
+      try {
+        result = rule.condition.evaluate(contexts.get(rule.symbol));
+      } catch (error) {
+        console.error(`❌ Error evaluating rule ${id}:`, error);
+        return;
+      }
+      if (!result) {
+        return;
+      }
+
+      if (!result.met) {
+        rule.armed = true;
+        return;
+      }
+
+      if (!rule.armed) {
+        return;
+      }
+
+      // Met on this pass: consume the edge even if still cooling down
+      rule.armed = false;
+      if (rule.lastTriggeredAt !== null && now - rule.lastTriggeredAt < rule.cooldownMs) {
+        return;
+      }
+
+      rule.lastTriggeredAt = now;
+      rule.triggerCount++;
+
+      triggers.push({
+        rule: RuleEngine.toPublic(rule),
+        value: result.value,
+        message: `${rule.name}: ${rule.condition.describe(result.value)}`,
+        timestamp: now
+      });
+
+      if (rule.once) {
+        this.rules.delete(id);
+      }
+    });
+
+    return triggers;
+  }
+
+  /**
+   * Client-facing view of a rule (no evaluation state)
+   * @param {Object} rule
+   * @returns {Object}
+   */
+  static toPublic(rule) {
+    return {
+      id: rule.id,
+      owner: rule.owner,
+      name: rule.name,
+      symbol: rule.symbol,
+      condition: rule.condition.toJSON(),
+      cooldownMs: rule.cooldownMs,
+      expiresAt: rule.expiresAt,
+      once: rule.once,
+      createdAt: rule.createdAt,
+      lastTriggeredAt: rule.lastTriggeredAt,
+      triggerCount: rule.triggerCount
+    };
+  }
+}
+
+module.exports = RuleEngine;
+module.exports.CLIENT_ID_PATTERN = CLIENT_ID_PATTERN;
@@ -1,123 +1,508 @@
 /**
  * WHALE WATCHER - Backend Server
  * 
- * Express server with Socket.IO for real-time BTC whale tracking
- * Connects to Binance WebSocket for live trade data
+ * Express server with Socket.IO for real-time multi-symbol whale tracking
+ * Connects to exchange WebSockets (Binance, Coinbase, Kraken) for live trade data,
+ * or plays back a recorded trade file (REPLAY_FILE)
+ *
+ * With FANOUT_BUS set this process only ingests: it publishes what it would
+ * broadcast to fan-out workers (fanout.js) that serve the browsers, and
+ * serves the REST API to them on an internal port (see cluster/)
  */
 
 const express = require('express');
 const http = require('http');
-const { Server } = require('socket.io');
-const cors = require('cors');
+const cluster = require('cluster');
 const path = require('path');
-const WebSocket = require('ws');
+const { AggregatorRegistry } = require('prom-client');
+const createWebServer = require('./webServer');
 const WhaleDetector = require('./whaleDetector');
 const setupSocketIO = require('./socket');
+const { createAdapter } = require('./exchanges');
+const TradeStore = require('./storage/tradeStore');
+const createApiRouter = require('./api');
+const RuleEngine = require('./rules/ruleEngine');
+const { createNotifier, whaleAlert, clusterAlert } = require('./notifications');
+const ReplaySource = require('./replay/replaySource');
+const { SessionScheduler, ReportArchive } = require('./reports');
+const TradeRecorder = require('./replay/tradeRecorder');
+const BinanceDepthFeed = require('./orderbook/binanceDepthFeed');
+const WallDetector = require('./orderbook/wallDetector');
+const { HealthCheck, createMetrics, createMonitoringRouter } = require('./monitoring');
+const { setupStreams, withStreams } = require('./streams');
+const { Auth, SessionStore, UserStore } = require('./auth');
+const { createBus, EventPublisher, createStickyServer } = require('./cluster');
+const { INTERVALS } = require('./candleEngine');
+const { systemClock } = require('./clock');
+const config = require('./config');
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
+// Message bus to the fan-out workers (null when this process serves browsers)
+const bus = config.cluster.bus ? createBus(config.cluster, 'ingest') : null;
+
+// Dashboard, API and Socket.IO; just the API and monitoring when split
+const web = bus ? null : createWebServer(config);
+const app = web ? web.app : express();
+const server = web ? web.server : http.createServer(app);
+const io = web ? web.io : null;
+
+// Accounts, login sessions and API keys (null when authentication is off)
+const users = config.auth.enabled ? new UserStore({ file: config.auth.usersFile, symbols: config.symbols }) : null;
+const auth = users
+  ? new Auth({ users, sessions: new SessionStore({ ttlMs: config.auth.sessionTtlMs }), secureCookies: config.auth.secureCookies })
+  : null;
+
+if (auth && io) {
+  io.use(auth.socketMiddleware());
+}
+
+// Recorded trades replace the live exchanges when a replay file is configured
+const replay = config.replay ? new ReplaySource(config.replay) : null;
+
+// Replays run the whole pipeline on recorded time
+const clock = replay || systemClock;
+
+function createDetector(symbol) {
+  return new WhaleDetector({
+    symbol,
+    thresholdPolicy: config.thresholdPolicyFor(symbol),
+    clusters: config.clusters,
+    anomalies: config.anomalies.enabled ? config.anomalies : null,
+    clock
+  });
+}
+
+// Initialize one Whale Detector per tracked symbol
+const detectors = new Map(config.symbols.map(symbol => [symbol, createDetector(symbol)]));
+
+// Persistent trade/whale storage (null when disabled)
+const store = config.storage.enabled ? new TradeStore(config.storage) : null;
+
+// Daily session boundaries, with archived whale reports when storing
+// (replays run on recorded time and have no sessions)
+const sessions = replay ? null : new SessionScheduler({
+  detectors,
+  store,
+  archive: store ? new ReportArchive(config.reports.dir) : null,
+  hourUtc: config.reports.sessionHourUtc,
+  largest: config.reports.largest,
+  clock
+});
+
+// Outbound whale notifications (webhooks, Slack, Discord, email)
+const notifier = createNotifier(config.notifications);
+
+// User-defined alert rules, registered over the socket or REST
+const ruleEngine = new RuleEngine({ detectors, clock });
+
+// Local Binance order books and their wall detectors (none when disabled)
+const depthFeed = config.orderbook.enabled
+  ? new BinanceDepthFeed({ symbols: config.symbols, depthLimit: config.orderbook.depthLimit })
+  : null;
+const wallDetectors = new Map(depthFeed
+  ? config.symbols.map(symbol => [symbol, new WallDetector(config.wallsFor(symbol))])
+  : []);
+
+// Upstream trade sources: exchange adapters, or the replay source (same interface)
+const adapters = replay
+  ? [replay]
+  : config.exchanges.map(name => createAdapter(name, { symbols: config.symbols }));
+
+// Live feeds whose health is reported to clients
+const upstreams = replay ? [] : depthFeed ? [...adapters, depthFeed] : adapters;
+
+// Liveness/readiness from the feed states, and Prometheus metrics
+const health = new HealthCheck({ upstreams, unhealthyAfterMs: config.monitoring.unhealthyAfterMs });
+const metrics = createMetrics({
+  upstreams,
+  notifications: () => notifier.stats,
+  ...(io && { connectedClients: () => socketHandlers.getConnectedClientsCount() })
+});
+
+// Cluster workers' fan-out metrics, summed at scrape time
+const workerMetrics = config.cluster.bus === 'ipc' ? new AggregatorRegistry() : null;
+app.use(createMonitoringRouter({ health, metrics, workerMetrics }));
+
+// Versioned REST API for history, metrics, rules, replay controls, order books and reports
+app.use('/api/v1', createApiRouter({ detectors, store, rules: ruleEngine, clock, replay, depthFeed, wallDetectors, auth, sessions }));
+
+// SSE and plain WebSocket streams (served by the fan-out workers when split)
+const streams = web && config.streams.enabled
+  ? setupStreams(web, { detectors, metrics, auth, options: config.streams })
+  : null;
+
+// Setup Socket.IO handlers, or publish the same calls to fan-out workers
+const socketHandlers = bus
+  ? new EventPublisher({ bus, detectors, wallDetectors, upstreams, ruleEngine, replay, auth })
+  : withStreams(setupSocketIO(io, {
+    detectors,
+    ruleEngine,
+    replay,
+    wallDetectors,
+    upstreams,
+    metrics,
+    fanout: config.fanout,
+    auth
+  }), streams);
+
+// Optional recording of the live stream for later replay
+const recorder = config.recordFile ? new TradeRecorder(config.recordFile) : null;
+
+function handleTrade(trade) {
+  const whaleDetector = detectors.get(trade.symbol);
+  if (!whaleDetector) {
+    return;
   }
+
+  const walls = wallDetectors.get(trade.symbol);
+  if (walls) {
+    walls.recordTrade(trade);
+  }
+
+  const endTimer = metrics.processingSeconds.startTimer();
+
+  try {
+    // Process trade through the symbol's whale detector
+    const processedTrade = whaleDetector.processTrade(trade);
+    metrics.tradesProcessed.inc({ exchange: trade.exchange, symbol: trade.symbol });
+    if (!replay) {
+      metrics.tradeLagSeconds.observe({ exchange: trade.exchange }, Math.max(0, Date.now() - processedTrade.timestamp) / 1000);
+    }
+    
+    if (store) {
+      store.appendTrade(processedTrade);
+    }
+    
+    // Queue the trade for the next batched update to clients watching this symbol
+    socketHandlers.broadcastTradeUpdate(processedTrade);
+    
+    // If it's a whale trade, send alert
+    if (processedTrade.isWhale) {
+      metrics.whalesDetected.inc({ symbol: processedTrade.symbol, severity: processedTrade.severity });
+      const alert = whaleAlert(processedTrade);
+      socketHandlers.broadcastWhaleAlert({ ...processedTrade, message: alert.message });
+      notifier.notify(alert);
+
+      console.log(`\n🚨 ${alert.message}`);
+      console.log(`   Value: $${processedTrade.tradeValue.toLocaleString('en-US')}`);
+      console.log(`   Time: ${new Date(processedTrade.timestamp).toLocaleTimeString()}\n`);
+    }
+    
+  } catch (error) {
+    metrics.processingErrors.inc({ stage: 'trade' });
+    console.error('❌ Error processing trade:', error);
+  } finally {
+    endTimer();
+  }
+}
+
+// Push changed candles, metrics, finished clusters, market anomalies and order
+// book walls and evaluate alert rules a few times per second instead of on every trade
+// (replays flush on their own ticks of recorded time)
+const FLUSH_INTERVAL = 500;
+
+function flushDetectors(now = clock.now()) {
+  detectors.forEach((detector, symbol) => {
+    socketHandlers.broadcastCandleUpdates(symbol, detector.candles.drainUpdates());
+    socketHandlers.broadcastMetricsUpdate(detector.getMetrics());
+
+    const closed = detector.candles.drainClosed();
+    const clusters = detector.drainClusters(now);
+
+    clusters.forEach(cluster => {
+      metrics.clustersDetected.inc({ symbol });
+      socketHandlers.broadcastWhaleCluster(cluster);
+      notifier.notify(clusterAlert(cluster));
+
+      const side = cluster.side === 'sell' ? 'SELL' : 'BUY';
+      console.log(`\n🧩 Whale cluster on ${cluster.exchange}: ${side} ${cluster.fills} fills, $${cluster.totalValue.toLocaleString('en-US')} over ${cluster.durationMs}ms\n`);
+    });
+
+    detector.drainAnomalies(now).forEach(anomaly => {
+      metrics.anomaliesDetected.inc({ symbol, kind: anomaly.kind });
+      socketHandlers.broadcastMarketAnomaly(anomaly);
+      console.log(`⚡ ${symbol} ${anomaly.kind} (z ${anomaly.score})`);
+    });
+
+    if (store) {
+      closed.forEach(({ interval, candle }) => store.appendCandle(symbol, interval, candle));
+      clusters.forEach(cluster => store.appendCluster(cluster));
+    }
+  });
+
+  wallDetectors.forEach((walls, symbol) => {
+    const book = depthFeed.getBook(symbol);
+    const events = walls.evaluate(book, now);
+    events.forEach(event => {
+      socketHandlers.broadcastOrderbookWall(event);
+      console.log(`🧱 ${symbol} ${event.side.toUpperCase()} WALL ${event.event.toUpperCase()} at ${event.price}: $${Math.round(event.notional).toLocaleString('en-US')} after ${(event.lifetimeMs / 1000).toFixed(1)}s`);
+    });
+    if (events.length > 0) {
+      socketHandlers.broadcastOrderbookWalls(symbol, walls.getWalls());
+    }
+
+    const spreadBps = book && book.spreadBps();
+    if (spreadBps !== null) {
+      detectors.get(symbol).observeSpread(spreadBps);
+    }
+  });
+
+  ruleEngine.expire(now).forEach(rule => socketHandlers.broadcastRuleExpired(rule));
+  ruleEngine.evaluate(now).forEach(trigger => socketHandlers.broadcastRuleTriggered(trigger));
+}
+
+const flushTimer = replay ? null : setInterval(() => flushDetectors(), FLUSH_INTERVAL);
+
+// Dead-lettered notifications have their own retention
+const ONE_HOUR = 60 * 60 * 1000;
+const notifierPruneTimer = setInterval(() => {
+  notifier.prune().catch(error => console.error('❌ Error pruning dead letters:', error));
+}, ONE_HOUR);
+
+adapters.forEach(adapter => {
+  if (recorder) {
+    adapter.on('trade', trade => recorder.record(trade));
+  }
+  adapter.on('trade', handleTrade);
+  // Errors are logged by the adapter; listening keeps EventEmitter from throwing
+  adapter.on('error', () => {});
+});
+
+if (depthFeed) {
+  depthFeed.on('error', () => {});
+}
+
+upstreams.forEach(upstream => {
+  upstream.on('status', () => socketHandlers.broadcastUpstreamStatus());
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Serve static files from frontend directory
-app.use(express.static(path.join(__dirname, '../frontend')));
-
-// Initialize Whale Detector
-const whaleDetector = new WhaleDetector();
-
-// Setup Socket.IO handlers
-const socketHandlers = setupSocketIO(io, whaleDetector);
-
-// Binance WebSocket connection
-let binanceWS = null;
-let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 10;
-const RECONNECT_DELAY = 5000; // 5 seconds
-
-function connectToBinance() {
-  console.log('🔌 Connecting to Binance WebSocket...');
-  
-  // Binance trade stream for BTCUSDT
-  const stream = 'btcusdt@trade';
-  const wsUrl = `wss://stream.binance.com:9443/ws/${stream}`;
-  
-  binanceWS = new WebSocket(wsUrl);
-
-  binanceWS.on('open', () => {
-    console.log('✅ Connected to Binance WebSocket');
-    reconnectAttempts = 0;
+// ============================================
+// REPLAY
+// ============================================
+
+let replayStatusTimer = null;
+
+if (replay) {
+  replay.on('tick', flushDetectors);
+
+  // Every playthrough starts from empty detectors and re-armed rules
+  replay.on('reset', () => {
+    config.symbols.forEach(symbol => detectors.set(symbol, createDetector(symbol)));
+    ruleEngine.resetTriggers();
+    socketHandlers.broadcastReplayReset();
   });
 
-  binanceWS.on('message', (data) => {
-    try {
-      const trade = JSON.parse(data.toString());
-      
-      // Process trade through whale detector
-      const processedTrade = whaleDetector.processTrade(trade);
-      
-      // Broadcast trade update to all clients
-      socketHandlers.broadcastTradeUpdate(processedTrade);
-      
-      // If it's a whale trade, send alert
-      if (processedTrade.isWhale) {
-        socketHandlers.broadcastWhaleAlert({
-          ...processedTrade,
-          message: `🐋 WHALE DETECTED: ${processedTrade.quantity.toFixed(4)} BTC at $${processedTrade.price.toFixed(2)}`
-        });
-      }
-      
-      // Broadcast metrics update every 10 trades (to reduce load)
-      if (whaleDetector.tradeHistory.length % 10 === 0) {
-        socketHandlers.broadcastMetricsUpdate(whaleDetector.getMetrics());
-      }
-      
-    } catch (error) {
-      console.error('❌ Error processing trade:', error);
+  replay.on('open', () => {
+    const untracked = replay.range.symbols.filter(symbol => !detectors.has(symbol));
+    if (untracked.length > 0) {
+      console.warn(`⚠️ Replay file has untracked symbols (add them to SYMBOLS): ${untracked.join(', ')}`);
     }
   });
 
-  binanceWS.on('error', (error) => {
-    console.error('❌ Binance WebSocket error:', error);
+  replay.on('status', status => socketHandlers.broadcastReplayStatus(status));
+
+  // Progress updates while playing
+  replayStatusTimer = setInterval(() => {
+    if (replay.state === 'playing') {
+      socketHandlers.broadcastReplayStatus(replay.getStatus());
+    }
+  }, 1000);
+}
+
+// ============================================
+// FAN-OUT WORKERS
+// ============================================
+
+let stickyServer = null;
+let shuttingDown = false;
+
+// Fork fan-out workers (fanout.js) and hand them browser connections;
+// a worker that dies is replaced
+function startWorkers() {
+  cluster.setupPrimary({ exec: path.join(__dirname, 'fanout.js') });
+  cluster.on('exit', (worker, code, signal) => {
+    if (!shuttingDown) {
+      console.warn(`⚠️ Fan-out worker ${worker.process.pid} exited (${signal || code}); starting another`);
+      setTimeout(() => cluster.fork(), 1000);
+    }
   });
 
-  binanceWS.on('close', () => {
-    console.log('⚠️ Binance WebSocket closed');
-    
-    if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-      reconnectAttempts++;
-      console.log(`🔄 Reconnecting in ${RECONNECT_DELAY / 1000} seconds... (Attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
-      setTimeout(connectToBinance, RECONNECT_DELAY);
+  for (let i = 0; i < config.cluster.workers; i++) {
+    cluster.fork();
+  }
+
+  stickyServer = createStickyServer();
+  stickyServer.listen(PORT);
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+let snapshotTimer = null;
+let pruneTimer = null;
+
+// Reload detector state, closed candles and the last hour of trades from disk;
+// the rest of the 24h statistics come from 1m candles and whales
+async function restoreDetectors() {
+  const now = Date.now();
+  const tradesFrom = Math.floor((now - ONE_HOUR) / INTERVALS['1m']) * INTERVALS['1m'];
+  const statsRange = { from: now - 24 * ONE_HOUR, to: tradesFrom - 1 };
+
+  for (const [symbol, detector] of detectors) {
+    detector.restoreState(await store.loadState(symbol));
+    detector.restoreStats(
+      (await store.read(symbol, 'candles/1m', statsRange)).filter(candle => candle.timestamp + INTERVALS['1m'] <= tradesFrom),
+      await store.read(symbol, 'whales', statsRange)
+    );
+    detector.restoreTrades(await store.read(symbol, 'trades', { from: tradesFrom }));
+
+    for (const [interval, intervalMs] of Object.entries(INTERVALS)) {
+      const from = now - detector.candles.maxCandles * intervalMs;
+      detector.candles.load(interval, await store.read(symbol, `candles/${interval}`, { from }));
+    }
+
+    console.log(`💾 Restored ${symbol}: ${detector.tradeHistory.length} trades, ${detector.metrics.whaleCount} whales`);
+  }
+}
+
+async function saveSnapshots() {
+  for (const [symbol, detector] of detectors) {
+    await store.saveState(symbol, detector.getState());
+  }
+}
+
+function startPersistence() {
+  snapshotTimer = setInterval(() => {
+    saveSnapshots().catch(error => console.error('❌ Error saving snapshots:', error));
+  }, config.storage.snapshotIntervalMs);
+
+  pruneTimer = setInterval(() => {
+    store.prune().catch(error => console.error('❌ Error pruning storage:', error));
+  }, ONE_HOUR);
+}
+
+async function stopPersistence() {
+  clearInterval(snapshotTimer);
+  clearInterval(pruneTimer);
+  flushDetectors();
+  await saveSnapshots();
+  await store.close();
+}
+
+// Start server
+const PORT = config.port;
+
+async function start() {
+  if (bus) {
+    await bus.connect();
+  }
+
+  if (auth) {
+    await users.load();
+    await auth.bootstrap(config.auth.admin);
+  }
+
+  if (store) {
+    await restoreDetectors();
+    await store.prune();
+    startPersistence();
+  }
+
+  if (sessions) {
+    await sessions.start();
+  }
+
+  const { ingestPort, ingestHost } = config.cluster;
+
+  server.listen(bus ? ingestPort : PORT, bus ? ingestHost : undefined, () => {
+    if (config.cluster.bus === 'ipc') {
+      startWorkers();
+      console.log(`🚀 Whale Watcher running on http://localhost:${PORT} with ${config.cluster.workers} fan-out workers`);
+      console.log(`🧩 Ingestion API and monitoring on http://${ingestHost}:${ingestPort}`);
+    } else if (bus) {
+      console.log(`🚀 Whale Watcher ingestion running, API and monitoring on http://${ingestHost}:${ingestPort}`);
+      console.log(`🧩 Publishing to fan-out processes over ${config.cluster.redisUrl}`);
     } else {
-      console.error('❌ Max reconnection attempts reached. Please check your internet connection.');
+      console.log(`🚀 Whale Watcher server running on http://localhost:${PORT}`);
+      console.log(`📊 Open your browser and navigate to http://localhost:${PORT}`);
     }
+    if (replay) {
+      const { speed } = replay.getStatus();
+      console.log(`📼 Replaying ${config.replay.file} for ${config.symbols.join(', ')} at ${speed === 'max' ? 'max speed' : `${speed}x`}`);
+    } else {
+      console.log(`👀 Tracking ${config.symbols.join(', ')} on ${config.exchanges.join(', ')}`);
+    }
+    if (depthFeed) {
+      console.log(`📚 Tracking Binance order books and walls for ${config.symbols.join(', ')}`);
+    }
+    if (recorder) {
+      console.log(`⏺️ Recording trades to ${config.recordFile}`);
+    }
+    if (auth) {
+      console.log(`🔐 Authentication on (${users.size} users)`);
+    }
+    if (sessions) {
+      console.log(`📅 Sessions roll over at ${String(config.reports.sessionHourUtc).padStart(2, '0')}:00 UTC${store ? ', with archived reports' : ''}`);
+    }
+    if (notifier.channels.length > 0) {
+      console.log(`📣 Notifying ${notifier.channels.map(channel => channel.name).join(', ')}`);
+    }
+    
+    // Connect to upstream exchanges
+    adapters.forEach(adapter => adapter.connect());
+    if (depthFeed) {
+      depthFeed.connect();
+    }
+    health.markStarted();
   });
 }
 
-// Start server
-const PORT = process.env.PORT || 3000;
-
-server.listen(PORT, () => {
-  console.log(`🚀 Whale Watcher server running on http://localhost:${PORT}`);
-  console.log(`📊 Open your browser and navigate to http://localhost:${PORT}`);
-  
-  // Connect to Binance WebSocket
-  connectToBinance();
+start().catch(error => {
+  console.error('❌ Failed to start server:', error);
+  process.exit(1);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
-  if (binanceWS) {
-    binanceWS.close();
+  shuttingDown = true;
+  if (stickyServer) {
+    stickyServer.close();
+  }
+  adapters.forEach(adapter => adapter.disconnect());
+  if (depthFeed) {
+    depthFeed.disconnect();
+  }
+  clearInterval(flushTimer);
+  socketHandlers.close();
+  clearInterval(notifierPruneTimer);
+  clearInterval(replayStatusTimer);
+  if (sessions) {
+    sessions.stop();
+  }
+
+  if (store) {
+    try {
+      await stopPersistence();
+    } catch (error) {
+      console.error('❌ Error flushing storage:', error);
+    }
+  }
+
+  if (recorder) {
+    await recorder.close();
+  }
+
+  try {
+    await notifier.close();
+  } catch (error) {
+    console.error('❌ Error closing notifications:', error);
+  }
+
+  if (bus) {
+    await bus.close();
   }
+
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
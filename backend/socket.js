@@ -1,86 +1,735 @@
 /**
  * SOCKET.IO CONFIGURATION
- * 
+ *
  * Manages WebSocket connections to frontend
- * Broadcasts trade updates and whale alerts
- * Handles client connections/disconnections
+ * Broadcasts trade updates and whale alerts to per-symbol rooms
+ * Handles client connections/disconnections and symbol subscriptions
+ *
+ * With authentication on, each connection belongs to a user whose watch
+ * settings (auth/settings.js) pick the symbols listed, the whale threshold
+ * per symbol and which alerts are delivered
+ *
+ * Per-symbol events carry a `seq`. A dashboard that reconnects sends its
+ * last one on `subscribe` and is sent what it missed (see syncLog.js);
+ * otherwise it starts from a snapshot. Either way a `sync` event ends it.
+ *
+ * Fan-out workers (fanout.js) run the same handlers on a mirror of the
+ * ingestion process's state, with rule, replay and auth calls going over
+ * the message bus; those calls may return promises (see cluster/)
  */
 
-function setupSocketIO(io, whaleDetector) {
+const { splitSymbol } = require('./exchanges/symbols');
+const { INTERVALS, isInterval } = require('./candleEngine');
+const RuleError = require('./rules/errors');
+const { CLIENT_ID_PATTERN } = require('./rules/ruleEngine');
+const { ReplayError } = require('./replay/replaySource');
+const TradeBatcher = require('./tradeBatcher');
+const { TIERS, TradeSummary, toWireTrade } = require('./tradeBatcher');
+const SyncLog = require('./syncLog');
+const { FixedThresholdPolicy } = require('./thresholdPolicies');
+const { thresholdFor } = require('./auth');
+
+const DEFAULT_CANDLE_INTERVAL = '1m';
+const DEFAULT_TRADE_TIER = 'full';
+
+// Room name for clients watching a symbol
+function roomFor(symbol) {
+  return `symbol:${symbol}`;
+}
+
+// Room name for every socket of one client id (rule triggers)
+function clientRoomFor(clientId) {
+  return `client:${clientId}`;
+}
+
+// Room name for clients charting a symbol at one candle interval
+function candleRoomFor(symbol, interval) {
+  return `candles:${symbol}:${interval}`;
+}
+
+// Room name for clients taking a symbol's trades at one rate tier
+function tradeRoomFor(symbol, tier) {
+  return `trades:${symbol}:${tier}`;
+}
+
+// Room for every socket of one user (settings changes, account removal)
+function userRoomFor(userId) {
+  return `user:${userId}`;
+}
+
+// Room for sockets alerted on a symbol's whales at one threshold: 'policy'
+// for the server's threshold policy, or a user's own USD amount
+function whaleRoomFor(symbol, threshold) {
+  return `whales:${symbol}:${threshold}`;
+}
+
+const CUSTOM_WHALE_ROOM = /^whales:([^:]+):(\d+)$/;
+
+// Move a subscribed socket to the whale room matching its user's threshold
+function joinWhaleRoom(socket, symbol) {
+  const threshold = socket.data.settings && thresholdFor(socket.data.settings, symbol);
+
+  socket.rooms.forEach(room => {
+    if (room.startsWith(whaleRoomFor(symbol, ''))) {
+      socket.leave(room);
+    }
+  });
+  socket.join(whaleRoomFor(symbol, threshold || 'policy'));
+}
+
+/**
+ * Whether a user's alert preferences let an alert through
+ * (connections without a user get every alert)
+ * @param {Object|null} settings - User watch settings
+ * @param {('whales'|'clusters'|'walls'|'anomalies')} kind
+ * @param {Object} alert - Event payload
+ * @returns {boolean}
+ */
+function wantsAlert(settings, kind, alert) {
+  if (!settings) {
+    return true;
+  }
+
+  const { alerts } = settings;
+  if (!alerts[kind]) {
+    return false;
+  }
+  // Walls and anomalies have no aggressor side
+  if ((kind === 'whales' || kind === 'clusters') && !alerts.sides.includes(alert.side)) {
+    return false;
+  }
+
+  // Clusters below the user's own threshold are noise to them
+  const threshold = thresholdFor(settings, alert.symbol);
+  return !(kind === 'clusters' && threshold && alert.totalValue < threshold);
+}
+
+/**
+ * Resume cursor from a subscribe request
+ * @param {*} resume - { epoch, seq } as last seen by the client
+ * @returns {{epoch: string, seq: number}|null} null when absent or malformed
+ */
+function parseCursor(resume) {
+  if (!resume || typeof resume !== 'object' || typeof resume.epoch !== 'string') {
+    return null;
+  }
+  return Number.isInteger(resume.seq) && resume.seq >= 0 ? { epoch: resume.epoch, seq: resume.seq } : null;
+}
+
+/**
+ * One-line description of a market anomaly for its alert message
+ * @param {Object} anomaly - From AnomalyDetector
+ * @returns {string}
+ */
+function anomalyLabel({ kind, value, baseline, direction, windowMs }) {
+  const usd = amount => `$${Math.round(amount).toLocaleString('en-US')}`;
+
+  switch (kind) {
+    case 'volume_burst':
+      return `VOLUME BURST: ${usd(value)} in 1s vs ${usd(baseline)} typical`;
+    case 'trade_rate':
+      return `TRADE RATE SPIKE: ${value} trades in 1s vs ${baseline.toFixed(1)} typical`;
+    case 'price_shock':
+      return `PRICE ${direction === 'down' ? 'DROP' : 'SPIKE'}: ${value >= 0 ? '+' : ''}${value.toFixed(1)} bps in ${windowMs / 1000}s`;
+    default:
+      return `SPREAD WIDENING: ${value.toFixed(2)} bps vs ${baseline.toFixed(2)} typical`;
+  }
+}
+
+// Upstream states from worst to best; the overall state is the worst one
+const UPSTREAM_STATES = ['disconnected', 'connecting', 'degraded', 'backfilling', 'connected'];
+
+/**
+ * Overall upstream state plus each feed's status
+ * @param {import('./exchanges/exchangeAdapter')[]} upstreams
+ * @returns {{state: string, exchanges: import('./exchanges/exchangeAdapter').UpstreamStatus[]}}
+ */
+function summarizeUpstreams(upstreams) {
+  const exchanges = upstreams.map(upstream => upstream.getStatus());
+  const worst = Math.min(...exchanges.map(status => UPSTREAM_STATES.indexOf(status.state)));
+
+  return { state: UPSTREAM_STATES[worst], exchanges };
+}
+
+/**
+ * @param {import('socket.io').Server} io
+ * @param {Object} deps
+ * @param {Map<string, import('./whaleDetector')>} deps.detectors - Detector per tracked symbol
+ * @param {import('./rules/ruleEngine')} deps.ruleEngine - User-defined alert rules
+ * @param {import('./replay/replaySource')|null} deps.replay - Replay source (null when live)
+ * @param {Map<string, import('./orderbook/wallDetector')>} deps.wallDetectors - Order book walls per symbol (empty when disabled)
+ * @param {import('./exchanges/exchangeAdapter')[]} deps.upstreams - Live exchange feeds (empty during replays)
+ * @param {Object} deps.metrics - Prometheus metrics (see monitoring/metrics.js)
+ * @param {Object} deps.fanout - Trade batching (config.fanout)
+ * @param {Object<string, number>} deps.fanout.intervals - Tick per rate tier (ms)
+ * @param {number} deps.fanout.maxBufferedPackets - Outgoing packets a socket may have queued before its batches are coalesced
+ * @param {number} deps.fanout.resumeBufferSize - Events kept for dashboards that reconnect
+ * @param {number} deps.fanout.maxReplayEvents - Missed events a reconnecting dashboard is sent before it gets a snapshot instead
+ * @param {number} deps.fanout.snapshotTrades - Latest trades per symbol in a snapshot
+ * @param {number} deps.fanout.snapshotAlerts - Latest alerts per symbol in a snapshot
+ * @param {import('./auth').Auth|null} deps.auth - Authentication (null when off); its middleware sets socket.data.auth
+ */
+function setupSocketIO(io, { detectors, ruleEngine, replay, wallDetectors, upstreams, metrics, fanout, auth }) {
   // In-memory store of connected clients
   const connectedClients = new Set();
 
+  // Emit to a room (or every client when room is null) and record the fan-out
+  const broadcast = (room, event, ...args) => {
+    const sockets = room ? io.sockets.adapter.rooms.get(room) : io.sockets.sockets;
+    metrics.broadcasts.inc({ event });
+    metrics.broadcastFanout.observe({ event }, sockets ? sockets.size : 0);
+    (room ? io.to(room) : io).emit(event, ...args);
+  };
+
+  // Numbered per-symbol events, for resuming and snapshots
+  const sync = new SyncLog({
+    bufferSize: fanout.resumeBufferSize,
+    recentTrades: fanout.snapshotTrades,
+    recentAlerts: fanout.snapshotAlerts
+  });
+
+  // Number a symbol's event and emit it to a room
+  const broadcastSymbolEvent = (symbol, room, event, payload) => {
+    broadcast(room, event, sync.record(symbol, room, event, payload));
+  };
+
+  // Emit an alert to a room, skipping sockets whose user does not want it
+  const broadcastAlert = (room, kind, event, payload) => {
+    const alert = sync.record(payload.symbol, room, event, payload, kind);
+    const members = io.sockets.adapter.rooms.get(room);
+    const muted = [];
+    if (members) {
+      members.forEach(id => {
+        const socket = io.sockets.sockets.get(id);
+        if (socket && !wantsAlert(socket.data.settings, kind, alert)) {
+          muted.push(id);
+        }
+      });
+    }
+
+    metrics.broadcasts.inc({ event });
+    metrics.broadcastFanout.observe({ event }, members ? members.size - muted.length : 0);
+    io.to(room).except(muted).emit(event, alert);
+  };
+
+  // Price, quantity and value as numbers, rounded like trade_update's trades
+  const emitWhaleAlert = (room, whaleData, severity) => {
+    const { base } = splitSymbol(whaleData.symbol);
+    const { price, quantity, tradeValue } = toWireTrade(whaleData);
+
+    broadcastAlert(room, 'whales', 'whale_alert', {
+      exchange: whaleData.exchange,
+      symbol: whaleData.symbol,
+      price,
+      quantity,
+      tradeValue,
+      timestamp: new Date(whaleData.timestamp).toISOString(),
+      side: whaleData.side,
+      severity,
+      message: `🐋 WHALE ${whaleData.side === 'sell' ? 'SELL' : 'BUY'}: ${whaleData.quantity.toFixed(4)} ${base} at $${whaleData.price.toFixed(2)}`
+    });
+  };
+
+  // Users' own whale thresholds in use, per symbol: USD amount → policy
+  // grading severity against it. Follows the whale rooms as they come and go.
+  const customThresholds = new Map();
+
+  io.sockets.adapter.on('create-room', (room) => {
+    const match = CUSTOM_WHALE_ROOM.exec(room);
+    if (match) {
+      const [, symbol, usd] = match;
+      if (!customThresholds.has(symbol)) {
+        customThresholds.set(symbol, new Map());
+      }
+      customThresholds.get(symbol).set(usd, new FixedThresholdPolicy({ usd: Number(usd) }));
+    }
+  });
+
+  io.sockets.adapter.on('delete-room', (room) => {
+    const match = CUSTOM_WHALE_ROOM.exec(room);
+    if (match && customThresholds.has(match[1])) {
+      customThresholds.get(match[1]).delete(match[2]);
+    }
+  });
+
+  // Symbols listed to a socket: its user's watchlist, or every tracked one
+  const listedSymbols = (socket) => {
+    const watchlist = socket.data.settings ? socket.data.settings.watchlist : [];
+    return watchlist.length > 0 ? watchlist.filter(symbol => detectors.has(symbol)) : Array.from(detectors.keys());
+  };
+
+  const describeSymbols = (symbols) => symbols.map(symbol => ({ symbol, ...splitSymbol(symbol) }));
+
+  // Apply a user's changed settings to their open connections; sockets
+  // using a revoked API key are dropped
+  const onUserUpdated = (user) => {
+    const members = io.sockets.adapter.rooms.get(userRoomFor(user.id));
+    if (!members) {
+      return;
+    }
+
+    Array.from(members).forEach(id => {
+      const socket = io.sockets.sockets.get(id);
+      const { apiKeyId } = socket.data.auth;
+      if (apiKeyId && !user.apiKeys.some(key => key.id === apiKeyId)) {
+        socket.disconnect(true);
+        return;
+      }
+
+      socket.data.settings = user.settings;
+      socket.rooms.forEach(room => {
+        if (room.startsWith(roomFor(''))) {
+          joinWhaleRoom(socket, room.slice(roomFor('').length));
+        }
+      });
+      socket.emit('user_settings', { settings: user.settings, symbols: describeSymbols(listedSymbols(socket)) });
+    });
+  };
+
+  const onUserRemoved = (user) => {
+    io.in(userRoomFor(user.id)).disconnectSockets(true);
+  };
+
+  if (auth) {
+    auth.users.on('updated', onUserUpdated);
+    auth.users.on('removed', onUserRemoved);
+  }
+
+  // Trades go out in batches, once per tier tick
+  const batcher = new TradeBatcher();
+
+  // A socket whose transport has not drained its queue is a slow consumer
+  const isCongested = (socket) => socket.conn.writeBuffer.length >= fanout.maxBufferedPackets;
+
+  // Slow consumers miss whole batches; what they missed is folded into a
+  // summary (socket.data.skipped, per symbol) and sent with their next batch
+  const flushTrades = (tier) => {
+    batcher.drain(tier).forEach(drained => {
+      const room = tradeRoomFor(drained.symbol, tier);
+      // Logged even with nobody in the room: a reconnecting dashboard wants it
+      sync.addTrades(drained);
+      const batch = sync.record(drained.symbol, room, 'trade_update', drained);
+
+      const members = io.sockets.adapter.rooms.get(room);
+      if (!members) {
+        return;
+      }
+
+      const lagging = [];
+      members.forEach(id => {
+        const socket = io.sockets.sockets.get(id);
+        if (socket && (socket.data.skipped.has(batch.symbol) || isCongested(socket))) {
+          lagging.push(socket);
+        }
+      });
+
+      if (lagging.length < members.size) {
+        io.to(room).except(lagging.map(socket => socket.id)).emit('trade_update', batch);
+        metrics.broadcasts.inc({ event: 'trade_update' });
+        metrics.broadcastFanout.observe({ event: 'trade_update' }, members.size - lagging.length);
+      }
+
+      lagging.forEach(socket => {
+        const skipped = socket.data.skipped.get(batch.symbol);
+
+        if (isCongested(socket)) {
+          const summary = skipped || new TradeSummary();
+          summary.merge(batch.summary);
+          socket.data.skipped.set(batch.symbol, summary);
+          metrics.coalescedBatches.inc({ tier });
+          return;
+        }
+
+        socket.data.skipped.delete(batch.symbol);
+        socket.emit('trade_update', { ...batch, skipped: skipped.toJSON() });
+      });
+    });
+  };
+
+  const tradeTimers = TIERS.map(tier => setInterval(() => flushTrades(tier), fanout.intervals[tier]));
+
+  // Whether a socket, in the rooms it is in now, gets a logged event
+  const receives = (socket, entry) => socket.rooms.has(entry.room) &&
+    (!entry.kind || wantsAlert(socket.data.settings, entry.kind, entry.payload));
+
+  // Start a subscribed socket over from the current state: metrics, candles
+  // and walls, then the latest trades and alerts it would have been sent
+  const sendSnapshot = (socket, symbol, reason = null) => {
+    const detector = detectors.get(symbol);
+    const tier = TIERS.find(name => socket.rooms.has(tradeRoomFor(symbol, name))) || DEFAULT_TRADE_TIER;
+    const interval = Object.keys(INTERVALS).find(name => socket.rooms.has(candleRoomFor(symbol, name)));
+
+    socket.emit('metrics_update', detector.getMetrics());
+    if (interval) {
+      socket.emit('candle_snapshot', detector.getCandleSnapshot(interval));
+    }
+    if (wallDetectors.has(symbol)) {
+      socket.emit('orderbook_walls', { symbol, walls: wallDetectors.get(symbol).getWalls() });
+    }
+
+    socket.emit('sync', {
+      symbol,
+      epoch: sync.epoch,
+      seq: sync.seq,
+      resumed: false,
+      reason,
+      trades: sync.recentTrades(symbol, tier),
+      alerts: sync.recentAlerts(symbol)
+        .filter(entry => receives(socket, entry))
+        .map(entry => ({ event: entry.event, data: entry.payload }))
+    });
+    metrics.dashboardSyncs.inc({ outcome: reason ? reason.toLowerCase() : 'snapshot' });
+  };
+
+  // Send a reconnected socket the symbol's events it missed, or a snapshot
+  // when they are no longer all kept or too many to send in one go (a
+  // replay skips the congestion handling of live batches)
+  const resumeOrSnapshot = (socket, symbol, cursor) => {
+    const { entries, reason } = sync.since(cursor);
+    if (!entries) {
+      sendSnapshot(socket, symbol, reason);
+      return;
+    }
+
+    const missed = entries.filter(entry => entry.symbol === symbol && receives(socket, entry));
+    if (missed.length > fanout.maxReplayEvents) {
+      sendSnapshot(socket, symbol, 'RESUME_UNAVAILABLE');
+      return;
+    }
+    missed.forEach(entry => socket.emit(entry.event, { ...entry.payload, replayed: true }));
+    socket.emit('sync', { symbol, epoch: sync.epoch, seq: sync.seq, resumed: true, missed: missed.length });
+    metrics.dashboardSyncs.inc({ outcome: 'resumed' });
+  };
+
+  // Resolve a client-supplied symbol to a tracked one (or null)
+  const resolveSymbol = (symbol) => {
+    const normalized = typeof symbol === 'string' ? symbol.toUpperCase() : '';
+    return detectors.has(normalized) ? normalized : null;
+  };
+
   io.on('connection', (socket) => {
     console.log(`✅ Client connected: ${socket.id}`);
     connectedClients.add(socket.id);
 
+    // Logged-in users own their rules across all their connections.
+    // Otherwise rules belong to the handshake client id so they outlive
+    // reconnects; sockets without one own their rules only while connected
+    const user = socket.data.auth ? socket.data.auth.user : null;
+    const requestedId = socket.handshake.auth && socket.handshake.auth.clientId;
+    const anonymous = !user && !(typeof requestedId === 'string' && CLIENT_ID_PATTERN.test(requestedId));
+    const clientId = user ? user.id : anonymous ? socket.id : requestedId;
+    socket.join(clientRoomFor(clientId));
+
+    // Watch settings applied to this connection (null without a user)
+    socket.data.settings = user ? user.settings : null;
+    if (user) {
+      socket.join(userRoomFor(user.id));
+    }
+
+    // Coalesced summaries of batches skipped while congested, per symbol
+    socket.data.skipped = new Map();
+
     // Send initial metadata on connection
     socket.emit('connection_status', {
       status: 'connected',
       timestamp: new Date().toISOString(),
-      message: '🟢 Connected to whale tracker server'
+      message: '🟢 Connected to whale tracker server',
+      symbols: describeSymbols(listedSymbols(socket)),
+      user: user ? { id: user.id, username: user.username, role: user.role, settings: user.settings } : null
+    });
+
+    if (replay) {
+      socket.emit('replay_status', replay.getStatus());
+    }
+
+    if (upstreams.length > 0) {
+      socket.emit('upstream_status', summarizeUpstreams(upstreams));
+    }
+
+    // Move the socket to one candle interval room for a symbol
+    const joinCandleRoom = (symbol, interval) => {
+      Object.keys(INTERVALS).forEach(name => socket.leave(candleRoomFor(symbol, name)));
+      socket.join(candleRoomFor(symbol, interval));
+    };
+
+    // Move the socket to one trade rate tier for a symbol
+    const setTradeTier = (symbol, tier) => {
+      TIERS.forEach(name => socket.leave(tradeRoomFor(symbol, name)));
+      socket.join(tradeRoomFor(symbol, tier));
+    };
+
+    // Join a symbol room and send its current state, or only what the socket
+    // missed when it resumes from its last event
+    // Accepts 'ETHUSDT' or
+    // { symbol: 'ETHUSDT', interval: '5m', tier: 'summary', resume: { epoch, seq } }
+    socket.on('subscribe', (request) => {
+      const requested = request && typeof request === 'object' ? request.symbol : request;
+      const symbol = resolveSymbol(requested);
+      if (!symbol) {
+        socket.emit('subscription_error', {
+          symbol: requested,
+          message: `Symbol ${requested} is not tracked`
+        });
+        return;
+      }
+
+      const interval = isInterval(request.interval) ? request.interval : DEFAULT_CANDLE_INTERVAL;
+      const tier = TIERS.includes(request.tier) ? request.tier : DEFAULT_TRADE_TIER;
+
+      const cursor = parseCursor(request.resume);
+
+      socket.join(roomFor(symbol));
+      joinCandleRoom(symbol, interval);
+      setTradeTier(symbol, tier);
+      joinWhaleRoom(socket, symbol);
+
+      if (cursor) {
+        resumeOrSnapshot(socket, symbol, cursor);
+      } else {
+        sendSnapshot(socket, symbol);
+      }
+    });
+
+    // Leave a symbol room and its candle rooms
+    socket.on('unsubscribe', (requested) => {
+      const symbol = resolveSymbol(requested);
+      if (symbol) {
+        socket.leave(roomFor(symbol));
+        Object.keys(INTERVALS).forEach(name => socket.leave(candleRoomFor(symbol, name)));
+        TIERS.forEach(name => socket.leave(tradeRoomFor(symbol, name)));
+        socket.rooms.forEach(room => {
+          if (room.startsWith(whaleRoomFor(symbol, ''))) {
+            socket.leave(room);
+          }
+        });
+        socket.data.skipped.delete(symbol);
+      }
+    });
+
+    // Switch between the full trade tape and per-tick summaries
+    socket.on('set_trade_tier', (request) => {
+      const { symbol: requested, tier } = request || {};
+      const symbol = resolveSymbol(requested);
+      if (symbol && TIERS.includes(tier) && socket.rooms.has(roomFor(symbol))) {
+        setTradeTier(symbol, tier);
+      }
+    });
+
+    // Switch the candle interval streamed for a subscribed symbol
+    socket.on('set_candle_interval', (request) => {
+      const { symbol: requested, interval } = request || {};
+      const symbol = resolveSymbol(requested);
+      if (symbol && isInterval(interval) && socket.rooms.has(roomFor(symbol))) {
+        joinCandleRoom(symbol, interval);
+        socket.emit('candle_snapshot', detectors.get(symbol).getCandleSnapshot(interval));
+      }
     });
 
-    // Send current metrics
-    socket.emit('metrics_update', whaleDetector.getMetrics());
+    const emitRuleError = (error) => {
+      if (error instanceof RuleError) {
+        socket.emit('rule_error', { code: error.code, message: error.message });
+        return;
+      }
+      console.error('❌ Error handling rule request:', error);
+      socket.emit('rule_error', { code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    };
 
-    // Send initial chart data
-    socket.emit('chart_data', whaleDetector.getChartData());
+    // Register an alert rule; replies with rule_added or rule_error
+    socket.on('add_rule', async (spec) => {
+      try {
+        socket.emit('rule_added', await ruleEngine.addRule(clientId, spec));
+      } catch (error) {
+        emitRuleError(error);
+      }
+    });
+
+    // Remove one of this client's rules
+    socket.on('remove_rule', async (request) => {
+      try {
+        const { id } = request || {};
+        socket.emit('rule_removed', await ruleEngine.removeRule(clientId, id));
+      } catch (error) {
+        emitRuleError(error);
+      }
+    });
+
+    socket.on('list_rules', async () => {
+      try {
+        socket.emit('rules_list', { rules: await ruleEngine.listRules(clientId) });
+      } catch (error) {
+        emitRuleError(error);
+      }
+    });
+
+    // Play/pause/speed/seek a replay; errors come back as replay_error
+    // (status changes reach every client through replay_status)
+    socket.on('replay_control', (command) => {
+      if (!replay) {
+        socket.emit('replay_error', { code: 'REPLAY_INACTIVE', message: 'Server is not running a replay' });
+        return;
+      }
+
+      replay.control(command).catch(error => {
+        if (!(error instanceof ReplayError)) {
+          console.error('❌ Error handling replay control:', error);
+        }
+        socket.emit('replay_error', {
+          code: error.code || 'INTERNAL_ERROR',
+          message: error instanceof ReplayError ? error.message : 'Internal server error'
+        });
+      });
+    });
 
     // Handle client disconnect
     socket.on('disconnect', () => {
+      if (anonymous) {
+        Promise.resolve(ruleEngine.removeOwner(clientId)).catch(error => {
+          console.error('❌ Error removing rules:', error.message);
+        });
+      }
       connectedClients.delete(socket.id);
       console.log(`❌ Client disconnected: ${socket.id}`);
       console.log(`📊 Active clients: ${connectedClients.size}`);
     });
 
-    // Handle client requesting full chart update (for sync purposes)
-    socket.on('request_chart_update', () => {
-      socket.emit('chart_data', whaleDetector.getChartData());
+    // Handle client requesting a full candle snapshot (for sync purposes)
+    socket.on('request_candles', (request) => {
+      const { symbol: requested, interval, limit } = request || {};
+      const symbol = resolveSymbol(requested);
+      if (symbol && isInterval(interval)) {
+        const count = Number.isInteger(limit) && limit > 0 ? limit : undefined;
+        socket.emit('candle_snapshot', detectors.get(symbol).getCandleSnapshot(interval, count));
+      }
     });
   });
 
   return {
-    // Broadcast trade update to all connected clients
+    // Queue a trade for the next trade_update batch of its symbol, and alert
+    // users whose own whale threshold it clears
     broadcastTradeUpdate: (tradeData) => {
-      io.emit('trade_update', {
-        price: tradeData.price.toFixed(2),
-        quantity: tradeData.quantity.toFixed(6),
-        tradeValue: tradeData.tradeValue.toFixed(2),
-        timestamp: new Date(tradeData.timestamp).toISOString(),
-        isWhale: tradeData.isWhale
-      });
+      batcher.add(tradeData);
+
+      const custom = customThresholds.get(tradeData.symbol);
+      if (custom) {
+        custom.forEach((policy, usd) => {
+          const severity = policy.classify(tradeData.tradeValue);
+          if (severity) {
+            emitWhaleAlert(whaleRoomFor(tradeData.symbol, usd), tradeData, severity);
+          }
+        });
+      }
     },
 
-    // Broadcast whale alert with visual emphasis
+    // Broadcast a whale by the server's threshold policy with visual emphasis
     broadcastWhaleAlert: (whaleData) => {
-      io.emit('whale_alert', {
-        price: whaleData.price.toFixed(2),
-        quantity: whaleData.quantity.toFixed(6),
-        tradeValue: whaleData.tradeValue.toFixed(2),
-        timestamp: new Date(whaleData.timestamp).toISOString(),
-        severity: whaleData.tradeValue > 1000000 ? 'critical' : 'high',
-        message: `🐋 WHALE ALERT: ${whaleData.quantity.toFixed(4)} BTC at $${whaleData.price.toFixed(2)}`
+      emitWhaleAlert(whaleRoomFor(whaleData.symbol, 'policy'), whaleData, whaleData.severity);
+    },
+
+    // Broadcast a split-order whale cluster
+    broadcastWhaleCluster: (cluster) => {
+      const { base } = splitSymbol(cluster.symbol);
+      const side = cluster.side === 'sell' ? 'SELL' : 'BUY';
+
+      broadcastAlert(roomFor(cluster.symbol), 'clusters', 'whale_cluster', {
+        ...cluster,
+        timestamp: new Date(cluster.timestamp).toISOString(),
+        lastTimestamp: new Date(cluster.lastTimestamp).toISOString(),
+        message: `🧩 WHALE CLUSTER ${side}: ${cluster.quantity.toFixed(4)} ${base} in ${cluster.fills} fills, VWAP $${cluster.vwap.toFixed(2)}`
+      });
+    },
+
+    // Broadcast a wall appearing, getting pulled or getting eaten
+    broadcastOrderbookWall: (wall) => {
+      const { base } = splitSymbol(wall.symbol);
+      const label = `${wall.side.toUpperCase()} WALL ${wall.event.toUpperCase()}`;
+
+      broadcastAlert(roomFor(wall.symbol), 'walls', 'orderbook_wall', {
+        ...wall,
+        timestamp: new Date(wall.timestamp).toISOString(),
+        message: `🧱 ${label}: ${wall.quantity.toFixed(4)} ${base} at $${wall.price.toFixed(2)}`
       });
+    },
 
-      // Log to console for debugging
-      console.log(`\n🚨 ${whaleData.message}`);
-      console.log(`   Value: $${whaleData.tradeValue.toLocaleString('en-US')}`);
-      console.log(`   Time: ${new Date(whaleData.timestamp).toLocaleTimeString()}\n`);
+    // Broadcast a volume, trade rate, price or spread anomaly
+    broadcastMarketAnomaly: (anomaly) => {
+      broadcastAlert(roomFor(anomaly.symbol), 'anomalies', 'market_anomaly', {
+        ...anomaly,
+        timestamp: new Date(anomaly.timestamp).toISOString(),
+        message: `⚡ ${anomalyLabel(anomaly)} (z ${anomaly.score})`
+      });
     },
 
-    // Broadcast updated metrics
-    broadcastMetricsUpdate: (metrics) => {
-      io.emit('metrics_update', metrics);
+    // Current walls for one symbol (sent whenever the set changes)
+    broadcastOrderbookWalls: (symbol, walls) => {
+      broadcastSymbolEvent(symbol, roomFor(symbol), 'orderbook_walls', { symbol, walls });
     },
 
-    // Broadcast chart data update
-    broadcastChartData: (chartData) => {
-      io.emit('chart_data', chartData);
+    // Broadcast updated metrics for one symbol
+    broadcastMetricsUpdate: (detectorMetrics) => {
+      broadcastSymbolEvent(detectorMetrics.symbol, roomFor(detectorMetrics.symbol), 'metrics_update', detectorMetrics);
+    },
+
+    // Broadcast changed candles to clients charting each interval
+    broadcastCandleUpdates: (symbol, updates) => {
+      updates.forEach(({ interval, candle }) => {
+        broadcastSymbolEvent(symbol, candleRoomFor(symbol, interval), 'candle_update', { symbol, interval, candle });
+      });
+    },
+
+    // Tell every socket of the owning client that a rule fired
+    broadcastRuleTriggered: (trigger) => {
+      broadcast(clientRoomFor(trigger.rule.owner), 'rule_triggered', {
+        ...trigger,
+        timestamp: new Date(trigger.timestamp).toISOString()
+      });
+    },
+
+    // Tell the owning client a rule reached its expiry and was removed
+    broadcastRuleExpired: (rule) => {
+      broadcast(clientRoomFor(rule.owner), 'rule_expired', rule);
+    },
+
+    // Exchange feed health for every client (sent whenever a feed changes state)
+    broadcastUpstreamStatus: () => {
+      broadcast(null, 'upstream_status', summarizeUpstreams(upstreams));
+    },
+
+    // Replay playback state for every client
+    broadcastReplayStatus: (status) => {
+      broadcast(null, 'replay_status', status);
+    },
+
+    // A replay restarted or jumped back; clients should drop their data and
+    // resubscribe (without resuming: the events they saw are gone)
+    broadcastReplayReset: () => {
+      sync.clear();
+      broadcast(null, 'replay_reset');
+    },
+
+    // Start every subscribed client over from a snapshot (a fan-out worker
+    // whose state mirror fell behind has re-synced, so events were missed)
+    broadcastSnapshots: () => {
+      sync.invalidate();
+
+      detectors.forEach((detector, symbol) => {
+        const members = io.sockets.adapter.rooms.get(roomFor(symbol));
+        if (members) {
+          Array.from(members).forEach(id => sendSnapshot(io.sockets.sockets.get(id), symbol, 'RESYNCED'));
+        }
+      });
     },
 
     // Get number of connected clients
-    getConnectedClientsCount: () => connectedClients.size
+    getConnectedClientsCount: () => connectedClients.size,
+
+    // Stop the batch ticks (shutdown)
+    close: () => {
+      tradeTimers.forEach(timer => clearInterval(timer));
+      if (auth) {
+        auth.users.off('updated', onUserUpdated);
+        auth.users.off('removed', onUserRemoved);
+      }
+    }
   };
 }
 
@@ -0,0 +1,157 @@
+/**
+ * SEGMENT LOG
+ *
+ * Append-only JSON-lines log split into hourly segment files
+ * (<dir>/<YYYYMMDDHH>.jsonl). Records are routed to a segment by their
+ * own timestamp, read back by time range and pruned by retention age.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{10})\.jsonl$/;
+
+// 2024-05-01T13:xx → '2024050113'
+function segmentName(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 13).replace(/[-T]/g, '');
+}
+
+// '2024050113' → epoch ms at the start of that hour
+function segmentStart(name) {
+  const iso = `${name.slice(0, 4)}-${name.slice(4, 6)}-${name.slice(6, 8)}T${name.slice(8, 10)}:00:00Z`;
+  return Date.parse(iso);
+}
+
+class SegmentLog {
+  /**
+   * @param {string} dir - Directory holding this log's segments
+   * @param {Object} [options]
+   * @param {number} [options.retentionHours] - Segments older than this are pruned (unset = keep forever)
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.retentionMs = options.retentionHours ? options.retentionHours * HOUR_MS : null;
+
+    // Open write streams by segment name
+    this.writers = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Append a record to the segment matching its timestamp
+   * @param {Object} record - Must carry a numeric `timestamp`
+   */
+  append(record) {
+    const name = segmentName(record.timestamp);
+    let writer = this.writers.get(name);
+
+    if (!writer) {
+      writer = fs.createWriteStream(path.join(this.dir, `${name}.jsonl`), { flags: 'a' });
+      writer.on('error', (error) => {
+        console.error(`❌ Segment log write error (${this.dir}):`, error);
+      });
+      this.writers.set(name, writer);
+      this.closeStaleWriters(record.timestamp);
+    }
+
+    writer.write(JSON.stringify(record) + '\n');
+  }
+
+  // Keep the current and previous hour open for late records, close the rest
+  closeStaleWriters(now) {
+    const keepFrom = segmentName(now - HOUR_MS);
+    this.writers.forEach((writer, name) => {
+      if (name < keepFrom) {
+        writer.end();
+        this.writers.delete(name);
+      }
+    });
+  }
+
+  /**
+   * Segment names in chronological order
+   * @returns {Promise<string[]>}
+   */
+  async listSegments() {
+    const files = await fs.promises.readdir(this.dir);
+    return files
+      .map(file => (SEGMENT_PATTERN.exec(file) || [])[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  /**
+   * Read records with from <= timestamp <= to, oldest first
+   * @param {Object} [range]
+   * @param {number} [range.from=0] - Inclusive lower bound (epoch ms)
+   * @param {number} [range.to=Infinity] - Inclusive upper bound (epoch ms)
+   * @returns {Promise<Object[]>}
+   */
+  async read({ from = 0, to = Infinity } = {}) {
+    const segments = (await this.listSegments()).filter(name => {
+      const start = segmentStart(name);
+      return start + HOUR_MS > from && start <= to;
+    });
+
+    const records = [];
+    for (const name of segments) {
+      const content = await fs.promises.readFile(path.join(this.dir, `${name}.jsonl`), 'utf8');
+
+      content.split('\n').forEach(line => {
+        if (!line) return;
+        try {
+          const record = JSON.parse(line);
+          if (record.timestamp >= from && record.timestamp <= to) {
+            records.push(record);
+          }
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line; skip it
+        }
+      });
+    }
+
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Delete segments that ended before the retention cutoff
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<number>} Number of segments removed
+   */
+  async prune(now = Date.now()) {
+    if (!this.retentionMs) {
+      return 0;
+    }
+
+    const cutoff = now - this.retentionMs;
+    const expired = (await this.listSegments())
+      .filter(name => segmentStart(name) + HOUR_MS <= cutoff);
+
+    for (const name of expired) {
+      const writer = this.writers.get(name);
+      if (writer) {
+        writer.end();
+        this.writers.delete(name);
+      }
+      await fs.promises.unlink(path.join(this.dir, `${name}.jsonl`));
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Flush and close all open segments
+   * @returns {Promise<void>}
+   */
+  close() {
+    const pending = Array.from(this.writers.values()).map(writer =>
+      new Promise(resolve => writer.end(resolve))
+    );
+    this.writers.clear();
+    return Promise.all(pending).then(() => {});
+  }
+}
+
+module.exports = SegmentLog;
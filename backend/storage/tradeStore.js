@@ -0,0 +1,144 @@
+/**
+ * TRADE STORE
+ *
+ * File-based persistence for detector data, one directory per symbol:
+ *   <dir>/<SYMBOL>/trades/   raw processed trades (segment log)
+ *   <dir>/<SYMBOL>/whales/   whale trades only (segment log)
+ *   <dir>/<SYMBOL>/clusters/ split-order whale clusters (segment log)
+ *   <dir>/<SYMBOL>/candles/<interval>/  closed OHLCV candles (segment log)
+ *   <dir>/<SYMBOL>/state.json  latest detector state snapshot
+ *
+ * Each stream has its own retention so whales can outlive raw trades
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SegmentLog = require('./segmentLog');
+
+class TradeStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Root data directory
+   * @param {Object<string, number>} [options.retentionHours] - Retention per stream name
+   *   ('candles' covers every candles/<interval> stream)
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.retentionHours = options.retentionHours || {};
+
+    // SegmentLog per '<symbol>/<stream>'
+    this.logs = new Map();
+  }
+
+  /**
+   * Segment log for one symbol's stream, created on first use
+   * @param {string} symbol - Canonical symbol
+   * @param {string} stream - Stream name (trades, whales, ...)
+   * @returns {SegmentLog}
+   */
+  log(symbol, stream) {
+    const key = `${symbol}/${stream}`;
+
+    if (!this.logs.has(key)) {
+      const family = stream.split('/')[0];
+      this.logs.set(key, new SegmentLog(path.join(this.dir, symbol, stream), {
+        retentionHours: this.retentionHours[stream] || this.retentionHours[family]
+      }));
+    }
+
+    return this.logs.get(key);
+  }
+
+  /**
+   * Persist a processed trade (and its whale event, if any)
+   * @param {Object} trade - Trade record from WhaleDetector.processTrade
+   */
+  appendTrade(trade) {
+    this.log(trade.symbol, 'trades').append(trade);
+
+    if (trade.isWhale) {
+      this.log(trade.symbol, 'whales').append(trade);
+    }
+  }
+
+  /**
+   * Persist a whale cluster event
+   * @param {Object} cluster - Cluster from WhaleDetector.drainClusters
+   */
+  appendCluster(cluster) {
+    this.log(cluster.symbol, 'clusters').append(cluster);
+  }
+
+  /**
+   * Persist a closed candle
+   * @param {string} symbol - Canonical symbol
+   * @param {string} interval - Candle interval name
+   * @param {import('../candleEngine').Candle} candle
+   */
+  appendCandle(symbol, interval, candle) {
+    this.log(symbol, `candles/${interval}`).append(candle);
+  }
+
+  /**
+   * Read a stream for one symbol over a time range
+   * @param {string} symbol - Canonical symbol
+   * @param {string} stream - Stream name
+   * @param {Object} [range] - { from, to } in epoch ms
+   * @returns {Promise<Object[]>}
+   */
+  read(symbol, stream, range) {
+    return this.log(symbol, stream).read(range);
+  }
+
+  /**
+   * Write a detector state snapshot atomically (temp file + rename)
+   * @param {string} symbol - Canonical symbol
+   * @param {Object} state - JSON-serializable state
+   */
+  async saveState(symbol, state) {
+    const file = path.join(this.dir, symbol, 'state.json');
+    const tmp = `${file}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(state));
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * Load the last detector state snapshot
+   * @param {string} symbol - Canonical symbol
+   * @returns {Promise<Object|null>} Null when no snapshot exists
+   */
+  async loadState(symbol) {
+    try {
+      const content = await fs.promises.readFile(path.join(this.dir, symbol, 'state.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply retention to every stream
+   * @returns {Promise<number>} Number of segments removed
+   */
+  async prune() {
+    let removed = 0;
+    for (const log of this.logs.values()) {
+      removed += await log.prune();
+    }
+    return removed;
+  }
+
+  /**
+   * Flush and close all open segments
+   */
+  async close() {
+    await Promise.all(Array.from(this.logs.values()).map(log => log.close()));
+  }
+}
+
+module.exports = TradeStore;
@@ -0,0 +1,25 @@
+/**
+ * STREAM ERRORS
+ *
+ * Raised for invalid stream requests and subscribe/unsubscribe messages;
+ * `code` is stable and sent to the client in `error` messages (WebSocket)
+ * or as the API error code (SSE request rejected with 400)
+ */
+
+class StreamError extends Error {
+  /**
+   * @param {string} code - INVALID_MESSAGE, UNKNOWN_SYMBOL, UNKNOWN_CHANNEL or UNKNOWN_INTERVAL
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'StreamError';
+    this.code = code;
+  }
+
+  static invalid(message) {
+    return new StreamError('INVALID_MESSAGE', message);
+  }
+}
+
+module.exports = StreamError;
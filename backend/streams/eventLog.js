@@ -0,0 +1,65 @@
+/**
+ * EVENT LOG
+ *
+ * Fixed-size ring of the latest stream events, each numbered by a
+ * sequence number that only goes up. A client that reconnects with the
+ * last number it saw is sent what it missed, as long as that is still
+ * in the ring.
+ */
+
+class EventLog {
+  /**
+   * @param {number} capacity - Events kept for resuming
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.size = 0;
+
+    // Number of the latest event (0 before the first)
+    this.seq = 0;
+  }
+
+  /**
+   * Number an event and keep it, dropping the oldest when full
+   * @param {Object} entry - Anything; gets a `seq`
+   * @returns {Object} The entry
+   */
+  append(entry) {
+    this.seq++;
+    entry.seq = this.seq;
+    this.entries[this.seq % this.capacity] = entry;
+    this.size = Math.min(this.size + 1, this.capacity);
+    return entry;
+  }
+
+  /**
+   * Events after `seq`, oldest first
+   * @param {number} seq - Last event the client saw
+   * @returns {Object[]|null} null when some of them are no longer kept
+   *   (or `seq` was never handed out)
+   */
+  since(seq) {
+    if (seq > this.seq || seq < this.seq - this.size) {
+      return null;
+    }
+
+    const entries = [];
+    for (let next = seq + 1; next <= this.seq; next++) {
+      entries.push(this.entries[next % this.capacity]);
+    }
+    return entries;
+  }
+
+  /**
+   * Forget every event; earlier numbers can no longer be resumed from
+   * (the number moves on so a client at the latest one notices too)
+   */
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.size = 0;
+    this.seq++;
+  }
+}
+
+module.exports = EventLog;
@@ -0,0 +1,70 @@
+/**
+ * STREAMS
+ *
+ * Live market events over Server-Sent Events and plain WebSocket, for
+ * consumers without a Socket.IO client (see streamHub.js for delivery and
+ * resuming, schema.js for the messages, transports.js for the endpoints)
+ */
+
+const StreamHub = require('./streamHub');
+const StreamError = require('./errors');
+const { createSseRouter, attachWebSocketStream } = require('./transports');
+const { SCHEMA_VERSION, CHANNELS } = require('./schema');
+
+/**
+ * Serve the streams on a browser-facing web server
+ * @param {Object} web - From createWebServer()
+ * @param {Object} deps
+ * @param {Map<string, import('../whaleDetector')>} deps.detectors - Detectors, or a worker's state mirror of them
+ * @param {Object} deps.metrics - Prometheus metrics (see monitoring/metrics.js)
+ * @param {Object|null} deps.auth - Auth or RemoteAuth (null when off)
+ * @param {Object} deps.options - config.streams
+ * @returns {StreamHub}
+ */
+function setupStreams({ app, server, isAllowedOrigin }, { detectors, metrics, auth, options }) {
+  const hub = new StreamHub({
+    detectors,
+    metrics,
+    bufferSize: options.bufferSize,
+    maxBufferedBytes: options.maxBufferedBytes
+  });
+
+  app.use(createSseRouter({ hub, auth, heartbeatMs: options.heartbeatMs }));
+  attachWebSocketStream(server, { hub, auth, isAllowedOrigin, heartbeatMs: options.heartbeatMs });
+
+  return hub;
+}
+
+/**
+ * Socket handlers that also hand every call the hub takes on to it
+ * Return values are the socket handlers'
+ * @param {Object} socketHandlers - From setupSocketIO()
+ * @param {StreamHub|null} hub
+ * @returns {Object}
+ */
+function withStreams(socketHandlers, hub) {
+  if (!hub) {
+    return socketHandlers;
+  }
+
+  const combined = { ...socketHandlers };
+  Object.keys(socketHandlers).forEach(name => {
+    if (typeof hub[name] === 'function') {
+      combined[name] = (...args) => {
+        const result = socketHandlers[name](...args);
+        hub[name](...args);
+        return result;
+      };
+    }
+  });
+  return combined;
+}
+
+module.exports = {
+  setupStreams,
+  withStreams,
+  StreamHub,
+  StreamError,
+  SCHEMA_VERSION,
+  CHANNELS
+};
@@ -0,0 +1,132 @@
+/**
+ * STREAM SCHEMA (v1)
+ *
+ * JSON messages shared by the SSE and WebSocket streams. Every message
+ * carries `v` (schema version) and `type`. Market events also carry `seq`,
+ * numbering them per server process (see eventLog.js), and `symbol`:
+ *
+ *   trade     one processed trade
+ *   whale     a trade above the server's whale threshold
+ *   metrics   the symbol's metrics (as GET /api/v1/metrics?symbol=)
+ *   candle    a changed candle at one interval
+ *
+ * Control messages: hello, subscribed, unsubscribed, snapshot, reset, error.
+ * Timestamps are Unix milliseconds. Fields may be added within a version;
+ * renames and removals bump it.
+ */
+
+const { INTERVALS, isInterval } = require('../candleEngine');
+const StreamError = require('./errors');
+
+const SCHEMA_VERSION = 1;
+
+const CHANNELS = ['trade', 'whale', 'metrics', 'candle'];
+
+const DEFAULT_INTERVALS = ['1m'];
+
+// Client messages over the WebSocket stream
+const OPS = ['subscribe', 'unsubscribe'];
+
+// A list from an array or a comma-separated string (query parameters)
+function toList(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value;
+  }
+  throw StreamError.invalid(`${name} must be a list of strings`);
+}
+
+/**
+ * Validate which symbols, channels and candle intervals a client wants
+ * Omitted symbols mean every tracked symbol; omitted channels all of them
+ * @param {Object} request - symbols, channels, intervals, resume, epoch
+ * @param {string[]} trackedSymbols
+ * @returns {{symbols: string[], channels: Set<string>, intervals: Set<string>, resume: {seq: number, epoch: string|null}|null}}
+ * @throws {StreamError}
+ */
+function parseSubscription(request, trackedSymbols) {
+  const symbols = (toList(request.symbols, 'symbols') || trackedSymbols).map(symbol => symbol.toUpperCase());
+  const unknownSymbol = symbols.find(symbol => !trackedSymbols.includes(symbol));
+  if (unknownSymbol) {
+    throw new StreamError('UNKNOWN_SYMBOL', `Symbol ${unknownSymbol} is not tracked`);
+  }
+
+  const channels = toList(request.channels, 'channels') || CHANNELS;
+  const unknownChannel = channels.find(channel => !CHANNELS.includes(channel));
+  if (unknownChannel) {
+    throw new StreamError('UNKNOWN_CHANNEL', `Unknown channel ${unknownChannel} (expected ${CHANNELS.join(', ')})`);
+  }
+
+  const intervals = toList(request.intervals, 'intervals') || DEFAULT_INTERVALS;
+  const unknownInterval = intervals.find(interval => !isInterval(interval));
+  if (unknownInterval) {
+    throw new StreamError('UNKNOWN_INTERVAL', `Unknown interval ${unknownInterval} (expected ${Object.keys(INTERVALS).join(', ')})`);
+  }
+
+  return {
+    symbols,
+    channels: new Set(channels),
+    intervals: new Set(intervals),
+    resume: parseResume(request.resume, request.epoch)
+  };
+}
+
+/**
+ * @param {number|string|undefined} seq - Last sequence number the client saw
+ * @param {string|undefined} epoch - Epoch it was numbered in (from hello)
+ * @returns {{seq: number, epoch: string|null}|null}
+ * @throws {StreamError}
+ */
+function parseResume(seq, epoch) {
+  if (seq === undefined || seq === null || seq === '') {
+    return null;
+  }
+
+  const number = Number(seq);
+  if (!Number.isInteger(number) || number < 0) {
+    throw StreamError.invalid('resume must be a sequence number');
+  }
+  if (epoch !== undefined && epoch !== null && typeof epoch !== 'string') {
+    throw StreamError.invalid('epoch must be a string');
+  }
+  return { seq: number, epoch: epoch || null };
+}
+
+/**
+ * Parse and validate one WebSocket client message
+ * @param {string} text
+ * @returns {Object} With a known `op`
+ * @throws {StreamError}
+ */
+function parseClientMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw StreamError.invalid('Messages must be JSON');
+  }
+
+  if (!message || typeof message !== 'object' || !OPS.includes(message.op)) {
+    throw StreamError.invalid(`op must be one of ${OPS.join(', ')}`);
+  }
+  return message;
+}
+
+// Envelope of every server message
+function message(type, fields) {
+  return { v: SCHEMA_VERSION, type, ...fields };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CHANNELS,
+  parseSubscription,
+  parseResume,
+  parseClientMessage,
+  message
+};
@@ -0,0 +1,261 @@
+/**
+ * STREAM HUB
+ *
+ * Market events for SSE and plain WebSocket clients (see transports.js),
+ * in the JSON schema of schema.js. Takes the same broadcast* calls as the
+ * Socket.IO handlers, numbers each trade, whale, metrics and candle event
+ * and keeps the latest ones in an EventLog, so a client that reconnects
+ * with its last sequence number gets what it missed instead of a fresh
+ * snapshot.
+ *
+ * Transports hand in clients shaped like:
+ *   { transport, send(text, type, seq), bufferedBytes(), close(reason) }
+ * A client whose unsent output passes maxBufferedBytes is dropped as a
+ * slow consumer; it can reconnect and resume.
+ */
+
+const crypto = require('crypto');
+const EventLog = require('./eventLog');
+const { CHANNELS, message } = require('./schema');
+const { toWireTrade } = require('../tradeBatcher');
+const { INTERVALS } = require('../candleEngine');
+
+class StreamHub {
+  /**
+   * @param {Object} options
+   * @param {Map<string, import('../whaleDetector')>} options.detectors - Read for snapshots
+   * @param {Object} options.metrics - Prometheus metrics (see monitoring/metrics.js)
+   * @param {number} [options.bufferSize=20000] - Events kept for resuming
+   * @param {number} [options.maxBufferedBytes=4194304] - Unsent output a client may have before it is dropped
+   */
+  constructor({ detectors, metrics, bufferSize = 20000, maxBufferedBytes = 4 * 1024 * 1024 }) {
+    this.detectors = detectors;
+    this.metrics = metrics;
+    this.maxBufferedBytes = maxBufferedBytes;
+
+    // Sequence numbers restart with the process; the epoch tells clients apart
+    this.epoch = crypto.randomUUID();
+    this.log = new EventLog(bufferSize);
+
+    // client → Map<symbol, {channels: Set, intervals: Set}>
+    this.clients = new Map();
+  }
+
+  // ============================================
+  // CLIENTS
+  // ============================================
+
+  /**
+   * Register a connected client and greet it
+   * @param {Object} client
+   */
+  connect(client) {
+    this.clients.set(client, new Map());
+    this.metrics.streamClients.inc({ transport: client.transport });
+
+    this.send(client, message('hello', {
+      epoch: this.epoch,
+      seq: this.log.seq,
+      symbols: Array.from(this.detectors.keys()),
+      channels: CHANNELS,
+      intervals: Object.keys(INTERVALS)
+    }));
+  }
+
+  disconnect(client) {
+    if (this.clients.delete(client)) {
+      this.metrics.streamClients.dec({ transport: client.transport });
+    }
+  }
+
+  /**
+   * Start (or change) a client's subscription to some symbols, then send
+   * what it missed since `resume`, or snapshots when that is not possible
+   * @param {Object} client
+   * @param {Object} subscription - From parseSubscription()
+   */
+  subscribe(client, { symbols, channels, intervals, resume }) {
+    const subscriptions = this.clients.get(client);
+    if (!subscriptions) {
+      return;
+    }
+
+    symbols.forEach(symbol => subscriptions.set(symbol, { channels, intervals }));
+    this.send(client, message('subscribed', {
+      seq: this.log.seq,
+      symbols,
+      channels: Array.from(channels),
+      intervals: Array.from(intervals)
+    }));
+
+    if (!resume) {
+      this.sendSnapshots(client, symbols);
+      return;
+    }
+
+    const missed = resume.epoch && resume.epoch !== this.epoch ? null : this.log.since(resume.seq);
+    if (!missed) {
+      this.send(client, message('reset', {
+        seq: this.log.seq,
+        reason: resume.epoch && resume.epoch !== this.epoch ? 'EPOCH_CHANGED' : 'RESUME_UNAVAILABLE'
+      }));
+      this.sendSnapshots(client, symbols);
+      return;
+    }
+
+    missed
+      .filter(entry => symbols.includes(entry.symbol) && StreamHub.wants(subscriptions, entry))
+      .forEach(entry => this.sendEntry(client, entry));
+  }
+
+  /**
+   * @param {Object} client
+   * @param {string[]} symbols
+   */
+  unsubscribe(client, symbols) {
+    const subscriptions = this.clients.get(client);
+    if (!subscriptions) {
+      return;
+    }
+
+    symbols.forEach(symbol => subscriptions.delete(symbol));
+    this.send(client, message('unsubscribed', { seq: this.log.seq, symbols }));
+  }
+
+  // Current metrics and candles for each symbol, as of the latest event
+  sendSnapshots(client, symbols) {
+    symbols.forEach(symbol => {
+      // Dropped as a slow consumer partway through
+      const subscriptions = this.clients.get(client);
+      if (!subscriptions) {
+        return;
+      }
+
+      const detector = this.detectors.get(symbol);
+      const subscription = subscriptions.get(symbol);
+      if (!detector || !subscription) {
+        return;
+      }
+
+      const snapshot = { seq: this.log.seq, symbol };
+      if (subscription.channels.has('metrics')) {
+        snapshot.metrics = detector.getMetrics();
+      }
+      if (subscription.channels.has('candle')) {
+        snapshot.candles = {};
+        subscription.intervals.forEach(interval => {
+          snapshot.candles[interval] = detector.getCandleSnapshot(interval).candles;
+        });
+      }
+      this.send(client, message('snapshot', snapshot));
+    });
+  }
+
+  // Whether an event is in a client's subscription
+  static wants(subscriptions, entry) {
+    const subscription = subscriptions.get(entry.symbol);
+    return Boolean(subscription) &&
+      subscription.channels.has(entry.channel) &&
+      (entry.channel !== 'candle' || subscription.intervals.has(entry.interval));
+  }
+
+  sendEntry(client, entry) {
+    if (entry.text === null) {
+      entry.text = JSON.stringify(message(entry.channel, { seq: entry.seq, symbol: entry.symbol, data: entry.data }));
+    }
+    this.write(client, entry.text, entry.channel, entry.seq);
+  }
+
+  send(client, payload) {
+    this.write(client, JSON.stringify(payload), payload.type, null);
+  }
+
+  write(client, text, type, seq) {
+    if (client.bufferedBytes() > this.maxBufferedBytes) {
+      this.metrics.streamSlowConsumers.inc({ transport: client.transport });
+      this.disconnect(client);
+      client.close('SLOW_CONSUMER');
+      return;
+    }
+    client.send(text, type, seq);
+  }
+
+  // ============================================
+  // EVENTS (same calls as the Socket.IO handlers)
+  // ============================================
+
+  /**
+   * Number and log an event, then send it to subscribed clients
+   * Serialized once, on first send
+   */
+  publish(symbol, channel, data, interval = null) {
+    const entry = this.log.append({ symbol, channel, interval, data, text: null });
+
+    this.clients.forEach((subscriptions, client) => {
+      if (StreamHub.wants(subscriptions, entry)) {
+        this.sendEntry(client, entry);
+      }
+    });
+  }
+
+  broadcastTradeUpdate(trade) {
+    this.publish(trade.symbol, 'trade', toWireTrade(trade));
+  }
+
+  broadcastWhaleAlert(whale) {
+    this.publish(whale.symbol, 'whale', {
+      exchange: whale.exchange,
+      tradeId: whale.tradeId,
+      price: whale.price,
+      quantity: whale.quantity,
+      tradeValue: whale.tradeValue,
+      timestamp: whale.timestamp,
+      side: whale.side,
+      severity: whale.severity,
+      message: whale.message
+    });
+  }
+
+  broadcastMetricsUpdate(metrics) {
+    this.publish(metrics.symbol, 'metrics', metrics);
+  }
+
+  broadcastCandleUpdates(symbol, updates) {
+    updates.forEach(({ interval, candle }) => this.publish(symbol, 'candle', { interval, candle }, interval));
+  }
+
+  // A fan-out worker's mirror re-synced, so events may have been missed
+  broadcastSnapshots() {
+    this.reset('RESYNCED');
+  }
+
+  // A replay restarted or jumped back
+  broadcastReplayReset() {
+    this.reset('REPLAY_RESET');
+  }
+
+  /**
+   * Drop the log and re-send snapshots; earlier sequence numbers can no
+   * longer be resumed from
+   * @param {string} reason
+   */
+  reset(reason) {
+    this.log.clear();
+
+    this.clients.forEach((subscriptions, client) => {
+      this.send(client, message('reset', { seq: this.log.seq, reason }));
+      this.sendSnapshots(client, Array.from(subscriptions.keys()));
+    });
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  close() {
+    this.clients.forEach((subscriptions, client) => client.close('SHUTDOWN'));
+    this.clients.clear();
+  }
+}
+
+module.exports = StreamHub;
@@ -0,0 +1,206 @@
+/**
+ * STREAM TRANSPORTS
+ *
+ * GET /stream     Server-Sent Events. The subscription is fixed by the
+ *                 query (symbols, channels, intervals, resume, epoch);
+ *                 market events carry `id: <epoch>:<seq>`, so an
+ *                 EventSource that reconnects resumes via Last-Event-ID
+ * /stream/ws      Plain WebSocket. Clients send subscribe/unsubscribe
+ *                 messages and may change them at any time
+ *
+ * Both send the messages of schema.js and authenticate like the REST API
+ * (session cookie or API key header) when authentication is on.
+ */
+
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { ApiError, asyncHandler, errorHandler } = require('../api/errors');
+const StreamError = require('./errors');
+const { parseSubscription, parseClientMessage, message } = require('./schema');
+
+const WS_PATH = '/stream/ws';
+
+// WebSocket close codes (4000-4999 are free for applications)
+const CLOSE_CODES = {
+  SLOW_CONSUMER: 4008,
+  SHUTDOWN: 1001
+};
+
+/**
+ * Identity of the caller, or true when authentication is off
+ * @param {import('../auth').Auth|import('../cluster').RemoteAuth|null} auth
+ * @param {Object} headers
+ * @returns {Promise<Object|boolean|null>}
+ */
+async function identify(auth, headers) {
+  return auth ? auth.identify({ headers }) : true;
+}
+
+// `epoch:seq` from an EventSource's Last-Event-ID header
+function parseLastEventId(header) {
+  const match = /^([\w-]+):(\d+)$/.exec(header || '');
+  return match ? { epoch: match[1], resume: match[2] } : {};
+}
+
+/**
+ * @param {Object} deps
+ * @param {import('./streamHub')} deps.hub
+ * @param {Object|null} deps.auth
+ * @param {number} deps.heartbeatMs - Keep-alive comment interval
+ * @returns {express.Router}
+ */
+function createSseRouter({ hub, auth, heartbeatMs }) {
+  const router = express.Router();
+
+  router.get('/stream', asyncHandler(async (req, res) => {
+    if (!(await identify(auth, req.headers))) {
+      throw new ApiError(401, 'UNAUTHORIZED', 'Log in or send an API key');
+    }
+
+    let subscription;
+    try {
+      subscription = parseSubscription({ ...req.query, ...parseLastEventId(req.headers['last-event-id']) }, Array.from(hub.detectors.keys()));
+    } catch (error) {
+      if (error instanceof StreamError) {
+        throw new ApiError(400, error.code, error.message);
+      }
+      throw error;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Proxies like nginx would otherwise hold events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+      transport: 'sse',
+      send: (text, type, seq) => {
+        const id = seq === null ? '' : `id: ${hub.epoch}:${seq}\n`;
+        res.write(`${id}event: ${type}\ndata: ${text}\n\n`);
+      },
+      bufferedBytes: () => res.writableLength,
+      close: (reason) => {
+        res.end(`event: error\ndata: ${JSON.stringify(message('error', { code: reason, message: 'Stream closed by the server' }))}\n\n`);
+      }
+    };
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      hub.disconnect(client);
+    });
+
+    hub.connect(client);
+    hub.subscribe(client, subscription);
+  }));
+
+  router.use('/stream', errorHandler);
+
+  return router;
+}
+
+/**
+ * Serve the WebSocket stream on an HTTP server's /stream/ws upgrades
+ * (other upgrades, such as Socket.IO's, are left alone)
+ * @param {import('http').Server} server
+ * @param {Object} deps
+ * @param {import('./streamHub')} deps.hub
+ * @param {Object|null} deps.auth
+ * @param {function(import('http').IncomingMessage): boolean} deps.isAllowedOrigin - Browser Origin check (see webServer.js)
+ * @param {number} deps.heartbeatMs - Ping interval; peers that miss a pong are dropped
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketStream(server, { hub, auth, isAllowedOrigin, heartbeatMs }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  const refuse = (socket, status, text) => {
+    socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      return;
+    }
+    if (!isAllowedOrigin(req)) {
+      refuse(socket, 403, 'Forbidden');
+      return;
+    }
+
+    identify(auth, req.headers)
+      .then(identity => {
+        if (!identity) {
+          refuse(socket, 401, 'Unauthorized');
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => serveWebSocket(ws, hub, heartbeatMs));
+      })
+      .catch(error => {
+        console.error('❌ Error identifying stream client:', error.message);
+        refuse(socket, 503, 'Service Unavailable');
+      });
+  });
+
+  return wss;
+}
+
+function serveWebSocket(ws, hub, heartbeatMs) {
+  const client = {
+    transport: 'websocket',
+    send: text => ws.send(text),
+    bufferedBytes: () => ws.bufferedAmount,
+    close: (reason) => ws.close(CLOSE_CODES[reason] || 1000, reason)
+  };
+
+  const reply = (error) => {
+    ws.send(JSON.stringify(message('error', { code: error.code, message: error.message })));
+  };
+
+  ws.on('message', (data) => {
+    try {
+      const request = parseClientMessage(data.toString());
+      if (request.op === 'subscribe') {
+        hub.subscribe(client, parseSubscription(request, Array.from(hub.detectors.keys())));
+      } else {
+        hub.unsubscribe(client, parseSubscription({ symbols: request.symbols }, Array.from(hub.detectors.keys())).symbols);
+      }
+    } catch (error) {
+      if (error instanceof StreamError) {
+        reply(error);
+        return;
+      }
+      console.error('❌ Stream message error:', error);
+      reply({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    }
+  });
+
+  // Drop peers that stopped answering pings (half-open connections)
+  let alive = true;
+  ws.on('pong', () => {
+    alive = true;
+  });
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, heartbeatMs);
+
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    hub.disconnect(client);
+  });
+
+  hub.connect(client);
+}
+
+module.exports = {
+  createSseRouter,
+  attachWebSocketStream,
+  WS_PATH
+};
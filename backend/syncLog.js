@@ -0,0 +1,134 @@
+/**
+ * SYNC LOG
+ *
+ * What a dashboard needs to pick up where it left off. Every per-symbol
+ * event socket.js sends (trade batches, alerts, metrics, candles, walls)
+ * is numbered and kept with the room it went to, so a socket that
+ * reconnects with its last sequence number can be sent what it missed
+ * through the rooms and alert filters it has now. The latest trades and
+ * alerts per symbol are kept apart for the snapshot a fresh dashboard
+ * starts from.
+ *
+ * Numbers restart with the process (and each fan-out worker numbers its
+ * own events); the epoch tells them apart.
+ */
+
+const crypto = require('crypto');
+const EventLog = require('./streams/eventLog');
+const { TIERS } = require('./tradeBatcher');
+
+// Keep the last `limit` items of a list (batches can be large, so no spread)
+function pushCapped(list, items, limit) {
+  items.slice(-limit).forEach(item => list.push(item));
+  if (list.length > limit) {
+    list.splice(0, list.length - limit);
+  }
+}
+
+class SyncLog {
+  /**
+   * @param {Object} options
+   * @param {number} [options.bufferSize=20000] - Events kept for resuming
+   * @param {number} [options.recentTrades=200] - Trades per symbol and tier in a snapshot
+   * @param {number} [options.recentAlerts=50] - Alerts per symbol in a snapshot
+   */
+  constructor({ bufferSize = 20000, recentTrades = 200, recentAlerts = 50 } = {}) {
+    this.recentTradeLimit = recentTrades;
+    this.recentAlertLimit = recentAlerts;
+
+    this.epoch = crypto.randomUUID();
+    this.log = new EventLog(bufferSize);
+
+    // tier → symbol → wire trades, as sent in that tier's batches
+    this.trades = new Map(TIERS.map(tier => [tier, new Map()]));
+    // symbol → logged alert entries
+    this.alerts = new Map();
+  }
+
+  get seq() {
+    return this.log.seq;
+  }
+
+  /**
+   * Number an event and keep it for resuming
+   * @param {string} symbol
+   * @param {string} room - Room the event goes to
+   * @param {string} event - Socket.IO event name
+   * @param {Object} payload
+   * @param {string|null} [kind=null] - Alert kind for wantsAlert() (alerts only)
+   * @returns {Object} The payload with its `seq`, to send
+   */
+  record(symbol, room, event, payload, kind = null) {
+    const entry = this.log.append({ symbol, room, event, kind, payload: null });
+    entry.payload = { ...payload, seq: entry.seq };
+
+    if (kind) {
+      if (!this.alerts.has(symbol)) {
+        this.alerts.set(symbol, []);
+      }
+      pushCapped(this.alerts.get(symbol), [entry], this.recentAlertLimit);
+    }
+    return entry.payload;
+  }
+
+  /**
+   * Remember the trades of a batch for snapshots
+   * @param {Object} batch - trade_update payload
+   */
+  addTrades(batch) {
+    const symbols = this.trades.get(batch.tier);
+    if (!symbols.has(batch.symbol)) {
+      symbols.set(batch.symbol, []);
+    }
+    pushCapped(symbols.get(batch.symbol), batch.trades, this.recentTradeLimit);
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {('full'|'summary')} tier
+   * @returns {Object[]} Oldest first
+   */
+  recentTrades(symbol, tier) {
+    return (this.trades.get(tier).get(symbol) || []).slice();
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {Object[]} Logged alert entries, oldest first
+   */
+  recentAlerts(symbol) {
+    return (this.alerts.get(symbol) || []).slice();
+  }
+
+  /**
+   * Events after a client's cursor
+   * @param {{seq: number, epoch: string}} cursor
+   * @returns {{entries: Object[]|null, reason: string|null}} entries is null
+   *   (with the reason) when the client has to start from a snapshot
+   */
+  since({ seq, epoch }) {
+    if (epoch !== this.epoch) {
+      return { entries: null, reason: 'EPOCH_CHANGED' };
+    }
+
+    const entries = this.log.since(seq);
+    return entries ? { entries, reason: null } : { entries: null, reason: 'RESUME_UNAVAILABLE' };
+  }
+
+  /**
+   * Stop resuming from earlier numbers (events may have been missed)
+   * Recent trades and alerts are still right and stay
+   */
+  invalidate() {
+    this.log.clear();
+  }
+
+  // Forget everything: the market data itself started over (replay reset)
+  clear() {
+    this.log.clear();
+    this.trades.forEach(symbols => symbols.clear());
+    this.alerts.clear();
+  }
+}
+
+module.exports = SyncLog;
@@ -0,0 +1,330 @@
+/**
+ * WHALE THRESHOLD POLICIES
+ *
+ * Decide which trades count as whales and how severe they are
+ * - fixed:          constant USD amount
+ * - percentile:     rolling percentile of recent trade values (e.g. top 0.1% over 24h)
+ * - medianMultiple: multiple of the rolling median trade value
+ *
+ * Severity tiers are multiples of the policy's current threshold, so
+ * adaptive policies scale their tiers along with the threshold itself
+ */
+
+const DEFAULT_TIERS = { high: 1, critical: 2 };
+const DEFAULT_USD = 500000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Time-sliced histogram of trade values on a logarithmic scale
+ * Answers quantile queries over a rolling window in constant memory,
+ * however many trades arrive (bucket width = 2% of value)
+ */
+class RollingValueHistogram {
+  /**
+   * @param {number} windowMs - Rolling window length
+   * @param {number} [sliceCount=24] - Number of time slices the window is split into
+   */
+  constructor(windowMs, sliceCount = 24) {
+    this.windowMs = windowMs;
+    this.sliceMs = Math.ceil(windowMs / sliceCount);
+    this.logBase = Math.log(1.02);
+
+    // Each slice: { start, counts: Map<bucketIndex, count>, total }
+    this.slices = [];
+    this.total = 0;
+  }
+
+  bucketOf(value) {
+    return Math.floor(Math.log(Math.max(value, 1)) / this.logBase);
+  }
+
+  valueOf(bucket) {
+    // Upper edge of the bucket, so quantiles never undershoot
+    return Math.exp((bucket + 1) * this.logBase);
+  }
+
+  add(value, timestamp) {
+    const sliceStart = Math.floor(timestamp / this.sliceMs) * this.sliceMs;
+    let slice = this.slices[this.slices.length - 1];
+
+    if (!slice || slice.start < sliceStart) {
+      slice = { start: sliceStart, counts: new Map(), total: 0 };
+      this.slices.push(slice);
+    }
+
+    const bucket = this.bucketOf(value);
+    slice.counts.set(bucket, (slice.counts.get(bucket) || 0) + 1);
+    slice.total++;
+    this.total++;
+
+    this.evict(timestamp);
+  }
+
+  evict(now) {
+    const cutoff = now - this.windowMs;
+    while (this.slices.length > 0 && this.slices[0].start + this.sliceMs <= cutoff) {
+      this.total -= this.slices.shift().total;
+    }
+  }
+
+  /**
+   * Value at the given quantile of the window
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number|null} Null when the window is empty
+   */
+  quantile(q) {
+    if (this.total === 0) {
+      return null;
+    }
+
+    const merged = new Map();
+    this.slices.forEach(slice => {
+      slice.counts.forEach((count, bucket) => {
+        merged.set(bucket, (merged.get(bucket) || 0) + count);
+      });
+    });
+
+    const target = Math.max(1, Math.ceil(q * this.total));
+    const buckets = Array.from(merged.keys()).sort((a, b) => a - b);
+    let seen = 0;
+
+    for (const bucket of buckets) {
+      seen += merged.get(bucket);
+      if (seen >= target) {
+        return this.valueOf(bucket);
+      }
+    }
+
+    return this.valueOf(buckets[buckets.length - 1]);
+  }
+}
+
+class ThresholdPolicy {
+  /**
+   * @param {string} type - Policy type name
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.tiers] - Severity name → multiple of the threshold
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+
+    // Ordered highest multiple first so classify() picks the most severe tier
+    this.tiers = Object.entries(options.tiers || DEFAULT_TIERS)
+      .sort((a, b) => b[1] - a[1]);
+    this.minMultiple = this.tiers[this.tiers.length - 1][1];
+  }
+
+  /**
+   * Feed a trade into the policy's rolling state
+   * @param {number} tradeValue - Trade value in USD
+   * @param {number} timestamp - Trade time in epoch milliseconds
+   */
+  observe(tradeValue, timestamp) {}
+
+  /**
+   * Current whale threshold in USD
+   * @returns {number}
+   */
+  getThreshold() {
+    throw new Error(`${this.constructor.name} must implement getThreshold()`);
+  }
+
+  /**
+   * Classify a trade value against the current threshold
+   * @param {number} tradeValue - Trade value in USD
+   * @returns {string|null} Severity tier name, or null when not a whale
+   */
+  classify(tradeValue) {
+    const threshold = this.getThreshold();
+    const tier = this.tiers.find(([, multiple]) => tradeValue > threshold * multiple);
+    return tier ? tier[0] : null;
+  }
+
+  /**
+   * Serializable rolling state for persistence (null when stateless)
+   * @returns {Object|null}
+   */
+  getState() {
+    return null;
+  }
+
+  /**
+   * Restore rolling state saved by getState()
+   * @param {Object} state
+   */
+  setState(state) {}
+
+  /**
+   * Snapshot of the policy for metrics and clients
+   * @returns {Object}
+   */
+  describe() {
+    const threshold = this.getThreshold();
+    return {
+      type: this.type,
+      threshold: threshold * this.minMultiple,
+      tiers: Object.fromEntries(this.tiers.map(([name, multiple]) => [name, threshold * multiple]))
+    };
+  }
+}
+
+class FixedThresholdPolicy extends ThresholdPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} [options.usd=500000] - Whale threshold in USD
+   */
+  constructor(options = {}) {
+    super('fixed', options);
+    this.usd = options.usd || DEFAULT_USD;
+  }
+
+  getThreshold() {
+    return this.usd;
+  }
+}
+
+/**
+ * Base for policies computed from a rolling distribution of trade values
+ * Falls back to minUsd (or the fixed $500k without one) until minSamples
+ * trades have been observed, so a cold window doesn't flag every trade
+ */
+class RollingThresholdPolicy extends ThresholdPolicy {
+  /**
+   * @param {string} type - Policy type name
+   * @param {Object} options
+   * @param {number} [options.windowHours=24] - Rolling window length
+   * @param {number} [options.minUsd=0] - Floor for the threshold
+   * @param {number} [options.minSamples=1000] - Trades needed before the rolling value is used
+   */
+  constructor(type, options = {}) {
+    super(type, options);
+    this.minUsd = options.minUsd || 0;
+    this.warmupUsd = options.minUsd || DEFAULT_USD;
+    this.minSamples = options.minSamples || 1000;
+    this.histogram = new RollingValueHistogram((options.windowHours || 24) * HOUR_MS);
+
+    // Quantile queries walk every bucket, so cache them briefly
+    this.recomputeIntervalMs = 5000;
+    this.cachedThreshold = this.warmupUsd;
+    this.lastComputedAt = 0;
+  }
+
+  observe(tradeValue, timestamp) {
+    this.histogram.add(tradeValue, timestamp);
+
+    if (timestamp - this.lastComputedAt >= this.recomputeIntervalMs) {
+      this.cachedThreshold = this.computeThreshold();
+      this.lastComputedAt = timestamp;
+    }
+  }
+
+  computeThreshold() {
+    if (this.histogram.total < this.minSamples) {
+      return this.warmupUsd;
+    }
+    return Math.max(this.minUsd, this.computeRollingThreshold());
+  }
+
+  /**
+   * Threshold derived from the rolling distribution
+   * @returns {number}
+   */
+  computeRollingThreshold() {
+    throw new Error(`${this.constructor.name} must implement computeRollingThreshold()`);
+  }
+
+  getThreshold() {
+    return this.cachedThreshold;
+  }
+
+  getState() {
+    return {
+      type: this.type,
+      windowMs: this.histogram.windowMs,
+      slices: this.histogram.slices.map(slice => ({
+        start: slice.start,
+        counts: Array.from(slice.counts.entries())
+      })),
+      cachedThreshold: this.cachedThreshold,
+      lastComputedAt: this.lastComputedAt
+    };
+  }
+
+  setState(state) {
+    // A changed policy type or window makes the saved distribution meaningless
+    if (!state || state.type !== this.type || state.windowMs !== this.histogram.windowMs) {
+      return;
+    }
+
+    this.histogram.slices = state.slices.map(slice => {
+      const counts = new Map(slice.counts);
+      let total = 0;
+      counts.forEach(count => { total += count; });
+      return { start: slice.start, counts, total };
+    });
+    this.histogram.total = this.histogram.slices.reduce((sum, slice) => sum + slice.total, 0);
+    this.lastComputedAt = state.lastComputedAt;
+    this.cachedThreshold = this.computeThreshold();
+  }
+}
+
+class PercentileThresholdPolicy extends RollingThresholdPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} [options.percentile=99.9] - Trades above this percentile are whales
+   */
+  constructor(options = {}) {
+    super('percentile', options);
+    this.percentile = options.percentile || 99.9;
+  }
+
+  computeRollingThreshold() {
+    return this.histogram.quantile(this.percentile / 100);
+  }
+}
+
+class MedianMultipleThresholdPolicy extends RollingThresholdPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} [options.multiple=100] - Whale threshold as a multiple of the median trade
+   */
+  constructor(options = {}) {
+    super('medianMultiple', options);
+    this.multiple = options.multiple || 100;
+  }
+
+  computeRollingThreshold() {
+    return this.histogram.quantile(0.5) * this.multiple;
+  }
+}
+
+const POLICIES = {
+  fixed: FixedThresholdPolicy,
+  percentile: PercentileThresholdPolicy,
+  medianMultiple: MedianMultipleThresholdPolicy
+};
+
+/**
+ * Build a policy from a config entry such as
+ * { type: 'percentile', percentile: 99.9, windowHours: 24, minUsd: 250000 }
+ * @param {Object} [spec] - Policy configuration (defaults to fixed $500k)
+ * @returns {ThresholdPolicy}
+ */
+function createThresholdPolicy(spec = {}) {
+  const type = spec.type || 'fixed';
+  const Policy = POLICIES[type];
+
+  if (!Policy) {
+    throw new Error(`Unknown threshold policy "${type}". Available: ${Object.keys(POLICIES).join(', ')}`);
+  }
+
+  return new Policy(spec);
+}
+
+module.exports = {
+  ThresholdPolicy,
+  FixedThresholdPolicy,
+  PercentileThresholdPolicy,
+  MedianMultipleThresholdPolicy,
+  createThresholdPolicy
+};
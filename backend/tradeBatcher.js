@@ -0,0 +1,173 @@
+/**
+ * TRADE BATCHER
+ *
+ * Collects processed trades per symbol between broadcast ticks so clients
+ * get one trade_update per tick instead of one message per trade.
+ * Two rate tiers share the same payload shape:
+ *   full    - every trade, on the fast tick
+ *   summary - aggregate stats plus whale trades only, on a slower tick
+ * Numbers go out as numbers, rounded to what a display needs.
+ */
+
+const TIERS = ['full', 'summary'];
+
+// Round to a fixed number of decimals without turning the value into a string
+function compact(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Wire format of one trade inside a batch
+ * @param {Object} trade - Processed trade record
+ * @returns {Object}
+ */
+function toWireTrade(trade) {
+  return {
+    exchange: trade.exchange,
+    price: trade.price,
+    quantity: compact(trade.quantity, 8),
+    tradeValue: compact(trade.tradeValue, 2),
+    timestamp: trade.timestamp,
+    side: trade.side,
+    isWhale: trade.isWhale
+  };
+}
+
+/**
+ * Running aggregate of a stream of trades (OHLC, volumes, count)
+ * Also used to coalesce batches a slow client could not take
+ */
+class TradeSummary {
+  constructor() {
+    this.count = 0;
+    this.volume = 0;
+    this.quoteVolume = 0;
+    this.buyVolume = 0;
+    this.sellVolume = 0;
+    this.open = null;
+    this.high = null;
+    this.low = null;
+    this.close = null;
+    this.firstTimestamp = null;
+    this.lastTimestamp = null;
+  }
+
+  add(trade) {
+    this.count++;
+    this.volume += trade.quantity;
+    this.quoteVolume += trade.tradeValue;
+    if (trade.side === 'buy') {
+      this.buyVolume += trade.quantity;
+    } else if (trade.side === 'sell') {
+      this.sellVolume += trade.quantity;
+    }
+
+    if (this.open === null) {
+      this.open = trade.price;
+      this.high = trade.price;
+      this.low = trade.price;
+      this.firstTimestamp = trade.timestamp;
+    }
+    this.high = Math.max(this.high, trade.price);
+    this.low = Math.min(this.low, trade.price);
+    this.close = trade.price;
+    this.lastTimestamp = trade.timestamp;
+  }
+
+  /**
+   * Fold another summary (in wire format) into this one
+   * @param {Object} other - From toJSON()
+   */
+  merge(other) {
+    if (other.count === 0) {
+      return;
+    }
+
+    this.count += other.count;
+    this.volume += other.volume;
+    this.quoteVolume += other.quoteVolume;
+    this.buyVolume += other.buyVolume;
+    this.sellVolume += other.sellVolume;
+
+    if (this.open === null) {
+      this.open = other.open;
+      this.high = other.high;
+      this.low = other.low;
+      this.firstTimestamp = other.firstTimestamp;
+    }
+    this.high = Math.max(this.high, other.high);
+    this.low = Math.min(this.low, other.low);
+    this.close = other.close;
+    this.lastTimestamp = other.lastTimestamp;
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      volume: compact(this.volume, 8),
+      quoteVolume: compact(this.quoteVolume, 2),
+      buyVolume: compact(this.buyVolume, 8),
+      sellVolume: compact(this.sellVolume, 8),
+      open: this.open,
+      high: this.high,
+      low: this.low,
+      close: this.close,
+      firstTimestamp: this.firstTimestamp,
+      lastTimestamp: this.lastTimestamp
+    };
+  }
+}
+
+class TradeBatcher {
+  constructor() {
+    // tier → symbol → { summary, trades }
+    this.pending = new Map(TIERS.map(tier => [tier, new Map()]));
+  }
+
+  /**
+   * Queue a processed trade for every tier
+   * @param {Object} trade - Processed trade record (see WhaleDetector.processTrade)
+   */
+  add(trade) {
+    this.pending.forEach((symbols, tier) => {
+      let batch = symbols.get(trade.symbol);
+      if (!batch) {
+        batch = { summary: new TradeSummary(), trades: [] };
+        symbols.set(trade.symbol, batch);
+      }
+
+      batch.summary.add(trade);
+      if (tier === 'full' || trade.isWhale) {
+        batch.trades.push(toWireTrade(trade));
+      }
+    });
+  }
+
+  /**
+   * Take the batches collected for one tier since its last drain
+   * @param {('full'|'summary')} tier
+   * @returns {Object[]} trade_update payloads, one per symbol with trades
+   */
+  drain(tier) {
+    const symbols = this.pending.get(tier);
+    const batches = [];
+
+    symbols.forEach((batch, symbol) => {
+      batches.push({
+        symbol,
+        tier,
+        trades: batch.trades,
+        summary: batch.summary.toJSON()
+      });
+    });
+
+    symbols.clear();
+    return batches;
+  }
+}
+
+module.exports = TradeBatcher;
+module.exports.TIERS = TIERS;
+module.exports.TradeSummary = TradeSummary;
+module.exports.toWireTrade = toWireTrade;
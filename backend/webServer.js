@@ -0,0 +1,57 @@
+/**
+ * WEB SERVER
+ *
+ * Express app, HTTP server and Socket.IO server that browsers connect to:
+ * the dashboard's static files, CORS for configured origins and the Origin
+ * check on socket handshakes (also applied to the WebSocket stream). Used by server.js when it serves browsers
+ * itself, and by every fan-out worker (fanout.js).
+ */
+
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const cors = require('cors');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.corsOrigins - Browser origins on other sites allowed to use the API and sockets
+ * @returns {{app: express.Application, server: http.Server, io: Server, isAllowedOrigin: function(http.IncomingMessage): boolean}}
+ */
+function createWebServer({ corsOrigins }) {
+  // Browsers send Origin with every handshake; WebSocket upgrades are not
+  // covered by CORS, so cross-site sockets are refused here
+  const isAllowedOrigin = (req) => {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+
+    try {
+      return new URL(origin).host === req.headers.host || corsOrigins.includes(origin);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: corsOrigins.length > 0
+      ? { origin: corsOrigins, methods: ['GET', 'POST'], credentials: true }
+      : undefined,
+    allowRequest: (req, callback) => callback(null, isAllowedOrigin(req))
+  });
+
+  // Middleware
+  if (corsOrigins.length > 0) {
+    app.use(cors({ origin: corsOrigins, credentials: true }));
+  }
+
+  // Serve static files from frontend directory
+  app.use(express.static(path.join(__dirname, '../frontend')));
+
+  return { app, server, io, isAllowedOrigin };
+}
+
+module.exports = createWebServer;
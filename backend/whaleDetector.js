@@ -1,87 +1,153 @@
 /**
  * WHALE DETECTOR MODULE
  * 
- * Detects whale trades (>$500,000 USD value)
- * Maintains 60-minute rolling window of price/volume data
+ * Detects whale trades using a per-symbol threshold policy (fixed or adaptive)
+ * Detects split-order whales by clustering same-side fills
+ * Flags volume, trade rate, price and spread anomalies against EWMA baselines
+ * Maintains rolling 1m/5m/1h/24h statistics, the last hour of trades and
+ * multi-interval OHLCV candles
  * Broadcasts alerts to connected clients
  */
 
+const { createThresholdPolicy } = require('./thresholdPolicies');
+const CandleEngine = require('./candleEngine');
+const FlowTracker = require('./flowTracker');
+const ClusterDetector = require('./clusterDetector');
+const RollingStats = require('./rollingStats');
+const AnomalyDetector = require('./anomalyDetector');
+const { systemClock } = require('./clock');
+
+// Exchange timestamps trail the local clock; wait this long before
+// closing a cluster or anomaly second on wall-clock time so in-flight
+// fills can still join
+const SETTLE_MS = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Trades kept in memory for the history API when storage is off: the last
+// hour, but never more than this many
+const MAX_HISTORY = 100000;
+
 class WhaleDetector {
-  constructor() {
-    // Trade history for chart updates (60-minute rolling window)
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.symbol='BTCUSDT'] - Canonical symbol this detector tracks
+   * @param {Object} [options.thresholdPolicy] - Threshold policy config (see thresholdPolicies.js)
+   * @param {Object} [options.clusters] - Cluster detector options (see clusterDetector.js)
+   * @param {Object|null} [options.anomalies] - Anomaly detector options (see anomalyDetector.js); null = off
+   * @param {{now: function(): number}} [options.clock] - Time source (see clock.js)
+   */
+  constructor(options = {}) {
+    this.symbol = options.symbol || 'BTCUSDT';
+    this.clock = options.clock || systemClock;
+
+    // Recent trade history (last hour, at most MAX_HISTORY trades)
     this.tradeHistory = [];
+
+    // Volume, VWAP, high/low and whale figures over 1m/5m/1h/24h
+    this.stats = new RollingStats();
+
+    // OHLCV candles for every chart interval
+    this.candles = new CandleEngine();
+
+    // Aggressor-side buy/sell flow and whale pressure
+    this.flow = new FlowTracker();
+
+    // Groups split fills into whale clusters
+    this.clusterOptions = options.clusters;
+    this.clusters = new ClusterDetector(this.clusterOptions);
+
+    // Market anomalies scored against rolling baselines (null when off)
+    this.anomalies = options.anomalies === null
+      ? null
+      : new AnomalyDetector({ ...options.anomalies, symbol: this.symbol });
     
-    // Alert threshold in USD
-    this.WHALE_THRESHOLD = 500000;
-    
-    // Maximum data points to keep (60 minutes of data)
-    this.MAX_HISTORY = 3600; // 3600 seconds = 60 minutes
+    // Decides whale status and severity tier for each trade
+    this.thresholdPolicy = createThresholdPolicy(options.thresholdPolicy);
     
-    // Store last price for aggregated volume calculation
     this.lastPrice = 0;
-    this.aggregatedVolume = 0;
-    this.lastVolumeResetTime = Date.now();
     
-    // Real-time metrics
+    // Start of the daily session the metrics count (see reports/sessionScheduler.js)
+    this.sessionStart = null;
+    
+    // Running totals since the session started (rolling figures live in this.stats)
     this.metrics = {
-      totalVolume24h: 0,
       whaleCount: 0,
       maxWhaleAmount: 0,
+      totalWhaleValue: 0,
       lastWhaleTime: null,
-      averageWhaleSize: 0
+      clusterCount: 0
     };
   }
 
   /**
-   * Process incoming trade from Binance WebSocket
-   * @param {Object} trade - Trade data from Binance
+   * Process incoming trade from an exchange adapter
+   * @param {import('./exchanges/exchangeAdapter').NormalizedTrade} trade - Normalized trade
    * @returns {Object} Processed trade with whale detection result
    */
   processTrade(trade) {
-    // Parse string values to numbers
-    const price = parseFloat(trade.p);
-    const quantity = parseFloat(trade.q);
-    const timestamp = trade.T || Date.now();
+    const { exchange, symbol, tradeId, price, quantity, side } = trade;
+    const timestamp = trade.timestamp || this.clock.now();
     
     // Calculate trade value in USD
     const tradeValue = price * quantity;
     
-    // Store last price for volume aggregation
     this.lastPrice = price;
     
-    // Add to aggregated volume
-    this.aggregatedVolume += quantity;
+    // Classify against the current threshold before this trade moves it
+    const severity = this.thresholdPolicy.classify(tradeValue);
+    this.thresholdPolicy.observe(tradeValue, timestamp);
     
-    // Create trade record for chart
+    // Create trade record
     const tradeRecord = {
+      exchange: exchange,
+      symbol: symbol,
+      tradeId: tradeId,
       price: price,
       quantity: quantity,
       tradeValue: tradeValue,
       timestamp: timestamp,
-      isWhale: tradeValue > this.WHALE_THRESHOLD
+      side: side,
+      isWhale: severity !== null,
+      severity: severity
     };
     
+    this.candles.update(tradeRecord);
+    this.flow.add(tradeRecord);
+    this.clusters.add(tradeRecord);
+    this.stats.addTrade(tradeRecord);
+    if (this.anomalies) {
+      this.anomalies.add(tradeRecord);
+    }
+    
     // Add to history (maintain rolling window)
     this.tradeHistory.push(tradeRecord);
-    if (this.tradeHistory.length > this.MAX_HISTORY) {
-      this.tradeHistory.shift();
-    }
+    this.trimHistory(timestamp);
     
     // Detect whale trade
-    if (tradeValue > this.WHALE_THRESHOLD) {
+    if (tradeRecord.isWhale) {
       this.onWhaleDetected(tradeRecord);
     }
     
-    // Reset volume every 60 seconds
-    const now = Date.now();
-    if (now - this.lastVolumeResetTime > 60000) {
-      this.aggregatedVolume = 0;
-      this.lastVolumeResetTime = now;
-    }
-    
     return tradeRecord;
   }
 
+  /**
+   * Drop history older than an hour before `now`, then anything over MAX_HISTORY
+   * @param {number} now - Epoch milliseconds
+   */
+  trimHistory(now) {
+    let drop = 0;
+    while (drop < this.tradeHistory.length && this.tradeHistory[drop].timestamp < now - HOUR_MS) {
+      drop++;
+    }
+    drop = Math.max(drop, this.tradeHistory.length - MAX_HISTORY);
+
+    if (drop > 0) {
+      this.tradeHistory.splice(0, drop);
+    }
+  }
+
   /**
    * Handle whale trade detection
    * Updates metrics and prepares alert payload
@@ -93,99 +159,197 @@ class WhaleDetector {
       this.metrics.maxWhaleAmount, 
       trade.tradeValue
     );
-    this.metrics.lastWhaleTime = new Date().toISOString();
-    
-    // Calculate average whale size
-    this.metrics.averageWhaleSize = 
-      this.metrics.maxWhaleAmount / this.metrics.whaleCount;
+    this.metrics.totalWhaleValue += trade.tradeValue;
+    // Trade time, not wall time: replays run on recorded time
+    this.metrics.lastWhaleTime = new Date(trade.timestamp).toISOString();
   }
 
   /**
-   * Get aggregated chart data (last 60 minutes)
-   * Aggregates trades by time buckets for efficient visualization
-   * @returns {Object} Chart data with labels, prices, and volumes
+   * Collect finished whale clusters
+   * Clusters are graded with the same threshold policy as single prints
+   * @param {number} [now] - Defaults to the detector clock
+   * @returns {Object[]} Cluster events with severity
    */
-  getChartData() {
-    if (this.tradeHistory.length === 0) {
-      return {
-        labels: [],
-        prices: [],
-        volumes: [],
-        timestamps: []
-      };
-    }
+  drainClusters(now = this.clock.now()) {
+    const threshold = this.thresholdPolicy.describe().threshold;
 
-    // Create 60 buckets for 60-minute window
-    const buckets = new Map();
-    const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
-
-    // Filter trades within last 60 minutes
-    this.tradeHistory.forEach(trade => {
-      if (trade.timestamp >= oneHourAgo) {
-        // Create 1-minute buckets
-        const bucketTime = Math.floor(trade.timestamp / 60000) * 60000;
-        
-        if (!buckets.has(bucketTime)) {
-          buckets.set(bucketTime, {
-            price: trade.price,
-            totalVolume: 0,
-            count: 0,
-            timestamp: bucketTime
-          });
-        }
-        
-        const bucket = buckets.get(bucketTime);
-        bucket.totalVolume += trade.quantity;
-        bucket.price = trade.price; // Use latest price in bucket
-        bucket.count++;
-      }
-    });
+    const clusters = this.clusters.drain(now - SETTLE_MS, threshold).map(cluster => ({
+      ...cluster,
+      severity: this.thresholdPolicy.classify(cluster.totalValue)
+    }));
 
-    // Convert to sorted arrays
-    const sortedBuckets = Array.from(buckets.values())
-      .sort((a, b) => a.timestamp - b.timestamp);
+    this.metrics.clusterCount += clusters.length;
+    return clusters;
+  }
 
+  /**
+   * Record the order book's best bid/ask spread for anomaly detection
+   * @param {number} spreadBps - Spread in basis points of the mid price
+   */
+  observeSpread(spreadBps) {
+    if (this.anomalies) {
+      this.anomalies.observeSpread(spreadBps);
+    }
+  }
+
+  /**
+   * Collect market anomalies flagged since the last call
+   * @param {number} [now] - Defaults to the detector clock
+   * @returns {Object[]} Anomaly events (see anomalyDetector.js)
+   */
+  drainAnomalies(now = this.clock.now()) {
+    return this.anomalies ? this.anomalies.drain(now - SETTLE_MS) : [];
+  }
+
+  /**
+   * Get OHLCV candles for one interval
+   * @param {string} [interval='1m'] - Interval name (1m, 5m, 15m, 1h, 4h, 1d)
+   * @param {number} [limit] - Maximum number of candles
+   * @returns {Object} Candle snapshot with symbol, interval and candles
+   */
+  getCandleSnapshot(interval = '1m', limit) {
     return {
-      labels: sortedBuckets.map(b => {
-        const date = new Date(b.timestamp);
-        return date.toLocaleTimeString('en-US', {
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit'
-        });
-      }),
-      prices: sortedBuckets.map(b => b.price.toFixed(2)),
-      volumes: sortedBuckets.map(b => b.totalVolume.toFixed(4)),
-      timestamps: sortedBuckets.map(b => b.timestamp)
+      symbol: this.symbol,
+      interval,
+      candles: this.candles.getCandles(interval, limit)
     };
   }
 
   /**
    * Get current metrics
+   * Volumes are in the base asset; `stats` has every window (see rollingStats.js)
    * @returns {Object} Real-time metrics
    */
   getMetrics() {
+    const policy = this.thresholdPolicy.describe();
+    const now = this.clock.now();
+    const stats = this.stats.get(now);
+    const { whaleCount, totalWhaleValue } = this.metrics;
+
     return {
       ...this.metrics,
+      averageWhaleSize: whaleCount > 0 ? totalWhaleValue / whaleCount : 0,
+      symbol: this.symbol,
+      sessionStart: this.sessionStart,
+      whaleThreshold: policy.threshold,
+      thresholdPolicy: policy,
+      flow: this.flow.getFlow(now),
+      stats,
       currentPrice: this.lastPrice,
-      hourlyVolume: this.aggregatedVolume.toFixed(4)
+      high1h: stats['1h'].high,
+      low1h: stats['1h'].low,
+      volume1h: stats['1h'].volume,
+      hourlyVolume: stats['1h'].volume,
+      totalVolume24h: stats['24h'].volume
     };
   }
 
   /**
-   * Reset all metrics (useful for daily resets)
+   * Serializable detector state for persistence
+   * Trades are persisted separately and reloaded via restoreTrades()
+   * @returns {Object}
    */
-  reset() {
+  getState() {
+    return {
+      symbol: this.symbol,
+      savedAt: this.clock.now(),
+      sessionStart: this.sessionStart,
+      metrics: this.metrics,
+      lastPrice: this.lastPrice,
+      thresholdPolicy: this.thresholdPolicy.getState(),
+      openCandles: this.candles.getState(),
+      flow: this.flow.getState()
+    };
+  }
+
+  /**
+   * Restore metrics and threshold state saved by getState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    if (!state || state.symbol !== this.symbol) {
+      return;
+    }
+
+    // Older snapshots stored figures that are now computed in getMetrics()
+    const { totalVolume24h, averageWhaleSize, ...metrics } = state.metrics || {};
+    this.metrics = { ...this.metrics, ...metrics };
+    this.sessionStart = state.sessionStart || null;
+    this.lastPrice = state.lastPrice || 0;
+    this.thresholdPolicy.setState(state.thresholdPolicy);
+    this.candles.setState(state.openCandles);
+    this.flow.setState(state.flow);
+  }
+
+  /**
+   * Refill the 24h statistics before the restored trades from closed 1m
+   * candles and stored whales. Call before restoreTrades().
+   * @param {Object[]} candles - Closed 1m candles, oldest first
+   * @param {Object[]} whales - Stored whale trades over the same span, oldest first
+   */
+  restoreStats(candles, whales) {
+    const entries = [
+      ...candles.map(candle => ({ timestamp: candle.timestamp, candle })),
+      ...whales.map(whale => ({ timestamp: whale.timestamp, whale }))
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    entries.forEach(({ timestamp, candle, whale }) => {
+      if (candle) {
+        this.stats.add(timestamp,
+          { volume: candle.volume, quoteVolume: candle.quoteVolume, trades: candle.trades },
+          { high: candle.high, low: candle.low });
+      } else {
+        this.stats.add(timestamp, { whaleCount: 1, whaleValue: whale.tradeValue }, { maxWhale: whale.tradeValue });
+      }
+    });
+  }
+
+  /**
+   * Refill the rolling trade, statistics, flow and anomaly windows from persisted trades
+   * Metrics and CVD are not recounted; they come from restoreState()
+   * @param {Object[]} trades - Stored trade records, oldest first
+   */
+  restoreTrades(trades) {
+    this.tradeHistory = trades.slice();
+    const last = this.tradeHistory[this.tradeHistory.length - 1];
+    if (last) {
+      this.trimHistory(last.timestamp);
+    }
+
+    const cvd = this.flow.cvd;
+    trades.forEach(trade => {
+      this.flow.add(trade);
+      this.stats.addTrade(trade);
+      if (this.anomalies) {
+        this.anomalies.add(trade);
+      }
+    });
+    this.flow.cvd = cvd;
+
+    // Restored trades warm up the baselines; their anomalies are old news
+    if (this.anomalies) {
+      this.anomalies.drain();
+    }
+
+    if (last) {
+      this.lastPrice = last.price;
+    }
+  }
+
+  /**
+   * Start counting a new session: whale and cluster totals go back to zero
+   * Rolling windows, flow and candles carry on across the boundary
+   * @param {number} start - Session start, epoch ms
+   */
+  startSession(start) {
+    this.sessionStart = start;
     this.metrics = {
-      totalVolume24h: 0,
       whaleCount: 0,
       maxWhaleAmount: 0,
+      totalWhaleValue: 0,
       lastWhaleTime: null,
-      averageWhaleSize: 0
+      clusterCount: 0
     };
-    this.tradeHistory = [];
-    this.aggregatedVolume = 0;
   }
 }
 
@@ -3,22 +3,70 @@
  * With candlestick charts and technical indicators
  */
 
-const socket = io();
-const WHALE_THRESHOLD = 500000;
+const SYMBOL_STORAGE_KEY = 'whaleWatcher.symbol';
+const CLIENT_ID_STORAGE_KEY = 'whaleWatcher.clientId';
+const INDICATOR_STORAGE_KEY = 'whaleWatcher.indicators';
+
+// Stable per-browser id; alert rules registered under it (socket or
+// REST X-Client-Id) fire on this dashboard
+function getClientId() {
+  let clientId = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+  if (!clientId) {
+    clientId = `web-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+  }
+  return clientId;
+}
+
+// Wallboards open the dashboard with ?tier=summary to get per-tick
+// summaries (plus whale trades) instead of the full trade tape
+const TRADE_TIER = new URLSearchParams(window.location.search).get('tier') === 'summary' ? 'summary' : 'full';
+
+const socket = io({ auth: { clientId: getClientId() } });
 
 // Chart instances
 let candleChart = null;
 let volumeChart = null;
+let oscillatorChart = null;
 let candleSeries = null;
 let volumeSeries = null;
 
+// Trades kept for the history table; older ones are overwritten
+const TRADE_HISTORY_SIZE = 1000;
+const HISTORY_ROWS = 50;
+
 // Data storage
-let candleData = [];
-let volumeData = [];
-let allTrades = [];
-let priceHistory = [];
+const allTrades = new RingBuffer(TRADE_HISTORY_SIZE);
+let lastCandle = null;
+let indicatorSettings = null; // loaded on startup (see loadIndicatorSettings)
+let indicators = null; // IndicatorSet, rebuilt from each candle snapshot
 let previousPrice = 0;
-let currentInterval = 1; // in minutes
+let currentInterval = '1m';
+
+// Last event seen for the current symbol ({ symbol, epoch, seq }), sent on
+// subscribe after a reconnect so the server replays what was missed
+let syncCursor = null;
+
+// Order book walls drawn on the candle chart, keyed by '<side>:<price>'
+const wallPriceLines = new Map();
+
+// Candle interval lengths in seconds
+const INTERVAL_SECONDS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400
+};
+
+// Symbol selection
+let availableSymbols = [];
+let currentSymbol = null;
+let baseAsset = 'BTC';
+
+// Logged-in user and their watch settings (null when the server has no accounts)
+let currentUser = null;
 
 // ============================================
 // INITIALIZE CHARTS
@@ -58,20 +106,21 @@ function initializeCharts() {
     wickUpColor: '#00a86b'
   });
 
-  // Add SMAs
-  const sma20Series = candleChart.addLineSeries({
-    color: '#3b82f6',
-    title: 'SMA (20)',
-    visible: true
+  // Overlays; titles and visibility come from applyIndicatorSettings()
+  const overlay = (color, options = {}) => candleChart.addLineSeries({
+    color,
+    lineWidth: 1,
+    priceLineVisible: false,
+    lastValueVisible: false,
+    ...options
   });
-  sma20Series.setData([]);
 
-  const ema12Series = candleChart.addLineSeries({
-    color: '#f59e0b',
-    title: 'EMA (12)',
-    visible: true
-  });
-  ema12Series.setData([]);
+  const smaSeries = overlay('#3b82f6', { lineWidth: 2, lastValueVisible: true });
+  const emaSeries = overlay('#f59e0b', { lineWidth: 2, lastValueVisible: true });
+  const bbUpperSeries = overlay('#a78bfa');
+  const bbMiddleSeries = overlay('#a78bfa', { lineStyle: LightweightCharts.LineStyle.Dotted });
+  const bbLowerSeries = overlay('#a78bfa');
+  const vwapSeries = overlay('#22d3ee', { lineWidth: 2, title: 'VWAP', lastValueVisible: true });
 
   // Volume Chart
   volumeChart = LightweightCharts.createChart(volumeContainer, {
@@ -96,6 +145,61 @@ function initializeCharts() {
     title: 'Volume'
   });
 
+  // Oscillator pane: RSI on the right scale, MACD on the left
+  const oscillatorContainer = document.getElementById('oscillatorChart');
+  oscillatorChart = LightweightCharts.createChart(oscillatorContainer, {
+    layout: {
+      textColor: '#a0a8c0',
+      background: { color: '#1a1f3a' }
+    },
+    width: oscillatorContainer.clientWidth,
+    height: 150,
+    timeScale: {
+      timeVisible: true,
+      barSpacing: 1,
+      minBarSpacing: 0.5
+    },
+    leftPriceScale: {
+      visible: true
+    },
+    rightPriceScale: {
+      autoScale: true
+    }
+  });
+
+  const macdHistogramSeries = oscillatorChart.addHistogramSeries({
+    priceScaleId: 'left',
+    priceLineVisible: false,
+    lastValueVisible: false
+  });
+  const macdSeries = oscillatorChart.addLineSeries({
+    color: '#3b82f6',
+    lineWidth: 1,
+    priceScaleId: 'left',
+    priceLineVisible: false,
+    title: 'MACD'
+  });
+  const macdSignalSeries = oscillatorChart.addLineSeries({
+    color: '#f59e0b',
+    lineWidth: 1,
+    priceScaleId: 'left',
+    priceLineVisible: false,
+    lastValueVisible: false
+  });
+  const rsiSeries = oscillatorChart.addLineSeries({
+    color: '#e879f9',
+    lineWidth: 2,
+    priceLineVisible: false,
+    title: 'RSI'
+  });
+  [70, 30].forEach(level => rsiSeries.createPriceLine({
+    price: level,
+    color: '#4a5068',
+    lineWidth: 1,
+    lineStyle: LightweightCharts.LineStyle.Dashed,
+    axisLabelVisible: false
+  }));
+
   // Initial zoom – do NOT call fitContent() (it makes single candles huge)
   candleChart.timeScale().applyOptions({
     barSpacing: 1,
@@ -105,6 +209,7 @@ function initializeCharts() {
     barSpacing: 1,
     minBarSpacing: 0.5,
   });
+  syncTimeScales([candleChart, volumeChart, oscillatorChart]);
 
   // Store for later access
   window.chartInstance = {
@@ -112,131 +217,233 @@ function initializeCharts() {
     candleSeries,
     volumeChart,
     volumeSeries,
-    sma20Series,
-    ema12Series
+    oscillatorChart,
+    smaSeries,
+    emaSeries,
+    bbUpperSeries,
+    bbMiddleSeries,
+    bbLowerSeries,
+    vwapSeries,
+    rsiSeries,
+    macdSeries,
+    macdSignalSeries,
+    macdHistogramSeries
   };
 }
 
+// Scrolling or zooming any pane moves the others; the panes hold one bar
+// per candle, so logical ranges map bar for bar
+function syncTimeScales(charts) {
+  let syncing = false;
+
+  charts.forEach(source => {
+    source.timeScale().subscribeVisibleLogicalRangeChange(range => {
+      if (syncing || !range) return;
+      syncing = true;
+      charts
+        .filter(chart => chart !== source)
+        .forEach(chart => chart.timeScale().setVisibleLogicalRange(range));
+      syncing = false;
+    });
+  });
+}
+
 // ============================================
 // CALCULATE TECHNICAL INDICATORS
 // ============================================
 
-function calculateSMA(prices, period) {
-  if (prices.length < period) return null;
-  const sum = prices.slice(-period).reduce((a, b) => a + b, 0);
-  return sum / period;
+// Indicator math lives in indicators.js; this section maps its values
+// onto chart series and the indicators panel
+
+// Line series fed from IndicatorSet values, by chart series name
+const INDICATOR_SERIES = {
+  smaSeries: values => values.sma,
+  emaSeries: values => values.ema,
+  bbUpperSeries: values => values.bb && values.bb.upper,
+  bbMiddleSeries: values => values.bb && values.bb.middle,
+  bbLowerSeries: values => values.bb && values.bb.lower,
+  vwapSeries: values => values.vwap,
+  rsiSeries: values => values.rsi,
+  macdSeries: values => values.macd && values.macd.macd,
+  macdSignalSeries: values => values.macd && values.macd.signal,
+  macdHistogramSeries: values => values.macd && values.macd.histogram
+};
+
+// Series shown by each settings toggle
+const INDICATOR_TOGGLES = {
+  sma: ['smaSeries'],
+  ema: ['emaSeries'],
+  bb: ['bbUpperSeries', 'bbMiddleSeries', 'bbLowerSeries'],
+  vwap: ['vwapSeries'],
+  rsi: ['rsiSeries'],
+  macd: ['macdSeries', 'macdSignalSeries', 'macdHistogramSeries']
+};
+
+// Missing values become whitespace points, so every pane keeps one bar per
+// candle and the synced time scales line up bar for bar
+function indicatorPoint(name, time, values) {
+  const value = INDICATOR_SERIES[name](values);
+  if (value === null || value === undefined) return { time };
+  if (name === 'macdHistogramSeries') {
+    return { time, value, color: value >= 0 ? 'rgba(0, 168, 107, 0.5)' : 'rgba(255, 68, 68, 0.5)' };
+  }
+  return { time, value };
 }
 
-function calculateEMA(prices, period) {
-  if (prices.length < period) return null;
-  const k = 2 / (period + 1);
-  let ema = prices.slice(-period).reduce((a, b) => a + b, 0) / period;
-  for (let i = period; i < prices.length; i++) {
-    ema = prices[i] * k + ema * (1 - k);
+function loadIndicatorSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Ignoring saved indicator settings:', error.message);
   }
-  return ema;
+
+  const settings = {};
+  Object.entries(DEFAULT_INDICATOR_SETTINGS).forEach(([key, defaults]) => {
+    settings[key] = { ...defaults, ...saved[key] };
+  });
+  return settings;
 }
 
-function calculateRSI(prices, period = 14) {
-  if (prices.length < period + 1) return 50;
-  
-  let gains = 0, losses = 0;
-  for (let i = prices.length - period; i < prices.length; i++) {
-    const diff = prices[i] - prices[i - 1];
-    if (diff > 0) gains += diff;
-    else losses -= diff;
+function saveIndicatorSettings() {
+  localStorage.setItem(INDICATOR_STORAGE_KEY, JSON.stringify(indicatorSettings));
+}
+
+// Show or hide series and the oscillator pane, and relabel by period
+function applyIndicatorSettings() {
+  const chart = window.chartInstance;
+  const { sma, ema, rsi, macd } = indicatorSettings;
+
+  Object.entries(INDICATOR_TOGGLES).forEach(([key, names]) => {
+    names.forEach(name => chart[name].applyOptions({ visible: indicatorSettings[key].enabled }));
+  });
+
+  chart.smaSeries.applyOptions({ title: `SMA (${sma.period})` });
+  chart.emaSeries.applyOptions({ title: `EMA (${ema.period})` });
+  document.getElementById('smaLabel').textContent = `SMA (${sma.period})`;
+  document.getElementById('emaLabel').textContent = `EMA (${ema.period})`;
+
+  const container = document.getElementById('oscillatorChart');
+  container.hidden = !rsi.enabled && !macd.enabled;
+  if (!container.hidden) {
+    oscillatorChart.applyOptions({
+      width: container.clientWidth,
+      leftPriceScale: { visible: macd.enabled },
+      rightPriceScale: { visible: rsi.enabled }
+    });
   }
-  
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
+}
+
+function formatIndicatorPrice(value) {
+  return value === null ? '--' : '$' + value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function updateIndicatorReadouts(values) {
+  const { sma = null, ema = null, vwap = null, rsi = null, macd = null } = values || {};
+
+  document.getElementById('smaValue').textContent = formatIndicatorPrice(sma);
+  document.getElementById('emaValue').textContent = formatIndicatorPrice(ema);
+  document.getElementById('vwapValue').textContent = formatIndicatorPrice(vwap);
+  document.getElementById('rsiValue').textContent = rsi === null ? '--' : rsi.toFixed(2);
+  document.getElementById('macdValue').textContent = macd && macd.histogram !== null
+    ? `${macd.macd.toFixed(2)} / ${macd.histogram >= 0 ? '+' : ''}${macd.histogram.toFixed(2)}`
+    : '--';
 }
 
 // ============================================
-// BUILD CANDLESTICK DATA
+// CANDLESTICK DATA (maintained by the server)
 // ============================================
 
-function buildCandleData() {
-  if (allTrades.length === 0) return;
-
-  const intervalMs = currentInterval * 60 * 1000;
-  const buckets = new Map();
-
-  // Group trades by interval
-  allTrades.forEach(trade => {
-    const bucketTime = Math.floor(trade.timestamp / intervalMs) * intervalMs;
-    const key = bucketTime;
-
-    if (!buckets.has(key)) {
-      buckets.set(key, {
-        time: Math.floor(bucketTime / 1000),
-        open: trade.price,
-        high: trade.price,
-        low: trade.price,
-        close: trade.price,
-        volume: trade.quantity
-      });
-    } else {
-      const candle = buckets.get(key);
-      candle.high = Math.max(candle.high, trade.price);
-      candle.low = Math.min(candle.low, trade.price);
-      candle.close = trade.price;
-      candle.volume += trade.quantity;
-    }
-  });
+// Server candles use epoch ms open times; the chart wants UTC seconds
+function toChartCandle(candle) {
+  return {
+    time: Math.floor(candle.timestamp / 1000),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  };
+}
 
-  candleData = Array.from(buckets.values()).sort((a, b) => a.time - b.time);
-  priceHistory = candleData.map(c => c.close);
+function toVolumeBar(candle) {
+  return {
+    time: candle.time,
+    value: candle.volume,
+    color: candle.close > candle.open ? '#00a86b' : '#ff4444'
+  };
+}
 
-  // Update charts
-  candleSeries.setData(candleData);
-  volumeSeries.setData(candleData.map(c => ({
-    time: c.time,
-    value: c.volume,
-    color: c.close > c.open ? '#00a86b' : '#ff4444'
-  })));
+// The only full redraw: on subscribe and interval changes
+function applyCandleSnapshot(snapshot) {
+  const candles = snapshot.candles.map(toChartCandle);
+  const seriesData = Object.fromEntries(Object.keys(INDICATOR_SERIES).map(name => [name, []]));
+  let values = null;
 
-  // Update SMAs
-  const sma20Data = [];
-  const ema12Data = [];
-  
-  candleData.forEach((candle, idx) => {
-    const prices = priceHistory.slice(0, idx + 1);
-    const sma = calculateSMA(prices, 20);
-    const ema = calculateEMA(prices, 12);
-    
-    if (sma) sma20Data.push({ time: candle.time, value: sma });
-    if (ema) ema12Data.push({ time: candle.time, value: ema });
+  indicators = new IndicatorSet(indicatorSettings);
+  candles.forEach((candle, index) => {
+    values = indicators.peek(candle);
+    Object.keys(INDICATOR_SERIES).forEach(name => {
+      seriesData[name].push(indicatorPoint(name, candle.time, values));
+    });
+
+    if (index < candles.length - 1) {
+      indicators.commit(candle);
+    }
   });
 
-  window.chartInstance.sma20Series.setData(sma20Data);
-  window.chartInstance.ema12Series.setData(ema12Data);
+  lastCandle = candles[candles.length - 1] || null;
 
-  // Calculate RSI
-  const rsi = calculateRSI(priceHistory);
-  document.getElementById('rsiValue').textContent = rsi.toFixed(2);
+  candleSeries.setData(candles);
+  volumeSeries.setData(candles.map(toVolumeBar));
+  Object.entries(seriesData).forEach(([name, data]) => window.chartInstance[name].setData(data));
+  updateIndicatorReadouts(values);
+  scrollToLatest();
+}
 
-  // Keep candles thin: show last N bars instead of fitting whole content
-  const ts = candleChart.timeScale();
-  const last = candleData[candleData.length - 1]?.time;
-  const visibleBars = 200; // More bars = thinner candles (like real trading platforms)
+function applyCandleUpdate(update) {
+  const candle = toChartCandle(update.candle);
 
-  if (last) {
-    ts.setVisibleRange({
-      from: last - visibleBars * currentInterval * 60,
-      to: last,
-    });
+  if (lastCandle && candle.time < lastCandle.time) {
+    // Late trade in an older candle: only its high, low or volume can have
+    // moved (closes belong to the last candle) and the chart can only
+    // update its last bar, so this waits for the next snapshot
+    return;
   }
 
-  // Match volume chart range
-  const vts = volumeChart.timeScale();
-  if (last) {
-    vts.setVisibleRange({
-      from: last - visibleBars * currentInterval * 60,
-      to: last,
-    });
+  if (lastCandle && candle.time > lastCandle.time) {
+    indicators.commit(lastCandle);
   }
+  lastCandle = candle;
+
+  candleSeries.update(candle);
+  volumeSeries.update(toVolumeBar(candle));
+  updateIndicators(candle);
+}
+
+// Move the indicator series' last point to the forming candle
+function updateIndicators(candle) {
+  const values = indicators.peek(candle);
+
+  Object.keys(INDICATOR_SERIES).forEach(name => {
+    window.chartInstance[name].update(indicatorPoint(name, candle.time, values));
+  });
+  updateIndicatorReadouts(values);
+}
+
+// Keep candles thin: show last N bars instead of fitting whole content
+function scrollToLatest() {
+  const last = lastCandle?.time;
+  if (!last) return;
+
+  const visibleBars = 200; // More bars = thinner candles (like real trading platforms)
+  const range = {
+    from: last - visibleBars * INTERVAL_SECONDS[currentInterval],
+    to: last,
+  };
+
+  // The other panes follow through syncTimeScales()
+  candleChart.timeScale().setVisibleRange(range);
 }
 
 // ============================================
@@ -247,22 +454,22 @@ function updateHistoryTable() {
   const tbody = document.getElementById('historyBody');
   const filter = document.getElementById('historyFilter').value;
 
-  let trades = [...allTrades].reverse().slice(0, 50);
+  const matches = {
+    whale: t => t.isWhale,
+    large: t => t.tradeValue > 100000
+  }[filter];
 
-  if (filter === 'whale') {
-    trades = trades.filter(t => t.isWhale);
-  } else if (filter === 'large') {
-    trades = trades.filter(t => t.tradeValue > 100000);
-  }
+  const trades = allTrades.latest(HISTORY_ROWS, matches);
 
   if (trades.length === 0) {
-    tbody.innerHTML = '<tr class="empty"><td colspan="4">No trades</td></tr>';
+    tbody.innerHTML = '<tr class="empty"><td colspan="5">No trades</td></tr>';
     return;
   }
 
   tbody.innerHTML = trades.map(trade => `
     <tr class="${trade.isWhale ? 'whale-row' : ''}">
       <td class="time">${new Date(trade.timestamp).toLocaleTimeString()}</td>
+      <td>${sideLabel(trade.side)}</td>
       <td class="amount">${parseFloat(trade.quantity).toFixed(4)}</td>
       <td class="price">$${parseFloat(trade.price).toLocaleString('en-US', { maximumFractionDigits: 2 })}</td>
       <td class="value">$${parseFloat(trade.tradeValue).toLocaleString('en-US', { maximumFractionDigits: 0 })}</td>
@@ -274,63 +481,257 @@ function updateHistoryTable() {
 // SOCKET.IO EVENT LISTENERS
 // ============================================
 
-socket.on('connection_status', () => {
+socket.on('connection_status', (status) => {
   updateConnectionStatus('connected');
+  showUser(status.user);
+  populateSymbols(status.symbols || []);
 });
 
-socket.on('trade_update', (tradeData) => {
-  const trade = {
-    timestamp: new Date(tradeData.timestamp).getTime(),
-    price: parseFloat(tradeData.price),
-    quantity: parseFloat(tradeData.quantity),
-    tradeValue: parseFloat(tradeData.tradeValue),
-    isWhale: tradeData.isWhale
-  };
+// Per-symbol events are numbered; remember the latest one for resuming
+function trackSeq(event) {
+  if (syncCursor && event.seq > syncCursor.seq) {
+    syncCursor.seq = event.seq;
+  }
+}
+
+// Ends every subscribe: either the events missed since syncCursor were
+// replayed, or the server started over with its latest trades and alerts
+socket.on('sync', (sync) => {
+  if (sync.symbol !== currentSymbol) return;
+
+  if (sync.resumed) {
+    trackSeq(sync);
+    return;
+  }
+
+  syncCursor = { symbol: sync.symbol, epoch: sync.epoch, seq: sync.seq };
+  clearFeeds();
+
+  if (sync.trades.length > 0) {
+    sync.trades.forEach(trade => allTrades.push(trade));
+    updatePriceTicker(sync.trades[sync.trades.length - 1].price);
+    updateHistoryTable();
+  }
+
+  sync.alerts.forEach(({ event, data }) => SNAPSHOT_ALERTS[event](data));
+});
+
+// Alerts from a snapshot are listed quietly (no popup or sound)
+const SNAPSHOT_ALERTS = {
+  whale_alert: (whaleData) => showWhaleAlert(whaleData, false),
+  whale_cluster: showWhaleCluster,
+  orderbook_wall: (wall) => {
+    if (wall.event !== 'appeared') showOrderbookWall(wall);
+  },
+  market_anomaly: showMarketAnomaly
+};
+
+// One batch per tick: every trade on the full tier, only whales on the
+// summary tier; summary.close is the latest price either way
+socket.on('trade_update', (batch) => {
+  if (batch.symbol !== currentSymbol) return;
 
-  allTrades.push(trade);
-  updatePriceTicker(trade.price);
-  buildCandleData();
+  trackSeq(batch);
+  batch.trades.forEach(trade => allTrades.push(trade));
+  updatePriceTicker(batch.summary.close);
   updateHistoryTable();
 });
 
+socket.on('candle_snapshot', (snapshot) => {
+  if (snapshot.symbol !== currentSymbol || snapshot.interval !== currentInterval) return;
+
+  applyCandleSnapshot(snapshot);
+});
+
+socket.on('candle_update', (update) => {
+  if (update.symbol !== currentSymbol || update.interval !== currentInterval) return;
+
+  trackSeq(update);
+  applyCandleUpdate(update);
+});
+
+// Alerts replayed after a reconnect are listed without the popup and sound
 socket.on('whale_alert', (whaleData) => {
-  showWhaleAlert(whaleData);
+  if (whaleData.symbol !== currentSymbol) return;
+
+  trackSeq(whaleData);
+  showWhaleAlert(whaleData, !whaleData.replayed);
+  if (!whaleData.replayed) playAlert();
+});
+
+socket.on('whale_cluster', (cluster) => {
+  if (cluster.symbol !== currentSymbol) return;
+
+  trackSeq(cluster);
+  showWhaleCluster(cluster);
+});
+
+socket.on('orderbook_walls', (update) => {
+  if (update.symbol !== currentSymbol) return;
+
+  trackSeq(update);
+  drawWalls(update.walls);
+});
+
+// New walls already show up as price lines; removals go to the alerts panel
+socket.on('orderbook_wall', (wall) => {
+  if (wall.symbol !== currentSymbol) return;
+
+  trackSeq(wall);
+  if (wall.event !== 'appeared') showOrderbookWall(wall);
+});
+
+socket.on('market_anomaly', (anomaly) => {
+  if (anomaly.symbol !== currentSymbol) return;
+
+  trackSeq(anomaly);
+  showMarketAnomaly(anomaly);
+});
+
+// Rules are per client, so triggers show whatever symbol is selected
+socket.on('rule_triggered', (trigger) => {
+  showRuleTriggered(trigger);
   playAlert();
 });
 
 socket.on('metrics_update', (metrics) => {
+  if (metrics.symbol !== currentSymbol) return;
+
+  trackSeq(metrics);
+  document.getElementById('high1h').textContent = formatStatPrice(metrics.high1h);
+  document.getElementById('low1h').textContent = formatStatPrice(metrics.low1h);
+  document.getElementById('volume1h').textContent =
+    (metrics.volume1h || 0).toLocaleString('en-US', { maximumFractionDigits: 2 }) + ' ' + baseAsset;
   document.getElementById('whaleCount').textContent = metrics.whaleCount;
   document.getElementById('maxWhale').textContent = 
     '$' + parseFloat(metrics.maxWhaleAmount).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  document.getElementById('whaleThreshold').textContent = 
+    '$' + parseFloat(metrics.whaleThreshold).toLocaleString('en-US', { maximumFractionDigits: 0 });
   
-  // Calculate whale pressure
-  const pressure = metrics.whaleCount > 3 ? 'High' : metrics.whaleCount > 0 ? 'Medium' : 'Low';
-  const element = document.getElementById('whalePressure');
-  element.textContent = pressure;
-  element.className = 'indicator-value whale-pressure ' + pressure.toLowerCase();
+  updateFlow(metrics.flow);
 });
 
 socket.on('disconnect', () => {
   updateConnectionStatus('disconnected');
 });
 
+// Health of the server's exchange feeds (not sent during replays)
+socket.on('upstream_status', (upstream) => {
+  updateConnectionStatus(upstream.state === 'disconnected' ? 'offline' : upstream.state, upstream.exchanges);
+});
+
+// ============================================
+// SYMBOL SELECTION
+// ============================================
+
+function populateSymbols(symbols) {
+  availableSymbols = symbols;
+  const select = document.getElementById('symbolSelect');
+
+  select.innerHTML = symbols.map(s =>
+    `<option value="${s.symbol}">${s.base}/${s.quote}</option>`
+  ).join('');
+
+  const tracked = symbols.map(s => s.symbol);
+  const saved = localStorage.getItem(SYMBOL_STORAGE_KEY);
+  const preferred = [currentSymbol, saved, tracked[0]].find(s => tracked.includes(s));
+
+  if (preferred) {
+    selectSymbol(preferred);
+  }
+}
+
+function selectSymbol(symbol) {
+  const meta = availableSymbols.find(s => s.symbol === symbol);
+  if (!meta) return;
+
+  if (currentSymbol && currentSymbol !== symbol) {
+    socket.emit('unsubscribe', currentSymbol);
+    resetSymbolState();
+  }
+
+  currentSymbol = symbol;
+  baseAsset = meta.base;
+  localStorage.setItem(SYMBOL_STORAGE_KEY, symbol);
+
+  document.getElementById('symbolSelect').value = symbol;
+  document.querySelectorAll('.base-asset').forEach(el => {
+    el.textContent = baseAsset;
+  });
+
+  // Rooms are per connection, so this also re-joins after a reconnect,
+  // resuming from the last event seen on this symbol
+  const resume = syncCursor && syncCursor.symbol === symbol
+    ? { epoch: syncCursor.epoch, seq: syncCursor.seq }
+    : undefined;
+  socket.emit('subscribe', { symbol, interval: currentInterval, tier: TRADE_TIER, resume });
+}
+
+function resetSymbolState() {
+  syncCursor = null;
+  lastCandle = null;
+  indicators = new IndicatorSet(indicatorSettings);
+  previousPrice = 0;
+
+  candleSeries.setData([]);
+  volumeSeries.setData([]);
+  Object.keys(INDICATOR_SERIES).forEach(name => window.chartInstance[name].setData([]));
+  updateIndicatorReadouts(null);
+  drawWalls([]);
+
+  document.getElementById('tickerPrice').textContent = '$0.00';
+  document.getElementById('tickerChange').textContent = '+0.00%';
+  document.getElementById('high1h').textContent = '$0.00';
+  document.getElementById('low1h').textContent = '$0.00';
+  document.getElementById('volume1h').textContent = '0';
+  document.getElementById('whaleCount').textContent = '0';
+  document.getElementById('maxWhale').textContent = '$0';
+  document.getElementById('whaleThreshold').textContent = '$0';
+  document.getElementById('cvdValue').textContent = '0';
+  document.getElementById('whaleNetFlow').textContent = '$0';
+  document.getElementById('whalePressure').textContent = 'Neutral';
+  document.getElementById('whalePressure').className = 'indicator-value whale-pressure neutral';
+  clearFeeds();
+}
+
+// Empty the trade history and the alert feeds
+function clearFeeds() {
+  allTrades.clear();
+  document.getElementById('alertsContainer').innerHTML =
+    '<p class="empty-state">Waiting for whale trades...</p>';
+  document.getElementById('anomaliesContainer').innerHTML =
+    '<p class="empty-state">No anomalies yet...</p>';
+  document.getElementById('historyBody').innerHTML =
+    '<tr class="empty"><td colspan="5">No trades yet</td></tr>';
+}
+
 // ============================================
 // UI UPDATES
 // ============================================
 
-function updateConnectionStatus(status) {
+// Dot color and label per state; 'offline' is the server up but its exchanges down
+const CONNECTION_STATES = {
+  connected: { color: '#00a86b', label: 'Connected', pulse: true },
+  backfilling: { color: '#f59e0b', label: 'Backfilling', pulse: true },
+  degraded: { color: '#f59e0b', label: 'Degraded', pulse: false },
+  connecting: { color: '#ff4444', label: 'Connecting...', pulse: false },
+  offline: { color: '#ff4444', label: 'Exchange offline', pulse: false },
+  disconnected: { color: '#ff4444', label: 'Disconnected', pulse: false }
+};
+
+function updateConnectionStatus(status, exchanges = []) {
   const element = document.getElementById('connectionStatus');
   const dot = element.querySelector('.status-dot');
-  
-  if (status === 'connected') {
-    dot.style.backgroundColor = '#00a86b';
-    dot.classList.add('pulse');
-    element.querySelector('span:last-child').textContent = 'Connected';
-  } else {
-    dot.style.backgroundColor = '#ff4444';
-    dot.classList.remove('pulse');
-    element.querySelector('span:last-child').textContent = 'Disconnected';
-  }
+  const state = CONNECTION_STATES[status] || CONNECTION_STATES.disconnected;
+
+  dot.style.backgroundColor = state.color;
+  dot.classList.toggle('pulse', state.pulse);
+  element.querySelector('span:last-child').textContent = state.label;
+
+  // Per-feed detail on hover
+  element.title = exchanges
+    .map(feed => `${feed.exchange}: ${feed.state}${feed.reason ? ` (${feed.reason})` : ''}`)
+    .join('\n');
 }
 
 function updatePriceTicker(price) {
@@ -349,7 +750,51 @@ function updatePriceTicker(price) {
   previousPrice = price;
 }
 
-function showWhaleAlert(whaleData) {
+// Directional flow: CVD, whale net flow and whale pressure
+// High/low are null until the window has a trade
+function formatStatPrice(value) {
+  return value === null || value === undefined
+    ? '$0.00'
+    : '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function updateFlow(flow) {
+  if (!flow) return;
+
+  const netFlow = flow.windows['5m'].whaleNetFlow;
+  const netElement = document.getElementById('whaleNetFlow');
+  netElement.textContent = (netFlow < 0 ? '-$' : '$') +
+    Math.abs(netFlow).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  netElement.style.color = netFlow < 0 ? '#ff4444' : '#00a86b';
+
+  const cvdElement = document.getElementById('cvdValue');
+  cvdElement.textContent = flow.cvd.toLocaleString('en-US', { maximumFractionDigits: 2 }) + ' ' + baseAsset;
+  cvdElement.style.color = flow.cvd < 0 ? '#ff4444' : '#00a86b';
+
+  const { label, score } = flow.pressure;
+  const direction = score >= 0.2 ? 'buy' : score <= -0.2 ? 'sell' : 'neutral';
+  const element = document.getElementById('whalePressure');
+  element.textContent = label;
+  element.className = 'indicator-value whale-pressure ' + direction;
+}
+
+function sideLabel(side) {
+  if (side === 'buy') return '<span class="side buy">BUY</span>';
+  if (side === 'sell') return '<span class="side sell">SELL</span>';
+  return '<span class="side">—</span>';
+}
+
+function showWhaleAlert(whaleData, popup = true) {
+  addAlertItem(`alert-item ${whaleData.severity || ''}`, `
+    <div class="alert-time">${new Date(whaleData.timestamp).toLocaleTimeString()}</div>
+    <div class="alert-info">
+      <strong>${sideLabel(whaleData.side)} ${parseFloat(whaleData.quantity).toFixed(4)} ${baseAsset}</strong>
+      <span>$${parseFloat(whaleData.tradeValue).toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+    </div>
+  `);
+
+  if (!popup) return;
+
   const modal = document.getElementById('whaleAlertModal');
   
   document.getElementById('modalAmount').textContent = 
@@ -360,36 +805,144 @@ function showWhaleAlert(whaleData) {
     parseFloat(whaleData.tradeValue).toLocaleString('en-US', { maximumFractionDigits: 0 });
   document.getElementById('modalTime').textContent = 
     new Date(whaleData.timestamp).toLocaleTimeString();
+  document.getElementById('modalSide').innerHTML = sideLabel(whaleData.side);
 
   modal.classList.add('show');
-  
-  // Add to alerts panel
+
+  setTimeout(() => {
+    modal.classList.remove('show');
+  }, 5000);
+}
+
+function showWhaleCluster(cluster) {
+  const duration = cluster.durationMs < 1000
+    ? `${cluster.durationMs}ms`
+    : `${(cluster.durationMs / 1000).toFixed(1)}s`;
+
+  addAlertItem(`alert-item cluster ${cluster.severity || ''}`, `
+    <div class="alert-time">${new Date(cluster.timestamp).toLocaleTimeString()} · 🧩 ${cluster.fills} fills in ${duration}</div>
+    <div class="alert-info">
+      <strong>${sideLabel(cluster.side)} ${cluster.quantity.toFixed(4)} ${baseAsset}</strong>
+      <span>$${cluster.totalValue.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+    </div>
+    <div class="alert-detail">VWAP $${cluster.vwap.toLocaleString('en-US', { maximumFractionDigits: 2 })}</div>
+  `);
+}
+
+function showOrderbookWall(wall) {
+  const lifetime = wall.lifetimeMs < 60000
+    ? `${(wall.lifetimeMs / 1000).toFixed(0)}s`
+    : `${(wall.lifetimeMs / 60000).toFixed(1)}m`;
+
+  addAlertItem(`alert-item wall ${wall.side}`, `
+    <div class="alert-time">${new Date(wall.timestamp).toLocaleTimeString()} · 🧱 ${wall.side.toUpperCase()} wall ${wall.event} after ${lifetime}</div>
+    <div class="alert-info">
+      <strong>${wall.quantity.toFixed(4)} ${baseAsset} @ $${wall.price.toLocaleString('en-US', { maximumFractionDigits: 2 })}</strong>
+      <span>$${wall.notional.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+    </div>
+  `);
+}
+
+const ANOMALY_TITLES = {
+  volume_burst: 'Volume burst',
+  trade_rate: 'Trade rate spike',
+  price_shock: 'Price shock',
+  spread_widening: 'Spread widening'
+};
+
+// Anomalies get their own feed so they don't push whales out of the alerts panel
+function showMarketAnomaly(anomaly) {
+  const container = document.getElementById('anomaliesContainer');
+  if (container.querySelector('.empty-state')) {
+    container.innerHTML = '';
+  }
+
+  const item = document.createElement('div');
+  item.className = `alert-item anomaly ${anomaly.kind} ${anomaly.direction}`;
+  item.innerHTML = `
+    <div class="alert-time">${new Date(anomaly.timestamp).toLocaleTimeString()} · ⚡ ${ANOMALY_TITLES[anomaly.kind] || escapeHtml(anomaly.kind)}</div>
+    <div class="alert-info">
+      <strong>z ${anomaly.score.toFixed(1)}</strong>
+      <span>$${anomaly.context.price.toLocaleString('en-US', { maximumFractionDigits: 2 })}</span>
+    </div>
+    <div class="alert-detail">${escapeHtml(anomaly.message)}</div>
+  `;
+  container.insertBefore(item, container.firstChild);
+
+  while (container.children.length > 10) {
+    container.removeChild(container.lastChild);
+  }
+}
+
+// Replace the wall price lines with the server's current set
+function drawWalls(walls) {
+  const current = new Set(walls.map(wall => `${wall.side}:${wall.price}`));
+
+  wallPriceLines.forEach((line, key) => {
+    if (!current.has(key)) {
+      candleSeries.removePriceLine(line);
+      wallPriceLines.delete(key);
+    }
+  });
+
+  walls.forEach(wall => {
+    const key = `${wall.side}:${wall.price}`;
+    const title = `${wall.side === 'bid' ? 'BID' : 'ASK'} WALL $${(wall.notional / 1e6).toFixed(1)}M`;
+    const line = wallPriceLines.get(key);
+
+    if (line) {
+      line.applyOptions({ title });
+      return;
+    }
+
+    wallPriceLines.set(key, candleSeries.createPriceLine({
+      price: wall.price,
+      color: wall.side === 'bid' ? '#00a86b' : '#ff4444',
+      lineWidth: 2,
+      lineStyle: LightweightCharts.LineStyle.Dashed,
+      axisLabelVisible: true,
+      title
+    }));
+  });
+}
+
+function showRuleTriggered(trigger) {
+  addAlertItem('alert-item rule', `
+    <div class="alert-time">${new Date(trigger.timestamp).toLocaleTimeString()} · 🔔 ${escapeHtml(trigger.rule.symbol)}</div>
+    <div class="alert-info">
+      <strong>${escapeHtml(trigger.rule.name)}</strong>
+    </div>
+    <div class="alert-detail">${escapeHtml(trigger.message)}</div>
+  `);
+}
+
+// Rule names are user input
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Prepend an entry to the alerts panel, keeping the latest 10
+function addAlertItem(className, html) {
   const alertsContainer = document.getElementById('alertsContainer');
   if (alertsContainer.querySelector('.empty-state')) {
     alertsContainer.innerHTML = '';
   }
 
   const alertItem = document.createElement('div');
-  alertItem.className = 'alert-item';
-  alertItem.innerHTML = `
-    <div class="alert-time">${new Date(whaleData.timestamp).toLocaleTimeString()}</div>
-    <div class="alert-info">
-      <strong>${parseFloat(whaleData.quantity).toFixed(4)} BTC</strong>
-      <span>$${parseFloat(whaleData.tradeValue).toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
-    </div>
-  `;
+  alertItem.className = className;
+  alertItem.innerHTML = html;
   alertsContainer.insertBefore(alertItem, alertsContainer.firstChild);
 
   while (alertsContainer.children.length > 10) {
     alertsContainer.removeChild(alertsContainer.lastChild);
   }
-
-  setTimeout(() => {
-    modal.classList.remove('show');
-  }, 5000);
 }
 
 function playAlert() {
+  if (currentUser && !currentUser.settings.alerts.sound) return;
+
   const audioContext = new (window.AudioContext || window.webkitAudioContext)();
   const oscillator = audioContext.createOscillator();
   const gainNode = audioContext.createGain();
@@ -407,6 +960,183 @@ function playAlert() {
   oscillator.stop(audioContext.currentTime + 0.5);
 }
 
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+// The server refuses the socket until there is a session cookie
+socket.on('connect_error', (error) => {
+  if (error.message === 'UNAUTHORIZED') {
+    updateConnectionStatus('disconnected');
+    showLogin();
+  }
+});
+
+// Settings changed (from this or another session): new watchlist, thresholds or alert choices
+socket.on('user_settings', ({ settings, symbols }) => {
+  if (!currentUser) return;
+
+  currentUser.settings = settings;
+  populateSymbols(symbols);
+});
+
+function showLogin(message = '') {
+  document.getElementById('loginError').textContent = message;
+  document.getElementById('loginOverlay').hidden = false;
+  document.getElementById('loginUsername').focus();
+}
+
+function showUser(user) {
+  currentUser = user || null;
+  document.getElementById('userBadge').hidden = !currentUser;
+  document.getElementById('userName').textContent = currentUser ? `👤 ${currentUser.username}` : '';
+}
+
+document.getElementById('loginForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const response = await fetch('/api/v1/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: document.getElementById('loginUsername').value,
+      password: document.getElementById('loginPassword').value
+    })
+  }).catch(() => null);
+
+  if (!response || !response.ok) {
+    const body = response ? await response.json().catch(() => null) : null;
+    showLogin(body ? body.error.message : 'Server unreachable');
+    return;
+  }
+
+  document.getElementById('loginPassword').value = '';
+  document.getElementById('loginOverlay').hidden = true;
+  socket.connect();
+});
+
+document.getElementById('logoutButton').addEventListener('click', async () => {
+  await fetch('/api/v1/auth/logout', { method: 'POST' }).catch(() => null);
+  socket.disconnect();
+  showUser(null);
+  resetSymbolState();
+  currentSymbol = null;
+  showLogin();
+});
+
+// ============================================
+// REPLAY CONTROLS
+// ============================================
+
+// Only sent when the server plays a recorded file instead of live data
+let replayStatus = null;
+let replayDragging = false;
+
+socket.on('replay_status', (status) => {
+  replayStatus = status;
+  updateReplayBar(status);
+});
+
+// The replay restarted or jumped back: drop local data and take a fresh snapshot
+socket.on('replay_reset', () => {
+  if (!currentSymbol) return;
+
+  resetSymbolState();
+  selectSymbol(currentSymbol);
+});
+
+socket.on('replay_error', (error) => {
+  console.warn('Replay control failed:', error.message);
+});
+
+function updateReplayBar(status) {
+  document.getElementById('replayBar').hidden = false;
+  document.getElementById('replayFile').textContent = status.file;
+  document.getElementById('replayToggle').textContent = status.state === 'playing' ? '⏸' : '▶';
+  document.getElementById('replayTime').textContent = status.currentTime
+    ? new Date(status.currentTime).toLocaleString()
+    : '--';
+
+  document.querySelectorAll('.replay-speed').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.speed === String(status.speed));
+  });
+
+  if (!replayDragging) {
+    document.getElementById('replaySeek').value = Math.round(status.progress * 1000);
+  }
+}
+
+document.getElementById('replayToggle').addEventListener('click', () => {
+  if (!replayStatus) return;
+  socket.emit('replay_control', { action: replayStatus.state === 'playing' ? 'pause' : 'play' });
+});
+
+document.querySelectorAll('.replay-speed').forEach(btn => {
+  btn.addEventListener('click', () => {
+    socket.emit('replay_control', { action: 'speed', speed: btn.dataset.speed });
+  });
+});
+
+const replaySeek = document.getElementById('replaySeek');
+replaySeek.addEventListener('input', () => {
+  replayDragging = true;
+});
+replaySeek.addEventListener('change', () => {
+  replayDragging = false;
+  if (!replayStatus) return;
+
+  const { startTime, endTime } = replayStatus;
+  const to = Math.round(startTime + (endTime - startTime) * replaySeek.value / 1000);
+  socket.emit('replay_control', { action: 'seek', to });
+});
+
+// ============================================
+// EXPORT
+// ============================================
+
+// datetime-local inputs hold local time without a zone
+function toLocalInput(time) {
+  const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+  return date.toISOString().slice(0, 16);
+}
+
+function resetExportRange() {
+  const now = Date.now();
+  document.getElementById('exportFrom').value = toLocalInput(now - 24 * 60 * 60 * 1000);
+  document.getElementById('exportTo').value = toLocalInput(now);
+}
+
+// Fetched rather than linked so API errors show here instead of replacing the page
+document.getElementById('exportForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const errorElement = document.getElementById('exportError');
+  const params = new URLSearchParams({
+    from: new Date(document.getElementById('exportFrom').value).toISOString(),
+    to: new Date(document.getElementById('exportTo').value).toISOString(),
+    format: document.getElementById('exportFormat').value
+  });
+  if (document.getElementById('exportScope').value === 'current' && currentSymbol) {
+    params.set('symbol', currentSymbol);
+  }
+
+  errorElement.textContent = '';
+  const response = await fetch(`/api/v1/export/whales?${params}`).catch(() => null);
+  if (!response || !response.ok) {
+    const body = response ? await response.json().catch(() => null) : null;
+    errorElement.textContent = body ? body.error.message : 'Server unreachable';
+    return;
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(await response.blob());
+  link.download = match ? match[1] : `whales.${params.get('format')}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -415,19 +1145,62 @@ document.querySelectorAll('.time-btn').forEach(btn => {
   btn.addEventListener('click', function() {
     document.querySelectorAll('.time-btn').forEach(b => b.classList.remove('active'));
     this.classList.add('active');
-    currentInterval = parseInt(this.dataset.interval);
-    buildCandleData();
+    currentInterval = this.dataset.interval;
+    if (currentSymbol) {
+      socket.emit('set_candle_interval', { symbol: currentSymbol, interval: currentInterval });
+    }
   });
 });
 
 document.getElementById('historyFilter').addEventListener('change', updateHistoryTable);
 
+Object.keys(INDICATOR_TOGGLES).forEach(key => {
+  document.getElementById(`${key}Toggle`).addEventListener('change', function() {
+    indicatorSettings[key].enabled = this.checked;
+    saveIndicatorSettings();
+    applyIndicatorSettings();
+  });
+});
+
+// A new period changes the whole history, so take a fresh snapshot to rebuild from
+['sma', 'ema'].forEach(key => {
+  document.getElementById(`${key}Period`).addEventListener('change', function() {
+    const period = parseInt(this.value, 10);
+    if (!Number.isInteger(period) || period < 2 || period > 500) {
+      this.value = indicatorSettings[key].period;
+      return;
+    }
+
+    indicatorSettings[key].period = period;
+    saveIndicatorSettings();
+    applyIndicatorSettings();
+    if (currentSymbol) {
+      socket.emit('request_candles', { symbol: currentSymbol, interval: currentInterval });
+    }
+  });
+});
+
+document.getElementById('symbolSelect').addEventListener('change', function() {
+  selectSymbol(this.value);
+});
+
 // ============================================
 // INITIALIZATION
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+  indicatorSettings = loadIndicatorSettings();
+  indicators = new IndicatorSet(indicatorSettings);
+  Object.keys(INDICATOR_TOGGLES).forEach(key => {
+    document.getElementById(`${key}Toggle`).checked = indicatorSettings[key].enabled;
+  });
+  document.getElementById('smaPeriod').value = indicatorSettings.sma.period;
+  document.getElementById('emaPeriod').value = indicatorSettings.ema.period;
+
+  resetExportRange();
+
   initializeCharts();
+  applyIndicatorSettings();
   updateConnectionStatus('connecting');
   
   // Resize charts on window resize
@@ -441,6 +1214,9 @@ document.addEventListener('DOMContentLoaded', () => {
       volumeChart.applyOptions({
         width: volumeContainer.clientWidth
       });
+      oscillatorChart.applyOptions({
+        width: document.getElementById('oscillatorChart').clientWidth
+      });
     }
   });
 });
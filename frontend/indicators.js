@@ -0,0 +1,254 @@
+/**
+ * CHART INDICATORS
+ *
+ * Incremental technical indicators for the candle chart
+ * Each indicator is fed one closed candle at a time through commit(), and
+ * peek() evaluates the forming candle on top of that state without changing
+ * it, so a chart update costs O(1) (O(period) for Bollinger Bands).
+ * peek() returns null until there is enough history.
+ */
+
+const DEFAULT_INDICATOR_SETTINGS = {
+  sma: { enabled: true, period: 20 },
+  ema: { enabled: true, period: 12 },
+  bb: { enabled: false, period: 20, stdDev: 2 },
+  vwap: { enabled: false },
+  rsi: { enabled: true, period: 14 },
+  macd: { enabled: false, fast: 12, slow: 26, signal: 9 }
+};
+
+class SMAIndicator {
+  constructor(period) {
+    this.period = period;
+    this.values = new RingBuffer(period);
+    this.sum = 0;
+  }
+
+  peek(value) {
+    if (this.values.length + 1 < this.period) return null;
+    const dropped = this.values.length === this.period ? this.values.get(0) : 0;
+    return (this.sum - dropped + value) / this.period;
+  }
+
+  commit(value) {
+    if (this.values.length === this.period) {
+      this.sum -= this.values.get(0);
+    }
+    this.values.push(value);
+    this.sum += value;
+  }
+}
+
+// Seeded with the SMA of the first `period` values
+class EMAIndicator {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.count = 0;
+    this.seedSum = 0;
+    this.ema = null;
+  }
+
+  peek(value) {
+    if (this.ema !== null) return value * this.k + this.ema * (1 - this.k);
+    if (this.count + 1 < this.period) return null;
+    return (this.seedSum + value) / this.period;
+  }
+
+  commit(value) {
+    const ema = this.peek(value);
+    this.count++;
+    if (ema === null) {
+      this.seedSum += value;
+    } else {
+      this.ema = ema;
+    }
+  }
+}
+
+// SMA middle band with bands `stdDev` population standard deviations away
+class BollingerBands {
+  constructor(period = 20, stdDev = 2) {
+    this.period = period;
+    this.stdDev = stdDev;
+    this.values = new RingBuffer(period);
+  }
+
+  peek(value) {
+    if (this.values.length + 1 < this.period) return null;
+
+    // Summing the window directly avoids the drift of a running sum of squares
+    const first = this.values.length === this.period ? 1 : 0;
+    let sum = value;
+    for (let i = first; i < this.values.length; i++) {
+      sum += this.values.get(i);
+    }
+    const middle = sum / this.period;
+
+    let squares = (value - middle) ** 2;
+    for (let i = first; i < this.values.length; i++) {
+      squares += (this.values.get(i) - middle) ** 2;
+    }
+    const width = this.stdDev * Math.sqrt(squares / this.period);
+
+    return { middle, upper: middle + width, lower: middle - width };
+  }
+
+  commit(value) {
+    this.values.push(value);
+  }
+}
+
+// Volume-weighted typical price, restarting at each UTC day
+class VWAPIndicator {
+  constructor() {
+    this.day = null;
+    this.priceVolume = 0;
+    this.volume = 0;
+  }
+
+  peek(candle) {
+    const sameDay = VWAPIndicator.dayOf(candle) === this.day;
+    const priceVolume = (sameDay ? this.priceVolume : 0) + VWAPIndicator.typicalPrice(candle) * candle.volume;
+    const volume = (sameDay ? this.volume : 0) + candle.volume;
+    return volume > 0 ? priceVolume / volume : VWAPIndicator.typicalPrice(candle);
+  }
+
+  commit(candle) {
+    const day = VWAPIndicator.dayOf(candle);
+    if (day !== this.day) {
+      this.day = day;
+      this.priceVolume = 0;
+      this.volume = 0;
+    }
+    this.priceVolume += VWAPIndicator.typicalPrice(candle) * candle.volume;
+    this.volume += candle.volume;
+  }
+
+  static typicalPrice(candle) {
+    return (candle.high + candle.low + candle.close) / 3;
+  }
+
+  // Chart candles carry UTC seconds
+  static dayOf(candle) {
+    return Math.floor(candle.time / 86400);
+  }
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+class MACDIndicator {
+  constructor(fast = 12, slow = 26, signal = 9) {
+    this.fast = new EMAIndicator(fast);
+    this.slow = new EMAIndicator(slow);
+    this.signal = new EMAIndicator(signal);
+  }
+
+  peek(value) {
+    const fast = this.fast.peek(value);
+    const slow = this.slow.peek(value);
+    if (fast === null || slow === null) return null;
+
+    const macd = fast - slow;
+    const signal = this.signal.peek(macd);
+    return { macd, signal, histogram: signal === null ? null : macd - signal };
+  }
+
+  commit(value) {
+    const result = this.peek(value);
+    this.fast.commit(value);
+    this.slow.commit(value);
+    if (result) {
+      this.signal.commit(result.macd);
+    }
+  }
+}
+
+// Wilder's RSI: a simple average of the first `period` changes, then
+// Wilder smoothing; same definition as the server's alert rules
+// (backend/indicators.js)
+class RSIIndicator {
+  constructor(period = 14) {
+    this.period = period;
+    this.previous = null;
+    this.changes = 0;
+    this.avgGain = 0;
+    this.avgLoss = 0;
+  }
+
+  // Averages after one more change; while seeding they hold plain sums
+  averagesWith(value) {
+    const change = value - this.previous;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (this.changes + 1 < this.period) {
+      return { avgGain: this.avgGain + gain, avgLoss: this.avgLoss + loss };
+    }
+    if (this.changes + 1 === this.period) {
+      return { avgGain: (this.avgGain + gain) / this.period, avgLoss: (this.avgLoss + loss) / this.period };
+    }
+    return {
+      avgGain: (this.avgGain * (this.period - 1) + gain) / this.period,
+      avgLoss: (this.avgLoss * (this.period - 1) + loss) / this.period
+    };
+  }
+
+  peek(value) {
+    if (this.previous === null || this.changes + 1 < this.period) return null;
+
+    const { avgGain, avgLoss } = this.averagesWith(value);
+    if (avgLoss === 0) {
+      return avgGain === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + avgGain / avgLoss);
+  }
+
+  commit(value) {
+    if (this.previous !== null) {
+      Object.assign(this, this.averagesWith(value));
+      this.changes++;
+    }
+    this.previous = value;
+  }
+}
+
+/**
+ * Every chart indicator for one symbol and interval
+ * @param {Object} settings - Shape of DEFAULT_INDICATOR_SETTINGS
+ */
+class IndicatorSet {
+  constructor(settings) {
+    this.sma = new SMAIndicator(settings.sma.period);
+    this.ema = new EMAIndicator(settings.ema.period);
+    this.bb = new BollingerBands(settings.bb.period, settings.bb.stdDev);
+    this.vwap = new VWAPIndicator();
+    this.rsi = new RSIIndicator(settings.rsi.period);
+    this.macd = new MACDIndicator(settings.macd.fast, settings.macd.slow, settings.macd.signal);
+  }
+
+  /**
+   * Values as of a forming candle
+   * @param {Object} candle - Chart candle ({ time, open, high, low, close, volume })
+   * @returns {{sma: ?number, ema: ?number, bb: ?Object, vwap: number, rsi: ?number, macd: ?Object}}
+   */
+  peek(candle) {
+    return {
+      sma: this.sma.peek(candle.close),
+      ema: this.ema.peek(candle.close),
+      bb: this.bb.peek(candle.close),
+      vwap: this.vwap.peek(candle),
+      rsi: this.rsi.peek(candle.close),
+      macd: this.macd.peek(candle.close)
+    };
+  }
+
+  // Fold in a closed candle
+  commit(candle) {
+    this.sma.commit(candle.close);
+    this.ema.commit(candle.close);
+    this.bb.commit(candle.close);
+    this.vwap.commit(candle);
+    this.rsi.commit(candle.close);
+    this.macd.commit(candle.close);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * RING BUFFER
+ *
+ * Fixed-capacity buffer: once full, each push overwrites the oldest item,
+ * so long-running tabs hold a constant amount of data
+ */
+
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  push(item) {
+    this.items[(this.start + this.length) % this.capacity] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // index 0 is the oldest item
+  get(index) {
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  // Up to `count` items, newest first, optionally filtered
+  latest(count, predicate) {
+    const result = [];
+    for (let i = this.length - 1; i >= 0 && result.length < count; i--) {
+      const item = this.get(i);
+      if (!predicate || predicate(item)) {
+        result.push(item);
+      }
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}